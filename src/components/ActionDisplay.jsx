@@ -1,7 +1,164 @@
-function ActionDisplay({ action }) {
+import { getTechniqueById } from '../utils/techniques';
+import { TARGET_ZONES, getZoneById } from '../utils/targetZones';
+import { getSidedName } from '../utils/stance';
+import TargetSilhouette from './TargetSilhouette';
+
+// Visual identity for each technique: punches in warm colors, kicks in cool colors, defenses in greens
+const TECHNIQUE_STYLES = {
+  'jab': { background: 'bg-red-600 dark:bg-red-700', ring: 'bg-red-400' },
+  'cross': { background: 'bg-rose-700 dark:bg-rose-800', ring: 'bg-rose-400' },
+  'hook': { background: 'bg-orange-600 dark:bg-orange-700', ring: 'bg-orange-400' },
+  'uppercut': { background: 'bg-amber-600 dark:bg-amber-700', ring: 'bg-amber-400' },
+  'front-kick': { background: 'bg-blue-600 dark:bg-blue-700', ring: 'bg-blue-400' },
+  'roundhouse': { background: 'bg-indigo-600 dark:bg-indigo-700', ring: 'bg-indigo-400' },
+  'side-kick': { background: 'bg-cyan-600 dark:bg-cyan-700', ring: 'bg-cyan-400' },
+  'back-kick': { background: 'bg-sky-700 dark:bg-sky-800', ring: 'bg-sky-400' },
+  'slip': { background: 'bg-emerald-600 dark:bg-emerald-700', ring: 'bg-emerald-400' },
+  'roll': { background: 'bg-teal-600 dark:bg-teal-700', ring: 'bg-teal-400' },
+  'block': { background: 'bg-green-700 dark:bg-green-800', ring: 'bg-green-400' },
+  'parry': { background: 'bg-lime-700 dark:bg-lime-800', ring: 'bg-lime-400' },
+  'duck': { background: 'bg-emerald-800 dark:bg-emerald-900', ring: 'bg-emerald-300' },
+  'check': { background: 'bg-teal-800 dark:bg-teal-900', ring: 'bg-teal-300' }
+};
+
+const CATEGORY_STYLES = {
+  punch: { background: 'bg-red-600 dark:bg-red-700', ring: 'bg-red-400', label: 'Strike Now' },
+  kick: { background: 'bg-blue-600 dark:bg-blue-700', ring: 'bg-blue-400', label: 'Kick Now' },
+  defense: { background: 'bg-emerald-600 dark:bg-emerald-700', ring: 'bg-emerald-400', label: 'Defend' }
+};
+
+// Go/no-go decoys: grey whatever the technique, and no strike call
+const DECOY_STYLE = { background: 'bg-slate-500 dark:bg-slate-600', ring: 'bg-slate-300', label: 'Hold' };
+
+/**
+ * Target zone cues: one band per zone of the target set, top to bottom. The
+ * cue lights up the band of its zone, and a tap on a band answers with that zone.
+ */
+function ZoneDisplay({ action, zone, zones, side, onRespond }) {
+  const technique = getTechniqueById(action);
+  const category = technique?.category || 'punch';
+  const style = TECHNIQUE_STYLES[action] || CATEGORY_STYLES[category];
+  const shownZone = action ? zone : null;
+
+  return (
+    <div className="flex-1 flex flex-col relative">
+      {TARGET_ZONES.filter(({ id }) => zones.includes(id)).map(({ id, name }) => (
+        <div
+          key={id}
+          onPointerDown={() => onRespond(id)}
+          className={`
+            flex-1 flex items-center justify-center
+            border-b border-gray-300/50 dark:border-gray-700/50 last:border-b-0
+            transition-colors duration-100
+            ${id === shownZone ? `${style.background} animate-action-pulse` : 'bg-gray-200 dark:bg-gray-800'}
+          `}
+        >
+          {id === shownZone ? (
+            <div className="text-center px-4 select-none">
+              <h1 className="text-5xl sm:text-7xl font-black tracking-wider uppercase text-white drop-shadow-2xl animate-action-scale">
+                {technique ? getSidedName(action, side) : category}!
+              </h1>
+              <span className="text-white/80 text-xl sm:text-2xl font-medium uppercase tracking-widest">
+                {name}
+              </span>
+            </div>
+          ) : (
+            <span className="text-lg font-medium uppercase tracking-widest text-gray-400 dark:text-gray-600 select-none">
+              {action ? name : 'Get Ready...'}
+            </span>
+          )}
+        </div>
+      ))}
+
+      {/* Where to strike, on the body */}
+      <div className="absolute right-3 top-1/2 -translate-y-1/2 p-2 rounded-2xl bg-gray-900/70 pointer-events-none">
+        <TargetSilhouette zone={shownZone} zones={zones} className="h-32 sm:h-40 w-auto" />
+        <p className="mt-1 text-center text-xs font-semibold uppercase tracking-widest text-white/80">
+          {getZoneById(shownZone)?.name ?? '\u00a0'}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+// Where each screen region's cue sits, just inside the screen edge
+const REGION_POSITIONS = {
+  'top-left': 'top-4 left-4',
+  'top': 'top-4 left-1/2 -translate-x-1/2',
+  'top-right': 'top-4 right-4',
+  'left': 'top-1/2 left-4 -translate-y-1/2',
+  'right': 'top-1/2 right-4 -translate-y-1/2',
+  'bottom-left': 'bottom-4 left-4',
+  'bottom': 'bottom-4 left-1/2 -translate-x-1/2',
+  'bottom-right': 'bottom-4 right-4'
+};
+
+const CUE_SIZE_CLASSES = {
+  small: 'w-12 h-12 text-[0.6rem]',
+  medium: 'w-20 h-20 text-xs',
+  large: 'w-28 h-28 text-sm'
+};
+
+// Low contrast cues fade into the background, so they are harder to catch
+const CUE_CONTRAST_CLASSES = {
+  low: 'opacity-30',
+  medium: 'opacity-60',
+  high: 'opacity-100'
+};
+
+/**
+ * Peripheral vision cues: the eyes stay on the fixation point in the middle
+ * while a small cue flashes in its screen region. A tap anywhere answers.
+ */
+function PeripheralDisplay({ action, region, peripheral, side, onRespond }) {
+  const technique = getTechniqueById(action);
+  const category = technique?.category || 'punch';
+  const style = TECHNIQUE_STYLES[action] || CATEGORY_STYLES[category];
+  const shownRegion = action ? region : null;
+
+  return (
+    <div onPointerDown={() => onRespond()} className="flex-1 relative bg-gray-900 overflow-hidden select-none">
+      {/* Fixation point */}
+      <div className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 flex flex-col items-center">
+        <div className="w-4 h-4 rounded-full bg-white" />
+        {!action && (
+          <p className="mt-4 text-sm font-medium uppercase tracking-widest text-gray-500">
+            Eyes on the dot
+          </p>
+        )}
+      </div>
+
+      {shownRegion && (
+        <div
+          className={`
+            absolute ${REGION_POSITIONS[shownRegion]}
+            ${CUE_SIZE_CLASSES[peripheral.size]} ${CUE_CONTRAST_CLASSES[peripheral.contrast]}
+            ${style.background}
+            rounded-xl flex items-center justify-center text-center
+            font-bold uppercase leading-tight text-white
+          `}
+        >
+          {technique ? getSidedName(action, side) : category}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ActionDisplay({ action, decoy = false, zone = null, zones = null, region = null, peripheral = null, side = null, onRespond }) {
+  // Target zone workouts pass their target set
+  if (zones) {
+    return <ZoneDisplay action={action} zone={zone} zones={zones} side={side} onRespond={onRespond} />;
+  }
+
+  // Peripheral workouts pass their display settings
+  if (peripheral) {
+    return <PeripheralDisplay action={action} region={region} peripheral={peripheral} side={side} onRespond={onRespond} />;
+  }
+
   if (!action) {
     return (
-      <div className="flex-1 flex items-center justify-center bg-gray-200 dark:bg-gray-800 transition-colors duration-300">
+      <div onPointerDown={() => onRespond()} className="flex-1 flex items-center justify-center bg-gray-200 dark:bg-gray-800 transition-colors duration-300">
         <p className="text-2xl sm:text-3xl text-gray-500 dark:text-gray-500 font-medium">
           Get Ready...
         </p>
@@ -9,35 +166,36 @@ function ActionDisplay({ action }) {
     );
   }
 
-  const isPunch = action === 'punch';
+  const technique = getTechniqueById(action);
+  const category = technique?.category || (action === 'kick' ? 'kick' : 'punch');
+  const style = decoy ? DECOY_STYLE : TECHNIQUE_STYLES[action] || CATEGORY_STYLES[category];
+  const title = technique ? getSidedName(action, side) : category;
 
-  return (
+  const cue = (
     <div
       className={`
-        flex-1 flex items-center justify-center
+        relative flex-1 flex items-center justify-center
         transition-colors duration-100
-        ${isPunch
-          ? 'bg-red-600 dark:bg-red-700'
-          : 'bg-blue-600 dark:bg-blue-700'
-        }
+        ${style.background}
         animate-action-pulse
       `}
     >
-      <div className="text-center">
+      <div className="text-center px-4">
         <h1
           className={`
-            text-7xl sm:text-8xl md:text-9xl font-black tracking-wider
+            ${side ? 'text-4xl sm:text-6xl md:text-7xl' : 'text-6xl sm:text-8xl md:text-9xl'}
+            font-black tracking-wider uppercase
             text-white
             drop-shadow-2xl
             animate-action-scale
             select-none
           `}
         >
-          {isPunch ? 'PUNCH!' : 'KICK!'}
+          {decoy ? title : `${title}!`}
         </h1>
         <div className="mt-4">
           <span className="text-white/80 text-xl sm:text-2xl font-medium uppercase tracking-widest">
-            {isPunch ? 'Strike Now' : 'Kick Now'}
+            {decoy ? DECOY_STYLE.label : CATEGORY_STYLES[category].label}
           </span>
         </div>
       </div>
@@ -48,13 +206,24 @@ function ActionDisplay({ action }) {
           className={`
             absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2
             w-32 h-32 rounded-full
-            ${isPunch ? 'bg-red-400' : 'bg-blue-400'}
+            ${style.ring}
             opacity-30 animate-ping
           `}
         />
       </div>
     </div>
   );
+
+  // Sided cues take the half of the screen they are thrown from
+  const otherHalf = <div className="flex-1 bg-gray-200 dark:bg-gray-800" />;
+
+  return (
+    <div onPointerDown={() => onRespond()} className="flex-1 flex">
+      {side === 'right' && otherHalf}
+      {cue}
+      {side === 'left' && otherHalf}
+    </div>
+  );
 }
 
 export default ActionDisplay;
@@ -0,0 +1,58 @@
+import { useTraining } from '../context/TrainingContext';
+
+const optionClasses = (selected) => `
+  py-3 px-3 rounded-xl font-medium text-sm sm:text-base
+  transition-all duration-200
+  ${selected
+    ? 'bg-cyan-600 text-white shadow-lg shadow-cyan-500/30'
+    : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 border border-gray-200 dark:border-gray-700'
+  }
+`;
+
+function AdaptiveSettings() {
+  const { adaptive, setAdaptiveSettings, ADAPTIVE_TARGET_RATES } = useTraining();
+
+  return (
+    <section>
+      <h2 className="text-lg font-semibold mb-3 text-gray-700 dark:text-gray-300">
+        Adaptive Intervals
+      </h2>
+      <div className="grid grid-cols-2 gap-2 sm:gap-3">
+        {[false, true].map((enabled) => (
+          <button
+            key={String(enabled)}
+            onClick={() => setAdaptiveSettings({ enabled })}
+            className={optionClasses(adaptive.enabled === enabled)}
+          >
+            {enabled ? 'Adapt to Me' : 'Fixed'}
+          </button>
+        ))}
+      </div>
+      {adaptive.enabled && (
+        <>
+          <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mt-4 mb-2">
+            Target: cues caught
+          </p>
+          <div className="grid grid-cols-4 gap-2">
+            {ADAPTIVE_TARGET_RATES.map((rate) => (
+              <button
+                key={rate}
+                onClick={() => setAdaptiveSettings({ targetRate: rate })}
+                className={optionClasses(adaptive.targetRate === rate)}
+              >
+                {Math.round(rate * 100)}%
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+      <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+        {adaptive.enabled
+          ? 'Cues come faster while you respond before they disappear, and slower when you miss them.'
+          : 'Cues keep the difficulty\'s intervals.'}
+      </p>
+    </section>
+  );
+}
+
+export default AdaptiveSettings;
@@ -1,6 +1,6 @@
-function BreakScreen({ timeRemaining, nextSession, totalSessions }) {
+function BreakScreen({ timeRemaining, totalTime = 30, nextSession, totalSessions, label = 'Session', onPause, onSkip }) {
   const isWarning = timeRemaining <= 5;
-  const progress = ((30 - timeRemaining) / 30) * 100;
+  const progress = totalTime > 0 ? ((totalTime - timeRemaining) / totalTime) * 100 : 100;
 
   return (
     <div
@@ -48,7 +48,7 @@ function BreakScreen({ timeRemaining, nextSession, totalSessions }) {
         {/* Session info */}
         <div className="mt-8 text-white/80">
           <p className="text-lg sm:text-xl font-medium">
-            Up next: Session {nextSession} of {totalSessions}
+            Up next: {label} {nextSession} of {totalSessions}
           </p>
         </div>
 
@@ -76,6 +76,26 @@ function BreakScreen({ timeRemaining, nextSession, totalSessions }) {
             </p>
           </div>
         )}
+
+        {/* Break controls */}
+        <div className="mt-8 flex justify-center gap-3">
+          {onPause && (
+            <button
+              onClick={onPause}
+              className="px-6 py-2 rounded-full border border-white/40 text-white/80 text-sm font-semibold uppercase tracking-wider hover:bg-white/10 active:scale-95 transition-all"
+            >
+              Pause
+            </button>
+          )}
+          {onSkip && (
+            <button
+              onClick={onSkip}
+              className="px-6 py-2 rounded-full border border-white/40 text-white/80 text-sm font-semibold uppercase tracking-wider hover:bg-white/10 active:scale-95 transition-all"
+            >
+              Skip Break
+            </button>
+          )}
+        </div>
       </div>
 
       {/* Warning flash indicators */}
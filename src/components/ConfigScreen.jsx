@@ -1,51 +1,107 @@
-import { useState } from 'react';
+import { useState, useMemo } from 'react';
 import { useTraining } from '../context/TrainingContext';
-import { DIFFICULTIES, TRAINING_MODES, TRAINING_TYPES } from '../utils/difficultyConfig';
+import { useProfiles } from '../context/ProfileContext';
+import {
+  DIFFICULTIES,
+  TRAINING_MODES,
+  TRAINING_TYPES,
+  resolveSessionLength,
+  getModeLabel,
+  getTrainingTypeLabel
+} from '../utils/difficultyConfig';
+import { formatTime } from '../utils/statsCalculator';
 import ProfileSelector from './profiles/ProfileSelector';
 import ProfileEditor from './profiles/ProfileEditor';
+import HistoryScreen from './HistoryScreen';
+import ShareLinkDialog from './ShareLinkDialog';
+import VoiceSettings from './VoiceSettings';
+import RoundTimerSettings from './RoundTimerSettings';
+import SeedSettings from './SeedSettings';
+import AdaptiveSettings from './AdaptiveSettings';
+import GoNoGoSettings from './GoNoGoSettings';
+import PeripheralSettings from './PeripheralSettings';
+import { createShareUrl, shareUrl } from '../utils/shareLink';
+import { summarizeTimeline } from '../utils/workoutTimeline';
+import { DEFAULT_TARGET_ZONES, getZoneById } from '../utils/targetZones';
+import { POSITION_SET_NAMES } from '../utils/peripheral';
 
-function ConfigScreen() {
+function ConfigScreen({ timeline = null, onStart }) {
   const [showProfileEditor, setShowProfileEditor] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [shareStatus, setShareStatus] = useState(null);
 
   const {
     mode,
     trainingType,
     difficulty,
     numberOfSessions,
+    responseMethod,
+    roundTimer,
+    seed,
+    adaptive,
+    goNoGo,
+    peripheral,
     setMode,
     setTrainingType,
     setDifficulty,
     setNumberOfSessions,
-    setPhase,
+    setResponseMethod,
     getEffectiveComboSettings,
-    TRAINING_PHASES
+    RESPONSE_METHODS,
+    MAX_SESSIONS
   } = useTraining();
+  const isRoundTimer = trainingType === 'rounds';
+  // Adaptive difficulty tunes single cues from the athlete's responses
+  const canAdapt = responseMethod !== 'off' && (isRoundTimer ? roundTimer.cues : trainingType) === 'single';
+  const isGoNoGo = trainingType === 'gonogo';
+  const isZones = trainingType === 'zones';
+  const isPeripheral = trainingType === 'peripheral';
+  // Go/no-go, target zones and peripheral cues are scored by responses, so they cannot start without capturing them
+  const needsResponses = (isGoNoGo || isZones || isPeripheral) && responseMethod === 'off';
+  const { activeProfile } = useProfiles();
+  const targetZones = activeProfile?.targetZones ?? DEFAULT_TARGET_ZONES;
 
   const handleStartTraining = () => {
-    setPhase(TRAINING_PHASES.COUNTDOWN);
+    onStart();
   };
 
-  // Get mode display labels
-  const getModeLabel = (modeValue) => {
-    switch (modeValue) {
-      case 'punches': return 'Punches Only';
-      case 'kicks': return 'Kicks Only';
-      case 'both': return 'Both';
-      default: return modeValue;
+  const handleShareWorkout = async () => {
+    const url = createShareUrl('workout', {
+      mode,
+      trainingType,
+      difficultyId: difficulty.id,
+      numberOfSessions,
+      ...(isRoundTimer && { roundTimer }),
+      ...(isGoNoGo && { goNoGo }),
+      ...(isPeripheral && { peripheral }),
+      ...(seed !== null && { seed })
+    });
+    const result = await shareUrl(url, 'Combat Reflex workout');
+    if (result === 'failed') {
+      window.prompt('Copy this link:', url);
     }
+    setShareStatus(result === 'copied' ? 'Link copied' : null);
   };
 
-  // Get training type labels
-  const getTrainingTypeLabel = (type) => {
-    switch (type) {
-      case 'single': return 'Single Hits';
-      case 'combo': return 'Combo Series';
-      default: return type;
+  // Get reaction capture labels
+  const getResponseMethodLabel = (method) => {
+    switch (method) {
+      case 'off': return 'Off';
+      case 'touch': return 'Tap / Key';
+      case 'microphone': return 'Microphone';
+      default: return method;
     }
   };
 
   // Get combo settings for current difficulty from active profile
   const comboSettings = getEffectiveComboSettings(difficulty.id);
+  const sessionLength = resolveSessionLength(difficulty.sessionLength, trainingType);
+
+  // Estimated from the timeline that Start Training plays
+  const preview = useMemo(() => (timeline ? summarizeTimeline(timeline) : null), [timeline]);
+  const getWorkRestLabel = ({ workMs, restMs }) => (
+    restMs > 0 ? `${(workMs / restMs).toFixed(1)} : 1` : 'No rest'
+  );
 
   return (
     <div className="min-h-screen bg-gray-100 dark:bg-gray-900 text-gray-900 dark:text-white p-4 sm:p-6 flex flex-col">
@@ -102,7 +158,7 @@ function ConfigScreen() {
           <h2 className="text-lg font-semibold mb-3 text-gray-700 dark:text-gray-300">
             Training Mode
           </h2>
-          <div className="grid grid-cols-3 gap-2 sm:gap-3">
+          <div className="grid grid-cols-3 sm:grid-cols-5 gap-2 sm:gap-3">
             {TRAINING_MODES.map((modeValue) => (
               <button
                 key={modeValue}
@@ -131,7 +187,7 @@ function ConfigScreen() {
           <h2 className="text-lg font-semibold mb-3 text-gray-700 dark:text-gray-300">
             Training Type
           </h2>
-          <div className="grid grid-cols-2 gap-2 sm:gap-3">
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-2 sm:gap-3">
             {TRAINING_TYPES.map((typeValue) => (
               <button
                 key={typeValue}
@@ -154,10 +210,10 @@ function ConfigScreen() {
         {/* Sessions Selector */}
         <section>
           <h2 className="text-lg font-semibold mb-3 text-gray-700 dark:text-gray-300">
-            Number of Sessions
+            {isRoundTimer ? 'Number of Rounds' : 'Number of Sessions'}
           </h2>
           <div className="grid grid-cols-4 gap-2 sm:gap-3">
-            {[1, 2, 3, 4].map((num) => (
+            {(isRoundTimer ? [3, 5, 6, 12] : [1, 2, 3, 4]).map((num) => (
               <button
                 key={num}
                 onClick={() => setNumberOfSessions(num)}
@@ -174,14 +230,122 @@ function ConfigScreen() {
               </button>
             ))}
           </div>
+          {/* Any other count up to MAX_SESSIONS */}
+          <div className="flex items-center justify-center gap-4 mt-3">
+            <button
+              onClick={() => setNumberOfSessions(numberOfSessions - 1)}
+              disabled={numberOfSessions <= 1}
+              aria-label="Fewer"
+              className="w-12 h-12 rounded-xl font-bold text-xl bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              −
+            </button>
+            <span className="w-12 text-center text-2xl font-bold tabular-nums">
+              {numberOfSessions}
+            </span>
+            <button
+              onClick={() => setNumberOfSessions(numberOfSessions + 1)}
+              disabled={numberOfSessions >= MAX_SESSIONS}
+              aria-label="More"
+              className="w-12 h-12 rounded-xl font-bold text-xl bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              +
+            </button>
+          </div>
+        </section>
+
+        {/* Round Timer Settings */}
+        {isRoundTimer && <RoundTimerSettings />}
+
+        {/* Go/No-Go Settings */}
+        {isGoNoGo && <GoNoGoSettings />}
+
+        {/* Peripheral Cue Settings */}
+        {isPeripheral && <PeripheralSettings />}
+
+        {/* Reaction Capture Selector */}
+        <section>
+          <h2 className="text-lg font-semibold mb-3 text-gray-700 dark:text-gray-300">
+            Reaction Time
+          </h2>
+          <div className="grid grid-cols-3 gap-2 sm:gap-3">
+            {RESPONSE_METHODS.map((method) => (
+              <button
+                key={method}
+                onClick={() => setResponseMethod(method)}
+                className={`
+                  py-4 px-3 rounded-xl font-medium text-sm sm:text-base
+                  transition-all duration-200 min-h-[64px]
+                  ${responseMethod === method
+                    ? 'bg-cyan-600 text-white shadow-lg shadow-cyan-500/30 scale-105'
+                    : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 border border-gray-200 dark:border-gray-700'
+                  }
+                `}
+              >
+                {getResponseMethodLabel(method)}
+              </button>
+            ))}
+          </div>
+          {responseMethod === 'microphone' && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+              Place the phone near your pad or bag. Each strike is timed from the cue.
+            </p>
+          )}
+          {needsResponses && (
+            <p className="text-xs text-amber-600 dark:text-amber-400 mt-2">
+              {getTrainingTypeLabel(trainingType)} scores your responses. Choose Tap / Key or Microphone to start.
+            </p>
+          )}
+          {isZones && responseMethod === 'microphone' && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+              Pad strikes cannot tell zones apart: every strike in time counts as on target.
+            </p>
+          )}
         </section>
 
+        {/* Adaptive Difficulty */}
+        {canAdapt && <AdaptiveSettings />}
+
+        {/* Callouts Selector */}
+        <VoiceSettings />
+
+        {/* Seed Input */}
+        <SeedSettings />
+
         {/* Training Summary */}
         <section className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700">
           <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-2">
             Training Summary
           </h3>
-          {trainingType === 'single' ? (
+          {isRoundTimer ? (
+            <div className="grid grid-cols-2 gap-4 text-sm">
+              <div>
+                <span className="text-gray-600 dark:text-gray-400">Work / rest:</span>
+                <span className="ml-2 font-semibold">
+                  {formatTime(roundTimer.workDuration)} / {formatTime(roundTimer.restDuration)}
+                </span>
+              </div>
+              <div>
+                <span className="text-gray-600 dark:text-gray-400">Total time:</span>
+                <span className="ml-2 font-semibold">
+                  {formatTime(roundTimer.workDuration * numberOfSessions + roundTimer.restDuration * (numberOfSessions - 1))}
+                </span>
+              </div>
+            </div>
+          ) : sessionLength === 'time' ? (
+            <div className="grid grid-cols-2 gap-4 text-sm">
+              <div>
+                <span className="text-gray-600 dark:text-gray-400">Round length:</span>
+                <span className="ml-2 font-semibold">{formatTime(difficulty.sessionLength.roundDuration)}</span>
+              </div>
+              <div>
+                <span className="text-gray-600 dark:text-gray-400">Total round time:</span>
+                <span className="ml-2 font-semibold">
+                  {formatTime(difficulty.sessionLength.roundDuration * numberOfSessions)}
+                </span>
+              </div>
+            </div>
+          ) : sessionLength === 'hits' ? (
             <div className="grid grid-cols-2 gap-4 text-sm">
               <div>
                 <span className="text-gray-600 dark:text-gray-400">Hits per session:</span>
@@ -226,6 +390,51 @@ function ConfigScreen() {
               </div>
             </div>
           )}
+          {preview && (
+            <div className="grid grid-cols-2 gap-4 text-sm mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+              <div>
+                <span className="text-gray-600 dark:text-gray-400">Estimated time:</span>
+                <span className="ml-2 font-semibold">{formatTime(preview.totalMs)}</span>
+              </div>
+              <div>
+                <span className="text-gray-600 dark:text-gray-400">Work : rest:</span>
+                <span className="ml-2 font-semibold">{getWorkRestLabel(preview)}</span>
+              </div>
+              <div>
+                <span className="text-gray-600 dark:text-gray-400">Cues:</span>
+                <span className="ml-2 font-semibold">{preview.cues}</span>
+              </div>
+              {isZones && (
+                <div>
+                  <span className="text-gray-600 dark:text-gray-400">Zones:</span>
+                  <span className="ml-2 font-semibold">{targetZones.map(id => getZoneById(id)?.name ?? id).join(', ')}</span>
+                </div>
+              )}
+              {isPeripheral && (
+                <div>
+                  <span className="text-gray-600 dark:text-gray-400">Positions:</span>
+                  <span className="ml-2 font-semibold">{POSITION_SET_NAMES[peripheral.positions]}</span>
+                </div>
+              )}
+              {preview.decoys > 0 && (
+                <div>
+                  <span className="text-gray-600 dark:text-gray-400">Decoys:</span>
+                  <span className="ml-2 font-semibold">{preview.decoys}</span>
+                </div>
+              )}
+              {preview.combos > 0 && (
+                <div>
+                  <span className="text-gray-600 dark:text-gray-400">Combos:</span>
+                  <span className="ml-2 font-semibold">{preview.combos}</span>
+                </div>
+              )}
+              {canAdapt && adaptive.enabled && (
+                <p className="col-span-2 text-xs text-gray-500 dark:text-gray-400">
+                  Adaptive intervals change the timing as you train.
+                </p>
+              )}
+            </div>
+          )}
         </section>
       </div>
 
@@ -233,6 +442,7 @@ function ConfigScreen() {
       <div className="mt-8 max-w-lg mx-auto w-full">
         <button
           onClick={handleStartTraining}
+          disabled={needsResponses}
           className="
             w-full py-5 px-8 rounded-2xl
             bg-gradient-to-r from-green-500 to-emerald-600
@@ -242,11 +452,58 @@ function ConfigScreen() {
             active:scale-[0.98]
             transition-all duration-200
             min-h-[72px]
+            disabled:opacity-50 disabled:cursor-not-allowed
           "
         >
           Start Training
         </button>
+        <div className="mt-3 grid grid-cols-2 gap-3">
+          <button
+            onClick={() => setShowHistory(true)}
+            className="
+              w-full py-3 px-4 rounded-xl
+              bg-white dark:bg-gray-800
+              text-gray-700 dark:text-gray-300
+              font-semibold
+              border border-gray-200 dark:border-gray-700
+              hover:bg-gray-50 dark:hover:bg-gray-700
+              active:scale-[0.98]
+              transition-all duration-200
+            "
+          >
+            Training History
+          </button>
+          <button
+            onClick={handleShareWorkout}
+            className="
+              w-full py-3 px-4 rounded-xl
+              bg-white dark:bg-gray-800
+              text-gray-700 dark:text-gray-300
+              font-semibold
+              border border-gray-200 dark:border-gray-700
+              hover:bg-gray-50 dark:hover:bg-gray-700
+              active:scale-[0.98]
+              transition-all duration-200
+            "
+          >
+            Share Workout
+          </button>
+        </div>
+        {shareStatus && (
+          <p className="text-center text-sm text-green-600 dark:text-green-400 mt-2">
+            {shareStatus}
+          </p>
+        )}
       </div>
+
+      {/* History Modal */}
+      <HistoryScreen
+        isOpen={showHistory}
+        onClose={() => setShowHistory(false)}
+      />
+
+      {/* Opened from a share link */}
+      <ShareLinkDialog onStart={onStart} />
     </div>
   );
 }
@@ -0,0 +1,36 @@
+import { useTraining } from '../context/TrainingContext';
+
+function GoNoGoSettings() {
+  const { goNoGo, setGoNoGoSettings, DECOY_RATES } = useTraining();
+
+  return (
+    <section>
+      <h2 className="text-lg font-semibold mb-3 text-gray-700 dark:text-gray-300">
+        Decoys
+      </h2>
+      <div className="grid grid-cols-4 gap-2 sm:gap-3">
+        {DECOY_RATES.map((rate) => (
+          <button
+            key={rate}
+            onClick={() => setGoNoGoSettings({ decoyRate: rate })}
+            className={`
+              py-3 px-3 rounded-xl font-medium text-sm sm:text-base
+              transition-all duration-200
+              ${goNoGo.decoyRate === rate
+                ? 'bg-slate-600 text-white shadow-lg shadow-slate-500/30'
+                : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 border border-gray-200 dark:border-gray-700'
+              }
+            `}
+          >
+            {Math.round(rate * 100)}%
+          </button>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+        Strike on colored cues. Hold on grey &quot;Hold&quot; cues and the low buzz.
+      </p>
+    </section>
+  );
+}
+
+export default GoNoGoSettings;
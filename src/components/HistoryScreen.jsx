@@ -0,0 +1,328 @@
+import { useMemo, useState } from 'react';
+import { useTraining } from '../context/TrainingContext';
+import { formatTime, calculateHitsPerMinute, calculateReactionStats } from '../utils/statsCalculator';
+import { groupIntoWorkouts, groupWorkoutsByDay, formatDayLabel } from '../utils/historyUtils';
+import { formatSeed } from '../utils/random';
+import { getModeLabel, getTrainingTypeLabel } from '../utils/difficultyConfig';
+import { getZoneById } from '../utils/targetZones';
+import { getRegionById } from '../utils/peripheral';
+import ProgressCharts from './ProgressCharts';
+
+const TABS = ['workouts', 'progress'];
+
+// Get tab label
+const getTabLabel = (tab) => (tab === 'workouts' ? 'Workouts' : 'Progress');
+
+// Get retention option label
+const getHistoryLimitLabel = (limit) => (limit === null ? 'All' : `Last ${limit}`);
+
+const formatClockTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+function DetailRow({ label, value }) {
+  return (
+    <div className="flex justify-between">
+      <span className="text-gray-600 dark:text-gray-400">{label}</span>
+      <span className="font-semibold text-gray-900 dark:text-white">{value}</span>
+    </div>
+  );
+}
+
+function SessionDetails({ session, getDifficultyName, profileName }) {
+  const reactionStats = calculateReactionStats(session.reactionTimes);
+
+  return (
+    <div className="p-3 rounded-lg bg-gray-50 dark:bg-gray-700/50 text-sm space-y-1">
+      <div className="flex justify-between items-center mb-2">
+        <span className="font-semibold text-gray-900 dark:text-white">
+          Session {session.sessionNumber} of {session.totalSessions}
+        </span>
+        {session.stopped && (
+          <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-amber-100 dark:bg-amber-900/40 text-amber-700 dark:text-amber-300">
+            Stopped early
+          </span>
+        )}
+      </div>
+      <DetailRow label="Mode" value={`${getModeLabel(session.mode)} · ${getTrainingTypeLabel(session.trainingType || 'single')}`} />
+      <DetailRow label="Difficulty" value={getDifficultyName(session.difficultyId)} />
+      <DetailRow label="Profile" value={profileName || 'Unknown'} />
+      <DetailRow label="Hits" value={`${session.hitsCompleted} / ${session.totalHits}`} />
+      {session.totalCombos > 0 && (
+        <DetailRow label="Combos" value={`${session.combosCompleted} / ${session.totalCombos}`} />
+      )}
+      <DetailRow label="Duration" value={formatTime(session.durationMs || 0)} />
+      {session.sessionLength === 'time' && (
+        <DetailRow
+          label="Round"
+          value={`${formatTime(session.roundDurationMs || 0)} · ${calculateHitsPerMinute(session.hitsCompleted, session.durationMs || 0)} hits/min`}
+        />
+      )}
+      {session.midRestMs > 0 && (
+        <DetailRow label="Mid-session rest" value={formatTime(session.midRestMs)} />
+      )}
+      {reactionStats.count > 0 && (
+        <DetailRow label="Reaction (mean)" value={`${reactionStats.mean}ms`} />
+      )}
+      {session.timing && (
+        <DetailRow
+          label="Cue timing"
+          value={`${session.timing.meanJitterMs}ms jitter${session.timing.lateCues > 0 ? `, ${session.timing.lateCues} late` : ''}`}
+        />
+      )}
+      {session.adaptive && (
+        <DetailRow
+          label="Adapted intervals"
+          value={`${session.adaptive.minInterval}-${session.adaptive.maxInterval}ms · ${session.adaptive.caught} / ${session.adaptive.cues} caught`}
+        />
+      )}
+      {session.goNoGo && (
+        <DetailRow
+          label="Go / No-Go"
+          value={`${session.goNoGo.hits} hit · ${session.goNoGo.misses} missed · ${session.goNoGo.falseAlarms} false · ${session.goNoGo.correctRejections} held`}
+        />
+      )}
+      {session.zones && (
+        <DetailRow
+          label="Target zones"
+          value={Object.entries(session.zones)
+            .filter(([, zone]) => zone.cues > 0)
+            .map(([id, zone]) => `${getZoneById(id)?.name ?? id} ${zone.hits}/${zone.cues}`)
+            .join(' · ')}
+        />
+      )}
+      {session.regions && (
+        <DetailRow
+          label="Screen regions"
+          value={Object.entries(session.regions)
+            .filter(([, region]) => region.cues > 0)
+            .map(([id, region]) => `${getRegionById(id)?.name ?? id} ${region.hits}/${region.cues}`)
+            .join(' · ')}
+        />
+      )}
+      {session.stance && (
+        <DetailRow label="Stance" value={session.stance === 'southpaw' ? 'Southpaw' : 'Orthodox'} />
+      )}
+      {session.seed !== undefined && (
+        <DetailRow label="Seed" value={formatSeed(session.seed)} />
+      )}
+    </div>
+  );
+}
+
+function WorkoutCard({ workout, isExpanded, onToggle, getDifficultyName }) {
+  const isCombo = workout.trainingType === 'combo';
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 overflow-hidden">
+      <button
+        onClick={onToggle}
+        aria-expanded={isExpanded}
+        className="w-full p-4 text-left hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors"
+      >
+        <div className="flex items-center justify-between">
+          <div>
+            <p className="font-semibold text-gray-900 dark:text-white">
+              {getModeLabel(workout.mode)} · {getDifficultyName(workout.difficultyId)}
+            </p>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              {formatClockTime(workout.timestamp)}
+              {workout.profileName && ` · ${workout.profileName}`}
+              {workout.stopped && ' · stopped early'}
+            </p>
+          </div>
+          <svg
+            className={`w-5 h-5 text-gray-400 transition-transform ${isExpanded ? 'rotate-180' : ''}`}
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+          </svg>
+        </div>
+
+        <div className="mt-3 grid grid-cols-3 gap-2 text-center">
+          <div>
+            <p className="text-xs text-gray-500 dark:text-gray-400">Sessions</p>
+            <p className="font-bold text-gray-900 dark:text-white">
+              {workout.sessions.length}/{workout.totalSessions}
+            </p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-500 dark:text-gray-400">{isCombo ? 'Combos' : 'Hits'}</p>
+            <p className="font-bold text-gray-900 dark:text-white">
+              {isCombo ? workout.combosCompleted : workout.hitsCompleted}
+            </p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-500 dark:text-gray-400">Time</p>
+            <p className="font-bold text-gray-900 dark:text-white">
+              {formatTime(workout.durationMs)}
+            </p>
+          </div>
+        </div>
+      </button>
+
+      {isExpanded && (
+        <div className="px-4 pb-4 space-y-2">
+          {workout.sessions.map(session => (
+            <SessionDetails
+              key={session.id}
+              session={session}
+              getDifficultyName={getDifficultyName}
+              profileName={workout.profileName}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function HistoryScreen({ isOpen, onClose }) {
+  const {
+    sessionHistory,
+    historyLimit,
+    setHistoryLimit,
+    clearHistory,
+    DIFFICULTIES,
+    HISTORY_LIMITS
+  } = useTraining();
+  const [expandedId, setExpandedId] = useState(null);
+  const [tab, setTab] = useState(TABS[0]);
+
+  const days = useMemo(
+    () => groupWorkoutsByDay(groupIntoWorkouts(sessionHistory)),
+    [sessionHistory]
+  );
+
+  if (!isOpen) return null;
+
+  const getDifficultyName = (difficultyId) =>
+    DIFFICULTIES.find(d => d.id === difficultyId)?.name || difficultyId;
+
+  const handleClear = () => {
+    if (confirm('Delete all training history?')) {
+      clearHistory();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-gray-100 dark:bg-gray-900 overflow-hidden flex flex-col">
+      {/* Header */}
+      <div className="flex-shrink-0 bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 p-4">
+        <div className="flex items-center justify-between max-w-2xl mx-auto">
+          <button
+            onClick={onClose}
+            className="flex items-center gap-1 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white transition-colors"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+            <span>Back</span>
+          </button>
+
+          <h1 className="text-lg font-bold text-gray-900 dark:text-white">
+            Training History
+          </h1>
+
+          {/* Spacer keeps the title centered */}
+          <div className="w-16" />
+        </div>
+      </div>
+
+      {/* Content */}
+      <div className="flex-1 overflow-y-auto">
+        <div className="max-w-2xl mx-auto p-4 space-y-6">
+          {/* Tabs */}
+          <div className="flex p-1 rounded-xl bg-gray-200 dark:bg-gray-800">
+            {TABS.map(t => (
+              <button
+                key={t}
+                onClick={() => setTab(t)}
+                className={`
+                  flex-1 py-2 rounded-lg text-sm font-semibold transition-all duration-200
+                  ${tab === t
+                    ? 'bg-white dark:bg-gray-700 text-gray-900 dark:text-white shadow'
+                    : 'text-gray-600 dark:text-gray-400'
+                  }
+                `}
+              >
+                {getTabLabel(t)}
+              </button>
+            ))}
+          </div>
+
+          {tab === 'progress' && (
+            <ProgressCharts
+              sessionHistory={sessionHistory}
+              getDifficultyName={getDifficultyName}
+            />
+          )}
+
+          {tab === 'workouts' && (
+            <>
+              {/* Retention */}
+              <section className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700">
+                <h2 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-3">
+                  Keep Workouts
+                </h2>
+                <div className="flex gap-2">
+                  {HISTORY_LIMITS.map(limit => (
+                    <button
+                      key={limit ?? 'all'}
+                      onClick={() => setHistoryLimit(limit)}
+                      className={`
+                        flex-1 py-2 px-3 rounded-lg text-sm font-semibold transition-all duration-200
+                        ${historyLimit === limit
+                          ? 'bg-purple-600 text-white'
+                          : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+                        }
+                      `}
+                    >
+                      {getHistoryLimitLabel(limit)}
+                    </button>
+                  ))}
+                </div>
+                {sessionHistory.length > 0 && (
+                  <button
+                    onClick={handleClear}
+                    className="mt-3 text-sm font-medium text-red-600 dark:text-red-400 hover:underline"
+                  >
+                    Clear History
+                  </button>
+                )}
+              </section>
+
+              {days.length === 0 ? (
+                <p className="text-center text-gray-500 dark:text-gray-400 py-12">
+                  No workouts yet. Finish a session and it will show up here.
+                </p>
+              ) : (
+                days.map(({ dayKey, workouts }) => (
+                  <section key={dayKey}>
+                    <h2 className="text-sm font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-2">
+                      {formatDayLabel(dayKey)}
+                    </h2>
+                    <div className="space-y-3">
+                      {workouts.map(workout => (
+                        <WorkoutCard
+                          key={workout.id}
+                          workout={workout}
+                          isExpanded={expandedId === workout.id}
+                          onToggle={() => setExpandedId(expandedId === workout.id ? null : workout.id)}
+                          getDifficultyName={getDifficultyName}
+                        />
+                      ))}
+                    </div>
+                  </section>
+                ))
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default HistoryScreen;
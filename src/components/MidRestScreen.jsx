@@ -0,0 +1,85 @@
+import { MID_REST_WARNING_SECONDS } from '../utils/sessionEngine';
+import { formatTime } from '../utils/statsCalculator';
+
+function MidRestScreen({
+  timeRemaining,
+  totalTime,
+  hitsCompleted,
+  sessionTotalHits,
+  combosCompleted,
+  totalCombos,
+  roundTimeRemaining = null,
+  onPause
+}) {
+  const isWarning = timeRemaining <= MID_REST_WARNING_SECONDS;
+  const progress = totalTime > 0 ? ((totalTime - timeRemaining) / totalTime) * 100 : 100;
+  let progressLabel = `${hitsCompleted} of ${sessionTotalHits} hits done`;
+  if (roundTimeRemaining !== null) {
+    progressLabel = `${formatTime(roundTimeRemaining * 1000)} left in the round`;
+  } else if (totalCombos > 0) {
+    progressLabel = `${combosCompleted} of ${totalCombos} combos done`;
+  }
+
+  return (
+    <div
+      className={`
+        fixed inset-0 flex flex-col items-center justify-center
+        transition-colors duration-500
+        ${isWarning
+          ? 'bg-gradient-to-br from-amber-500 to-orange-600'
+          : 'bg-gradient-to-br from-teal-700 to-cyan-900 dark:from-teal-900 dark:to-gray-900'
+        }
+      `}
+    >
+      <div className="relative z-10 text-center px-4">
+        <h1
+          className={`
+            text-4xl sm:text-5xl font-black mb-4 tracking-tight text-white
+            ${isWarning ? 'animate-pulse' : ''}
+          `}
+        >
+          {isWarning ? 'GET READY!' : 'QUICK REST'}
+        </h1>
+
+        {/* Countdown timer */}
+        <div className="relative inline-block">
+          <span
+            className={`
+              text-8xl sm:text-9xl font-black text-white
+              transition-all duration-300
+              ${isWarning ? 'scale-110' : 'scale-100'}
+            `}
+          >
+            {timeRemaining}
+          </span>
+          <span className="block text-xl text-white/60 mt-2">seconds</span>
+        </div>
+
+        <p className="mt-8 text-lg sm:text-xl font-medium text-white/80">
+          {progressLabel}
+        </p>
+
+        {/* Progress bar */}
+        <div className="mt-8 w-64 mx-auto">
+          <div className="h-2 bg-white/20 rounded-full overflow-hidden">
+            <div
+              className="h-full rounded-full bg-white transition-all duration-1000 ease-linear"
+              style={{ width: `${progress}%` }}
+            />
+          </div>
+        </div>
+
+        {onPause && (
+          <button
+            onClick={onPause}
+            className="mt-8 px-6 py-2 rounded-full border border-white/40 text-white/80 text-sm font-semibold uppercase tracking-wider hover:bg-white/10 active:scale-95 transition-all"
+          >
+            Pause
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MidRestScreen;
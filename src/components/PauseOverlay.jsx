@@ -0,0 +1,45 @@
+function PauseOverlay({ session, totalSessions, onResume, onStop }) {
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black/80 backdrop-blur-sm p-4">
+      <div className="text-center max-w-sm w-full">
+        <h1 className="text-5xl sm:text-6xl font-black tracking-tight text-white mb-2">
+          PAUSED
+        </h1>
+        <p className="text-white/60 text-lg mb-10">
+          Session {session} of {totalSessions}
+        </p>
+
+        <button
+          onClick={onResume}
+          className="
+            w-full py-5 px-8 rounded-2xl
+            bg-gradient-to-r from-green-500 to-emerald-600
+            text-white text-2xl font-black uppercase tracking-wider
+            shadow-lg shadow-green-500/30
+            min-h-[72px]
+            active:scale-95
+            transition-all duration-150
+          "
+        >
+          Resume
+        </button>
+
+        <button
+          onClick={onStop}
+          className="
+            w-full mt-4 py-4 px-8 rounded-xl
+            bg-white/10 border border-white/30
+            text-white/80 font-semibold
+            min-h-[56px]
+            active:bg-white/20
+            transition-colors
+          "
+        >
+          End Workout
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default PauseOverlay;
@@ -0,0 +1,80 @@
+import { useTraining } from '../context/TrainingContext';
+import { POSITION_SET_NAMES } from '../utils/peripheral';
+
+const SIZE_LABELS = {
+  small: 'Small',
+  medium: 'Medium',
+  large: 'Large'
+};
+
+const CONTRAST_LABELS = {
+  low: 'Low',
+  medium: 'Medium',
+  high: 'High'
+};
+
+function OptionRow({ label, options, labels, value, onSelect }) {
+  return (
+    <div>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">{label}</p>
+      <div className="grid grid-cols-3 gap-2 sm:gap-3">
+        {options.map((option) => (
+          <button
+            key={option}
+            onClick={() => onSelect(option)}
+            className={`
+              py-3 px-3 rounded-xl font-medium text-sm sm:text-base
+              transition-all duration-200
+              ${value === option
+                ? 'bg-slate-600 text-white shadow-lg shadow-slate-500/30'
+                : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 border border-gray-200 dark:border-gray-700'
+              }
+            `}
+          >
+            {labels[option]}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function PeripheralSettings() {
+  const { peripheral, setPeripheralSettings, POSITION_SETS, CUE_SIZES, CUE_CONTRASTS } = useTraining();
+
+  return (
+    <section>
+      <h2 className="text-lg font-semibold mb-3 text-gray-700 dark:text-gray-300">
+        Peripheral Cues
+      </h2>
+      <div className="space-y-3">
+        <OptionRow
+          label="Positions"
+          options={POSITION_SETS}
+          labels={POSITION_SET_NAMES}
+          value={peripheral.positions}
+          onSelect={(positions) => setPeripheralSettings({ positions })}
+        />
+        <OptionRow
+          label="Cue size"
+          options={CUE_SIZES}
+          labels={SIZE_LABELS}
+          value={peripheral.size}
+          onSelect={(size) => setPeripheralSettings({ size })}
+        />
+        <OptionRow
+          label="Contrast"
+          options={CUE_CONTRASTS}
+          labels={CONTRAST_LABELS}
+          value={peripheral.contrast}
+          onSelect={(contrast) => setPeripheralSettings({ contrast })}
+        />
+      </div>
+      <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+        Keep your eyes on the center dot. Cues flash silently at the edge of the screen.
+      </p>
+    </section>
+  );
+}
+
+export default PeripheralSettings;
@@ -1,25 +1,49 @@
+import { formatTime } from '../utils/statsCalculator';
+import { ROUND_WARNING_SECONDS } from '../utils/sessionEngine';
+
 function ProgressBar({
   current,
   total,
   session,
   totalSessions,
   trainingType = 'single',
+  sessionLength = trainingType === 'combo' ? 'combos' : 'hits',
   combosCompleted = 0,
-  totalCombos = 0
+  totalCombos = 0,
+  roundDuration = 0,
+  roundTimeRemaining = 0
 }) {
-  // In combo mode, progress is based on combos; in single mode, on hits
-  const progressValue = trainingType === 'combo' ? combosCompleted : current;
-  const progressTotal = trainingType === 'combo' ? totalCombos : total;
+  // Progress follows whatever ends the session: hits, combos or the round clock
+  const progressBySessionLength = {
+    hits: [current, total],
+    combos: [combosCompleted, totalCombos],
+    time: [roundDuration - roundTimeRemaining, roundDuration]
+  };
+  const [progressValue, progressTotal] = progressBySessionLength[sessionLength] || progressBySessionLength.hits;
   const progress = progressTotal > 0 ? (progressValue / progressTotal) * 100 : 0;
+  const isClapper = sessionLength === 'time' && roundTimeRemaining <= ROUND_WARNING_SECONDS;
 
   return (
     <div className="w-full px-4 py-3 bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm">
       {/* Session indicator */}
       <div className="flex justify-between items-center mb-2">
         <span className="text-sm font-medium text-gray-600 dark:text-gray-400">
-          Session {session} of {totalSessions}
+          {sessionLength === 'time' ? 'Round' : 'Session'} {session} of {totalSessions}
         </span>
-        {trainingType === 'combo' ? (
+        {sessionLength === 'time' ? (
+          <div className="text-right">
+            <span
+              className={`text-2xl font-black tabular-nums ${
+                isClapper ? 'text-red-600 dark:text-red-400 animate-pulse' : 'text-gray-900 dark:text-white'
+              }`}
+            >
+              {formatTime(roundTimeRemaining * 1000)}
+            </span>
+            <span className="text-xs text-gray-500 dark:text-gray-400 ml-2">
+              ({trainingType === 'combo' ? `${combosCompleted} combos, ` : ''}{current} hits)
+            </span>
+          </div>
+        ) : sessionLength === 'combos' ? (
           <div className="text-right">
             <span className="text-sm font-bold text-gray-900 dark:text-white">
               Combo {combosCompleted} / {totalCombos}
@@ -40,9 +64,11 @@ function ProgressBar({
         {/* Progress fill with gradient */}
         <div
           className={`h-full rounded-full transition-all duration-300 ease-out ${
-            trainingType === 'combo'
-              ? 'bg-gradient-to-r from-orange-400 via-amber-500 to-yellow-500'
-              : 'bg-gradient-to-r from-green-400 via-emerald-500 to-teal-500'
+            isClapper
+              ? 'bg-gradient-to-r from-red-400 via-red-500 to-rose-600'
+              : trainingType === 'combo'
+                ? 'bg-gradient-to-r from-orange-400 via-amber-500 to-yellow-500'
+                : 'bg-gradient-to-r from-green-400 via-emerald-500 to-teal-500'
           }`}
           style={{ width: `${progress}%` }}
         >
@@ -52,7 +78,7 @@ function ProgressBar({
       </div>
 
       {/* Session dots */}
-      <div className="flex justify-center gap-2 mt-2">
+      <div className="flex flex-wrap justify-center gap-2 mt-2">
         {Array.from({ length: totalSessions }, (_, i) => (
           <div
             key={i}
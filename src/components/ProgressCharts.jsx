@@ -0,0 +1,146 @@
+import { useMemo, useState } from 'react';
+import TrendChart from './TrendChart';
+import {
+  TREND_PERIODS,
+  bucketHistory,
+  calculateRollingAverage,
+  calculateReactionTrendsByDifficulty,
+  calculatePersonalBests
+} from '../utils/statsCalculator';
+
+// Rolling average window, in periods
+const ROLLING_WINDOWS = { day: 7, week: 4 };
+
+// Line colors for each difficulty in the reaction time chart
+const DIFFICULTY_COLORS = {
+  'very-easy': 'text-emerald-400',
+  easy: 'text-green-500',
+  normal: 'text-blue-500',
+  hard: 'text-orange-500',
+  'very-hard': 'text-red-500'
+};
+
+const getPeriodLabel = (period) => (period === 'day' ? 'Daily' : 'Weekly');
+
+const formatPeriodStart = (start) =>
+  new Date(start).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+const formatDate = (timestamp) =>
+  new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+
+function BestCard({ label, best, unit }) {
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl p-3 border border-gray-200 dark:border-gray-700 text-center">
+      <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">{label}</p>
+      <p className="text-2xl font-bold text-gray-900 dark:text-white">
+        {best ? `${best.value}${unit}` : '—'}
+      </p>
+      {best && (
+        <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">{formatDate(best.timestamp)}</p>
+      )}
+    </div>
+  );
+}
+
+function ProgressCharts({ sessionHistory, getDifficultyName }) {
+  const [period, setPeriod] = useState('week');
+
+  const trends = useMemo(() => {
+    const buckets = bucketHistory(sessionHistory, period);
+    const hitsPerMinute = buckets.map(b => (b.hitsPerMinute > 0 ? b.hitsPerMinute : null));
+    const reaction = calculateReactionTrendsByDifficulty(sessionHistory, period);
+
+    return {
+      labels: buckets.map(b => formatPeriodStart(b.start)),
+      hitsPerMinute,
+      rollingHitsPerMinute: calculateRollingAverage(hitsPerMinute, ROLLING_WINDOWS[period]),
+      volume: buckets.map(b => b.hitsCompleted),
+      completionRate: buckets.map(b => (b.totalHits > 0 ? b.completionRate : null)),
+      reactionLabels: reaction.starts.map(formatPeriodStart),
+      reactionByDifficulty: reaction.byDifficulty
+    };
+  }, [sessionHistory, period]);
+
+  const bests = useMemo(() => calculatePersonalBests(sessionHistory), [sessionHistory]);
+
+  return (
+    <div className="space-y-4">
+      {/* Period */}
+      <div className="flex gap-2">
+        {TREND_PERIODS.map(p => (
+          <button
+            key={p}
+            onClick={() => setPeriod(p)}
+            className={`
+              flex-1 py-2 px-3 rounded-lg text-sm font-semibold transition-all duration-200
+              ${period === p
+                ? 'bg-purple-600 text-white'
+                : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700'
+              }
+            `}
+          >
+            {getPeriodLabel(p)}
+          </button>
+        ))}
+      </div>
+
+      {/* Personal bests */}
+      <section>
+        <h2 className="text-sm font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-2">
+          Personal Bests
+        </h2>
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+          <BestCard label="Hits/Minute" best={bests.hitsPerMinute} unit="" />
+          <BestCard label="Hits in a Session" best={bests.sessionHits} unit="" />
+          <BestCard label="Hits in a Week" best={bests.weeklyHits} unit="" />
+          <BestCard label="Mean Reaction" best={bests.meanReaction} unit="ms" />
+          <BestCard label="Fastest Reaction" best={bests.fastestReaction} unit="ms" />
+        </div>
+      </section>
+
+      <TrendChart
+        title="Hits per Minute"
+        labels={trends.labels}
+        series={[
+          { id: 'pace', label: getPeriodLabel(period), values: trends.hitsPerMinute, colorClass: 'text-purple-500' },
+          {
+            id: 'rolling',
+            label: `${ROLLING_WINDOWS[period]}-${period} average`,
+            values: trends.rollingHitsPerMinute,
+            colorClass: 'text-gray-400',
+            dashed: true
+          }
+        ]}
+      />
+
+      <TrendChart
+        title={`${getPeriodLabel(period)} Volume (hits)`}
+        type="bar"
+        labels={trends.labels}
+        series={[{ id: 'volume', label: 'Hits', values: trends.volume, colorClass: 'text-green-500' }]}
+      />
+
+      <TrendChart
+        title="Completion Rate"
+        labels={trends.labels}
+        series={[{ id: 'completion', label: 'Completion', values: trends.completionRate, colorClass: 'text-yellow-500' }]}
+        formatValue={(value) => `${value}%`}
+      />
+
+      <TrendChart
+        title="Average Reaction Time by Difficulty"
+        labels={trends.reactionLabels}
+        series={Object.entries(trends.reactionByDifficulty).map(([difficultyId, values]) => ({
+          id: difficultyId,
+          label: getDifficultyName(difficultyId),
+          values,
+          colorClass: DIFFICULTY_COLORS[difficultyId] || 'text-cyan-500'
+        }))}
+        formatValue={(value) => `${value}ms`}
+        emptyMessage="Turn on reaction capture to track reaction times."
+      />
+    </div>
+  );
+}
+
+export default ProgressCharts;
@@ -1,58 +1,96 @@
-import { useMemo } from 'react';
+import { useMemo, useState } from 'react';
 import { useTraining } from '../context/TrainingContext';
-import { formatTime, calculateHitsPerMinute } from '../utils/statsCalculator';
+import { useProfiles } from '../context/ProfileContext';
+import {
+  formatTime,
+  calculateHitsPerMinute,
+  calculateReactionStats,
+  calculateRoundStats
+} from '../utils/statsCalculator';
+import { mergeCueTiming } from '../utils/audioScheduler';
+import { formatSeed } from '../utils/random';
+import { getModeLabel } from '../utils/difficultyConfig';
+import { applyIntervalWindow, summarizeAdaptiveSessions } from '../utils/adaptiveDifficulty';
+import { summarizeGoNoGoSessions } from '../utils/goNoGo';
+import { summarizeZoneSessions } from '../utils/targetZones';
+import { summarizeRegionSessions } from '../utils/peripheral';
 
-function ResultsScreen({ trainingStartTime, trainingEndTime }) {
+function ResultsScreen({
+  trainingStartTime,
+  trainingEndTime,
+  reactionTimes = [],
+  midRestMs = 0,
+  workoutId = null,
+  seed = null,
+  onTrainAgain,
+  onRepeat,
+  onChangeSettings
+}) {
   const {
-    hitsCompleted,
-    currentSession,
     numberOfSessions,
     difficulty,
     mode,
+    responseMethod,
     sessionHistory,
-    setPhase,
-    resetAll,
-    TRAINING_PHASES
+    getEffectiveSettings
   } = useTraining();
+  const { activeProfile, updateProfile } = useProfiles();
+  const [adaptiveSaved, setAdaptiveSaved] = useState(false);
 
   // Calculate statistics
   const stats = useMemo(() => {
-    const durationMs = trainingEndTime - trainingStartTime;
-    // Sum up totalHits from session history (each session has its own random totalHits value)
-    const totalExpectedHits = sessionHistory.reduce((sum, session) => sum + (session.totalHits || 0), 0);
+    // Stopping before the first session started leaves no start time
+    const durationMs = trainingStartTime !== null ? trainingEndTime - trainingStartTime : 0;
+    // Sum over this workout's sessions (each session has its own random totalHits value)
+    const sessions = sessionHistory.filter(session => workoutId && session.workoutId === workoutId);
+    const hitsCompleted = sessions.reduce((sum, session) => sum + (session.hitsCompleted || 0), 0);
+    const totalExpectedHits = sessions.reduce((sum, session) => sum + (session.totalHits || 0), 0);
     const hitsPerMinute = calculateHitsPerMinute(hitsCompleted, durationMs);
     const averagePaceMs = hitsCompleted > 1 ? durationMs / (hitsCompleted - 1) : 0;
 
     return {
       totalTime: formatTime(durationMs),
-      sessionsCompleted: currentSession,
+      sessionsCompleted: sessions.filter(session => !session.stopped).length,
       totalSessions: numberOfSessions,
       hitsCompleted,
       totalExpectedHits,
       hitsPerMinute,
       averagePace: averagePaceMs > 0 ? (averagePaceMs / 1000).toFixed(2) : 'N/A',
-      completionRate: totalExpectedHits > 0 ? Math.round((hitsCompleted / totalExpectedHits) * 100) : 100
+      completionRate: totalExpectedHits > 0 ? Math.round((hitsCompleted / totalExpectedHits) * 100) : 100,
+      cueTiming: mergeCueTiming(sessions.map(session => session.timing)),
+      roundStats: calculateRoundStats(sessions),
+      adaptive: summarizeAdaptiveSessions(sessions),
+      goNoGo: summarizeGoNoGoSessions(sessions),
+      zones: summarizeZoneSessions(sessions),
+      regions: summarizeRegionSessions(sessions)
     };
-  }, [trainingStartTime, trainingEndTime, hitsCompleted, currentSession, numberOfSessions, sessionHistory]);
-
-  // Get mode display label
-  const getModeLabel = (modeValue) => {
-    switch (modeValue) {
-      case 'punches': return 'Punches Only';
-      case 'kicks': return 'Kicks Only';
-      case 'both': return 'Punches & Kicks';
-      default: return modeValue;
-    }
-  };
+  }, [trainingStartTime, trainingEndTime, numberOfSessions, sessionHistory, workoutId]);
+
+  // Intervals the adapted window can be saved over
+  const profileDifficulty = stats.adaptive ? getEffectiveSettings(stats.adaptive.difficultyId) : null;
+
+  // A round timer with cues off has nothing to count but the clock
+  const isPlainTimer = stats.roundStats !== null && stats.hitsCompleted === 0;
+
+  const reactionStats = useMemo(() => calculateReactionStats(reactionTimes), [reactionTimes]);
+  const maxBucketCount = Math.max(1, ...reactionStats.distribution.map(b => b.count));
 
   const handleTrainAgain = () => {
-    resetAll();
-    setPhase(TRAINING_PHASES.COUNTDOWN);
+    onTrainAgain();
+  };
+
+  const handleRepeat = () => {
+    onRepeat();
+  };
+
+  const handleSaveAdaptive = () => {
+    const { difficultyId, minInterval, maxInterval } = stats.adaptive;
+    updateProfile(applyIntervalWindow(activeProfile, difficultyId, { minInterval, maxInterval }));
+    setAdaptiveSaved(true);
   };
 
   const handleChangeSettings = () => {
-    resetAll();
-    setPhase(TRAINING_PHASES.IDLE);
+    onChangeSettings();
   };
 
   return (
@@ -77,58 +115,322 @@ function ResultsScreen({ trainingStartTime, trainingEndTime }) {
             <p className="text-3xl sm:text-4xl font-bold text-gray-900 dark:text-white">
               {stats.totalTime}
             </p>
+            {midRestMs > 0 && (
+              <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">
+                incl. {formatTime(midRestMs)} mid-session rest
+              </p>
+            )}
           </div>
 
           {/* Sessions */}
           <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700 text-center">
-            <p className="text-sm text-gray-500 dark:text-gray-400 mb-1">Sessions</p>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-1">{stats.roundStats ? 'Rounds' : 'Sessions'}</p>
             <p className="text-3xl sm:text-4xl font-bold text-gray-900 dark:text-white">
               {stats.sessionsCompleted}/{stats.totalSessions}
             </p>
           </div>
 
-          {/* Total Hits */}
-          <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700 text-center">
-            <p className="text-sm text-gray-500 dark:text-gray-400 mb-1">Total Hits</p>
-            <p className="text-3xl sm:text-4xl font-bold text-gray-900 dark:text-white">
-              {stats.hitsCompleted}
-            </p>
-            <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">
-              of {stats.totalExpectedHits}
-            </p>
-          </div>
+          {!isPlainTimer && (
+            <>
+              {/* Total Hits */}
+              <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700 text-center">
+                <p className="text-sm text-gray-500 dark:text-gray-400 mb-1">Total Hits</p>
+                <p className="text-3xl sm:text-4xl font-bold text-gray-900 dark:text-white">
+                  {stats.hitsCompleted}
+                </p>
+                <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">
+                  of {stats.totalExpectedHits}
+                </p>
+              </div>
 
-          {/* Average Pace */}
-          <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700 text-center">
-            <p className="text-sm text-gray-500 dark:text-gray-400 mb-1">Avg Pace</p>
-            <p className="text-3xl sm:text-4xl font-bold text-gray-900 dark:text-white">
-              {stats.averagePace}
-            </p>
-            <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">
-              seconds
-            </p>
-          </div>
+              {/* Average Pace */}
+              <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700 text-center">
+                <p className="text-sm text-gray-500 dark:text-gray-400 mb-1">Avg Pace</p>
+                <p className="text-3xl sm:text-4xl font-bold text-gray-900 dark:text-white">
+                  {stats.averagePace}
+                </p>
+                <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">
+                  seconds
+                </p>
+              </div>
+            </>
+          )}
         </div>
 
         {/* Completion Rate */}
-        <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700">
-          <div className="flex justify-between items-center mb-2">
-            <p className="text-sm text-gray-500 dark:text-gray-400">Completion Rate</p>
-            <p className="text-lg font-bold text-gray-900 dark:text-white">{stats.completionRate}%</p>
+        {!isPlainTimer && (
+          <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700">
+            <div className="flex justify-between items-center mb-2">
+              <p className="text-sm text-gray-500 dark:text-gray-400">Completion Rate</p>
+              <p className="text-lg font-bold text-gray-900 dark:text-white">{stats.completionRate}%</p>
+            </div>
+            <div className="h-3 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+              <div
+                className={`h-full rounded-full transition-all duration-500 ${
+                  stats.completionRate >= 100
+                    ? 'bg-green-500'
+                    : stats.completionRate >= 75
+                      ? 'bg-yellow-500'
+                      : 'bg-red-500'
+                }`}
+                style={{ width: `${Math.min(stats.completionRate, 100)}%` }}
+              />
+            </div>
           </div>
-          <div className="h-3 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
-            <div
-              className={`h-full rounded-full transition-all duration-500 ${
-                stats.completionRate >= 100
-                  ? 'bg-green-500'
-                  : stats.completionRate >= 75
-                    ? 'bg-yellow-500'
-                    : 'bg-red-500'
-              }`}
-              style={{ width: `${Math.min(stats.completionRate, 100)}%` }}
-            />
+        )}
+
+        {/* Reaction Time */}
+        {(responseMethod !== 'off' || reactionStats.count > 0) && (
+          <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700">
+            <div className="flex justify-between items-center mb-3">
+              <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                Reaction Time
+              </h3>
+              <span className="text-xs text-gray-400 dark:text-gray-500">
+                {reactionStats.count} responses
+              </span>
+            </div>
+            {reactionStats.count > 0 ? (
+              <>
+                <div className="grid grid-cols-3 gap-2 text-center mb-4">
+                  <div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">Mean</p>
+                    <p className="text-xl font-bold text-gray-900 dark:text-white">{reactionStats.mean}ms</p>
+                  </div>
+                  <div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">Median</p>
+                    <p className="text-xl font-bold text-gray-900 dark:text-white">{reactionStats.median}ms</p>
+                  </div>
+                  <div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">Best</p>
+                    <p className="text-xl font-bold text-green-600 dark:text-green-400">{reactionStats.best}ms</p>
+                  </div>
+                </div>
+                <div className="space-y-1">
+                  {reactionStats.distribution.map((bucket) => (
+                    <div key={bucket.label} className="flex items-center gap-2 text-xs">
+                      <span className="w-16 text-right text-gray-500 dark:text-gray-400">{bucket.label}ms</span>
+                      <div className="flex-1 h-3 bg-gray-100 dark:bg-gray-700 rounded-full overflow-hidden">
+                        <div
+                          className="h-full rounded-full bg-cyan-500"
+                          style={{ width: `${(bucket.count / maxBucketCount) * 100}%` }}
+                        />
+                      </div>
+                      <span className="w-6 text-gray-600 dark:text-gray-300">{bucket.count}</span>
+                    </div>
+                  ))}
+                </div>
+              </>
+            ) : (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                No responses were recorded.
+              </p>
+            )}
           </div>
-        </div>
+        )}
+
+        {/* Timed Rounds */}
+        {stats.roundStats && (
+          <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700">
+            <div className="flex justify-between items-center mb-3">
+              <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                Rounds
+              </h3>
+              {!isPlainTimer && (
+                <span className="text-xs text-gray-400 dark:text-gray-500">
+                  {stats.roundStats.averageHitsPerMinute} hits/min average
+                </span>
+              )}
+            </div>
+            <div className="space-y-2 text-sm">
+              {stats.roundStats.rounds.map((round) => (
+                <div key={round.round} className="flex justify-between">
+                  <span className="text-gray-600 dark:text-gray-400">
+                    Round {round.round}{round.stopped ? ' (stopped)' : ''}
+                  </span>
+                  <span className="text-right">
+                    <span className="font-semibold text-gray-900 dark:text-white">
+                      {isPlainTimer
+                        ? formatTime(round.durationMs)
+                        : `${round.hits} hits · ${round.hitsPerMinute}/min`}
+                    </span>
+                    {round.meanReactionMs !== null && (
+                      <span className="block text-xs text-gray-400 dark:text-gray-500">
+                        {round.meanReactionMs}ms mean reaction
+                      </span>
+                    )}
+                  </span>
+                </div>
+              ))}
+            </div>
+            {!isPlainTimer && stats.roundStats.paceChangePercent !== null && (
+              <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+                Pace from first to last round:{' '}
+                <span
+                  className={`font-semibold ${
+                    stats.roundStats.paceChangePercent < 0
+                      ? 'text-amber-600 dark:text-amber-400'
+                      : 'text-green-600 dark:text-green-400'
+                  }`}
+                >
+                  {stats.roundStats.paceChangePercent > 0 ? '+' : ''}{stats.roundStats.paceChangePercent}%
+                </span>
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Go / No-Go */}
+        {stats.goNoGo && (
+          <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700">
+            <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-3">
+              Go / No-Go
+            </h3>
+            <div className="grid grid-cols-2 gap-3 text-center">
+              <div>
+                <p className="text-xs text-gray-500 dark:text-gray-400">Hits</p>
+                <p className="text-2xl font-bold text-green-600 dark:text-green-400">{stats.goNoGo.hits}</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-500 dark:text-gray-400">Misses</p>
+                <p className="text-2xl font-bold text-amber-600 dark:text-amber-400">{stats.goNoGo.misses}</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-500 dark:text-gray-400">False Alarms</p>
+                <p className="text-2xl font-bold text-red-600 dark:text-red-400">{stats.goNoGo.falseAlarms}</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-500 dark:text-gray-400">Correct Rejections</p>
+                <p className="text-2xl font-bold text-gray-900 dark:text-white">{stats.goNoGo.correctRejections}</p>
+              </div>
+            </div>
+            <div className="mt-3 space-y-1 text-sm">
+              {stats.goNoGo.hitRate !== null && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600 dark:text-gray-400">Strike cues hit</span>
+                  <span className="font-semibold text-gray-900 dark:text-white">{stats.goNoGo.hitRate}%</span>
+                </div>
+              )}
+              {stats.goNoGo.rejectionRate !== null && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600 dark:text-gray-400">Decoys held</span>
+                  <span className="font-semibold text-gray-900 dark:text-white">{stats.goNoGo.rejectionRate}%</span>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Target Zones */}
+        {stats.zones && (
+          <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700">
+            <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-3">
+              Target Zones
+            </h3>
+            <div className="grid grid-cols-4 gap-2 text-xs text-gray-500 dark:text-gray-400 mb-1">
+              <span>Zone</span>
+              <span className="text-right">Accuracy</span>
+              <span className="text-right">Wrong</span>
+              <span className="text-right">Mean</span>
+            </div>
+            <div className="space-y-1 text-sm">
+              {stats.zones.map(row => (
+                <div key={row.zone} className="grid grid-cols-4 gap-2">
+                  <span className="text-gray-600 dark:text-gray-400">{row.name}</span>
+                  <span className="text-right font-semibold text-gray-900 dark:text-white">
+                    {row.accuracy}% <span className="text-xs font-normal text-gray-500 dark:text-gray-400">({row.hits}/{row.cues})</span>
+                  </span>
+                  <span className={`text-right font-semibold ${row.wrong > 0 ? 'text-red-600 dark:text-red-400' : 'text-gray-900 dark:text-white'}`}>
+                    {row.wrong}
+                  </span>
+                  <span className="text-right font-semibold text-gray-900 dark:text-white">
+                    {row.meanReactionMs !== null ? `${row.meanReactionMs}ms` : '-'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Screen Regions */}
+        {stats.regions && (
+          <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700">
+            <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-3">
+              Screen Regions
+            </h3>
+            <div className="grid grid-cols-3 gap-2 text-xs text-gray-500 dark:text-gray-400 mb-1">
+              <span>Region</span>
+              <span className="text-right">Caught</span>
+              <span className="text-right">Mean</span>
+            </div>
+            <div className="space-y-1 text-sm">
+              {stats.regions.map(row => (
+                <div key={row.region} className="grid grid-cols-3 gap-2">
+                  <span className="text-gray-600 dark:text-gray-400">{row.name}</span>
+                  <span className="text-right font-semibold text-gray-900 dark:text-white">
+                    {row.accuracy}% <span className="text-xs font-normal text-gray-500 dark:text-gray-400">({row.hits}/{row.cues})</span>
+                  </span>
+                  <span className="text-right font-semibold text-gray-900 dark:text-white">
+                    {row.meanReactionMs !== null ? `${row.meanReactionMs}ms` : '-'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Adaptive Intervals */}
+        {stats.adaptive && (
+          <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700">
+            <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-3">
+              Adaptive Intervals
+            </h3>
+            <div className="space-y-2 text-sm">
+              <div className="flex justify-between">
+                <span className="text-gray-600 dark:text-gray-400">Adapted to</span>
+                <span className="font-semibold text-gray-900 dark:text-white">
+                  {stats.adaptive.minInterval}-{stats.adaptive.maxInterval}ms
+                </span>
+              </div>
+              {profileDifficulty && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600 dark:text-gray-400">Profile setting</span>
+                  <span className="font-semibold text-gray-900 dark:text-white">
+                    {profileDifficulty.minInterval}-{profileDifficulty.maxInterval}ms
+                  </span>
+                </div>
+              )}
+              <div className="flex justify-between">
+                <span className="text-gray-600 dark:text-gray-400">Cues caught</span>
+                <span className="font-semibold text-gray-900 dark:text-white">
+                  {stats.adaptive.caught} / {stats.adaptive.cues} (target {Math.round(stats.adaptive.targetRate * 100)}%)
+                </span>
+              </div>
+            </div>
+            {activeProfile?.isReadOnly ? (
+              <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+                The default profile cannot be changed. Create a custom profile to keep adapted intervals.
+              </p>
+            ) : adaptiveSaved ? (
+              <p className="mt-3 text-sm text-green-600 dark:text-green-400">
+                Saved to {activeProfile?.name}
+              </p>
+            ) : (
+              <button
+                onClick={handleSaveAdaptive}
+                className="
+                  mt-3 w-full py-3 px-4 rounded-xl
+                  bg-cyan-600 text-white font-semibold
+                  hover:bg-cyan-700
+                  active:scale-[0.98]
+                  transition-all duration-200
+                "
+              >
+                Save to {activeProfile?.name}
+              </button>
+            )}
+          </div>
+        )}
 
         {/* Training Details */}
         <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700">
@@ -148,6 +450,30 @@ function ResultsScreen({ trainingStartTime, trainingEndTime }) {
               <span className="text-gray-600 dark:text-gray-400">Hits/Minute</span>
               <span className="font-semibold text-gray-900 dark:text-white">{stats.hitsPerMinute}</span>
             </div>
+            {stats.cueTiming && (
+              <div className="flex justify-between">
+                <span className="text-gray-600 dark:text-gray-400">Cue Timing</span>
+                <span className="text-right">
+                  <span className="font-semibold text-gray-900 dark:text-white">
+                    {stats.cueTiming.meanJitterMs}ms jitter
+                  </span>
+                  <span className="block text-xs text-gray-400 dark:text-gray-500">
+                    max {stats.cueTiming.maxJitterMs}ms
+                    {stats.cueTiming.lateCues > 0 && (
+                      <span className="text-amber-600 dark:text-amber-400">
+                        {' '}· {stats.cueTiming.lateCues} of {stats.cueTiming.cues} cues late
+                      </span>
+                    )}
+                  </span>
+                </span>
+              </div>
+            )}
+            {seed !== null && (
+              <div className="flex justify-between">
+                <span className="text-gray-600 dark:text-gray-400">Seed</span>
+                <span className="font-mono font-semibold text-gray-900 dark:text-white">{formatSeed(seed)}</span>
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -169,6 +495,24 @@ function ResultsScreen({ trainingStartTime, trainingEndTime }) {
         >
           Train Again
         </button>
+        {seed !== null && onRepeat && (
+          <button
+            onClick={handleRepeat}
+            className="
+              w-full py-4 px-8 rounded-xl
+              bg-white dark:bg-gray-800
+              text-gray-700 dark:text-gray-300
+              font-semibold text-lg
+              border border-gray-200 dark:border-gray-700
+              hover:bg-gray-50 dark:hover:bg-gray-700
+              active:scale-[0.98]
+              transition-all duration-200
+              min-h-[56px]
+            "
+          >
+            Repeat Same Cues
+          </button>
+        )}
         <button
           onClick={handleChangeSettings}
           className="
@@ -0,0 +1,111 @@
+import { useTraining } from '../context/TrainingContext';
+import { formatTime } from '../utils/statsCalculator';
+
+const STEP_MS = 15000;
+const MAX_WORK_MS = 600000;
+const MAX_REST_MS = 300000;
+
+const stepButtonClasses = `
+  w-12 h-12 rounded-xl font-bold text-xl
+  bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300
+  border border-gray-200 dark:border-gray-700
+  hover:bg-gray-50 dark:hover:bg-gray-700
+  disabled:opacity-40 disabled:cursor-not-allowed
+  transition-all duration-200
+`;
+
+const optionClasses = (selected) => `
+  py-3 px-3 rounded-xl font-medium text-sm sm:text-base
+  transition-all duration-200
+  ${selected
+    ? 'bg-orange-600 text-white shadow-lg shadow-orange-500/30'
+    : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 border border-gray-200 dark:border-gray-700'
+  }
+`;
+
+const getCueLabel = (cues) => {
+  switch (cues) {
+    case 'off': return 'Off';
+    case 'single': return 'Single Hits';
+    case 'combo': return 'Combos';
+    default: return cues;
+  }
+};
+
+function DurationStepper({ label, value, min, max, onChange }) {
+  return (
+    <div className="flex items-center justify-between">
+      <span className="text-gray-700 dark:text-gray-300 font-medium">{label}</span>
+      <div className="flex items-center gap-3">
+        <button
+          onClick={() => onChange(Math.max(min, value - STEP_MS))}
+          disabled={value <= min}
+          className={stepButtonClasses}
+          aria-label={`Decrease ${label.toLowerCase()}`}
+        >
+          −
+        </button>
+        <span className="w-16 text-center text-xl font-bold tabular-nums">
+          {formatTime(value)}
+        </span>
+        <button
+          onClick={() => onChange(Math.min(max, value + STEP_MS))}
+          disabled={value >= max}
+          className={stepButtonClasses}
+          aria-label={`Increase ${label.toLowerCase()}`}
+        >
+          +
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * RoundTimerSettings - Work and rest lengths for the round timer
+ * Cues are optional; with them off the screen is a plain round clock.
+ */
+function RoundTimerSettings() {
+  const { roundTimer, setRoundTimer, ROUND_TIMER_CUES } = useTraining();
+
+  return (
+    <section>
+      <h2 className="text-lg font-semibold mb-3 text-gray-700 dark:text-gray-300">
+        Round Timer
+      </h2>
+      <div className="space-y-3">
+        <DurationStepper
+          label="Work"
+          value={roundTimer.workDuration}
+          min={STEP_MS}
+          max={MAX_WORK_MS}
+          onChange={(workDuration) => setRoundTimer({ workDuration })}
+        />
+        <DurationStepper
+          label="Rest"
+          value={roundTimer.restDuration}
+          min={0}
+          max={MAX_REST_MS}
+          onChange={(restDuration) => setRoundTimer({ restDuration })}
+        />
+      </div>
+
+      <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mt-4 mb-2">
+        Cues During Work
+      </h3>
+      <div className="grid grid-cols-3 gap-2 sm:gap-3">
+        {ROUND_TIMER_CUES.map((cues) => (
+          <button
+            key={cues}
+            onClick={() => setRoundTimer({ cues })}
+            className={optionClasses(roundTimer.cues === cues)}
+          >
+            {getCueLabel(cues)}
+          </button>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+export default RoundTimerSettings;
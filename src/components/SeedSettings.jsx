@@ -0,0 +1,73 @@
+import { useState } from 'react';
+import { useTraining } from '../context/TrainingContext';
+import { formatSeed, parseSeed } from '../utils/random';
+
+function SeedSettings() {
+  const { seed, setSeed } = useTraining();
+  const [text, setText] = useState(seed === null ? '' : formatSeed(seed));
+  const isInvalid = text.trim() !== '' && parseSeed(text) === null;
+
+  const handleChange = (e) => {
+    const value = e.target.value;
+    setText(value);
+    // An empty box means a new seed every workout; a half-typed seed keeps the last good one
+    if (value.trim() === '') {
+      setSeed(null);
+    } else if (parseSeed(value) !== null) {
+      setSeed(parseSeed(value));
+    }
+  };
+
+  const handleClear = () => {
+    setText('');
+    setSeed(null);
+  };
+
+  return (
+    <section>
+      <h2 className="text-lg font-semibold mb-3 text-gray-700 dark:text-gray-300">
+        Workout Seed
+      </h2>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={text}
+          onChange={handleChange}
+          placeholder="Random each time"
+          maxLength={8}
+          spellCheck={false}
+          autoCapitalize="characters"
+          aria-label="Workout seed"
+          aria-invalid={isInvalid}
+          className={`
+            flex-1 px-4 py-3 rounded-xl font-mono uppercase tracking-widest
+            bg-white dark:bg-gray-800 text-gray-900 dark:text-white
+            border ${isInvalid ? 'border-red-500' : 'border-gray-200 dark:border-gray-700'}
+            focus:outline-none focus:ring-2 focus:ring-purple-500
+          `}
+        />
+        {text !== '' && (
+          <button
+            onClick={handleClear}
+            className="
+              px-4 rounded-xl font-medium
+              bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300
+              border border-gray-200 dark:border-gray-700
+              hover:bg-gray-50 dark:hover:bg-gray-700
+              transition-all duration-200
+            "
+          >
+            Clear
+          </button>
+        )}
+      </div>
+      <p className={`text-xs mt-2 ${isInvalid ? 'text-red-500' : 'text-gray-500 dark:text-gray-400'}`}>
+        {isInvalid
+          ? 'A seed is up to 8 hex digits (0-9, A-F).'
+          : 'The same seed calls the same cues at the same times. Find a workout\'s seed in its results.'}
+      </p>
+    </section>
+  );
+}
+
+export default SeedSettings;
@@ -0,0 +1,209 @@
+import { useState, useEffect } from 'react';
+import { useTraining } from '../context/TrainingContext';
+import { useProfiles } from '../context/ProfileContext';
+import { parseShareHash, clearShareHash } from '../utils/shareLink';
+import { formatTime } from '../utils/statsCalculator';
+import { formatSeed } from '../utils/random';
+import { getModeLabel, getTrainingTypeLabel } from '../utils/difficultyConfig';
+import { parseProfileData, planProfileImport } from '../utils/profileTransfer';
+import { POSITION_SET_NAMES } from '../utils/peripheral';
+
+function SummaryRow({ label, value }) {
+  return (
+    <div className="flex justify-between text-sm">
+      <span className="text-gray-500 dark:text-gray-400">{label}</span>
+      <span className="font-semibold text-gray-900 dark:text-white">{value}</span>
+    </div>
+  );
+}
+
+function MessageList({ messages, colorClass }) {
+  if (messages.length === 0) return null;
+  return (
+    <ul className={`mt-3 list-disc list-inside text-sm space-y-1 ${colorClass}`}>
+      {messages.map((message, i) => (
+        <li key={i}>{message}</li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * ShareLinkDialog - Offers to install a shared profile or start a shared
+ * workout when the app is opened from a share link
+ */
+function ShareLinkDialog({ onStart }) {
+  const { applyWorkout, responseMethod, DIFFICULTIES } = useTraining();
+  const { profiles, activeProfile, importProfiles, setActiveProfile } = useProfiles();
+  const [shared, setShared] = useState(() => parseShareHash(window.location.hash));
+
+  // Pick up links opened while the app is already running
+  useEffect(() => {
+    const handleHashChange = () => setShared(parseShareHash(window.location.hash));
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  if (!shared) return null;
+
+  const close = () => {
+    clearShareHash();
+    setShared(null);
+  };
+
+  const getDifficultyName = (id) => DIFFICULTIES.find(d => d.id === id)?.name || id;
+
+  const item = shared.kind === 'profile' && shared.data ? parseProfileData(shared.data, profiles) : null;
+  const canInstall = item && item.errors.length === 0;
+  const canReplace = item?.conflict && !item.conflict.isReadOnly;
+  // Go/no-go, target zones and peripheral cues are scored by responses; the settings can still be loaded
+  const needsResponses = ['gonogo', 'zones', 'peripheral'].includes(shared.data?.trainingType) && responseMethod === 'off';
+
+  const installProfile = (strategy) => {
+    const plan = planProfileImport([item], [{ include: true, strategy }], profiles);
+    const [profileId] = importProfiles(plan);
+    setActiveProfile(profileId);
+    close();
+  };
+
+  const loadWorkout = (start) => {
+    applyWorkout(shared.data);
+    if (start) {
+      onStart(shared.data);
+    }
+    close();
+  };
+
+  const title = shared.kind === 'profile' ? 'Shared Profile' : 'Shared Workout';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
+      <div className="w-full max-w-sm bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-xl">
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-4">
+          {title}
+        </h2>
+
+        {shared.error && (
+          <p className="text-sm text-red-600 dark:text-red-400">{shared.error}</p>
+        )}
+
+        {/* Profile */}
+        {item && (
+          <>
+            <div className="space-y-2">
+              <SummaryRow label="Name" value={item.profile?.name} />
+              {item.profile && (
+                <SummaryRow label="Techniques" value={item.profile.enabledTechniques.length} />
+              )}
+              {shared.data.difficulties?.length > 0 && (
+                <SummaryRow
+                  label="Customized"
+                  value={shared.data.difficulties.map(d => getDifficultyName(d.id)).join(', ')}
+                />
+              )}
+            </div>
+            <MessageList messages={item.errors} colorClass="text-red-600 dark:text-red-400" />
+            <MessageList messages={item.warnings} colorClass="text-amber-600 dark:text-amber-400" />
+            {item.conflict && (
+              <p className="mt-3 text-sm text-gray-600 dark:text-gray-400">
+                You already have this profile as &quot;{item.conflict.name}&quot;.
+              </p>
+            )}
+          </>
+        )}
+
+        {/* Workout */}
+        {shared.kind === 'workout' && shared.data && (
+          <>
+            <div className="space-y-2">
+              <SummaryRow label="Mode" value={getModeLabel(shared.data.mode)} />
+              <SummaryRow label="Type" value={getTrainingTypeLabel(shared.data.trainingType)} />
+              <SummaryRow label="Difficulty" value={getDifficultyName(shared.data.difficultyId)} />
+              <SummaryRow
+                label={shared.data.trainingType === 'rounds' ? 'Rounds' : 'Sessions'}
+                value={shared.data.numberOfSessions}
+              />
+              {shared.data.roundTimer && (
+                <SummaryRow
+                  label="Work / rest"
+                  value={`${formatTime(shared.data.roundTimer.workDuration)} / ${formatTime(shared.data.roundTimer.restDuration)}`}
+                />
+              )}
+              {shared.data.goNoGo && (
+                <SummaryRow label="Decoys" value={`${Math.round(shared.data.goNoGo.decoyRate * 100)}%`} />
+              )}
+              {shared.data.peripheral && (
+                <SummaryRow
+                  label="Peripheral cues"
+                  value={`${POSITION_SET_NAMES[shared.data.peripheral.positions]} · ${shared.data.peripheral.size} · ${shared.data.peripheral.contrast} contrast`}
+                />
+              )}
+              {shared.data.seed !== undefined && (
+                <SummaryRow label="Seed" value={formatSeed(shared.data.seed)} />
+              )}
+            </div>
+            <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+              Uses the timing of your active profile ({activeProfile?.name}).
+            </p>
+            {needsResponses && (
+              <p className="mt-2 text-xs text-amber-600 dark:text-amber-400">
+                {getTrainingTypeLabel(shared.data.trainingType)} scores your responses. Load the settings and turn on reaction time to start.
+              </p>
+            )}
+          </>
+        )}
+
+        {/* Actions */}
+        <div className="mt-6 space-y-2">
+          {canInstall && canReplace && (
+            <button
+              onClick={() => installProfile('replace')}
+              className="w-full py-3 rounded-xl bg-purple-600 text-white font-semibold hover:bg-purple-700 transition-colors"
+            >
+              Update &quot;{item.conflict.name}&quot;
+            </button>
+          )}
+          {canInstall && (
+            <button
+              onClick={() => installProfile('keep-both')}
+              className={`
+                w-full py-3 rounded-xl font-semibold transition-colors
+                ${canReplace
+                  ? 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600'
+                  : 'bg-purple-600 text-white hover:bg-purple-700'
+                }
+              `}
+            >
+              {item.conflict ? 'Install as Copy' : 'Install Profile'}
+            </button>
+          )}
+          {shared.kind === 'workout' && shared.data && (
+            <>
+              <button
+                onClick={() => loadWorkout(true)}
+                disabled={needsResponses}
+                className="w-full py-3 rounded-xl bg-gradient-to-r from-green-500 to-emerald-600 text-white font-bold active:scale-[0.98] transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Start Workout
+              </button>
+              <button
+                onClick={() => loadWorkout(false)}
+                className="w-full py-3 rounded-xl bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 font-semibold hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+              >
+                Load Settings
+              </button>
+            </>
+          )}
+          <button
+            onClick={close}
+            className="w-full py-3 rounded-xl text-gray-500 dark:text-gray-400 font-medium hover:text-gray-900 dark:hover:text-white transition-colors"
+          >
+            {shared.error ? 'Close' : 'Not Now'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ShareLinkDialog;
@@ -0,0 +1,33 @@
+// Body parts drawn for each target zone, in a 60 x 160 view box
+const ZONE_SHAPES = {
+  head: <circle cx="30" cy="16" r="13" />,
+  body: <rect x="14" y="34" width="32" height="52" rx="8" />,
+  legs: (
+    <>
+      <rect x="15" y="90" width="13" height="66" rx="6" />
+      <rect x="32" y="90" width="13" height="66" rx="6" />
+    </>
+  )
+};
+
+function TargetSilhouette({ zone = null, zones, className = '' }) {
+  return (
+    <svg viewBox="0 0 60 160" className={className} aria-hidden="true">
+      {Object.entries(ZONE_SHAPES).map(([id, shape]) => {
+        let fill = 'fill-white/10';
+        if (id === zone) {
+          fill = 'fill-white';
+        } else if (zones.includes(id)) {
+          fill = 'fill-white/30';
+        }
+        return (
+          <g key={id} className={`${fill} transition-colors duration-100`}>
+            {shape}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+export default TargetSilhouette;
@@ -2,21 +2,65 @@ import { useState, useCallback, useRef } from 'react';
 import ActionDisplay from './ActionDisplay';
 import ProgressBar from './ProgressBar';
 import { useTraining } from '../context/TrainingContext';
-import { getComboSettings } from '../utils/difficultyConfig';
+import { useProfiles } from '../context/ProfileContext';
+import { useCueReveal } from '../hooks/useCueReveal';
+import { formatTime } from '../utils/statsCalculator';
+import { ROUND_WARNING_SECONDS } from '../utils/sessionEngine';
+import { TARGET_ZONES, DEFAULT_TARGET_ZONES } from '../utils/targetZones';
+import { DEFAULT_PERIPHERAL_SETTINGS } from '../utils/peripheral';
+import { getTechniqueSide } from '../utils/stance';
 
-function TrainingScreen({ currentAction, sessionTotalHits }) {
+const MIC_STATUS_LABELS = {
+  idle: 'Starting microphone...',
+  listening: 'Listening for strikes',
+  denied: 'Microphone blocked',
+  unsupported: 'Microphone not supported'
+};
+
+function TrainingScreen({
+  currentAction,
+  currentDecoy = false,
+  currentZone = null,
+  currentRegion = null,
+  stance = null,
+  cueOnset = null,
+  sessionLength,
+  sessionTotalHits,
+  totalCombos,
+  roundDuration = 0,
+  roundTimeRemaining = 0,
+  reactionTimes = [],
+  micStatus,
+  onRespond,
+  onPause,
+  onStop
+}) {
   const {
     hitsCompleted,
     combosCompleted,
     trainingType,
     currentSession,
     numberOfSessions,
-    difficulty,
-    setPhase,
-    TRAINING_PHASES
+    responseMethod,
+    roundTimer,
+    peripheral
   } = useTraining();
+  const { activeProfile } = useProfiles();
+
+  // The round timer borrows its cue style from its settings; with cues off
+  // the round clock takes the place of the action display
+  const isRoundTimer = trainingType === 'rounds';
+  const cueType = isRoundTimer ? roundTimer.cues : trainingType;
+  const isClapper = roundTimeRemaining <= ROUND_WARNING_SECONDS;
+  const targetZones = activeProfile?.targetZones ?? DEFAULT_TARGET_ZONES;
+  const zoneKeys = TARGET_ZONES
+    .filter(({ id }) => targetZones.includes(id))
+    .map(({ key, name }) => `${key} ${name}`)
+    .join(', ');
 
-  const comboSettings = getComboSettings(difficulty.id);
+  // Shown in step with the cue's sound, not when the engine hands it out
+  const shownAction = useCueReveal(currentAction, cueOnset);
+  const shownSide = getTechniqueSide(shownAction, stance);
 
   const [showStopConfirm, setShowStopConfirm] = useState(false);
   const [holdProgress, setHoldProgress] = useState(0);
@@ -54,8 +98,8 @@ function TrainingScreen({ currentAction, sessionTotalHits }) {
   }, []);
 
   const handleConfirmStop = useCallback(() => {
-    setPhase(TRAINING_PHASES.COMPLETE);
-  }, [setPhase, TRAINING_PHASES]);
+    onStop();
+  }, [onStop]);
 
   const handleCancelStop = useCallback(() => {
     setShowStopConfirm(false);
@@ -69,16 +113,84 @@ function TrainingScreen({ currentAction, sessionTotalHits }) {
         total={sessionTotalHits}
         session={currentSession}
         totalSessions={numberOfSessions}
-        trainingType={trainingType}
+        trainingType={cueType}
+        sessionLength={sessionLength}
         combosCompleted={combosCompleted}
-        totalCombos={comboSettings?.totalCombos || 0}
+        totalCombos={totalCombos || 0}
+        roundDuration={roundDuration}
+        roundTimeRemaining={roundTimeRemaining}
       />
 
+      {/* Reaction capture status */}
+      {responseMethod !== 'off' && (
+        <div className="flex justify-between items-center px-4 py-1 text-xs bg-white/70 dark:bg-gray-800/70 text-gray-600 dark:text-gray-400">
+          <span>
+            {responseMethod === 'microphone'
+              ? MIC_STATUS_LABELS[micStatus] || MIC_STATUS_LABELS.idle
+              : cueType === 'zones'
+                ? `Tap a zone or press ${zoneKeys}`
+                : 'Tap the screen or press any key'}
+          </span>
+          <span className="font-semibold text-gray-900 dark:text-white">
+            {reactionTimes.length > 0
+              ? `Last: ${reactionTimes[reactionTimes.length - 1]}ms`
+              : 'Last: --'}
+          </span>
+        </div>
+      )}
+
+      {/* Stance of the session, which sides cues are called on */}
+      {stance && (
+        <div className="px-4 py-1 text-xs text-center font-semibold uppercase tracking-widest bg-white/70 dark:bg-gray-800/70 text-gray-600 dark:text-gray-400">
+          {stance === 'southpaw' ? 'Southpaw' : 'Orthodox'} stance
+        </div>
+      )}
+
       {/* Main action display */}
-      <ActionDisplay action={currentAction} />
+      {cueType === 'off' ? (
+        <div className="flex-1 flex flex-col items-center justify-center">
+          <span
+            className={`text-8xl sm:text-9xl font-black tabular-nums ${
+              isClapper ? 'text-red-600 dark:text-red-400 animate-pulse' : 'text-gray-900 dark:text-white'
+            }`}
+          >
+            {formatTime(roundTimeRemaining * 1000)}
+          </span>
+          <span className="mt-4 text-xl font-semibold uppercase tracking-widest text-gray-500 dark:text-gray-400">
+            Round {currentSession} of {numberOfSessions}
+          </span>
+        </div>
+      ) : (
+        <ActionDisplay
+          action={shownAction}
+          decoy={currentDecoy}
+          zone={currentZone}
+          side={shownSide}
+          zones={cueType === 'zones' ? targetZones : null}
+          region={currentRegion}
+          peripheral={cueType === 'peripheral' ? peripheral ?? DEFAULT_PERIPHERAL_SETTINGS : null}
+          onRespond={onRespond}
+        />
+      )}
 
       {/* Bottom controls */}
-      <div className="p-4 bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm">
+      <div className="p-4 bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm flex gap-3">
+        {/* Pause button */}
+        <button
+          onClick={onPause}
+          className="
+            py-4 px-6 rounded-xl
+            bg-gray-200 dark:bg-gray-700
+            text-gray-700 dark:text-gray-300
+            font-semibold text-lg
+            min-h-[56px]
+            active:bg-gray-300 dark:active:bg-gray-600
+            transition-colors
+          "
+        >
+          Pause
+        </button>
+
         {/* Stop button with hold-to-confirm */}
         <button
           onMouseDown={handleStopPress}
@@ -87,7 +199,7 @@ function TrainingScreen({ currentAction, sessionTotalHits }) {
           onTouchStart={handleStopPress}
           onTouchEnd={handleStopRelease}
           className={`
-            relative w-full py-4 px-8 rounded-xl
+            relative flex-1 py-4 px-8 rounded-xl
             font-semibold text-lg
             overflow-hidden
             min-h-[56px]
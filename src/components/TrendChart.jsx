@@ -0,0 +1,197 @@
+/**
+ * TrendChart - Dependency-free SVG chart for values over time
+ *
+ * Draws the first series as bars when type is 'bar'; every other series
+ * is drawn as a line. Missing values (null) leave a gap in a line.
+ * Colors come from Tailwind text classes via currentColor.
+ */
+
+const WIDTH = 320;
+const HEIGHT = 160;
+const PADDING = { top: 10, right: 8, bottom: 22, left: 36 };
+const GRID_LINES = 3;
+
+/**
+ * Rounds a maximum up to a readable axis value (1, 2 or 5 times a power of ten)
+ * @param {number} value - Largest value to show
+ * @returns {number} Axis maximum
+ */
+function getNiceMax(value) {
+  if (value <= 0) {
+    return 1;
+  }
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find(s => s * magnitude >= value);
+  return step * magnitude;
+}
+
+/**
+ * Splits a series into runs of consecutive points, broken at missing values
+ * @param {Array<{x: number, y: number}|null>} points - Points in order
+ * @returns {Array<Array<{x: number, y: number}>>} Line segments
+ */
+function getSegments(points) {
+  const segments = [];
+  let current = [];
+  points.forEach(point => {
+    if (point) {
+      current.push(point);
+    } else if (current.length > 0) {
+      segments.push(current);
+      current = [];
+    }
+  });
+  if (current.length > 0) {
+    segments.push(current);
+  }
+  return segments;
+}
+
+function TrendChart({
+  title,
+  labels,
+  series,
+  type = 'line',
+  formatValue = (value) => String(value),
+  emptyMessage = 'Not enough data yet.'
+}) {
+  const allValues = series.flatMap(s => s.values).filter(v => v !== null && Number.isFinite(v));
+  const hasData = labels.length > 0 && allValues.length > 0;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const maxValue = getNiceMax(Math.max(0, ...allValues));
+  const slotWidth = plotWidth / Math.max(1, labels.length);
+
+  const getX = (index) => PADDING.left + slotWidth * (index + 0.5);
+  const getY = (value) => PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+
+  // Label the first, middle and last periods so labels never overlap
+  const labelIndexes = [...new Set([0, Math.floor((labels.length - 1) / 2), labels.length - 1])];
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700">
+      <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-2">
+        {title}
+      </h3>
+
+      {!hasData ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400 py-6 text-center">
+          {emptyMessage}
+        </p>
+      ) : (
+        <>
+          <svg
+            viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+            className="w-full h-auto"
+            role="img"
+            aria-label={title}
+          >
+            {/* Grid and y-axis labels */}
+            <g className="text-gray-200 dark:text-gray-700">
+              {Array.from({ length: GRID_LINES + 1 }, (_, i) => {
+                const value = (maxValue / GRID_LINES) * i;
+                const y = getY(value);
+                return (
+                  <g key={i}>
+                    <line
+                      x1={PADDING.left}
+                      x2={WIDTH - PADDING.right}
+                      y1={y}
+                      y2={y}
+                      stroke="currentColor"
+                      strokeWidth={1}
+                    />
+                    <text
+                      x={PADDING.left - 4}
+                      y={y + 3}
+                      textAnchor="end"
+                      className="fill-gray-400 dark:fill-gray-500"
+                      fontSize={9}
+                    >
+                      {formatValue(Math.round(value * 10) / 10)}
+                    </text>
+                  </g>
+                );
+              })}
+            </g>
+
+            {/* X-axis labels */}
+            {labelIndexes.map(index => (
+              <text
+                key={index}
+                x={getX(index)}
+                y={HEIGHT - 6}
+                textAnchor="middle"
+                className="fill-gray-400 dark:fill-gray-500"
+                fontSize={9}
+              >
+                {labels[index]}
+              </text>
+            ))}
+
+            {series.map((s, seriesIndex) => {
+              if (type === 'bar' && seriesIndex === 0) {
+                const barWidth = Math.max(2, slotWidth * 0.6);
+                return (
+                  <g key={s.id} className={s.colorClass}>
+                    {s.values.map((value, index) => value !== null && (
+                      <rect
+                        key={index}
+                        x={getX(index) - barWidth / 2}
+                        y={getY(value)}
+                        width={barWidth}
+                        height={PADDING.top + plotHeight - getY(value)}
+                        rx={2}
+                        fill="currentColor"
+                      >
+                        <title>{`${labels[index]}: ${formatValue(value)}`}</title>
+                      </rect>
+                    ))}
+                  </g>
+                );
+              }
+
+              const points = s.values.map((value, index) =>
+                value !== null && Number.isFinite(value) ? { x: getX(index), y: getY(value), value, index } : null
+              );
+              return (
+                <g key={s.id} className={s.colorClass}>
+                  {getSegments(points).map((segment, i) => (
+                    <polyline
+                      key={i}
+                      points={segment.map(p => `${p.x},${p.y}`).join(' ')}
+                      fill="none"
+                      stroke="currentColor"
+                      strokeWidth={2}
+                      strokeDasharray={s.dashed ? '4 3' : undefined}
+                      strokeLinejoin="round"
+                    />
+                  ))}
+                  {!s.dashed && points.filter(Boolean).map(p => (
+                    <circle key={p.index} cx={p.x} cy={p.y} r={2.5} fill="currentColor">
+                      <title>{`${labels[p.index]}: ${formatValue(p.value)}`}</title>
+                    </circle>
+                  ))}
+                </g>
+              );
+            })}
+          </svg>
+
+          {series.length > 1 && (
+            <div className="mt-2 flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-500 dark:text-gray-400">
+              {series.map(s => (
+                <span key={s.id} className="flex items-center gap-1">
+                  <span className={`inline-block w-3 h-0.5 bg-current ${s.colorClass}`} />
+                  {s.label}
+                </span>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TrendChart;
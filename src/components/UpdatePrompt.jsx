@@ -0,0 +1,42 @@
+import { useState } from 'react';
+import { useServiceWorkerUpdate } from '../hooks/useServiceWorkerUpdate';
+
+/**
+ * UpdatePrompt - Offers to reload into a new version of the app
+ * Only rendered outside a workout, so a reload never interrupts training.
+ */
+function UpdatePrompt() {
+  const { updateAvailable, applyUpdate } = useServiceWorkerUpdate();
+  const [dismissed, setDismissed] = useState(false);
+
+  if (!updateAvailable || dismissed) return null;
+
+  return (
+    <div className="fixed bottom-4 inset-x-4 z-40 flex justify-center">
+      <div className="
+        w-full max-w-lg flex items-center gap-3 p-4 rounded-xl
+        bg-white dark:bg-gray-800
+        border border-gray-200 dark:border-gray-700
+        shadow-lg
+      ">
+        <p className="flex-1 text-sm text-gray-700 dark:text-gray-300">
+          A new version of Combat Reflex is available.
+        </p>
+        <button
+          onClick={() => setDismissed(true)}
+          className="px-3 py-2 rounded-lg text-sm font-medium text-gray-500 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white transition-colors"
+        >
+          Later
+        </button>
+        <button
+          onClick={applyUpdate}
+          className="px-4 py-2 rounded-lg text-sm font-semibold bg-purple-600 text-white hover:bg-purple-700 transition-colors"
+        >
+          Update
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default UpdatePrompt;
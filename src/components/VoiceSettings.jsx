@@ -0,0 +1,148 @@
+import { useState } from 'react';
+import { useTraining } from '../context/TrainingContext';
+import { useSpeechVoices } from '../hooks/useSpeechVoices';
+import {
+  VOICE_RATES,
+  isSpeechSupported,
+  getVoiceLanguages,
+  getTechniqueCallout,
+  getComboCallout,
+  createSpeaker
+} from '../utils/voiceCues';
+
+const SELECT_CLASSES = `
+  w-full px-3 py-3 rounded-lg
+  border border-gray-300 dark:border-gray-600
+  bg-white dark:bg-gray-800
+  text-gray-900 dark:text-white
+  focus:outline-none focus:ring-2 focus:ring-cyan-500
+`;
+
+const optionClasses = (selected) => `
+  py-3 px-3 rounded-xl font-medium text-sm sm:text-base
+  transition-all duration-200
+  disabled:opacity-50 disabled:cursor-not-allowed
+  ${selected
+    ? 'bg-cyan-600 text-white shadow-lg shadow-cyan-500/30'
+    : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 border border-gray-200 dark:border-gray-700'
+  }
+`;
+
+/**
+ * VoiceSettings - Chooses between tones and spoken callouts
+ * Accent, voice and rate are only shown once callouts are turned on. Callouts
+ * are always spoken in English; the accent only picks which voices are offered.
+ */
+function VoiceSettings() {
+  const { voice, setVoiceSettings } = useTraining();
+  const voices = useSpeechVoices();
+  const [speaker] = useState(() => createSpeaker());
+  const supported = isSpeechSupported();
+
+  const languages = getVoiceLanguages(voices);
+  const languageVoices = voice.lang ? voices.filter(v => v.lang === voice.lang) : voices;
+
+  const handleAccentChange = (e) => {
+    // The chosen voice may not have the new accent
+    setVoiceSettings({ lang: e.target.value || null, voiceURI: null });
+  };
+
+  const handleVoiceChange = (e) => {
+    setVoiceSettings({ voiceURI: e.target.value || null });
+  };
+
+  const handleTest = () => {
+    speaker.configure(voice);
+    speaker.speak(`${getTechniqueCallout('jab')}. ${getComboCallout(['jab', 'cross', 'hook'])}`);
+  };
+
+  return (
+    <section>
+      <h2 className="text-lg font-semibold mb-3 text-gray-700 dark:text-gray-300">
+        Callouts
+      </h2>
+      <div className="grid grid-cols-2 gap-2 sm:gap-3">
+        <button
+          onClick={() => setVoiceSettings({ enabled: false })}
+          className={optionClasses(!voice.enabled || !supported)}
+        >
+          Tones
+        </button>
+        <button
+          onClick={() => setVoiceSettings({ enabled: true })}
+          disabled={!supported}
+          className={optionClasses(voice.enabled && supported)}
+        >
+          Voice
+        </button>
+      </div>
+
+      {!supported && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+          This browser can't speak, so tones are used.
+        </p>
+      )}
+
+      {supported && voice.enabled && (
+        <div className="mt-3 space-y-3">
+          <div className="grid grid-cols-2 gap-2 sm:gap-3">
+            <label className="block">
+              <span className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">
+                Accent
+              </span>
+              <select value={voice.lang ?? ''} onChange={handleAccentChange} className={SELECT_CLASSES}>
+                <option value="">Default</option>
+                {languages.map(lang => (
+                  <option key={lang} value={lang}>{lang}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">
+                Voice
+              </span>
+              <select value={voice.voiceURI ?? ''} onChange={handleVoiceChange} className={SELECT_CLASSES}>
+                <option value="">Automatic</option>
+                {languageVoices.map(v => (
+                  <option key={v.voiceURI} value={v.voiceURI}>{v.name}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Callouts are spoken in English; the accent comes from the voice's language.
+          </p>
+
+          <div>
+            <span className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">
+              Speed
+            </span>
+            <div className="grid grid-cols-4 gap-2 sm:gap-3">
+              {VOICE_RATES.map(rate => (
+                <button
+                  key={rate}
+                  onClick={() => setVoiceSettings({ rate })}
+                  className={optionClasses(voice.rate === rate)}
+                >
+                  {rate}×
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <button
+            onClick={handleTest}
+            className="w-full py-3 rounded-xl font-medium text-sm bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+          >
+            Test Voice
+          </button>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Callouts are in English. Punches in a combo are called by number.
+          </p>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default VoiceSettings;
@@ -0,0 +1,333 @@
+/**
+ * ComboLibraryEditor - Named combos that combo training draws from
+ */
+
+import { useState } from 'react'
+import { TECHNIQUES, getTechniqueById } from '../../utils/techniques'
+import {
+  BUILT_IN_COMBO_SETS,
+  COMBO_WEIGHTS,
+  MAX_COMBO_STEPS,
+  cloneCombo,
+  describeCombo,
+  validateCombo
+} from '../../utils/comboLibrary'
+import { generateUUID } from '../../utils/profileUtils'
+
+const WEIGHT_LABELS = { 0: 'Off', 1: 'Low', 2: 'Mid', 3: 'High' }
+
+const smallButtonClasses = `
+  px-3 py-1.5 rounded-lg text-sm
+  bg-gray-200 dark:bg-gray-700
+  text-gray-700 dark:text-gray-300
+  hover:bg-gray-300 dark:hover:bg-gray-600
+  disabled:opacity-50 disabled:cursor-not-allowed
+  transition-colors
+`
+
+// Chip colors by technique category, matching the cue colors
+const STEP_CLASSES = {
+  punch: 'bg-red-100 dark:bg-red-900/40 text-red-700 dark:text-red-300',
+  kick: 'bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300',
+  defense: 'bg-emerald-100 dark:bg-emerald-900/40 text-emerald-700 dark:text-emerald-300'
+}
+
+function ComboSteps({ steps }) {
+  return (
+    <div className="flex flex-wrap items-center gap-1 text-xs">
+      {steps.map((step, i) => (
+        <span key={i} className="flex items-center gap-1">
+          {i > 0 && (
+            <span className="text-gray-400 dark:text-gray-500">
+              {step.delayMs ? `${step.delayMs}ms →` : '→'}
+            </span>
+          )}
+          <span
+            className={`px-2 py-0.5 rounded-full ${
+              STEP_CLASSES[getTechniqueById(step.technique)?.category] ?? STEP_CLASSES.punch
+            }`}
+          >
+            {getTechniqueById(step.technique)?.name ?? step.technique}
+          </span>
+        </span>
+      ))}
+    </div>
+  )
+}
+
+function ComboForm({ initial, onSave, onCancel }) {
+  const [name, setName] = useState(initial?.name ?? '')
+  const [steps, setSteps] = useState(initial?.steps.map(step => ({ ...step })) ?? [])
+  const [errors, setErrors] = useState([])
+
+  const addStep = (technique) => {
+    if (steps.length < MAX_COMBO_STEPS) {
+      setSteps([...steps, { technique }])
+    }
+  }
+
+  const removeStep = (index) => {
+    setSteps(steps.filter((_, i) => i !== index))
+  }
+
+  const setStepDelay = (index, value) => {
+    setSteps(steps.map((step, i) => {
+      if (i !== index) return step
+      const { delayMs: _previous, ...rest } = step
+      // An empty field falls back to the difficulty's strike interval
+      return value === '' ? rest : { ...rest, delayMs: Number(value) }
+    }))
+  }
+
+  const handleSave = () => {
+    const definition = {
+      id: initial?.id ?? generateUUID(),
+      name: name.trim() || describeCombo(steps),
+      set: initial?.set ?? null,
+      steps,
+      weight: initial?.weight ?? 1
+    }
+    const comboErrors = validateCombo(definition)
+    if (comboErrors.length > 0) {
+      setErrors(comboErrors)
+      return
+    }
+    onSave(definition)
+  }
+
+  return (
+    <div className="p-3 rounded-lg border border-purple-300 dark:border-purple-700 space-y-3">
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder={steps.length > 0 ? describeCombo(steps) : 'Combo name'}
+        className="
+          w-full px-3 py-2 rounded-lg
+          border border-gray-300 dark:border-gray-600
+          bg-white dark:bg-gray-700
+          text-gray-900 dark:text-white
+          focus:outline-none focus:ring-2 focus:ring-purple-500
+        "
+      />
+
+      <div className="flex flex-wrap gap-2">
+        {TECHNIQUES.map(technique => (
+          <button
+            key={technique.id}
+            type="button"
+            onClick={() => addStep(technique.id)}
+            disabled={steps.length >= MAX_COMBO_STEPS}
+            className={smallButtonClasses}
+          >
+            + {technique.name}
+          </button>
+        ))}
+      </div>
+
+      {steps.length > 0 ? (
+        <ol className="space-y-2">
+          {steps.map((step, i) => (
+            <li key={i} className="flex items-center gap-2 text-sm">
+              <span className="w-6 text-gray-400 dark:text-gray-500">{i + 1}.</span>
+              <span className="flex-1 font-medium text-gray-900 dark:text-white">
+                {getTechniqueById(step.technique)?.name}
+              </span>
+              {i > 0 && (
+                <input
+                  type="number"
+                  min={50}
+                  step={50}
+                  value={step.delayMs ?? ''}
+                  onChange={(e) => setStepDelay(i, e.target.value)}
+                  placeholder="Auto"
+                  aria-label={`Time before strike ${i + 1} (ms)`}
+                  className="
+                    w-24 px-2 py-1 rounded-lg
+                    border border-gray-300 dark:border-gray-600
+                    bg-white dark:bg-gray-700
+                    text-gray-900 dark:text-white
+                    focus:outline-none focus:ring-2 focus:ring-purple-500
+                  "
+                />
+              )}
+              <button
+                type="button"
+                onClick={() => removeStep(i)}
+                aria-label={`Remove strike ${i + 1}`}
+                className="px-2 text-gray-400 hover:text-red-500 transition-colors"
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Add strikes in order. Timing between strikes is in ms; leave it on Auto to use the difficulty&apos;s strike interval.
+        </p>
+      )}
+
+      {errors.length > 0 && (
+        <ul className="list-disc list-inside text-sm text-red-600 dark:text-red-400">
+          {errors.map((error, i) => (
+            <li key={i}>{error}</li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex gap-2 justify-end">
+        <button type="button" onClick={onCancel} className={smallButtonClasses}>
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          className="px-3 py-1.5 rounded-lg text-sm bg-purple-600 text-white hover:bg-purple-700 transition-colors"
+        >
+          Save Combo
+        </button>
+      </div>
+    </div>
+  )
+}
+
+function ComboLibraryEditor({ comboLibrary = [], onChange, disabled = false }) {
+  // null when closed, 'new' for a new combo, otherwise the ID being edited
+  const [editingId, setEditingId] = useState(null)
+
+  const groups = [
+    ...BUILT_IN_COMBO_SETS.map(set => ({
+      id: set.id,
+      name: set.name,
+      combos: comboLibrary.filter(definition => definition.set === set.id)
+    })),
+    { id: 'custom', name: 'Custom', combos: comboLibrary.filter(definition => !definition.set) }
+  ].filter(group => group.combos.length > 0)
+
+  const missingBuiltIns = BUILT_IN_COMBO_SETS
+    .flatMap(set => set.combos)
+    .filter(builtIn => !comboLibrary.some(definition => definition.id === builtIn.id))
+
+  const updateCombo = (id, changes) => {
+    onChange(comboLibrary.map(definition => (definition.id === id ? { ...definition, ...changes } : definition)))
+  }
+
+  const removeCombo = (id) => {
+    onChange(comboLibrary.filter(definition => definition.id !== id))
+  }
+
+  const saveCombo = (saved) => {
+    const exists = comboLibrary.some(definition => definition.id === saved.id)
+    onChange(exists
+      ? comboLibrary.map(definition => (definition.id === saved.id ? saved : definition))
+      : [...comboLibrary, saved])
+    setEditingId(null)
+  }
+
+  return (
+    <div className="space-y-4">
+      {groups.map(group => (
+        <div key={group.id}>
+          <h4 className="text-sm font-semibold text-gray-600 dark:text-gray-400 mb-2 uppercase tracking-wide">
+            {group.name}
+          </h4>
+          <ul className="space-y-2">
+            {group.combos.map(definition => (
+              editingId === definition.id ? (
+                <li key={definition.id}>
+                  <ComboForm
+                    initial={definition}
+                    onSave={saveCombo}
+                    onCancel={() => setEditingId(null)}
+                  />
+                </li>
+              ) : (
+                <li
+                  key={definition.id}
+                  className={`p-3 rounded-lg border border-gray-200 dark:border-gray-700 ${definition.weight === 0 ? 'opacity-60' : ''}`}
+                >
+                  <div className="flex items-start justify-between gap-2 mb-2">
+                    <span className="font-medium text-gray-900 dark:text-white">{definition.name}</span>
+                    {!disabled && (
+                      <div className="flex gap-2 text-xs">
+                        {!definition.set && (
+                          <button
+                            type="button"
+                            onClick={() => setEditingId(definition.id)}
+                            className="text-purple-600 dark:text-purple-400 hover:underline"
+                          >
+                            Edit
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => removeCombo(definition.id)}
+                          className="text-red-600 dark:text-red-400 hover:underline"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                  <ComboSteps steps={definition.steps} />
+                  <div className="flex gap-1 mt-2">
+                    {COMBO_WEIGHTS.map(weight => (
+                      <button
+                        key={weight}
+                        type="button"
+                        onClick={() => updateCombo(definition.id, { weight })}
+                        disabled={disabled}
+                        className={`
+                          px-2 py-1 rounded text-xs font-medium
+                          disabled:opacity-50 disabled:cursor-not-allowed
+                          ${definition.weight === weight
+                            ? 'bg-purple-600 text-white'
+                            : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+                          }
+                        `}
+                      >
+                        {WEIGHT_LABELS[weight]}
+                      </button>
+                    ))}
+                  </div>
+                </li>
+              )
+            ))}
+          </ul>
+        </div>
+      ))}
+
+      {comboLibrary.length === 0 && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          No combos: combo training strings random strikes together.
+        </p>
+      )}
+
+      {editingId === 'new' && (
+        <ComboForm onSave={saveCombo} onCancel={() => setEditingId(null)} />
+      )}
+
+      {!disabled && (
+        <div className="flex gap-2 flex-wrap">
+          {editingId !== 'new' && (
+            <button type="button" onClick={() => setEditingId('new')} className={smallButtonClasses}>
+              New Combo
+            </button>
+          )}
+          {missingBuiltIns.length > 0 && (
+            <button
+              type="button"
+              onClick={() => onChange([...comboLibrary, ...missingBuiltIns.map(cloneCombo)])}
+              className={smallButtonClasses}
+            >
+              Restore Built-in Combos ({missingBuiltIns.length})
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ComboLibraryEditor
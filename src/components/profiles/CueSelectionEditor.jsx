@@ -0,0 +1,185 @@
+/**
+ * CueSelectionEditor - Technique weights, repeat limit, shuffle bag and transition rules
+ */
+
+import SettingInput from './SettingInput'
+import SettingToggle from './SettingToggle'
+import { TECHNIQUES, TECHNIQUE_CATEGORIES } from '../../utils/techniques'
+import { CUE_WEIGHTS, MAX_REPEAT_LIMIT } from '../../utils/cueGenerator'
+
+const CATEGORY_LABELS = {
+  punch: 'Any punch',
+  kick: 'Any kick',
+  defense: 'Any defense'
+}
+
+const WEIGHT_LABELS = { 0: 'Off', 1: '1×', 2: '2×', 3: '3×' }
+
+const SELECT_CLASSES = `
+  px-2 py-1.5 rounded-lg text-sm
+  border border-gray-300 dark:border-gray-600
+  bg-white dark:bg-gray-700
+  text-gray-900 dark:text-white
+  focus:outline-none focus:ring-2 focus:ring-purple-500
+  disabled:opacity-50 disabled:cursor-not-allowed
+`
+
+function TargetSelect({ value, onChange, disabled, label }) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      aria-label={label}
+      className={SELECT_CLASSES}
+    >
+      {TECHNIQUE_CATEGORIES.map(category => (
+        <option key={category} value={category}>{CATEGORY_LABELS[category]}</option>
+      ))}
+      {TECHNIQUES.map(technique => (
+        <option key={technique.id} value={technique.id}>{technique.name}</option>
+      ))}
+    </select>
+  )
+}
+
+function CueSelectionEditor({ cueSelection, onChange, disabled = false }) {
+  const update = (field, value) => {
+    onChange({ ...cueSelection, [field]: value })
+  }
+
+  const setWeight = (id, weight) => {
+    const { [id]: _previous, ...weights } = cueSelection.weights
+    // Weight 1 is the default, so it is not stored
+    update('weights', weight === 1 ? weights : { ...weights, [id]: weight })
+  }
+
+  const updateRule = (index, field, value) => {
+    update('transitions', cueSelection.transitions.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)))
+  }
+
+  const removeRule = (index) => {
+    update('transitions', cueSelection.transitions.filter((_, i) => i !== index))
+  }
+
+  return (
+    <div className="space-y-4">
+      {/* Weights */}
+      <div>
+        <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+          Technique Weights
+        </p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          {TECHNIQUES.map(technique => {
+            const weight = cueSelection.weights[technique.id] ?? 1
+            return (
+              <div key={technique.id} className="flex items-center justify-between gap-2">
+                <span className="text-sm text-gray-600 dark:text-gray-400">{technique.name}</span>
+                <div className="flex gap-1">
+                  {CUE_WEIGHTS.map(value => (
+                    <button
+                      key={value}
+                      type="button"
+                      onClick={() => setWeight(technique.id, value)}
+                      disabled={disabled}
+                      className={`
+                        px-2 py-1 rounded text-xs font-medium
+                        disabled:opacity-50 disabled:cursor-not-allowed
+                        ${weight === value
+                          ? 'bg-purple-600 text-white'
+                          : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+                        }
+                      `}
+                    >
+                      {WEIGHT_LABELS[value]}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )
+          })}
+        </div>
+        <p className="text-xs text-gray-400 dark:text-gray-500 mt-2">
+          A 2× technique is called twice as often; Off leaves it out of single cues and random combos.
+        </p>
+      </div>
+
+      <SettingInput
+        label="Max Repeats in a Row (0 = no limit)"
+        value={cueSelection.maxRepeats}
+        onChange={(v) => update('maxRepeats', Math.max(0, Math.round(v)))}
+        min={0}
+        max={MAX_REPEAT_LIMIT}
+        step={1}
+        disabled={disabled}
+      />
+
+      <SettingToggle
+        label="Shuffle Bag"
+        description="Deal every technique in turn, in proportion to its weight, before any comes up again"
+        value={cueSelection.shuffleBag}
+        onChange={(v) => update('shuffleBag', v)}
+        disabled={disabled}
+      />
+
+      {/* Transition rules */}
+      <div>
+        <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+          Transition Rules
+        </p>
+        {cueSelection.transitions.length > 0 ? (
+          <ul className="space-y-2">
+            {cueSelection.transitions.map((rule, i) => (
+              <li key={i} className="flex flex-wrap items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                <TargetSelect
+                  value={rule.from}
+                  onChange={(v) => updateRule(i, 'from', v)}
+                  disabled={disabled}
+                  label="Previous cue"
+                />
+                <span>never followed by</span>
+                <TargetSelect
+                  value={rule.to}
+                  onChange={(v) => updateRule(i, 'to', v)}
+                  disabled={disabled}
+                  label="Next cue"
+                />
+                {!disabled && (
+                  <button
+                    type="button"
+                    onClick={() => removeRule(i)}
+                    aria-label="Remove rule"
+                    className="px-2 text-gray-400 hover:text-red-500 transition-colors"
+                  >
+                    ×
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-xs text-gray-400 dark:text-gray-500">
+            No rules: any technique can follow any other.
+          </p>
+        )}
+        {!disabled && (
+          <button
+            type="button"
+            onClick={() => update('transitions', [...cueSelection.transitions, { from: 'kick', to: 'kick' }])}
+            className="
+              mt-2 px-3 py-1.5 rounded-lg text-sm
+              bg-gray-200 dark:bg-gray-700
+              text-gray-700 dark:text-gray-300
+              hover:bg-gray-300 dark:hover:bg-gray-600
+              transition-colors
+            "
+          >
+            Add Rule
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default CueSelectionEditor
@@ -5,7 +5,30 @@
 import { useState } from 'react'
 import SettingInput from './SettingInput'
 import SettingToggle from './SettingToggle'
+import NumberListInput from './NumberListInput'
+import CueSelectionEditor from './CueSelectionEditor'
 import { RECOMMENDED_VALUES } from '../../utils/profileUtils'
+import { MID_REST_TRIGGERS, SESSION_LENGTH_MODES } from '../../utils/difficultyConfig'
+import { formatTime } from '../../utils/statsCalculator'
+
+const MID_REST_TRIGGER_LABELS = {
+  hits: 'After Hits',
+  percent: 'At Percent'
+}
+
+const SESSION_LENGTH_LABELS = {
+  auto: 'Auto',
+  hits: 'Hits',
+  combos: 'Combos',
+  time: 'Time'
+}
+
+const SESSION_LENGTH_DESCRIPTIONS = {
+  auto: 'Hits in single mode, combos in combo mode',
+  hits: 'End after the hit count, in either mode',
+  combos: 'End after the combo count; single cues count as one-strike combos',
+  time: 'Timed rounds with a clapper 10 seconds before the bell'
+}
 
 function DifficultyEditor({
   difficulty,
@@ -27,6 +50,16 @@ function DifficultyEditor({
     })
   }
 
+  const updateMidRestField = (field, value) => {
+    onChange({
+      ...difficulty,
+      rest: {
+        ...difficulty.rest,
+        midRest: { ...difficulty.rest.midRest, [field]: value }
+      }
+    })
+  }
+
   const updateRangeField = (parent, field, subfield, value) => {
     onChange({
       ...difficulty,
@@ -127,6 +160,67 @@ function DifficultyEditor({
             </div>
           </div>
 
+          {/* Session Length Settings */}
+          {difficulty.sessionLength && (
+            <div>
+              <h4 className="text-sm font-semibold text-gray-600 dark:text-gray-400 mb-3 uppercase tracking-wide">
+                Session Length
+              </h4>
+              <div className="space-y-4">
+                <div className="flex gap-2">
+                  {SESSION_LENGTH_MODES.map(mode => (
+                    <button
+                      key={mode}
+                      type="button"
+                      onClick={() => updateNestedField('sessionLength', 'mode', mode)}
+                      disabled={isReadOnly}
+                      className={`
+                        flex-1 px-3 py-2 rounded-lg text-sm font-medium
+                        border transition-colors
+                        disabled:opacity-50 disabled:cursor-not-allowed
+                        ${difficulty.sessionLength.mode === mode
+                          ? 'bg-purple-600 border-purple-600 text-white'
+                          : 'bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300'
+                        }
+                      `}
+                    >
+                      {SESSION_LENGTH_LABELS[mode]}
+                    </button>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {SESSION_LENGTH_DESCRIPTIONS[difficulty.sessionLength.mode]}
+                </p>
+                {difficulty.sessionLength.mode === 'time' && (
+                  <SettingInput
+                    label={`Round Duration (${formatTime(difficulty.sessionLength.roundDuration)})`}
+                    value={Math.round(difficulty.sessionLength.roundDuration / 1000)}
+                    onChange={(v) => updateNestedField('sessionLength', 'roundDuration', v * 1000)}
+                    min={30}
+                    max={600}
+                    step={15}
+                    unit="seconds"
+                    disabled={isReadOnly}
+                  />
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Cue Selection Settings */}
+          {difficulty.cueSelection && (
+            <div>
+              <h4 className="text-sm font-semibold text-gray-600 dark:text-gray-400 mb-3 uppercase tracking-wide">
+                Cue Selection
+              </h4>
+              <CueSelectionEditor
+                cueSelection={difficulty.cueSelection}
+                onChange={(v) => updateField('cueSelection', v)}
+                disabled={isReadOnly}
+              />
+            </div>
+          )}
+
           {/* Hits Settings */}
           <div>
             <h4 className="text-sm font-semibold text-gray-600 dark:text-gray-400 mb-3 uppercase tracking-wide">
@@ -285,6 +379,70 @@ function DifficultyEditor({
               </div>
             </div>
           )}
+
+          {/* Mid-Session Rest Settings */}
+          {difficulty.rest?.midRest && (
+            <div>
+              <h4 className="text-sm font-semibold text-gray-600 dark:text-gray-400 mb-3 uppercase tracking-wide">
+                Mid-Session Rest
+              </h4>
+              <div className="space-y-4">
+                <SettingToggle
+                  label="Enable Mid-Session Rest"
+                  description="Pause cues for a short rest during each session"
+                  value={difficulty.rest.midRest.enabled}
+                  onChange={(v) => updateMidRestField('enabled', v)}
+                  disabled={isReadOnly}
+                />
+                {difficulty.rest.midRest.enabled && (
+                  <>
+                    <div className="flex gap-2">
+                      {MID_REST_TRIGGERS.map(trigger => (
+                        <button
+                          key={trigger}
+                          type="button"
+                          onClick={() => updateMidRestField('trigger', trigger)}
+                          disabled={isReadOnly}
+                          className={`
+                            flex-1 px-3 py-2 rounded-lg text-sm font-medium
+                            border transition-colors
+                            disabled:opacity-50 disabled:cursor-not-allowed
+                            ${difficulty.rest.midRest.trigger === trigger
+                              ? 'bg-purple-600 border-purple-600 text-white'
+                              : 'bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300'
+                            }
+                          `}
+                        >
+                          {MID_REST_TRIGGER_LABELS[trigger]}
+                        </button>
+                      ))}
+                    </div>
+                    <NumberListInput
+                      key={`${difficulty.rest.midRest.trigger}-${difficulty.rest.midRest.points.join(',')}`}
+                      label="Rest Points"
+                      description={difficulty.rest.midRest.trigger === 'percent'
+                        ? 'Percent of the session (of the round time in timed rounds), e.g. 50 or 33, 66'
+                        : 'Hits (combos in combo mode), e.g. 20 or 15, 30'}
+                      values={difficulty.rest.midRest.points}
+                      onChange={(v) => updateMidRestField('points', v)}
+                      unit={difficulty.rest.midRest.trigger === 'percent' ? '%' : 'hits'}
+                      disabled={isReadOnly}
+                    />
+                    <SettingInput
+                      label="Rest Duration"
+                      value={Math.round(difficulty.rest.midRest.duration / 1000)}
+                      onChange={(v) => updateMidRestField('duration', v * 1000)}
+                      min={3}
+                      max={60}
+                      step={1}
+                      unit="seconds"
+                      disabled={isReadOnly}
+                    />
+                  </>
+                )}
+              </div>
+            </div>
+          )}
         </div>
       )}
     </div>
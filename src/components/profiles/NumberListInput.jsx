@@ -0,0 +1,72 @@
+/**
+ * NumberListInput - Text input for a comma-separated list of positive numbers
+ *
+ * Edits a local draft and commits the parsed list on blur, so typing
+ * "33," is not rewritten mid-edit.
+ */
+
+import { useState } from 'react'
+
+function parseNumberList(text) {
+  return text
+    .split(/[,\s]+/)
+    .map(part => Number(part))
+    .filter(value => Number.isFinite(value) && value > 0)
+}
+
+function NumberListInput({
+  label,
+  description,
+  values = [],
+  onChange,
+  unit = '',
+  disabled = false
+}) {
+  const [draft, setDraft] = useState(values.join(', '))
+
+  const handleBlur = () => {
+    const parsed = parseNumberList(draft)
+    setDraft(parsed.join(', '))
+    onChange(parsed)
+  }
+
+  return (
+    <div className="space-y-1">
+      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+        {label}
+      </label>
+
+      <div className="flex items-center gap-2">
+        <input
+          type="text"
+          inputMode="numeric"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={handleBlur}
+          disabled={disabled}
+          className="
+            w-full px-3 py-2 rounded-lg
+            border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700
+            text-gray-900 dark:text-white
+            focus:outline-none focus:ring-2 focus:ring-purple-500
+            disabled:opacity-50 disabled:cursor-not-allowed
+            transition-colors
+          "
+        />
+        {unit && (
+          <span className="text-sm text-gray-500 dark:text-gray-400 whitespace-nowrap">
+            {unit}
+          </span>
+        )}
+      </div>
+
+      {description && (
+        <p className="text-xs text-gray-400 dark:text-gray-500">
+          {description}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default NumberListInput
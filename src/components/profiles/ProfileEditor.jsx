@@ -5,7 +5,13 @@
 import { useState, useEffect } from 'react'
 import { useProfiles } from '../../context/ProfileContext'
 import { createDefaultProfile, validateProfile } from '../../utils/profileUtils'
+import { downloadProfiles } from '../../utils/profileTransfer'
+import { createShareUrl, shareUrl } from '../../utils/shareLink'
 import DifficultyEditor from './DifficultyEditor'
+import TechniqueSelector from './TechniqueSelector'
+import ComboLibraryEditor from './ComboLibraryEditor'
+import TargetZoneSelector from './TargetZoneSelector'
+import StanceSelector from './StanceSelector'
 
 function ProfileEditor({ isOpen, onClose }) {
   const {
@@ -21,6 +27,7 @@ function ProfileEditor({ isOpen, onClose }) {
   const [errors, setErrors] = useState([])
   const [warnings, setWarnings] = useState([])
   const [hasChanges, setHasChanges] = useState(false)
+  const [linkCopied, setLinkCopied] = useState(false)
 
   // Initialize editing state when modal opens
   useEffect(() => {
@@ -42,6 +49,26 @@ function ProfileEditor({ isOpen, onClose }) {
     setHasChanges(true)
   }
 
+  const handleTechniquesChange = (enabledTechniques) => {
+    setEditingProfile({ ...editingProfile, enabledTechniques })
+    setHasChanges(true)
+  }
+
+  const handleTargetZonesChange = (targetZones) => {
+    setEditingProfile({ ...editingProfile, targetZones })
+    setHasChanges(true)
+  }
+
+  const handleStanceChange = (stance) => {
+    setEditingProfile({ ...editingProfile, stance })
+    setHasChanges(true)
+  }
+
+  const handleComboLibraryChange = (comboLibrary) => {
+    setEditingProfile({ ...editingProfile, comboLibrary })
+    setHasChanges(true)
+  }
+
   const handleDifficultyChange = (index, updatedDifficulty) => {
     const newDifficulties = [...editingProfile.difficulties]
     newDifficulties[index] = updatedDifficulty
@@ -62,6 +89,10 @@ function ProfileEditor({ isOpen, onClose }) {
       const defaultProfile = createDefaultProfile()
       setEditingProfile({
         ...editingProfile,
+        enabledTechniques: [...defaultProfile.enabledTechniques],
+        comboLibrary: defaultProfile.comboLibrary,
+        targetZones: [...defaultProfile.targetZones],
+        stance: { ...defaultProfile.stance },
         difficulties: JSON.parse(JSON.stringify(defaultProfile.difficulties))
       })
       setHasChanges(true)
@@ -94,6 +125,17 @@ function ProfileEditor({ isOpen, onClose }) {
     }
   }
 
+  const handleShareLink = async () => {
+    const url = createShareUrl('profile', editingProfile)
+    const result = await shareUrl(url, editingProfile.name)
+    if (result === 'failed') {
+      prompt('Copy this link:', url)
+    } else if (result === 'copied') {
+      setLinkCopied(true)
+      setTimeout(() => setLinkCopied(false), 2000)
+    }
+  }
+
   const handleCreateEditable = () => {
     // Create a new editable copy of the default profile
     const newId = createProfile(`My ${activeProfile.name}`)
@@ -247,6 +289,94 @@ function ProfileEditor({ isOpen, onClose }) {
             >
               Duplicate Profile
             </button>
+            {!editingProfile.isDefault && (
+              <button
+                onClick={() => downloadProfiles([editingProfile])}
+                className="
+                  px-4 py-2 rounded-lg
+                  bg-gray-200 dark:bg-gray-700
+                  text-gray-700 dark:text-gray-300
+                  hover:bg-gray-300 dark:hover:bg-gray-600
+                  transition-colors text-sm
+                "
+              >
+                Export Profile
+              </button>
+            )}
+            {!editingProfile.isDefault && (
+              <button
+                onClick={handleShareLink}
+                className="
+                  px-4 py-2 rounded-lg
+                  bg-gray-200 dark:bg-gray-700
+                  text-gray-700 dark:text-gray-300
+                  hover:bg-gray-300 dark:hover:bg-gray-600
+                  transition-colors text-sm
+                "
+              >
+                {linkCopied ? 'Link Copied' : 'Share Link'}
+              </button>
+            )}
+          </div>
+
+          {/* Techniques */}
+          <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700">
+            <h2 className="text-lg font-semibold text-gray-700 dark:text-gray-300 mb-1">
+              Techniques
+            </h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+              Choose which techniques are called out during training.
+            </p>
+            <TechniqueSelector
+              enabledTechniques={editingProfile.enabledTechniques}
+              onChange={handleTechniquesChange}
+              disabled={isReadOnly}
+            />
+          </div>
+
+          {/* Stance */}
+          <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700">
+            <h2 className="text-lg font-semibold text-gray-700 dark:text-gray-300 mb-1">
+              Stance
+            </h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+              Cues name the side each technique is thrown from, e.g. &quot;Left Hook&quot;, and show and sound on that side.
+            </p>
+            <StanceSelector
+              stance={editingProfile.stance}
+              onChange={handleStanceChange}
+              disabled={isReadOnly}
+            />
+          </div>
+
+          {/* Target Zones */}
+          <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700">
+            <h2 className="text-lg font-semibold text-gray-700 dark:text-gray-300 mb-1">
+              Target Zones
+            </h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+              Target zone training sends each strike to one of these zones. Enable at least two.
+            </p>
+            <TargetZoneSelector
+              targetZones={editingProfile.targetZones}
+              onChange={handleTargetZonesChange}
+              disabled={isReadOnly}
+            />
+          </div>
+
+          {/* Combo Library */}
+          <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700">
+            <h2 className="text-lg font-semibold text-gray-700 dark:text-gray-300 mb-1">
+              Combo Library
+            </h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+              Combo training picks from these combos, more often for higher weights. Combos with a strike outside the training mode are skipped.
+            </p>
+            <ComboLibraryEditor
+              comboLibrary={editingProfile.comboLibrary}
+              onChange={handleComboLibraryChange}
+              disabled={isReadOnly}
+            />
           </div>
 
           {/* Difficulty Editors */}
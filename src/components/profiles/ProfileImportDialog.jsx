@@ -0,0 +1,228 @@
+/**
+ * ProfileImportDialog - Full-screen modal for importing profiles from a file
+ *
+ * Shows each profile in the file with its validation errors and warnings,
+ * and how to handle an ID already in use, before anything is saved.
+ */
+
+import { useState } from 'react'
+import { useProfiles } from '../../context/ProfileContext'
+import { parseProfileFile, planProfileImport, IMPORT_STRATEGIES } from '../../utils/profileTransfer'
+
+const STRATEGY_LABELS = {
+  replace: 'Replace',
+  'keep-both': 'Keep both',
+  rename: 'Rename'
+}
+
+function ProfileImportDialog({ isOpen, onClose }) {
+  const { profiles, importProfiles } = useProfiles()
+
+  const [fileName, setFileName] = useState('')
+  const [fileError, setFileError] = useState(null)
+  const [items, setItems] = useState([])
+  const [resolutions, setResolutions] = useState([])
+
+  if (!isOpen) return null
+
+  const reset = () => {
+    setFileName('')
+    setFileError(null)
+    setItems([])
+    setResolutions([])
+  }
+
+  const handleClose = () => {
+    reset()
+    onClose()
+  }
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    const result = parseProfileFile(await file.text(), profiles)
+    setFileName(file.name)
+    setFileError(result.error)
+    setItems(result.items)
+    setResolutions(result.items.map(item => ({
+      include: item.errors.length === 0,
+      strategy: 'keep-both',
+      name: item.profile ? `${item.profile.name} (imported)` : ''
+    })))
+  }
+
+  const updateResolution = (index, changes) => {
+    setResolutions(prev => prev.map((r, i) => (i === index ? { ...r, ...changes } : r)))
+  }
+
+  const importCount = items.filter((item, i) => resolutions[i]?.include && item.errors.length === 0).length
+
+  const handleImport = () => {
+    importProfiles(planProfileImport(items, resolutions, profiles))
+    handleClose()
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 bg-gray-100 dark:bg-gray-900 overflow-hidden flex flex-col">
+      {/* Header */}
+      <div className="flex-shrink-0 bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 p-4">
+        <div className="flex items-center justify-between max-w-2xl mx-auto">
+          <button
+            onClick={handleClose}
+            className="flex items-center gap-1 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white transition-colors"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+            <span>Back</span>
+          </button>
+
+          <h1 className="text-lg font-bold text-gray-900 dark:text-white">
+            Import Profiles
+          </h1>
+
+          <button
+            onClick={handleImport}
+            disabled={importCount === 0}
+            className="
+              px-4 py-2 rounded-lg
+              bg-purple-600 text-white
+              hover:bg-purple-700
+              disabled:opacity-50 disabled:cursor-not-allowed
+              transition-colors font-medium
+            "
+          >
+            Import{importCount > 0 ? ` (${importCount})` : ''}
+          </button>
+        </div>
+      </div>
+
+      {/* Content */}
+      <div className="flex-1 overflow-y-auto">
+        <div className="max-w-2xl mx-auto p-4 space-y-4">
+          {/* File picker */}
+          <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700">
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Profile file (.json)
+            </label>
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={handleFileChange}
+              className="
+                block w-full text-sm text-gray-600 dark:text-gray-400
+                file:mr-3 file:px-4 file:py-2 file:rounded-lg file:border-0
+                file:bg-purple-100 dark:file:bg-purple-900/30
+                file:text-purple-700 dark:file:text-purple-300
+                file:font-medium
+              "
+            />
+            {fileName && !fileError && (
+              <p className="text-xs text-gray-400 dark:text-gray-500 mt-2">
+                {items.length} profile{items.length === 1 ? '' : 's'} in {fileName}
+              </p>
+            )}
+          </div>
+
+          {/* File error */}
+          {fileError && (
+            <div className="p-4 rounded-xl bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800">
+              <p className="font-medium text-red-700 dark:text-red-300">{fileError}</p>
+            </div>
+          )}
+
+          {/* Preview */}
+          {items.map((item, index) => {
+            const resolution = resolutions[index]
+            const hasErrors = item.errors.length > 0
+            const canReplace = item.conflict && !item.conflict.isReadOnly
+            const strategies = IMPORT_STRATEGIES.filter(s => s !== 'replace' || canReplace)
+
+            return (
+              <div
+                key={index}
+                className={`
+                  bg-white dark:bg-gray-800 rounded-xl p-4 border
+                  ${hasErrors ? 'border-red-200 dark:border-red-800' : 'border-gray-200 dark:border-gray-700'}
+                `}
+              >
+                <label className="flex items-center gap-3">
+                  <input
+                    type="checkbox"
+                    checked={resolution.include}
+                    disabled={hasErrors}
+                    onChange={(e) => updateResolution(index, { include: e.target.checked })}
+                    className="w-5 h-5 accent-purple-600"
+                  />
+                  <span className="font-semibold text-gray-900 dark:text-white">
+                    {item.profile?.name || `Profile ${index + 1}`}
+                  </span>
+                </label>
+
+                {hasErrors && (
+                  <ul className="mt-3 list-disc list-inside text-sm text-red-600 dark:text-red-400 space-y-1">
+                    {item.errors.map((error, i) => (
+                      <li key={i}>{error}</li>
+                    ))}
+                  </ul>
+                )}
+
+                {item.warnings.length > 0 && (
+                  <ul className="mt-3 list-disc list-inside text-sm text-amber-600 dark:text-amber-400 space-y-1">
+                    {item.warnings.map((warning, i) => (
+                      <li key={i}>{warning}</li>
+                    ))}
+                  </ul>
+                )}
+
+                {/* ID collision */}
+                {item.conflict && !hasErrors && resolution.include && (
+                  <div className="mt-3 space-y-2">
+                    <p className="text-sm text-gray-600 dark:text-gray-400">
+                      Matches your profile &quot;{item.conflict.name}&quot;.
+                    </p>
+                    <div className="flex gap-2">
+                      {strategies.map(strategy => (
+                        <button
+                          key={strategy}
+                          onClick={() => updateResolution(index, { strategy })}
+                          className={`
+                            flex-1 py-2 px-3 rounded-lg text-sm font-medium transition-colors
+                            ${resolution.strategy === strategy
+                              ? 'bg-purple-600 text-white'
+                              : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+                            }
+                          `}
+                        >
+                          {STRATEGY_LABELS[strategy]}
+                        </button>
+                      ))}
+                    </div>
+                    {resolution.strategy === 'rename' && (
+                      <input
+                        type="text"
+                        value={resolution.name}
+                        onChange={(e) => updateResolution(index, { name: e.target.value })}
+                        placeholder="New profile name..."
+                        className="
+                          w-full px-3 py-2 rounded-lg
+                          border border-gray-300 dark:border-gray-600
+                          bg-white dark:bg-gray-700
+                          text-gray-900 dark:text-white
+                          focus:outline-none focus:ring-2 focus:ring-purple-500
+                        "
+                      />
+                    )}
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ProfileImportDialog
@@ -4,6 +4,8 @@
 
 import { useState } from 'react'
 import { useProfiles } from '../../context/ProfileContext'
+import { downloadProfiles } from '../../utils/profileTransfer'
+import ProfileImportDialog from './ProfileImportDialog'
 
 function ProfileSelector({ onCustomize }) {
   const {
@@ -18,6 +20,9 @@ function ProfileSelector({ onCustomize }) {
   const [isOpen, setIsOpen] = useState(false)
   const [showNewProfileInput, setShowNewProfileInput] = useState(false)
   const [newProfileName, setNewProfileName] = useState('')
+  const [showImportDialog, setShowImportDialog] = useState(false)
+
+  const customProfiles = profiles.filter(p => !p.isDefault)
 
   const handleProfileSelect = (profileId) => {
     setActiveProfile(profileId)
@@ -41,6 +46,16 @@ function ProfileSelector({ onCustomize }) {
     }
   }
 
+  const handleImportClick = () => {
+    setShowImportDialog(true)
+    setIsOpen(false)
+  }
+
+  const handleExportAll = () => {
+    downloadProfiles(customProfiles)
+    setIsOpen(false)
+  }
+
   return (
     <div className="relative">
       <div className="flex items-center gap-2">
@@ -223,9 +238,48 @@ function ProfileSelector({ onCustomize }) {
                 <span>New Profile</span>
               </button>
             )}
+
+            <button
+              onClick={handleImportClick}
+              className="
+                w-full px-4 py-2 text-left
+                text-gray-700 dark:text-gray-300
+                hover:bg-gray-100 dark:hover:bg-gray-700
+                transition-colors
+                flex items-center gap-2
+              "
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v2a2 2 0 002 2h12a2 2 0 002-2v-2M8 12l4 4m0 0l4-4m-4 4V4" />
+              </svg>
+              <span>Import Profiles...</span>
+            </button>
+
+            {customProfiles.length > 0 && (
+              <button
+                onClick={handleExportAll}
+                className="
+                  w-full px-4 py-2 text-left
+                  text-gray-700 dark:text-gray-300
+                  hover:bg-gray-100 dark:hover:bg-gray-700
+                  transition-colors
+                  flex items-center gap-2
+                "
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v2a2 2 0 002 2h12a2 2 0 002-2v-2M16 8l-4-4m0 0L8 8m4-4v12" />
+                </svg>
+                <span>Export All Profiles</span>
+              </button>
+            )}
           </div>
         </>
       )}
+
+      <ProfileImportDialog
+        isOpen={showImportDialog}
+        onClose={() => setShowImportDialog(false)}
+      />
     </div>
   )
 }
@@ -0,0 +1,49 @@
+/**
+ * StanceSelector - Orthodox or southpaw, and whether the stance switches every round
+ */
+
+import { STANCES } from '../../utils/stance'
+import SettingToggle from './SettingToggle'
+
+const STANCE_LABELS = {
+  orthodox: { name: 'Orthodox', lead: 'left lead' },
+  southpaw: { name: 'Southpaw', lead: 'right lead' }
+}
+
+function StanceSelector({ stance, onChange, disabled = false }) {
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-2">
+        {STANCES.map(id => (
+          <button
+            key={id}
+            type="button"
+            onClick={() => onChange({ ...stance, stance: id })}
+            disabled={disabled}
+            className={`
+              px-3 py-2 rounded-lg text-sm font-medium
+              border transition-colors
+              disabled:opacity-50 disabled:cursor-not-allowed
+              ${stance.stance === id
+                ? 'bg-purple-600 border-purple-600 text-white'
+                : 'bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300'
+              }
+            `}
+          >
+            {STANCE_LABELS[id].name}
+            <span className="ml-1 text-xs opacity-75">({STANCE_LABELS[id].lead})</span>
+          </button>
+        ))}
+      </div>
+      <SettingToggle
+        label="Switch stance every round"
+        description="Alternate orthodox and southpaw from one round to the next, starting with the stance above."
+        value={stance.switchEachRound}
+        onChange={switchEachRound => onChange({ ...stance, switchEachRound })}
+        disabled={disabled}
+      />
+    </div>
+  )
+}
+
+export default StanceSelector
@@ -0,0 +1,48 @@
+/**
+ * TargetZoneSelector - Toggle chips for choosing the target set of target zone training
+ */
+
+import { TARGET_ZONES } from '../../utils/targetZones'
+
+function TargetZoneSelector({ targetZones = [], onChange, disabled = false }) {
+  const toggleZone = (id) => {
+    if (targetZones.includes(id)) {
+      onChange(targetZones.filter(z => z !== id))
+    } else {
+      // Keep top-to-bottom order so the stored list is stable
+      onChange(TARGET_ZONES.map(z => z.id).filter(z => z === id || targetZones.includes(z)))
+    }
+  }
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {TARGET_ZONES.map(zone => {
+        const isEnabled = targetZones.includes(zone.id)
+        return (
+          <button
+            key={zone.id}
+            type="button"
+            onClick={() => toggleZone(zone.id)}
+            disabled={disabled}
+            className={`
+              px-3 py-2 rounded-lg text-sm font-medium
+              border transition-colors
+              disabled:opacity-50 disabled:cursor-not-allowed
+              ${isEnabled
+                ? 'bg-purple-600 border-purple-600 text-white'
+                : 'bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300'
+              }
+            `}
+          >
+            {zone.name}
+            {zone.categories.length === 1 && (
+              <span className="ml-1 text-xs opacity-75">(kicks only)</span>
+            )}
+          </button>
+        )
+      })}
+    </div>
+  )
+}
+
+export default TargetZoneSelector
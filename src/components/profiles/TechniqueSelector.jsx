@@ -0,0 +1,60 @@
+/**
+ * TechniqueSelector - Toggle chips for choosing which techniques a profile calls out
+ */
+
+import { TECHNIQUES, TECHNIQUE_CATEGORIES } from '../../utils/techniques'
+
+const CATEGORY_LABELS = {
+  punch: 'Punches',
+  kick: 'Kicks',
+  defense: 'Defense'
+}
+
+function TechniqueSelector({ enabledTechniques = [], onChange, disabled = false }) {
+  const toggleTechnique = (id) => {
+    if (enabledTechniques.includes(id)) {
+      onChange(enabledTechniques.filter(t => t !== id))
+    } else {
+      // Keep catalog order so the stored list is stable
+      onChange(TECHNIQUES.map(t => t.id).filter(t => t === id || enabledTechniques.includes(t)))
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      {TECHNIQUE_CATEGORIES.map(category => (
+        <div key={category}>
+          <h4 className="text-sm font-semibold text-gray-600 dark:text-gray-400 mb-2 uppercase tracking-wide">
+            {CATEGORY_LABELS[category]}
+          </h4>
+          <div className="flex flex-wrap gap-2">
+            {TECHNIQUES.filter(t => t.category === category).map(technique => {
+              const isEnabled = enabledTechniques.includes(technique.id)
+              return (
+                <button
+                  key={technique.id}
+                  type="button"
+                  onClick={() => toggleTechnique(technique.id)}
+                  disabled={disabled}
+                  className={`
+                    px-3 py-2 rounded-lg text-sm font-medium
+                    border transition-colors
+                    disabled:opacity-50 disabled:cursor-not-allowed
+                    ${isEnabled
+                      ? 'bg-purple-600 border-purple-600 text-white'
+                      : 'bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300'
+                    }
+                  `}
+                >
+                  {technique.name}
+                </button>
+              )
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default TechniqueSelector
@@ -1,7 +1,7 @@
 /**
  * ProfileContext - Manages training profiles for Combat Reflex
  *
- * Provides profile CRUD operations, localStorage persistence,
+ * Provides profile CRUD operations, persistence through the app storage,
  * and settings resolution for the training system.
  */
 
@@ -13,63 +13,73 @@ import {
   generateUUID,
   DEFAULT_PROFILE_ID
 } from '../utils/profileUtils'
+import { getStorage } from '../storage/storage'
+import { DOCUMENTS } from '../storage/schema'
 
 const ProfileContext = createContext(null)
 
-const STORAGE_KEY_PROFILES = 'combat-reflex-profiles'
-const STORAGE_KEY_ACTIVE = 'combat-reflex-active-profile'
+/**
+ * Builds the profile list from the saved custom profiles
+ */
+function loadProfiles(saved) {
+  const defaultProfile = createDefaultProfile()
+  if (!saved) {
+    return [defaultProfile]
+  }
+  // Merge saved profiles with defaults to ensure valid structure
+  return [defaultProfile, ...saved.map(p => mergeWithDefaults(p))]
+}
 
 /**
  * ProfileProvider - Wraps the app and provides profile management
  */
 export function ProfileProvider({ children }) {
-  // Initialize with default profile
-  const [profiles, setProfiles] = useState(() => {
-    const defaultProfile = createDefaultProfile()
-    const saved = localStorage.getItem(STORAGE_KEY_PROFILES)
-
-    if (saved) {
-      try {
-        const parsed = JSON.parse(saved)
-        // Merge saved profiles with defaults to ensure valid structure
-        const customProfiles = parsed.map(p => mergeWithDefaults(p))
-        return [defaultProfile, ...customProfiles]
-      } catch (e) {
-        console.warn('Failed to parse saved profiles:', e)
+  const storage = getStorage()
+
+  const [profiles, setProfilesState] = useState(() => loadProfiles(storage.read(DOCUMENTS.PROFILES)))
+
+  const [activeProfileId, setActiveProfileIdState] = useState(() => (
+    storage.read(DOCUMENTS.ACTIVE_PROFILE) || DEFAULT_PROFILE_ID
+  ))
+
+  // Persist profiles with every update
+  const setProfiles = useCallback((update) => {
+    setProfilesState(prev => {
+      const next = update(prev)
+      if (next !== prev) {
+        const customProfiles = next.filter(p => !p.isDefault)
+        if (customProfiles.length > 0) {
+          storage.write(DOCUMENTS.PROFILES, customProfiles)
+        } else {
+          storage.remove(DOCUMENTS.PROFILES)
+        }
       }
-    }
+      return next
+    })
+  }, [storage])
 
-    return [defaultProfile]
-  })
+  // Persist the active profile ID with every change
+  const setActiveProfileId = useCallback((profileId) => {
+    setActiveProfileIdState(profileId)
+    storage.write(DOCUMENTS.ACTIVE_PROFILE, profileId)
+  }, [storage])
 
-  // Initialize active profile ID
-  const [activeProfileId, setActiveProfileIdState] = useState(() => {
-    const saved = localStorage.getItem(STORAGE_KEY_ACTIVE)
-    return saved || DEFAULT_PROFILE_ID
-  })
+  // Pick up writes from other tabs; these are not written back
+  useEffect(() => storage.subscribe(DOCUMENTS.PROFILES, (data) => {
+    setProfilesState(loadProfiles(data))
+  }), [storage])
 
-  // Persist profiles to localStorage when they change
-  useEffect(() => {
-    const customProfiles = profiles.filter(p => !p.isDefault)
-    if (customProfiles.length > 0) {
-      localStorage.setItem(STORAGE_KEY_PROFILES, JSON.stringify(customProfiles))
-    } else {
-      localStorage.removeItem(STORAGE_KEY_PROFILES)
-    }
-  }, [profiles])
-
-  // Persist active profile ID when it changes
-  useEffect(() => {
-    localStorage.setItem(STORAGE_KEY_ACTIVE, activeProfileId)
-  }, [activeProfileId])
+  useEffect(() => storage.subscribe(DOCUMENTS.ACTIVE_PROFILE, (data) => {
+    setActiveProfileIdState(data || DEFAULT_PROFILE_ID)
+  }), [storage])
 
   // Validate active profile ID exists (only on mount)
   useEffect(() => {
-    const savedActive = localStorage.getItem(STORAGE_KEY_ACTIVE)
+    const savedActive = storage.read(DOCUMENTS.ACTIVE_PROFILE)
     if (savedActive && savedActive !== DEFAULT_PROFILE_ID) {
       const exists = profiles.some(p => p.id === savedActive)
       if (!exists) {
-        setActiveProfileIdState(DEFAULT_PROFILE_ID)
+        setActiveProfileId(DEFAULT_PROFILE_ID)
       }
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -102,7 +112,7 @@ export function ProfileProvider({ children }) {
     const newProfile = createNewProfile(name)
     setProfiles(prev => [...prev, newProfile])
     return newProfile.id
-  }, [])
+  }, [setProfiles])
 
   /**
    * Update an existing profile
@@ -120,7 +130,7 @@ export function ProfileProvider({ children }) {
       }
       return p
     }))
-  }, [])
+  }, [setProfiles])
 
   /**
    * Delete a profile
@@ -133,9 +143,9 @@ export function ProfileProvider({ children }) {
 
     // If deleted the active profile, switch to default
     if (activeProfileId === profileId) {
-      setActiveProfileIdState(DEFAULT_PROFILE_ID)
+      setActiveProfileId(DEFAULT_PROFILE_ID)
     }
-  }, [activeProfileId])
+  }, [activeProfileId, setProfiles, setActiveProfileId])
 
   /**
    * Set the active profile
@@ -145,11 +155,11 @@ export function ProfileProvider({ children }) {
     setProfiles(currentProfiles => {
       const exists = currentProfiles.some(p => p.id === profileId)
       if (exists) {
-        setActiveProfileIdState(profileId)
+        setActiveProfileId(profileId)
       }
       return currentProfiles // Return unchanged
     })
-  }, [])
+  }, [setProfiles, setActiveProfileId])
 
   /**
    * Duplicate a profile
@@ -167,6 +177,7 @@ export function ProfileProvider({ children }) {
       isReadOnly: false,
       createdAt: now,
       updatedAt: now,
+      enabledTechniques: [...(source.enabledTechniques || [])],
       difficulties: source.difficulties.map(d => ({
         ...d,
         totalHits: { ...d.totalHits },
@@ -176,13 +187,36 @@ export function ProfileProvider({ children }) {
           strikeInterval: { ...d.combo.strikeInterval },
           restBetweenCombos: { ...d.combo.restBetweenCombos }
         },
-        rest: { ...d.rest }
+        rest: {
+          ...d.rest,
+          midRest: { ...d.rest.midRest, points: [...d.rest.midRest.points] }
+        }
       }))
     }
 
     setProfiles(prev => [...prev, newProfile])
     return newProfile.id
-  }, [profiles])
+  }, [profiles, setProfiles])
+
+  /**
+   * Import profiles planned by planProfileImport
+   * Replaces existing custom profiles or adds new ones; returns the affected IDs.
+   */
+  const importProfiles = useCallback((plan) => {
+    setProfiles(prev => {
+      const next = [...prev]
+      plan.forEach(({ profile, replace }) => {
+        const index = next.findIndex(p => p.id === profile.id)
+        if (replace && index !== -1 && !next[index].isReadOnly) {
+          next[index] = profile
+        } else if (index === -1) {
+          next.push(profile)
+        }
+      })
+      return next
+    })
+    return plan.map(({ profile }) => profile.id)
+  }, [setProfiles])
 
   const value = {
     profiles,
@@ -194,7 +228,8 @@ export function ProfileProvider({ children }) {
     updateProfile,
     deleteProfile,
     setActiveProfile,
-    duplicateProfile
+    duplicateProfile,
+    importProfiles
   }
 
   return (
@@ -1,7 +1,10 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { renderHook, act } from '@testing-library/react'
 import { ProfileProvider, useProfiles } from './ProfileContext'
-import { DEFAULT_PROFILE_ID } from '../utils/profileUtils'
+import { DEFAULT_PROFILE_ID, createNewProfile } from '../utils/profileUtils'
+import { createStorage, getStorage, setStorage } from '../storage/storage'
+import { createMemoryBackend } from '../storage/backends'
+import { DOCUMENTS } from '../storage/schema'
 
 // Mock localStorage
 const localStorageMock = (() => {
@@ -20,6 +23,7 @@ describe('ProfileContext', () => {
   beforeEach(() => {
     localStorageMock.clear()
     vi.clearAllMocks()
+    setStorage(createStorage({ backend: createMemoryBackend(), legacyStorage: localStorageMock }))
   })
 
   const wrapper = ({ children }) => <ProfileProvider>{children}</ProfileProvider>
@@ -125,14 +129,15 @@ describe('ProfileContext', () => {
       expect(result.current.profiles.find(p => p.id === newId)).toBeDefined()
     })
 
-    it('persists to localStorage', () => {
+    it('persists to storage', () => {
       const { result } = renderHook(() => useProfiles(), { wrapper })
 
       act(() => {
         result.current.createProfile('Persistent Profile')
       })
 
-      expect(localStorageMock.setItem).toHaveBeenCalled()
+      const saved = getStorage().read(DOCUMENTS.PROFILES)
+      expect(saved.map(p => p.name)).toContain('Persistent Profile')
     })
   })
 
@@ -264,7 +269,7 @@ describe('ProfileContext', () => {
       expect(result.current.activeProfile.name).toBe('New Active')
     })
 
-    it('persists active profile to localStorage', () => {
+    it('persists active profile to storage', () => {
       const { result } = renderHook(() => useProfiles(), { wrapper })
       let profileId
 
@@ -272,13 +277,11 @@ describe('ProfileContext', () => {
         profileId = result.current.createProfile('Persistent Active')
       })
 
-      vi.clearAllMocks()
-
       act(() => {
         result.current.setActiveProfile(profileId)
       })
 
-      expect(localStorageMock.setItem).toHaveBeenCalled()
+      expect(getStorage().read(DOCUMENTS.ACTIVE_PROFILE)).toBe(profileId)
     })
 
     it('ignores invalid profile id', () => {
@@ -340,8 +343,53 @@ describe('ProfileContext', () => {
     })
   })
 
-  describe('localStorage persistence', () => {
-    it('loads profiles from localStorage on mount', () => {
+  describe('importProfiles', () => {
+    it('adds new profiles and returns their ids', () => {
+      const { result } = renderHook(() => useProfiles(), { wrapper })
+      const imported = createNewProfile('Imported')
+      let ids
+
+      act(() => {
+        ids = result.current.importProfiles([{ profile: imported, replace: false }])
+      })
+
+      expect(ids).toEqual([imported.id])
+      expect(result.current.profiles.find(p => p.id === imported.id).name).toBe('Imported')
+      expect(getStorage().read(DOCUMENTS.PROFILES).map(p => p.id)).toContain(imported.id)
+    })
+
+    it('replaces an existing custom profile', () => {
+      const { result } = renderHook(() => useProfiles(), { wrapper })
+      let id
+
+      act(() => {
+        id = result.current.createProfile('Mine')
+      })
+
+      const existing = result.current.profiles.find(p => p.id === id)
+      act(() => {
+        result.current.importProfiles([{ profile: { ...existing, name: 'From File' }, replace: true }])
+      })
+
+      expect(result.current.profiles).toHaveLength(2)
+      expect(result.current.profiles.find(p => p.id === id).name).toBe('From File')
+    })
+
+    it('never replaces the default profile', () => {
+      const { result } = renderHook(() => useProfiles(), { wrapper })
+      const defaultProfile = result.current.profiles.find(p => p.id === DEFAULT_PROFILE_ID)
+
+      act(() => {
+        result.current.importProfiles([{ profile: { ...defaultProfile, name: 'Hijacked' }, replace: true }])
+      })
+
+      expect(result.current.profiles).toHaveLength(1)
+      expect(result.current.profiles[0].name).toBe(defaultProfile.name)
+    })
+  })
+
+  describe('storage persistence', () => {
+    it('loads profiles imported from legacy localStorage on mount', async () => {
       const savedProfiles = [{
         id: 'saved-profile',
         name: 'Saved Profile',
@@ -357,6 +405,7 @@ describe('ProfileContext', () => {
         }
         return null
       })
+      await getStorage().init()
 
       const { result } = renderHook(() => useProfiles(), { wrapper })
 
@@ -364,7 +413,7 @@ describe('ProfileContext', () => {
       expect(loaded).toBeDefined()
     })
 
-    it('loads active profile id from localStorage on mount', () => {
+    it('loads active profile id imported from legacy localStorage on mount', async () => {
       const savedProfiles = [{
         id: 'my-profile',
         name: 'My Profile',
@@ -383,21 +432,45 @@ describe('ProfileContext', () => {
         }
         return null
       })
+      await getStorage().init()
 
       const { result } = renderHook(() => useProfiles(), { wrapper })
       expect(result.current.activeProfileId).toBe('my-profile')
     })
 
-    it('falls back to default if saved active profile does not exist', () => {
+    it('falls back to default if saved active profile does not exist', async () => {
       localStorageMock.getItem.mockImplementation((key) => {
         if (key === 'combat-reflex-active-profile') {
           return 'deleted-profile-id'
         }
         return null
       })
+      await getStorage().init()
 
       const { result } = renderHook(() => useProfiles(), { wrapper })
       expect(result.current.activeProfileId).toBe(DEFAULT_PROFILE_ID)
     })
+
+    it('picks up profiles saved in another tab without writing them back', async () => {
+      const backend = createMemoryBackend()
+      const channel = { postMessage: vi.fn(), onmessage: null }
+      const storage = createStorage({ backend, legacyStorage: null, channel })
+      await storage.init()
+      setStorage(storage)
+      const { result } = renderHook(() => useProfiles(), { wrapper })
+      const saved = createNewProfile('From Another Tab')
+
+      // Another tab writes the records, then announces them
+      await act(async () => {
+        await backend.set(DOCUMENTS.PROFILES, { version: 2, data: [saved] })
+        await backend.set(DOCUMENTS.ACTIVE_PROFILE, { version: 1, data: saved.id })
+        await channel.onmessage({ data: { name: DOCUMENTS.PROFILES } })
+        await channel.onmessage({ data: { name: DOCUMENTS.ACTIVE_PROFILE } })
+      })
+
+      expect(result.current.profiles.map(p => p.id)).toEqual([DEFAULT_PROFILE_ID, saved.id])
+      expect(result.current.activeProfileId).toBe(saved.id)
+      expect(channel.postMessage).not.toHaveBeenCalled()
+    })
   })
 })
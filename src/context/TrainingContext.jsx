@@ -6,24 +6,36 @@
  */
 
 import React, { createContext, useContext, useReducer, useEffect, useMemo } from 'react';
-import { useLocalStorage } from '../hooks/useLocalStorage';
-import { DIFFICULTIES, TRAINING_MODES, TRAINING_TYPES, DEFAULT_DIFFICULTY } from '../utils/difficultyConfig';
+import { usePersistentState } from '../hooks/usePersistentState';
+import { DOCUMENTS } from '../storage/schema';
+import {
+  DIFFICULTIES,
+  TRAINING_MODES,
+  TRAINING_TYPES,
+  DEFAULT_DIFFICULTY,
+  MAX_SESSIONS,
+  ROUND_TIMER_CUES,
+  DEFAULT_ROUND_TIMER,
+  isValidRoundTimer
+} from '../utils/difficultyConfig';
+import { RESPONSE_METHODS } from '../utils/responseCapture';
+import { TRAINING_PHASES } from '../utils/sessionEngine';
+import { HISTORY_LIMITS, DEFAULT_HISTORY_LIMIT, trimHistory } from '../utils/historyUtils';
+import { VOICE_RATES, DEFAULT_VOICE_SETTINGS } from '../utils/voiceCues';
+import { isValidSeed } from '../utils/random';
+import { ADAPTIVE_TARGET_RATES, DEFAULT_ADAPTIVE_SETTINGS, isValidAdaptiveSettings } from '../utils/adaptiveDifficulty';
+import { DECOY_RATES, DEFAULT_GO_NOGO_SETTINGS, isValidGoNoGoSettings } from '../utils/goNoGo';
+import {
+  POSITION_SETS,
+  CUE_SIZES,
+  CUE_CONTRASTS,
+  DEFAULT_PERIPHERAL_SETTINGS,
+  isValidPeripheralSettings
+} from '../utils/peripheral';
 import { useProfiles } from './ProfileContext';
 
-/**
- * Training phases that represent the state machine states
- * @readonly
- * @enum {string}
- */
-export const TRAINING_PHASES = {
-  IDLE: 'IDLE',               // Not training, ready to start
-  COUNTDOWN: 'COUNTDOWN',     // Initial countdown before training starts
-  TRAINING: 'TRAINING',       // Active training phase
-  MID_REST: 'MID_REST',       // Mid-session rest break
-  SESSION_END: 'SESSION_END', // End of a single session
-  BREAK: 'BREAK',             // Break between sessions
-  COMPLETE: 'COMPLETE'        // All sessions completed
-};
+// Phases are owned by the session engine; re-exported for existing imports
+export { TRAINING_PHASES };
 
 /**
  * @typedef {Object} SessionHistoryEntry
@@ -33,18 +45,51 @@ export const TRAINING_PHASES = {
  * @property {string} difficultyId - Difficulty ID used
  * @property {number} hitsCompleted - Number of hits completed
  * @property {number} totalHits - Total hits for the session
- * @property {number} durationMs - Session duration in milliseconds
- * @property {number} sessionNumber - Which session in the set (1-4)
+ * @property {string} [sessionLength] - What ended the session: 'hits', 'combos' or 'time'
+ * @property {number} [roundDurationMs] - Length of the round in milliseconds (timed rounds)
+ * @property {number} durationMs - Active training time in milliseconds (excludes mid-session rest)
+ * @property {number} [midRestMs] - Time spent in mid-session rests in milliseconds
+ * @property {number[]} [reactionTimes] - Measured reaction times in milliseconds
+ * @property {number} [responses] - Number of cues the athlete responded to
+ * @property {import('../utils/audioScheduler').CueTiming} [timing] - How precisely cues were timed
+ * @property {number} sessionNumber - Which session in the set (1-based)
  * @property {number} totalSessions - Total number of sessions in the set
+ * @property {number} [seed] - Seed of the workout's random numbers (see random.js)
+ * @property {{minInterval: number, maxInterval: number, targetRate: number, cues: number, caught: number}} [adaptive]
+ *   Interval window adapted by the end of the session, its target and the cues caught (adaptive difficulty)
+ * @property {import('../utils/goNoGo').GoNoGoStats} [goNoGo] - Hits, misses, false alarms and correct
+ *   rejections (go/no-go)
+ * @property {Object<string, import('../utils/targetZones').ZoneStats>} [zones] - Cues, hits, wrong
+ *   zones and reaction times by target zone (target zones)
+ * @property {string} [stance] - Stance the session was trained in ('orthodox' or 'southpaw')
+ * @property {Object<string, import('../utils/peripheral').RegionStats>} [regions] - Cues, hits and
+ *   reaction times by screen region (peripheral)
+ * @property {string} [workoutId] - Shared by all sessions of one workout
+ * @property {string} [profileId] - Profile active when the workout started
+ * @property {string} [profileName] - Name of that profile, kept for display
+ * @property {boolean} [stopped] - Whether the session was ended early
  */
 
 /**
  * @typedef {Object} TrainingState
- * @property {string} mode - Current training mode ('punches', 'kicks', 'both')
- * @property {string} trainingType - Current training type ('single', 'combo')
+ * @property {string} mode - Current training mode ('punches', 'kicks', 'both', 'defense', 'mixed')
+ * @property {string} trainingType - Current training type ('single', 'combo', 'rounds', 'gonogo', 'zones',
+ *   'peripheral')
  * @property {Object} difficulty - Current difficulty configuration
- * @property {number} numberOfSessions - Total sessions to complete (1-4)
- * @property {string} phase - Current training phase
+ * @property {number} numberOfSessions - Total sessions (or rounds) to complete (1 to MAX_SESSIONS)
+ * @property {{workDuration: number, restDuration: number, cues: string}} roundTimer - Round timer
+ *   work and rest lengths (ms) and cues during work
+ * @property {string} responseMethod - Reaction capture method ('off', 'touch', 'microphone')
+ * @property {import('../utils/adaptiveDifficulty').AdaptiveSettings} adaptive - Adaptive difficulty
+ *   settings; only used with response capture
+ * @property {import('../utils/goNoGo').GoNoGoSettings} goNoGo - Share of decoys in go/no-go workouts
+ * @property {import('../utils/peripheral').PeripheralSettings} peripheral - Positions, size and
+ *   contrast of peripheral cues
+ * @property {number|null} seed - Seed for the next workouts, or null for a new seed each time
+ *   (not persisted)
+ * @property {number|null} historyLimit - Workouts kept in history, or null for all
+ * @property {import('../utils/voiceCues').VoiceSettings} voice - Voice callout settings
+ * @property {string} phase - Current training phase (mirrored from the session engine)
  * @property {number} currentSession - Current session number (1-based)
  * @property {number} hitsCompleted - Hits completed in current session
  * @property {number} combosCompleted - Combos completed in current session (combo mode only)
@@ -56,13 +101,15 @@ const ACTIONS = {
   SET_TRAINING_TYPE: 'SET_TRAINING_TYPE',
   SET_DIFFICULTY: 'SET_DIFFICULTY',
   SET_NUMBER_OF_SESSIONS: 'SET_NUMBER_OF_SESSIONS',
-  SET_PHASE: 'SET_PHASE',
-  INCREMENT_SESSION: 'INCREMENT_SESSION',
-  SET_HITS_COMPLETED: 'SET_HITS_COMPLETED',
-  INCREMENT_HITS: 'INCREMENT_HITS',
-  INCREMENT_COMBOS: 'INCREMENT_COMBOS',
-  RESET_SESSION: 'RESET_SESSION',
-  RESET_ALL: 'RESET_ALL'
+  SET_ROUND_TIMER: 'SET_ROUND_TIMER',
+  SET_RESPONSE_METHOD: 'SET_RESPONSE_METHOD',
+  SET_ADAPTIVE_SETTINGS: 'SET_ADAPTIVE_SETTINGS',
+  SET_GO_NOGO_SETTINGS: 'SET_GO_NOGO_SETTINGS',
+  SET_PERIPHERAL_SETTINGS: 'SET_PERIPHERAL_SETTINGS',
+  SET_SEED: 'SET_SEED',
+  SET_HISTORY_LIMIT: 'SET_HISTORY_LIMIT',
+  SET_VOICE_SETTINGS: 'SET_VOICE_SETTINGS',
+  SYNC_SESSION: 'SYNC_SESSION'
 };
 
 /**
@@ -73,6 +120,14 @@ const initialState = {
   trainingType: TRAINING_TYPES[0], // 'single' by default
   difficulty: DEFAULT_DIFFICULTY,
   numberOfSessions: 2,
+  roundTimer: DEFAULT_ROUND_TIMER,
+  responseMethod: RESPONSE_METHODS[0], // 'off' by default
+  adaptive: DEFAULT_ADAPTIVE_SETTINGS,
+  goNoGo: DEFAULT_GO_NOGO_SETTINGS,
+  peripheral: DEFAULT_PERIPHERAL_SETTINGS,
+  seed: null, // a new seed for every workout
+  historyLimit: DEFAULT_HISTORY_LIMIT,
+  voice: DEFAULT_VOICE_SETTINGS,
   phase: TRAINING_PHASES.IDLE,
   currentSession: 1,
   hitsCompleted: 0,
@@ -115,39 +170,87 @@ function trainingReducer(state, action) {
       return { ...state, difficulty };
 
     case ACTIONS.SET_NUMBER_OF_SESSIONS:
-      const sessions = Math.min(4, Math.max(1, action.payload));
+      if (!Number.isFinite(action.payload)) {
+        console.warn(`Invalid number of sessions: ${action.payload}`);
+        return state;
+      }
+      const sessions = Math.min(MAX_SESSIONS, Math.max(1, Math.round(action.payload)));
       return { ...state, numberOfSessions: sessions };
 
-    case ACTIONS.SET_PHASE:
-      if (!Object.values(TRAINING_PHASES).includes(action.payload)) {
-        console.warn(`Invalid training phase: ${action.payload}`);
+    case ACTIONS.SET_ROUND_TIMER: {
+      const roundTimer = { ...state.roundTimer, ...action.payload };
+      if (!isValidRoundTimer(roundTimer)) {
+        console.warn(`Invalid round timer settings: ${JSON.stringify(action.payload)}`);
         return state;
       }
-      return { ...state, phase: action.payload };
+      return { ...state, roundTimer };
+    }
 
-    case ACTIONS.INCREMENT_SESSION:
-      return { ...state, currentSession: state.currentSession + 1 };
+    case ACTIONS.SET_RESPONSE_METHOD:
+      if (!RESPONSE_METHODS.includes(action.payload)) {
+        console.warn(`Invalid response method: ${action.payload}`);
+        return state;
+      }
+      return { ...state, responseMethod: action.payload };
 
-    case ACTIONS.SET_HITS_COMPLETED:
-      return { ...state, hitsCompleted: action.payload };
+    case ACTIONS.SET_ADAPTIVE_SETTINGS: {
+      const adaptive = { ...state.adaptive, ...action.payload };
+      if (!isValidAdaptiveSettings(adaptive)) {
+        console.warn(`Invalid adaptive difficulty settings: ${JSON.stringify(action.payload)}`);
+        return state;
+      }
+      return { ...state, adaptive };
+    }
 
-    case ACTIONS.INCREMENT_HITS:
-      return { ...state, hitsCompleted: state.hitsCompleted + 1 };
+    case ACTIONS.SET_GO_NOGO_SETTINGS: {
+      const goNoGo = { ...state.goNoGo, ...action.payload };
+      if (!isValidGoNoGoSettings(goNoGo)) {
+        console.warn(`Invalid go/no-go settings: ${JSON.stringify(action.payload)}`);
+        return state;
+      }
+      return { ...state, goNoGo };
+    }
 
-    case ACTIONS.INCREMENT_COMBOS:
-      return { ...state, combosCompleted: state.combosCompleted + 1 };
+    case ACTIONS.SET_PERIPHERAL_SETTINGS: {
+      const peripheral = { ...state.peripheral, ...action.payload };
+      if (!isValidPeripheralSettings(peripheral)) {
+        console.warn(`Invalid peripheral settings: ${JSON.stringify(action.payload)}`);
+        return state;
+      }
+      return { ...state, peripheral };
+    }
 
-    case ACTIONS.RESET_SESSION:
-      return { ...state, hitsCompleted: 0, combosCompleted: 0 };
+    case ACTIONS.SET_SEED:
+      if (action.payload !== null && !isValidSeed(action.payload)) {
+        console.warn(`Invalid seed: ${action.payload}`);
+        return state;
+      }
+      return { ...state, seed: action.payload };
 
-    case ACTIONS.RESET_ALL:
-      return {
-        ...state,
-        phase: TRAINING_PHASES.IDLE,
-        currentSession: 1,
-        hitsCompleted: 0,
-        combosCompleted: 0
-      };
+    case ACTIONS.SET_HISTORY_LIMIT:
+      if (!HISTORY_LIMITS.includes(action.payload)) {
+        console.warn(`Invalid history limit: ${action.payload}`);
+        return state;
+      }
+      return { ...state, historyLimit: action.payload };
+
+    case ACTIONS.SET_VOICE_SETTINGS: {
+      const voice = { ...state.voice, ...action.payload };
+      if (typeof voice.enabled !== 'boolean' || !VOICE_RATES.includes(voice.rate)) {
+        console.warn(`Invalid voice settings: ${JSON.stringify(action.payload)}`);
+        return state;
+      }
+      return { ...state, voice };
+    }
+
+    case ACTIONS.SYNC_SESSION: {
+      const { phase, currentSession, hitsCompleted, combosCompleted } = action.payload;
+      if (!Object.values(TRAINING_PHASES).includes(phase)) {
+        console.warn(`Invalid training phase: ${phase}`);
+        return state;
+      }
+      return { ...state, phase, currentSession, hitsCompleted, combosCompleted };
+    }
 
     default:
       console.warn(`Unknown action type: ${action.type}`);
@@ -158,11 +261,6 @@ function trainingReducer(state, action) {
 // Create the context
 const TrainingContext = createContext(null);
 
-/**
- * Maximum number of session history entries to store
- */
-const MAX_HISTORY_ENTRIES = 10;
-
 /**
  * TrainingProvider component
  * Wraps the application and provides training state to all children
@@ -174,20 +272,27 @@ export function TrainingProvider({ children }) {
   const [state, dispatch] = useReducer(trainingReducer, initialState);
   const { getEffectiveSettings, getEffectiveComboSettings, activeProfileId } = useProfiles();
 
-  // Persist session history in localStorage
-  const [sessionHistory, setSessionHistory] = useLocalStorage(
-    'combat-reflex-session-history',
+  // Persist session history in storage
+  const [sessionHistory, setSessionHistory] = usePersistentState(
+    DOCUMENTS.HISTORY,
     []
   );
 
-  // Persist user preferences in localStorage
-  const [preferences, setPreferences] = useLocalStorage(
-    'combat-reflex-preferences',
+  // Persist user preferences in storage
+  const [preferences, setPreferences] = usePersistentState(
+    DOCUMENTS.PREFERENCES,
     {
       mode: initialState.mode,
       trainingType: initialState.trainingType,
       difficultyId: initialState.difficulty.id,
-      numberOfSessions: initialState.numberOfSessions
+      numberOfSessions: initialState.numberOfSessions,
+      roundTimer: initialState.roundTimer,
+      responseMethod: initialState.responseMethod,
+      adaptive: initialState.adaptive,
+      goNoGo: initialState.goNoGo,
+      peripheral: initialState.peripheral,
+      historyLimit: initialState.historyLimit,
+      voice: initialState.voice
     }
   );
 
@@ -205,6 +310,27 @@ export function TrainingProvider({ children }) {
     if (preferences.numberOfSessions) {
       dispatch({ type: ACTIONS.SET_NUMBER_OF_SESSIONS, payload: preferences.numberOfSessions });
     }
+    if (preferences.roundTimer) {
+      dispatch({ type: ACTIONS.SET_ROUND_TIMER, payload: preferences.roundTimer });
+    }
+    if (preferences.responseMethod) {
+      dispatch({ type: ACTIONS.SET_RESPONSE_METHOD, payload: preferences.responseMethod });
+    }
+    if (preferences.adaptive) {
+      dispatch({ type: ACTIONS.SET_ADAPTIVE_SETTINGS, payload: preferences.adaptive });
+    }
+    if (preferences.goNoGo) {
+      dispatch({ type: ACTIONS.SET_GO_NOGO_SETTINGS, payload: preferences.goNoGo });
+    }
+    if (preferences.peripheral) {
+      dispatch({ type: ACTIONS.SET_PERIPHERAL_SETTINGS, payload: preferences.peripheral });
+    }
+    if (preferences.historyLimit !== undefined) {
+      dispatch({ type: ACTIONS.SET_HISTORY_LIMIT, payload: preferences.historyLimit });
+    }
+    if (preferences.voice) {
+      dispatch({ type: ACTIONS.SET_VOICE_SETTINGS, payload: preferences.voice });
+    }
   }, []); // Only run on mount
 
   // Action creators
@@ -220,7 +346,7 @@ export function TrainingProvider({ children }) {
 
     /**
      * Set the training type
-     * @param {string} trainingType - 'single' or 'combo'
+     * @param {string} trainingType - 'single', 'combo' or 'rounds'
      */
     setTrainingType: (trainingType) => {
       dispatch({ type: ACTIONS.SET_TRAINING_TYPE, payload: trainingType });
@@ -244,67 +370,149 @@ export function TrainingProvider({ children }) {
     },
 
     /**
-     * Set the number of sessions (1-4)
+     * Set the number of sessions, or rounds of the round timer (1 to MAX_SESSIONS)
      * @param {number} count - Number of sessions
      */
     setNumberOfSessions: (count) => {
       dispatch({ type: ACTIONS.SET_NUMBER_OF_SESSIONS, payload: count });
-      setPreferences(prev => ({ ...prev, numberOfSessions: count }));
+      setPreferences(prev => ({ ...prev, numberOfSessions: Math.min(MAX_SESSIONS, Math.max(1, count)) }));
     },
 
     /**
-     * Set the current training phase
-     * @param {string} phase - Training phase from TRAINING_PHASES
+     * Change round timer settings
+     * @param {Partial<{workDuration: number, restDuration: number, cues: string}>} changes - Settings to change
      */
-    setPhase: (phase) => {
-      dispatch({ type: ACTIONS.SET_PHASE, payload: phase });
+    setRoundTimer: (changes) => {
+      dispatch({ type: ACTIONS.SET_ROUND_TIMER, payload: changes });
+      setPreferences(prev => {
+        const roundTimer = { ...DEFAULT_ROUND_TIMER, ...prev.roundTimer, ...changes };
+        return isValidRoundTimer(roundTimer) ? { ...prev, roundTimer } : prev;
+      });
     },
 
     /**
-     * Move to the next session
+     * Apply a whole workout setup at once, e.g. from a share link
+     * @param {import('../utils/shareLink').WorkoutConfig} workout - Workout setup
      */
-    incrementSession: () => {
-      dispatch({ type: ACTIONS.INCREMENT_SESSION });
+    applyWorkout: (workout) => {
+      const { mode, trainingType, difficultyId, numberOfSessions, roundTimer, goNoGo, peripheral, seed } = workout;
+      dispatch({ type: ACTIONS.SET_MODE, payload: mode });
+      dispatch({ type: ACTIONS.SET_TRAINING_TYPE, payload: trainingType });
+      dispatch({ type: ACTIONS.SET_DIFFICULTY, payload: getEffectiveSettings(difficultyId) || difficultyId });
+      dispatch({ type: ACTIONS.SET_NUMBER_OF_SESSIONS, payload: numberOfSessions });
+      if (roundTimer) {
+        dispatch({ type: ACTIONS.SET_ROUND_TIMER, payload: roundTimer });
+      }
+      if (goNoGo) {
+        dispatch({ type: ACTIONS.SET_GO_NOGO_SETTINGS, payload: goNoGo });
+      }
+      if (peripheral) {
+        dispatch({ type: ACTIONS.SET_PERIPHERAL_SETTINGS, payload: peripheral });
+      }
+      if (seed !== undefined) {
+        dispatch({ type: ACTIONS.SET_SEED, payload: seed });
+      }
+      setPreferences(prev => ({
+        ...prev,
+        mode,
+        trainingType,
+        difficultyId,
+        numberOfSessions,
+        ...(roundTimer && { roundTimer }),
+        ...(goNoGo && { goNoGo }),
+        ...(peripheral && { peripheral })
+      }));
     },
 
     /**
-     * Set the number of hits completed
-     * @param {number} hits - Number of hits
+     * Set the reaction capture method
+     * @param {string} responseMethod - 'off', 'touch', or 'microphone'
      */
-    setHitsCompleted: (hits) => {
-      dispatch({ type: ACTIONS.SET_HITS_COMPLETED, payload: hits });
+    setResponseMethod: (responseMethod) => {
+      dispatch({ type: ACTIONS.SET_RESPONSE_METHOD, payload: responseMethod });
+      setPreferences(prev => ({ ...prev, responseMethod }));
     },
 
     /**
-     * Increment the hit counter by 1
+     * Change adaptive difficulty settings
+     * @param {Partial<import('../utils/adaptiveDifficulty').AdaptiveSettings>} changes - Settings to change
      */
-    incrementHits: () => {
-      dispatch({ type: ACTIONS.INCREMENT_HITS });
+    setAdaptiveSettings: (changes) => {
+      dispatch({ type: ACTIONS.SET_ADAPTIVE_SETTINGS, payload: changes });
+      setPreferences(prev => {
+        const adaptive = { ...DEFAULT_ADAPTIVE_SETTINGS, ...prev.adaptive, ...changes };
+        return isValidAdaptiveSettings(adaptive) ? { ...prev, adaptive } : prev;
+      });
     },
 
     /**
-     * Increment the combo counter by 1
+     * Change go/no-go settings
+     * @param {Partial<import('../utils/goNoGo').GoNoGoSettings>} changes - Settings to change
      */
-    incrementCombos: () => {
-      dispatch({ type: ACTIONS.INCREMENT_COMBOS });
+    setGoNoGoSettings: (changes) => {
+      dispatch({ type: ACTIONS.SET_GO_NOGO_SETTINGS, payload: changes });
+      setPreferences(prev => {
+        const goNoGo = { ...DEFAULT_GO_NOGO_SETTINGS, ...prev.goNoGo, ...changes };
+        return isValidGoNoGoSettings(goNoGo) ? { ...prev, goNoGo } : prev;
+      });
+    },
+
+    /**
+     * Change peripheral cue settings
+     * @param {Partial<import('../utils/peripheral').PeripheralSettings>} changes - Settings to change
+     */
+    setPeripheralSettings: (changes) => {
+      dispatch({ type: ACTIONS.SET_PERIPHERAL_SETTINGS, payload: changes });
+      setPreferences(prev => {
+        const peripheral = { ...DEFAULT_PERIPHERAL_SETTINGS, ...prev.peripheral, ...changes };
+        return isValidPeripheralSettings(peripheral) ? { ...prev, peripheral } : prev;
+      });
+    },
+
+    /**
+     * Fix the seed of the next workouts, so they replay the same cues
+     * @param {number|null} seed - Seed, or null for a new seed each workout
+     */
+    setSeed: (seed) => {
+      dispatch({ type: ACTIONS.SET_SEED, payload: seed });
+    },
+
+    /**
+     * Set how many workouts to keep in history
+     * Older workouts are removed straight away when the limit shrinks.
+     * @param {number|null} historyLimit - One of HISTORY_LIMITS; null keeps everything
+     */
+    setHistoryLimit: (historyLimit) => {
+      if (!HISTORY_LIMITS.includes(historyLimit)) {
+        console.warn(`Invalid history limit: ${historyLimit}`);
+        return;
+      }
+      dispatch({ type: ACTIONS.SET_HISTORY_LIMIT, payload: historyLimit });
+      setPreferences(prev => ({ ...prev, historyLimit }));
+      setSessionHistory(prev => trimHistory(prev, historyLimit));
     },
 
     /**
-     * Reset the current session (keep settings)
+     * Change voice callout settings
+     * @param {Partial<import('../utils/voiceCues').VoiceSettings>} changes - Settings to change
      */
-    resetSession: () => {
-      dispatch({ type: ACTIONS.RESET_SESSION });
+    setVoiceSettings: (changes) => {
+      dispatch({ type: ACTIONS.SET_VOICE_SETTINGS, payload: changes });
+      setPreferences(prev => ({ ...prev, voice: { ...DEFAULT_VOICE_SETTINGS, ...prev.voice, ...changes } }));
     },
 
     /**
-     * Reset all training state (keep settings)
+     * Mirror the session engine's progress into the context
+     * Called by useTrainingSession; the engine is the source of truth.
+     * @param {{phase: string, currentSession: number, hitsCompleted: number, combosCompleted: number}} session
      */
-    resetAll: () => {
-      dispatch({ type: ACTIONS.RESET_ALL });
+    syncSession: (session) => {
+      dispatch({ type: ACTIONS.SYNC_SESSION, payload: session });
     },
 
     /**
      * Add a session to history
+     * History keeps whole workouts, up to the configured history limit.
      * @param {SessionHistoryEntry} entry - Session data to record
      */
     addToHistory: (entry) => {
@@ -316,8 +524,8 @@ export function TrainingProvider({ children }) {
             timestamp: new Date().toISOString()
           },
           ...prev
-        ].slice(0, MAX_HISTORY_ENTRIES);
-        return newHistory;
+        ];
+        return trimHistory(newHistory, state.historyLimit);
       });
     },
 
@@ -327,7 +535,7 @@ export function TrainingProvider({ children }) {
     clearHistory: () => {
       setSessionHistory([]);
     }
-  }), [setPreferences, setSessionHistory, getEffectiveSettings]);
+  }), [setPreferences, setSessionHistory, getEffectiveSettings, state.historyLimit]);
 
   // Refresh difficulty settings when active profile changes
   useEffect(() => {
@@ -349,7 +557,16 @@ export function TrainingProvider({ children }) {
     TRAINING_PHASES,
     TRAINING_MODES,
     TRAINING_TYPES,
+    ROUND_TIMER_CUES,
+    MAX_SESSIONS,
     DIFFICULTIES,
+    RESPONSE_METHODS,
+    ADAPTIVE_TARGET_RATES,
+    DECOY_RATES,
+    POSITION_SETS,
+    CUE_SIZES,
+    CUE_CONTRASTS,
+    HISTORY_LIMITS,
 
     // Profile functions for accessing effective settings
     getEffectiveSettings,
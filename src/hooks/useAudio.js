@@ -4,6 +4,13 @@
  * Provides a React-friendly interface to the audio synthesizer.
  * Handles AudioContext initialization, browser autoplay restrictions,
  * and cleanup on component unmount.
+ *
+ * With voice callouts turned on, cues are spoken (utils/voiceCues.js)
+ * instead of played as tones, as long as the browser supports speech.
+ *
+ * Cue tones given an onset are scheduled on the AudioContext clock
+ * (utils/audioScheduler.js) rather than played immediately. Cues given a
+ * side are panned towards it (utils/stance.js) and called with it.
  */
 
 import { useState, useCallback, useEffect, useRef } from 'react';
@@ -12,22 +19,59 @@ import {
   resumeAudioContext,
   playPunchSound,
   playKickSound,
+  playTechniqueSound,
+  playDecoySound,
+  playZoneSound,
   playSessionStartSound,
   playSessionEndSound,
   playWarningSound,
+  playClapperSound,
+  playBellSound,
   playCountdownSound
 } from '../utils/audioSynthesizer';
+import { createAudioScheduler } from '../utils/audioScheduler';
+import { SIDE_PAN } from '../utils/stance';
+import {
+  createSpeaker,
+  isSpeechSupported,
+  getTechniqueCallout,
+  getDecoyCallout,
+  getZoneCallout,
+  getComboCallout,
+  getCountdownCallout,
+  getRestCallout,
+  getLastSecondsCallout,
+  DEFAULT_VOICE_SETTINGS
+} from '../utils/voiceCues';
+
+/**
+ * Gap between a technique's tone and its target zone's tone (ms)
+ * @type {number}
+ */
+const ZONE_TONE_DELAY_MS = 250;
 
 /**
  * Custom hook for managing audio in the Combat Reflex app
  *
+ * @param {Object} [options]
+ * @param {import('../utils/voiceCues').VoiceSettings} [options.voice] - Voice callout settings
  * @returns {Object} Audio control interface
  * @returns {Function} returns.playPunch - Plays the punch cue sound
  * @returns {Function} returns.playKick - Plays the kick cue sound
+ * @returns {Function} returns.playTechnique - Plays the cue sound for a named technique
+ * @returns {Function} returns.playDecoy - Plays the cue sound for a go/no-go decoy
+ * @returns {Function} returns.playZoneCue - Plays the cue sound for a technique sent to a target zone
+ * @returns {Function} returns.playCombo - Announces a whole combo (voice only)
+ * @returns {Function} returns.playComboStrike - Plays one strike of an announced combo (tones only)
  * @returns {Function} returns.playSessionStart - Plays the session start sound
  * @returns {Function} returns.playSessionEnd - Plays the session end sound
- * @returns {Function} returns.playWarning - Plays the 5-second warning sound
+ * @returns {Function} returns.playWarning - Plays the "last seconds" warning sound
+ * @returns {Function} returns.playClapper - Plays the clapper before a timed round ends
+ * @returns {Function} returns.playBell - Rings the bell that starts or ends a timed round
  * @returns {Function} returns.playCountdown - Plays the countdown tick sound
+ * @returns {Function} returns.playRest - Announces a rest and its length (voice only)
+ * @returns {Function} returns.stopVoice - Stops any callout being spoken
+ * @returns {Function} returns.cancelCues - Silences cue tones scheduled but not yet heard
  * @returns {Function} returns.initAudio - Initializes audio (call on user interaction)
  * @returns {boolean} returns.isReady - Whether audio is ready to play
  *
@@ -45,13 +89,33 @@ import {
  *   if (isReady) playPunch();
  * };
  */
-export function useAudio() {
-  // Track the AudioContext instance
+export function useAudio({ voice = DEFAULT_VOICE_SETTINGS } = {}) {
+  // Track the AudioContext instance and the scheduler playing cues on its clock
   const audioContextRef = useRef(null);
+  const schedulerRef = useRef(null);
 
   // Track whether audio is initialized and ready
   const [isReady, setIsReady] = useState(false);
 
+  // Speech synthesis for voice callouts
+  const [speaker] = useState(() => createSpeaker());
+  const voiceActive = voice.enabled && isSpeechSupported();
+
+  useEffect(() => {
+    speaker.configure(voice);
+  }, [speaker, voice]);
+
+  // Stop talking when the app unmounts
+  useEffect(() => () => speaker.cancel(), [speaker]);
+
+  /**
+   * Speak a callout if voice callouts are active
+   * @returns {boolean} Whether it was spoken (if not, play a tone instead)
+   */
+  const speakCallout = useCallback((text, options) => (
+    voiceActive && speaker.speak(text, options)
+  ), [speaker, voiceActive]);
+
   /**
    * Initialize the AudioContext
    * Must be called from a user interaction event handler (click, touch, etc.)
@@ -62,6 +126,12 @@ export function useAudio() {
       // Create context if it doesn't exist
       if (!audioContextRef.current) {
         audioContextRef.current = createAudioContext();
+        schedulerRef.current = createAudioScheduler({ audioContext: audioContextRef.current });
+      }
+
+      // Speech must also be started from a user gesture on some browsers
+      if (voiceActive) {
+        speaker.unlock();
       }
 
       // Resume context if suspended (browsers suspend until user interaction)
@@ -77,7 +147,7 @@ export function useAudio() {
       console.error('Failed to initialize audio:', error);
       return false;
     }
-  }, []);
+  }, [speaker, voiceActive]);
 
   /**
    * Play the punch cue sound
@@ -99,45 +169,184 @@ export function useAudio() {
     }
   }, [isReady]);
 
+  /**
+   * Play a technique's tone, at onset if given
+   * @param {string} techniqueId - Technique ID from the technique catalog
+   * @param {number} [onset] - When to play, on the performance.now() clock
+   * @param {string|null} [side=null] - Side to pan the tone to
+   */
+  const playTechniqueTone = useCallback((techniqueId, onset, side = null) => {
+    const audioContext = audioContextRef.current;
+    if (!audioContext || !isReady) return;
+    const pan = SIDE_PAN[side] ?? null;
+    if (onset === undefined) {
+      playTechniqueSound(audioContext, techniqueId, undefined, pan);
+    } else {
+      schedulerRef.current.schedule(onset, startTime => playTechniqueSound(audioContext, techniqueId, startTime, pan));
+    }
+  }, [isReady]);
+
+  /**
+   * Play the cue sound for a named technique
+   * Spoken by name when voice callouts are on. Speech cannot be scheduled,
+   * so it starts right away; its own start-up delay roughly covers the lookahead.
+   * @param {string} techniqueId - Technique ID from the technique catalog
+   * @param {number} [onset] - When the cue is due, on the performance.now() clock
+   * @param {string|null} [side=null] - Side it is thrown from ('left' or 'right')
+   */
+  const playTechnique = useCallback((techniqueId, onset, side = null) => {
+    if (speakCallout(getTechniqueCallout(techniqueId, side))) return;
+    playTechniqueTone(techniqueId, onset, side);
+  }, [speakCallout, playTechniqueTone]);
+
+  /**
+   * Play the cue sound for a go/no-go decoy: "Hold", or a low buzz
+   * @param {number} [onset] - When the cue is due, on the performance.now() clock
+   */
+  const playDecoy = useCallback((onset) => {
+    if (speakCallout(getDecoyCallout())) return;
+    const audioContext = audioContextRef.current;
+    if (!audioContext || !isReady) return;
+    if (onset === undefined) {
+      playDecoySound(audioContext);
+    } else {
+      schedulerRef.current.schedule(onset, startTime => playDecoySound(audioContext, startTime));
+    }
+  }, [speakCallout, isReady]);
+
+  /**
+   * Play the cue sound for a technique sent to a target zone: e.g. "Jab, head",
+   * or the technique's tone followed by the zone's tone
+   * @param {string} techniqueId - Technique ID from the technique catalog
+   * @param {string} zoneId - Target zone ID
+   * @param {number} [onset] - When the cue is due, on the performance.now() clock
+   * @param {string|null} [side=null] - Side it is thrown from ('left' or 'right')
+   */
+  const playZoneCue = useCallback((techniqueId, zoneId, onset, side = null) => {
+    if (speakCallout(getZoneCallout(techniqueId, zoneId, side))) return;
+    playTechniqueTone(techniqueId, onset, side);
+    const audioContext = audioContextRef.current;
+    if (!audioContext || !isReady) return;
+    // Far enough behind the technique's tone to be heard on its own
+    schedulerRef.current.schedule(
+      (onset ?? performance.now()) + ZONE_TONE_DELAY_MS,
+      startTime => playZoneSound(audioContext, zoneId, startTime, SIDE_PAN[side] ?? null)
+    );
+  }, [speakCallout, playTechniqueTone, isReady]);
+
+  /**
+   * Announce a whole combo before its first strike, e.g. "one-two-three"
+   * Tones have no announcement; each strike plays its own tone instead.
+   * @param {string[]} techniqueIds - Techniques in strike order
+   * @param {(string|null)[]} [sides=[]] - Side each strike is thrown from
+   */
+  const playCombo = useCallback((techniqueIds, sides = []) => {
+    speakCallout(getComboCallout(techniqueIds, sides));
+  }, [speakCallout]);
+
+  /**
+   * Play one strike of a combo
+   * Silent with voice callouts, which announced the combo already
+   * @param {string} techniqueId - Technique ID from the technique catalog
+   * @param {number} [onset] - When the strike is due, on the performance.now() clock
+   * @param {string|null} [side=null] - Side it is thrown from ('left' or 'right')
+   */
+  const playComboStrike = useCallback((techniqueId, onset, side = null) => {
+    if (voiceActive) return;
+    playTechniqueTone(techniqueId, onset, side);
+  }, [voiceActive, playTechniqueTone]);
+
   /**
    * Play the session start sound
-   * Two ascending tones to signal beginning
+   * Two ascending tones to signal beginning, or "Go"
    */
   const playSessionStart = useCallback(() => {
+    if (speakCallout('Go')) return;
     if (audioContextRef.current && isReady) {
       playSessionStartSound(audioContextRef.current);
     }
-  }, [isReady]);
+  }, [isReady, speakCallout]);
 
   /**
    * Play the session end sound
-   * Two descending tones to signal completion
+   * Two descending tones to signal completion, or "Time"
    */
   const playSessionEnd = useCallback(() => {
+    if (speakCallout('Time')) return;
     if (audioContextRef.current && isReady) {
       playSessionEndSound(audioContextRef.current);
     }
-  }, [isReady]);
+  }, [isReady, speakCallout]);
 
   /**
-   * Play the 5-second warning sound
-   * Three quick beeps to alert approaching end
+   * Play the warning sound before a rest ends
+   * Three quick beeps to alert approaching end, or "Last 5 seconds"
+   * @param {number} [seconds=5] - Seconds left
    */
-  const playWarning = useCallback(() => {
+  const playWarning = useCallback((seconds = 5) => {
+    if (speakCallout(getLastSecondsCallout(seconds))) return;
     if (audioContextRef.current && isReady) {
       playWarningSound(audioContextRef.current);
     }
+  }, [isReady, speakCallout]);
+
+  /**
+   * Play the clapper before a timed round ends
+   * Two sharp clacks, or "Last 10 seconds"
+   * @param {number} seconds - Seconds left in the round
+   */
+  const playClapper = useCallback((seconds) => {
+    if (speakCallout(getLastSecondsCallout(seconds))) return;
+    if (audioContextRef.current && isReady) {
+      playClapperSound(audioContextRef.current);
+    }
+  }, [isReady, speakCallout]);
+
+  /**
+   * Ring the boxing bell
+   * Always a tone, even with voice callouts: the bell is the signal fighters train to
+   * @param {number} [strikes=1] - One to start a round, three to end it
+   */
+  const playBell = useCallback((strikes = 1) => {
+    if (audioContextRef.current && isReady) {
+      playBellSound(audioContextRef.current, strikes);
+    }
   }, [isReady]);
 
   /**
    * Play the countdown tick sound
-   * Short beep for countdown (3, 2, 1)
+   * Short beep for countdown (3, 2, 1), or the number spoken
+   * @param {number} [value] - Countdown value being shown
    */
-  const playCountdown = useCallback(() => {
+  const playCountdown = useCallback((value) => {
+    if (value !== undefined && speakCallout(getCountdownCallout(value))) return;
     if (audioContextRef.current && isReady) {
       playCountdownSound(audioContextRef.current);
     }
-  }, [isReady]);
+  }, [isReady, speakCallout]);
+
+  /**
+   * Announce a rest and its length (voice only)
+   * Queued so it follows the end-of-session callout rather than cutting it off
+   * @param {number} seconds - Length of the rest
+   */
+  const playRest = useCallback((seconds) => {
+    speakCallout(getRestCallout(seconds), { queue: true });
+  }, [speakCallout]);
+
+  /**
+   * Stop any callout being spoken
+   */
+  const stopVoice = useCallback(() => {
+    speaker.cancel();
+  }, [speaker]);
+
+  /**
+   * Silence cue tones scheduled but not yet heard (e.g. on pause)
+   */
+  const cancelCues = useCallback(() => {
+    schedulerRef.current?.cancelAll();
+  }, []);
 
   /**
    * Cleanup on unmount
@@ -145,6 +354,8 @@ export function useAudio() {
    */
   useEffect(() => {
     return () => {
+      schedulerRef.current?.cancelAll();
+      schedulerRef.current = null;
       if (audioContextRef.current) {
         // Close the context to release audio resources
         audioContextRef.current.close().catch((error) => {
@@ -177,10 +388,20 @@ export function useAudio() {
   return {
     playPunch,
     playKick,
+    playTechnique,
+    playDecoy,
+    playZoneCue,
+    playCombo,
+    playComboStrike,
     playSessionStart,
     playSessionEnd,
     playWarning,
+    playClapper,
+    playBell,
     playCountdown,
+    playRest,
+    stopVoice,
+    cancelCues,
     initAudio,
     isReady
   };
@@ -0,0 +1,54 @@
+/**
+ * Combat Reflex - useCueReveal Hook
+ *
+ * The session engine hands out cues slightly before they are due so their
+ * sound can be scheduled on the audio clock. This hook keeps the cue off
+ * screen until the first animation frame at its onset, so the flash lands
+ * with the sound instead of with the timer that announced it.
+ */
+
+import { useState, useEffect } from 'react';
+
+const performanceNow = () => performance.now();
+
+/**
+ * Custom hook that reveals a cue at its onset
+ *
+ * @param {string|null} action - Technique ID of the current cue, or null
+ * @param {number|null} onset - When the cue is due, on the engine clock
+ * @param {() => number} [now=performance.now] - Engine clock
+ * @returns {string|null} Technique ID to display; the previous cue stays up until the next is due
+ *
+ * @example
+ * const shownAction = useCueReveal(currentAction, cueOnset);
+ */
+export function useCueReveal(action, onset, now = performanceNow) {
+  // The last cue whose onset has been reached
+  const [revealed, setRevealed] = useState({ action: null, onset: null });
+
+  // Forget a cleared cue right away, so the next one waits on "Get Ready..."
+  if (action === null && revealed.action !== null) {
+    setRevealed({ action: null, onset: null });
+  }
+
+  useEffect(() => {
+    if (action === null || onset === null) return undefined;
+
+    let frame;
+    const check = () => {
+      if (now() >= onset) {
+        setRevealed({ action, onset });
+      } else {
+        frame = requestAnimationFrame(check);
+      }
+    };
+    frame = requestAnimationFrame(check);
+    return () => cancelAnimationFrame(frame);
+  }, [action, onset, now]);
+
+  if (action === null) return null;
+  if (onset === null || revealed.onset === onset) return action;
+  return revealed.action;
+}
+
+export default useCueReveal;
@@ -0,0 +1,45 @@
+/**
+ * Combat Reflex - usePersistentState Hook
+ *
+ * useState backed by a document in the app storage (storage/storage.js).
+ * State starts from the cached document, every update is written back, and
+ * changes made in other tabs are picked up.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { getStorage } from '../storage/storage';
+
+/**
+ * Custom hook for state persisted as a storage document
+ *
+ * @template T
+ * @param {string} name - Document name (see DOCUMENTS in storage/schema)
+ * @param {T} initialValue - Value to use if the document was never saved
+ * @returns {[T, (value: T | ((prev: T) => T)) => void]} Tuple of [value, setValue]
+ *
+ * @example
+ * const [history, setHistory] = usePersistentState(DOCUMENTS.HISTORY, []);
+ */
+export function usePersistentState(name, initialValue) {
+  const storage = getStorage();
+  const [value, setValue] = useState(() => storage.read(name) ?? initialValue);
+
+  // Pick up writes from other tabs; these are not written back
+  useEffect(() => storage.subscribe(name, (data) => {
+    if (data !== undefined) {
+      setValue(data);
+    }
+  }), [storage, name]);
+
+  const setPersistentValue = useCallback((update) => {
+    setValue(prev => {
+      const next = update instanceof Function ? update(prev) : update;
+      storage.write(name, next);
+      return next;
+    });
+  }, [storage, name]);
+
+  return [value, setPersistentValue];
+}
+
+export default usePersistentState;
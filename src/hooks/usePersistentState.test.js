@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { renderHook, act } from '@testing-library/react'
+import { usePersistentState } from './usePersistentState'
+import { createStorage, setStorage } from '../storage/storage'
+import { createMemoryBackend } from '../storage/backends'
+import { DOCUMENTS } from '../storage/schema'
+
+describe('usePersistentState', () => {
+  let backend
+  let storage
+  let channel
+
+  beforeEach(async () => {
+    backend = createMemoryBackend()
+    channel = { postMessage: () => {}, onmessage: null }
+    storage = createStorage({ backend, legacyStorage: null, channel })
+    await storage.init()
+    setStorage(storage)
+  })
+
+  afterEach(() => {
+    setStorage(null)
+  })
+
+  it('returns the initial value when nothing is saved', () => {
+    const { result } = renderHook(() => usePersistentState(DOCUMENTS.HISTORY, []))
+    expect(result.current[0]).toEqual([])
+  })
+
+  it('returns the saved value', async () => {
+    await storage.write(DOCUMENTS.PREFERENCES, { mode: 'kicks' })
+    const { result } = renderHook(() => usePersistentState(DOCUMENTS.PREFERENCES, {}))
+    expect(result.current[0]).toEqual({ mode: 'kicks' })
+  })
+
+  it('writes updates to storage', () => {
+    const { result } = renderHook(() => usePersistentState(DOCUMENTS.HISTORY, []))
+
+    act(() => {
+      result.current[1]([{ id: 'a' }])
+    })
+
+    expect(result.current[0]).toEqual([{ id: 'a' }])
+    expect(storage.read(DOCUMENTS.HISTORY)).toEqual([{ id: 'a' }])
+  })
+
+  it('supports functional updates from the latest value', () => {
+    const { result } = renderHook(() => usePersistentState(DOCUMENTS.HISTORY, []))
+
+    act(() => {
+      result.current[1](prev => [...prev, 1])
+      result.current[1](prev => [...prev, 2])
+    })
+
+    expect(result.current[0]).toEqual([1, 2])
+    expect(storage.read(DOCUMENTS.HISTORY)).toEqual([1, 2])
+  })
+
+  it('picks up changes from other tabs', async () => {
+    const { result } = renderHook(() => usePersistentState(DOCUMENTS.PREFERENCES, {}))
+
+    // Another tab writes the record, then announces it
+    await act(async () => {
+      await backend.set(DOCUMENTS.PREFERENCES, { version: 1, data: { mode: 'punches' } })
+      await channel.onmessage({ data: { name: DOCUMENTS.PREFERENCES } })
+    })
+
+    expect(result.current[0]).toEqual({ mode: 'punches' })
+  })
+})
@@ -0,0 +1,176 @@
+/**
+ * Combat Reflex - useResponseCapture Hook
+ *
+ * Listens for athlete responses during training: screen taps and key
+ * presses (touch method) or pad strikes picked up by the microphone
+ * (microphone method). Each response is reported with a
+ * performance.now() timestamp so it can be matched to a cue onset.
+ */
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { createAudioContext, resumeAudioContext } from '../utils/audioSynthesizer';
+import { getZoneByKey } from '../utils/targetZones';
+import {
+  getPeakAmplitude,
+  createSpikeDetector,
+  DEFAULT_MIC_THRESHOLD
+} from '../utils/responseCapture';
+
+/**
+ * @typedef {Object} ResponseEvent
+ * @property {string} source - 'tap', 'keyboard' or 'microphone'
+ * @property {number} time - performance.now() timestamp of the response
+ * @property {string|null} zone - Target zone tapped or keyed, or null when the response cannot tell
+ */
+
+/**
+ * Custom hook for capturing athlete responses
+ *
+ * The microphone stays open for as long as the method is 'microphone', so
+ * pauses and rests do not reopen it; pass 'off' outside a workout.
+ *
+ * @param {Object} options
+ * @param {string} options.method - Response method from RESPONSE_METHODS
+ * @param {boolean} options.active - Whether responses should be captured right now
+ * @param {boolean} [options.zones=false] - Whether cues name a target zone; key presses then
+ *   answer for the zone of their key (see getZoneByKey), and other keys do not count
+ * @param {(response: ResponseEvent) => void} options.onResponse - Called for each response
+ * @param {number} [options.micThreshold] - Peak amplitude that counts as a strike
+ * @returns {{handleTap: Function, micStatus: string}} Tap handler for the cue area
+ *   and microphone status ('idle', 'listening', 'denied', 'unsupported')
+ *
+ * @example
+ * const { handleTap } = useResponseCapture({ method: 'touch', active: true, onResponse });
+ * <ActionDisplay onPointerDown={handleTap} />
+ */
+export function useResponseCapture({
+  method,
+  active,
+  zones = false,
+  onResponse,
+  micThreshold = DEFAULT_MIC_THRESHOLD
+}) {
+  const [micStatus, setMicStatus] = useState('idle');
+  const isMicSupported = typeof navigator !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+
+  // Keep the latest callback without re-subscribing listeners
+  const onResponseRef = useRef(onResponse);
+  useEffect(() => {
+    onResponseRef.current = onResponse;
+  }, [onResponse]);
+
+  // Read by the microphone loop, which runs through pauses and rests
+  const activeRef = useRef(active);
+  useEffect(() => {
+    activeRef.current = active;
+  }, [active]);
+
+  /**
+   * Tap handler for the cue area (pointerdown for lowest latency)
+   * @param {string|null} [zone=null] - Target zone tapped, if the cue area has zones
+   */
+  const handleTap = useCallback((zone = null) => {
+    if (method === 'touch' && active) {
+      onResponseRef.current?.({ source: 'tap', time: performance.now(), zone });
+    }
+  }, [method, active]);
+
+  // Keyboard responses: any non-modifier key press, or a zone key with zone cues
+  useEffect(() => {
+    if (method !== 'touch' || !active) {
+      return;
+    }
+
+    const handleKeyDown = (event) => {
+      if (event.repeat || event.ctrlKey || event.metaKey || event.altKey) {
+        return;
+      }
+      const zone = zones ? getZoneByKey(event.key)?.id : null;
+      if (zone === undefined) {
+        return;
+      }
+      onResponseRef.current?.({ source: 'keyboard', time: performance.now(), zone });
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [method, active, zones]);
+
+  // Microphone responses: amplitude spikes from hitting a pad
+  useEffect(() => {
+    if (method !== 'microphone' || !isMicSupported) {
+      return;
+    }
+
+    let cancelled = false;
+    let stream = null;
+    let audioContext = null;
+    let frameId = null;
+
+    const start = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({
+          audio: { echoCancellation: true, noiseSuppression: false, autoGainControl: false }
+        });
+        if (cancelled) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+
+        // Contexts can start suspended (always on iOS) and would hear nothing
+        audioContext = createAudioContext();
+        await resumeAudioContext(audioContext);
+        if (cancelled) {
+          return;
+        }
+        const source = audioContext.createMediaStreamSource(stream);
+        const analyser = audioContext.createAnalyser();
+        analyser.fftSize = 512;
+        source.connect(analyser);
+
+        const samples = new Float32Array(analyser.fftSize);
+        const detectSpike = createSpikeDetector({ threshold: micThreshold });
+
+        const poll = () => {
+          analyser.getFloatTimeDomainData(samples);
+          const now = performance.now();
+          if (detectSpike(getPeakAmplitude(samples), now) && activeRef.current) {
+            onResponseRef.current?.({ source: 'microphone', time: now, zone: null });
+          }
+          frameId = requestAnimationFrame(poll);
+        };
+
+        setMicStatus('listening');
+        frameId = requestAnimationFrame(poll);
+      } catch (error) {
+        console.warn('Microphone unavailable:', error.message);
+        if (!cancelled) {
+          setMicStatus('denied');
+        }
+      }
+    };
+
+    start();
+
+    return () => {
+      cancelled = true;
+      if (frameId) {
+        cancelAnimationFrame(frameId);
+      }
+      stream?.getTracks().forEach(track => track.stop());
+      audioContext?.close().catch(() => {
+        // Ignore errors during cleanup
+      });
+      setMicStatus('idle');
+    };
+  }, [method, micThreshold, isMicSupported]);
+
+  return {
+    handleTap,
+    micStatus: isMicSupported ? micStatus : 'unsupported'
+  };
+}
+
+export default useResponseCapture;
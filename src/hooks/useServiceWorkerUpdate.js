@@ -0,0 +1,30 @@
+/**
+ * Combat Reflex - useServiceWorkerUpdate Hook
+ *
+ * Tells components when a new version of the app has been downloaded and is
+ * waiting to take over.
+ */
+
+import { useState, useEffect } from 'react';
+import { getServiceWorkerManager } from '../pwa/serviceWorkerManager';
+
+/**
+ * Custom hook for the app update prompt
+ *
+ * @returns {Object} Update state
+ * @returns {boolean} returns.updateAvailable - Whether a new version is waiting
+ * @returns {() => void} returns.applyUpdate - Switches to the new version (reloads the page)
+ *
+ * @example
+ * const { updateAvailable, applyUpdate } = useServiceWorkerUpdate();
+ */
+export function useServiceWorkerUpdate() {
+  const manager = getServiceWorkerManager();
+  const [updateAvailable, setUpdateAvailable] = useState(() => manager.isUpdateAvailable());
+
+  useEffect(() => manager.subscribe(setUpdateAvailable), [manager]);
+
+  return { updateAvailable, applyUpdate: manager.applyUpdate };
+}
+
+export default useServiceWorkerUpdate;
@@ -0,0 +1,33 @@
+/**
+ * Combat Reflex - useSpeechVoices Hook
+ *
+ * Lists the speech synthesis voices installed on the device. Browsers load
+ * voices asynchronously, so the list updates when they arrive.
+ */
+
+import { useState, useEffect } from 'react';
+
+/**
+ * Custom hook for the available speech voices
+ *
+ * @param {SpeechSynthesis} [synth=globalThis.speechSynthesis] - Speech synthesis service
+ * @returns {SpeechSynthesisVoice[]} Installed voices (empty if speech is unavailable)
+ *
+ * @example
+ * const voices = useSpeechVoices();
+ */
+export function useSpeechVoices(synth = globalThis.speechSynthesis) {
+  const [voices, setVoices] = useState(() => synth?.getVoices() ?? []);
+
+  useEffect(() => {
+    if (!synth) return undefined;
+
+    const handleVoicesChanged = () => setVoices(synth.getVoices());
+    synth.addEventListener('voiceschanged', handleVoicesChanged);
+    return () => synth.removeEventListener('voiceschanged', handleVoicesChanged);
+  }, [synth]);
+
+  return voices;
+}
+
+export default useSpeechVoices;
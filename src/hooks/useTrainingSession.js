@@ -1,396 +1,282 @@
 /**
  * Combat Reflex - useTrainingSession Hook
  *
- * Main training loop hook that manages the state machine for training sessions.
- * Handles timing, action generation, and phase transitions.
- *
- * State Machine Flow:
- * IDLE -> COUNTDOWN -> TRAINING -> MID_REST -> TRAINING -> SESSION_END -> BREAK -> (repeat) -> COMPLETE
- */
-
-import { useState, useCallback, useRef, useEffect } from 'react';
-import { useTraining, TRAINING_PHASES } from '../context/TrainingContext';
-import {
-  getRandomInterval,
-  MID_REST_DURATION_MS,
-  BREAK_DURATION_MS
-} from '../utils/difficultyConfig';
-
-/**
- * Action types for punches and kicks
- * @readonly
+ * Thin React adapter over the session engine (utils/sessionEngine).
+ * The engine owns timing and phase transitions; this hook feeds it the
+ * current configuration, mirrors its progress into TrainingContext and
+ * turns engine events into side effects (audio, wake lock, history).
  */
-const PUNCH_ACTIONS = ['jab', 'cross', 'hook', 'uppercut'];
-const KICK_ACTIONS = ['front-kick', 'roundhouse', 'side-kick', 'back-kick'];
 
-/**
- * Countdown duration before training starts (in seconds)
- */
-const COUNTDOWN_SECONDS = 3;
+import { useState, useRef, useCallback, useEffect, useMemo, useSyncExternalStore } from 'react';
+import { useTraining } from '../context/TrainingContext';
+import { useProfiles } from '../context/ProfileContext';
+import { createSessionEngine } from '../utils/sessionEngine';
+import { LOOKAHEAD_MS } from '../utils/audioScheduler';
+import { getTechniquesForMode } from '../utils/techniques';
+import { createSeed, createSeededRandom } from '../utils/random';
+import { buildWorkoutTimeline } from '../utils/workoutTimeline';
+import { createWorkoutId } from '../utils/historyUtils';
+import { useAudio } from './useAudio';
+import { useWakeLock } from './useWakeLock';
 
 /**
- * @typedef {Object} TrainingSessionState
- * @property {string} state - Current training phase
- * @property {string|null} currentAction - Current action to perform (punch/kick type)
- * @property {number} hitsCompleted - Number of hits completed in current session
- * @property {number} timeRemaining - Time remaining in current phase (ms)
- * @property {number} countdownValue - Countdown value (3, 2, 1)
- * @property {() => void} startTraining - Function to start training
- * @property {() => void} stopTraining - Function to stop training
- * @property {() => void} pauseTraining - Function to pause training
- * @property {() => void} resumeTraining - Function to resume training
+ * @typedef {Object} TrainingSessionControls
+ * @property {import('../utils/sessionEngine').SessionState} session - Engine state snapshot
+ * @property {string|null} workoutId - ID shared by the history entries of the current workout
+ * @property {import('../utils/workoutTimeline').WorkoutTimeline} timeline - What the next workout
+ *   with the current settings will play
+ * @property {(workout?: import('../utils/shareLink').WorkoutConfig) => void} startTraining
+ *   Start a new workout from the countdown, with the current settings or the given ones
+ * @property {() => void} stopTraining - End the workout early and show results
+ * @property {() => void} pauseTraining - Freeze the workout where it is
+ * @property {() => void} resumeTraining - Continue a paused workout
+ * @property {() => void} resetTraining - Cancel the workout and return to IDLE
+ * @property {() => void} skipBreak - Skip the rest of the current break
+ * @property {(time?: number, zone?: string|null) => (number|null)} respond - Register an athlete
+ *   response, with the target zone tapped if any
  */
 
 /**
- * Custom hook for managing the training session state machine
+ * Custom hook that runs a workout on the session engine
+ *
+ * @returns {TrainingSessionControls} Engine state and controls
  *
- * @param {Object} options - Configuration options
- * @param {Function} [options.onAction] - Callback when a new action is triggered
- * @param {Function} [options.onCountdown] - Callback during countdown
- * @param {Function} [options.onPhaseChange] - Callback when phase changes
- * @param {Function} [options.onSessionComplete] - Callback when a session completes
- * @param {Function} [options.onTrainingComplete] - Callback when all sessions complete
- * @returns {TrainingSessionState} Training session state and controls
+ * @example
+ * const { session, startTraining } = useTrainingSession();
+ * <ConfigScreen onStart={startTraining} />
  */
-export function useTrainingSession({
-  onAction,
-  onCountdown,
-  onPhaseChange,
-  onSessionComplete,
-  onTrainingComplete
-} = {}) {
-  // Get training configuration from context
+export function useTrainingSession() {
   const {
     mode,
+    trainingType,
     difficulty,
     numberOfSessions,
-    phase,
-    currentSession,
-    hitsCompleted,
-    setPhase,
-    incrementSession,
-    incrementHits,
-    resetSession,
-    resetAll,
-    addToHistory
+    roundTimer,
+    seed,
+    responseMethod,
+    adaptive,
+    goNoGo,
+    peripheral,
+    voice,
+    getEffectiveSettings,
+    getEffectiveComboSettings,
+    addToHistory,
+    syncSession
   } = useTraining();
-
-  // Local state
-  const [currentAction, setCurrentAction] = useState(null);
-  const [timeRemaining, setTimeRemaining] = useState(0);
-  const [countdownValue, setCountdownValue] = useState(COUNTDOWN_SECONDS);
-  const [isPaused, setIsPaused] = useState(false);
-
-  // Refs for timing
-  const intervalRef = useRef(null);
-  const timeoutRef = useRef(null);
-  const sessionStartTimeRef = useRef(null);
-  const midRestTriggeredRef = useRef(false);
-
-  /**
-   * Get available actions based on training mode
-   * @returns {string[]} Array of available action names
-   */
-  const getAvailableActions = useCallback(() => {
-    switch (mode) {
-      case 'punches':
-        return PUNCH_ACTIONS;
-      case 'kicks':
-        return KICK_ACTIONS;
-      case 'both':
+  const { activeProfile } = useProfiles();
+  const {
+    playTechnique,
+    playDecoy,
+    playZoneCue,
+    playCombo,
+    playComboStrike,
+    playSessionStart,
+    playSessionEnd,
+    playWarning,
+    playClapper,
+    playBell,
+    playCountdown,
+    playRest,
+    stopVoice,
+    cancelCues,
+    initAudio
+  } = useAudio({ voice });
+  const { requestWakeLock, releaseWakeLock } = useWakeLock();
+
+  // Cues are handed out ahead of time so their tones can be scheduled on the audio clock
+  const [engine] = useState(() => createSessionEngine({ lookaheadMs: LOOKAHEAD_MS }));
+  const [workoutId, setWorkoutId] = useState(null);
+  // Seed of the next workout when none is fixed, picked ahead so the preview shows what will play
+  const [nextSeed, setNextSeed] = useState(() => createSeed());
+  // Workout and profile details stamped on every history entry of the workout
+  const workoutRef = useRef(null);
+
+  // Turn engine events into side effects; re-subscribes so callbacks are never stale
+  useEffect(() => engine.listen((type, payload) => {
+    switch (type) {
+      case 'countdown':
+        playCountdown(payload.value);
+        break;
+      case 'sessionStart':
+        // Timed rounds open with the bell
+        if (payload.sessionLength === 'time') {
+          playBell(1);
+        } else {
+          playSessionStart();
+        }
+        break;
+      case 'combo':
+        playCombo(payload.actions, payload.sides);
+        break;
+      case 'cue':
+        if (payload.region) {
+          // Peripheral cues are silent, so only the eyes can catch them
+          break;
+        }
+        if (payload.inCombo) {
+          playComboStrike(payload.action, payload.onset, payload.side);
+        } else if (payload.decoy) {
+          playDecoy(payload.onset);
+        } else if (payload.zone) {
+          playZoneCue(payload.action, payload.zone, payload.onset, payload.side);
+        } else {
+          playTechnique(payload.action, payload.onset, payload.side);
+        }
+        break;
+      case 'sessionEnd':
+        // A timed round can end with a cue already scheduled
+        cancelCues();
+        if (!payload.entry.stopped) {
+          // Timed rounds close with three strikes of the bell
+          if (payload.entry.sessionLength === 'time') {
+            playBell(3);
+          } else {
+            playSessionEnd();
+          }
+        }
+        addToHistory({ ...payload.entry, ...workoutRef.current });
+        break;
+      case 'midRestStart':
+      case 'breakStart':
+        playRest(payload.duration);
+        break;
+      case 'breakWarning':
+      case 'midRestWarning':
+        playWarning(payload.seconds);
+        break;
+      case 'roundWarning':
+        playClapper(payload.seconds);
+        break;
+      case 'midRestEnd':
+        playSessionStart();
+        break;
+      case 'pause':
+        stopVoice();
+        cancelCues();
+        break;
+      case 'complete':
+        cancelCues();
+        releaseWakeLock();
+        break;
       default:
-        return [...PUNCH_ACTIONS, ...KICK_ACTIONS];
-    }
-  }, [mode]);
-
-  /**
-   * Get a random action from available actions
-   * @returns {string} Random action name
-   */
-  const getRandomAction = useCallback(() => {
-    const actions = getAvailableActions();
-    return actions[Math.floor(Math.random() * actions.length)];
-  }, [getAvailableActions]);
-
-  /**
-   * Clear all active timers
-   */
-  const clearTimers = useCallback(() => {
-    if (intervalRef.current) {
-      clearInterval(intervalRef.current);
-      intervalRef.current = null;
+        break;
     }
-    if (timeoutRef.current) {
-      clearTimeout(timeoutRef.current);
-      timeoutRef.current = null;
-    }
-  }, []);
-
-  /**
-   * Schedule the next action with randomized timing
-   */
-  const scheduleNextAction = useCallback(() => {
-    if (phase !== TRAINING_PHASES.TRAINING || isPaused) return;
-
-    const interval = getRandomInterval(difficulty);
-
-    timeoutRef.current = setTimeout(() => {
-      // Check if we should trigger mid-rest
-      const midRestThreshold = Math.floor(difficulty.totalHits / 2);
-      if (!midRestTriggeredRef.current && hitsCompleted >= midRestThreshold) {
-        midRestTriggeredRef.current = true;
-        setPhase(TRAINING_PHASES.MID_REST);
-        setCurrentAction(null);
-        return;
-      }
-
-      // Check if session is complete
-      if (hitsCompleted >= difficulty.totalHits) {
-        handleSessionComplete();
-        return;
-      }
-
-      // Trigger next action
-      const action = getRandomAction();
-      setCurrentAction(action);
-      incrementHits();
-      onAction?.(action);
-
-      // Schedule the next action
-      scheduleNextAction();
-    }, interval);
-  }, [phase, isPaused, difficulty, hitsCompleted, getRandomAction, incrementHits, onAction, setPhase]);
-
-  /**
-   * Handle completion of a single session
-   */
-  const handleSessionComplete = useCallback(() => {
-    clearTimers();
-    const endTime = Date.now();
-    const durationMs = endTime - sessionStartTimeRef.current;
-
-    // Add to history
-    addToHistory({
-      mode,
-      difficultyId: difficulty.id,
-      hitsCompleted,
-      totalHits: difficulty.totalHits,
-      durationMs,
-      sessionNumber: currentSession,
-      totalSessions: numberOfSessions
-    });
-
-    onSessionComplete?.({
-      sessionNumber: currentSession,
-      hitsCompleted,
-      totalHits: difficulty.totalHits,
-      durationMs
-    });
-
-    setCurrentAction(null);
-    setPhase(TRAINING_PHASES.SESSION_END);
-  }, [
-    clearTimers,
-    addToHistory,
-    mode,
-    difficulty,
-    hitsCompleted,
-    currentSession,
-    numberOfSessions,
-    onSessionComplete,
-    setPhase
+  }), [
+    engine, playCountdown, playSessionStart, playCombo, playComboStrike, playTechnique, playDecoy, playZoneCue, playSessionEnd,
+    playRest, playWarning, playClapper, playBell, stopVoice, cancelCues, addToHistory, releaseWakeLock
   ]);
 
-  /**
-   * Start the countdown phase
-   */
-  const startCountdown = useCallback(() => {
-    setCountdownValue(COUNTDOWN_SECONDS);
-    setPhase(TRAINING_PHASES.COUNTDOWN);
-    onPhaseChange?.(TRAINING_PHASES.COUNTDOWN);
+  const session = useSyncExternalStore(engine.subscribe, engine.getState);
 
-    let count = COUNTDOWN_SECONDS;
-    onCountdown?.(count);
+  // Mirror progress into the context for screens that read it there
+  const { phase, currentSession, hitsCompleted, combosCompleted } = session;
+  useEffect(() => {
+    syncSession({ phase, currentSession, hitsCompleted, combosCompleted });
+  }, [phase, currentSession, hitsCompleted, combosCompleted, syncSession]);
 
-    intervalRef.current = setInterval(() => {
-      count -= 1;
-      setCountdownValue(count);
-      onCountdown?.(count);
+  // Stop all timers when the app unmounts
+  useEffect(() => () => engine.destroy(), [engine]);
 
-      if (count <= 0) {
-        clearInterval(intervalRef.current);
-        intervalRef.current = null;
-        startTrainingPhase();
+  // Pause automatically when the tab or app goes to the background
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        engine.pause();
       }
-    }, 1000);
-  }, [setPhase, onPhaseChange, onCountdown]);
-
-  /**
-   * Start the active training phase
-   */
-  const startTrainingPhase = useCallback(() => {
-    sessionStartTimeRef.current = Date.now();
-    midRestTriggeredRef.current = false;
-    resetSession();
-    setPhase(TRAINING_PHASES.TRAINING);
-    onPhaseChange?.(TRAINING_PHASES.TRAINING);
-
-    // Trigger first action immediately
-    const action = getRandomAction();
-    setCurrentAction(action);
-    incrementHits();
-    onAction?.(action);
-
-    // Schedule subsequent actions
-    scheduleNextAction();
-  }, [resetSession, setPhase, onPhaseChange, getRandomAction, incrementHits, onAction, scheduleNextAction]);
-
-  /**
-   * Start mid-rest period
-   */
-  const startMidRest = useCallback(() => {
-    clearTimers();
-    setTimeRemaining(MID_REST_DURATION_MS);
-    onPhaseChange?.(TRAINING_PHASES.MID_REST);
-
-    intervalRef.current = setInterval(() => {
-      setTimeRemaining(prev => {
-        const newTime = prev - 1000;
-        if (newTime <= 0) {
-          clearInterval(intervalRef.current);
-          intervalRef.current = null;
-          // Resume training after mid-rest
-          setPhase(TRAINING_PHASES.TRAINING);
-          scheduleNextAction();
-          return 0;
-        }
-        return newTime;
-      });
-    }, 1000);
-  }, [clearTimers, onPhaseChange, setPhase, scheduleNextAction]);
-
-  /**
-   * Start break between sessions
-   */
-  const startBreak = useCallback(() => {
-    clearTimers();
-    setTimeRemaining(BREAK_DURATION_MS);
-    setPhase(TRAINING_PHASES.BREAK);
-    onPhaseChange?.(TRAINING_PHASES.BREAK);
+    };
 
-    intervalRef.current = setInterval(() => {
-      setTimeRemaining(prev => {
-        const newTime = prev - 1000;
-        if (newTime <= 0) {
-          clearInterval(intervalRef.current);
-          intervalRef.current = null;
-          // Start next session
-          incrementSession();
-          resetSession();
-          startCountdown();
-          return 0;
-        }
-        return newTime;
-      });
-    }, 1000);
-  }, [clearTimers, setPhase, onPhaseChange, incrementSession, resetSession, startCountdown]);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [engine]);
 
   /**
-   * Start a new training session
+   * Engine configuration for the current settings, or for a workout passed in
+   * (e.g. from a share link, or a replay of a seed) that is not in the context state yet
    */
-  const startTraining = useCallback(() => {
-    resetAll();
-    startCountdown();
-  }, [resetAll, startCountdown]);
+  const createEngineConfig = useCallback((workout = null) => {
+    const current = { mode, trainingType, difficulty, numberOfSessions, roundTimer, goNoGo, peripheral, seed };
+    const config = workout?.difficultyId
+      ? { ...current, ...workout, difficulty: getEffectiveSettings(workout.difficultyId) }
+      : { ...current, ...workout };
+    return {
+      mode: config.mode,
+      trainingType: config.trainingType,
+      difficulty: config.difficulty,
+      // Also used when single-hit sessions are counted in combos
+      comboSettings: getEffectiveComboSettings(config.difficulty.id),
+      numberOfSessions: config.numberOfSessions,
+      roundTimer: config.roundTimer,
+      goNoGo: config.goNoGo,
+      peripheral: config.peripheral,
+      techniques: getTechniquesForMode(config.mode, activeProfile?.enabledTechniques),
+      comboLibrary: activeProfile?.comboLibrary,
+      targetZones: activeProfile?.targetZones,
+      stance: activeProfile?.stance,
+      // Adapting needs responses to adapt to
+      adaptive: responseMethod !== 'off' ? adaptive : undefined,
+      // Every workout is seeded so it can be replayed from its results
+      seed: config.seed ?? nextSeed
+    };
+  }, [mode, trainingType, difficulty, numberOfSessions, roundTimer, goNoGo, peripheral, seed, nextSeed, responseMethod, adaptive, activeProfile, getEffectiveSettings, getEffectiveComboSettings]);
+
+  const timeline = useMemo(() => {
+    const config = createEngineConfig();
+    return buildWorkoutTimeline(config, createSeededRandom(config.seed));
+  }, [createEngineConfig]);
+
+  const startTraining = useCallback((workout = null) => {
+    // Called from a click so audio can be unlocked by the user gesture
+    initAudio();
+    requestWakeLock();
+    const id = createWorkoutId();
+    workoutRef.current = {
+      workoutId: id,
+      profileId: activeProfile?.id ?? null,
+      profileName: activeProfile?.name ?? null
+    };
+    setWorkoutId(id);
+    // The current settings play the previewed timeline
+    engine.start(workout ? createEngineConfig(workout) : { ...createEngineConfig(), timeline });
+    setNextSeed(createSeed());
+  }, [engine, activeProfile, createEngineConfig, timeline, initAudio, requestWakeLock]);
 
-  /**
-   * Stop training and return to idle
-   */
   const stopTraining = useCallback(() => {
-    clearTimers();
-    setCurrentAction(null);
-    setIsPaused(false);
-    resetAll();
-  }, [clearTimers, resetAll]);
+    engine.stop();
+  }, [engine]);
 
-  /**
-   * Pause the current training
-   */
   const pauseTraining = useCallback(() => {
-    if (phase === TRAINING_PHASES.TRAINING) {
-      clearTimers();
-      setIsPaused(true);
-    }
-  }, [phase, clearTimers]);
+    engine.pause();
+  }, [engine]);
 
-  /**
-   * Resume paused training
-   */
   const resumeTraining = useCallback(() => {
-    if (isPaused && phase === TRAINING_PHASES.TRAINING) {
-      setIsPaused(false);
-      scheduleNextAction();
-    }
-  }, [isPaused, phase, scheduleNextAction]);
+    engine.resume();
+  }, [engine]);
 
-  /**
-   * Proceed to next session or complete training
-   */
-  const proceedFromSessionEnd = useCallback(() => {
-    if (currentSession >= numberOfSessions) {
-      // All sessions complete
-      setPhase(TRAINING_PHASES.COMPLETE);
-      onPhaseChange?.(TRAINING_PHASES.COMPLETE);
-      onTrainingComplete?.();
-    } else {
-      // Start break before next session
-      startBreak();
-    }
-  }, [currentSession, numberOfSessions, setPhase, onPhaseChange, onTrainingComplete, startBreak]);
+  const resetTraining = useCallback(() => {
+    engine.reset();
+    setWorkoutId(null);
+    releaseWakeLock();
+  }, [engine, releaseWakeLock]);
 
-  /**
-   * Skip the break and start next session immediately
-   */
   const skipBreak = useCallback(() => {
-    clearTimers();
-    incrementSession();
-    resetSession();
-    startCountdown();
-  }, [clearTimers, incrementSession, resetSession, startCountdown]);
+    engine.skipBreak();
+  }, [engine]);
 
-  // Handle phase changes
-  useEffect(() => {
-    if (phase === TRAINING_PHASES.MID_REST) {
-      startMidRest();
-    }
-  }, [phase, startMidRest]);
-
-  // Cleanup on unmount
-  useEffect(() => {
-    return () => {
-      clearTimers();
-    };
-  }, [clearTimers]);
+  const respond = useCallback((time, zone) => engine.respond(time, zone), [engine]);
 
   return {
-    // State
-    state: phase,
-    currentAction,
-    hitsCompleted,
-    timeRemaining,
-    countdownValue,
-    totalHits: difficulty.totalHits,
-    currentSession,
-    numberOfSessions,
-    isPaused,
-
-    // Controls
+    session,
+    workoutId,
+    timeline,
     startTraining,
     stopTraining,
     pauseTraining,
     resumeTraining,
-    proceedFromSessionEnd,
-    skipBreak
+    resetTraining,
+    skipBreak,
+    respond
   };
 }
 
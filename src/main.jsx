@@ -3,11 +3,21 @@ import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
 import { ProfileProvider } from './context/ProfileContext'
+import { openStorage } from './storage/storage'
+import { getServiceWorkerManager } from './pwa/serviceWorkerManager'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <ProfileProvider>
-      <App />
-    </ProfileProvider>
-  </StrictMode>,
-)
+// Load saved profiles, preferences and history before the first render
+openStorage().then(() => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <ProfileProvider>
+        <App />
+      </ProfileProvider>
+    </StrictMode>,
+  )
+})
+
+// Cache the app for offline use (the dev server has no service worker)
+if (import.meta.env.PROD) {
+  getServiceWorkerManager().register()
+}
@@ -0,0 +1,11 @@
+/**
+ * Combat Reflex - PWA Constants
+ *
+ * Shared by the build plugin (Node) and the app (browser).
+ */
+
+/**
+ * Output file name of the service worker, relative to the base path
+ * @type {string}
+ */
+export const SERVICE_WORKER_FILE = 'sw.js';
@@ -0,0 +1,63 @@
+/**
+ * Combat Reflex - Service Worker
+ *
+ * Precaches the whole build so the app starts and trains with no network.
+ * This file is not bundled: the build (see pwa/vitePlugin.js) fills in the
+ * cache version and file list and emits it as sw.js next to index.html.
+ *
+ * A new version installs in the background and waits until the app asks it
+ * to take over, so a reload never happens in the middle of a workout. When it
+ * activates, caches from older versions are deleted.
+ */
+
+/* global __CACHE_VERSION__, __PRECACHE_URLS__ */
+
+const CACHE_PREFIX = 'combat-reflex-precache-';
+const CACHE_NAME = CACHE_PREFIX + __CACHE_VERSION__;
+
+// Relative to the worker's scope, i.e. the app's base path
+const PRECACHE_URLS = __PRECACHE_URLS__;
+const APP_SHELL_URL = new URL('index.html', self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(
+        names
+          .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+          .map(name => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || !request.url.startsWith(self.registration.scope)) {
+    return;
+  }
+
+  // Every page in scope is the single-page app; share links live in the hash
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match(APP_SHELL_URL).then(response => response || fetch(request))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request).then(response => response || fetch(request))
+  );
+});
@@ -0,0 +1,122 @@
+/**
+ * Combat Reflex - Service Worker Manager
+ *
+ * Registers the service worker and tracks whether a new version is waiting.
+ * The app shows an update prompt while one is; applyUpdate() lets the new
+ * worker take over and reloads the page once it has.
+ */
+
+import { SERVICE_WORKER_FILE } from './constants';
+
+/**
+ * @typedef {Object} ServiceWorkerManager
+ * @property {() => Promise<ServiceWorkerRegistration|null>} register - Registers the worker; never rejects
+ * @property {() => boolean} isUpdateAvailable - Whether a new version is waiting
+ * @property {() => void} applyUpdate - Activates the waiting version and reloads
+ * @property {(listener: (available: boolean) => void) => () => void} subscribe
+ *   Listens for a new version becoming available; returns an unsubscribe function
+ */
+
+/**
+ * Creates a service worker manager
+ * @param {Object} [options]
+ * @param {ServiceWorkerContainer} [options.container] - Defaults to navigator.serviceWorker
+ * @param {string} [options.baseUrl] - App base path; defaults to Vite's BASE_URL
+ * @param {() => void} [options.reload] - Reloads the page
+ * @param {Document} [options.doc] - Document whose visibility triggers update checks
+ * @returns {ServiceWorkerManager}
+ */
+export function createServiceWorkerManager({
+  container = globalThis.navigator?.serviceWorker,
+  baseUrl = import.meta.env.BASE_URL,
+  reload = () => window.location.reload(),
+  doc = globalThis.document
+} = {}) {
+  const listeners = new Set();
+  let waitingWorker = null;
+  let updateRequested = false;
+
+  const setWaiting = (worker) => {
+    waitingWorker = worker;
+    listeners.forEach(listener => listener(true));
+  };
+
+  const trackInstalling = (worker) => {
+    worker.addEventListener('statechange', () => {
+      // With no controller this is the first install, not an update
+      if (worker.state === 'installed' && container.controller) {
+        setWaiting(worker);
+      }
+    });
+  };
+
+  return {
+    async register() {
+      if (!container) {
+        return null;
+      }
+
+      try {
+        const registration = await container.register(`${baseUrl}${SERVICE_WORKER_FILE}`, { scope: baseUrl });
+
+        if (registration.waiting && container.controller) {
+          setWaiting(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+          if (registration.installing) {
+            trackInstalling(registration.installing);
+          }
+        });
+
+        // Only reload for an update the user asked for, not the first install claiming the page
+        container.addEventListener('controllerchange', () => {
+          if (updateRequested) {
+            updateRequested = false;
+            reload();
+          }
+        });
+
+        // Look for a new deploy whenever the app comes back to the foreground
+        doc?.addEventListener('visibilitychange', () => {
+          if (doc.visibilityState === 'visible') {
+            registration.update().catch(() => {});
+          }
+        });
+
+        return registration;
+      } catch (error) {
+        console.warn('Service worker registration failed:', error);
+        return null;
+      }
+    },
+
+    isUpdateAvailable: () => waitingWorker !== null,
+
+    applyUpdate() {
+      if (!waitingWorker) {
+        return;
+      }
+      updateRequested = true;
+      waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
+
+// Manager used by the app
+let appManager = null;
+
+/**
+ * Gets the app's service worker manager
+ * @returns {ServiceWorkerManager}
+ */
+export function getServiceWorkerManager() {
+  if (!appManager) {
+    appManager = createServiceWorkerManager();
+  }
+  return appManager;
+}
@@ -0,0 +1,119 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createServiceWorkerManager } from './serviceWorkerManager'
+
+// Minimal EventTarget-based fakes of the service worker objects
+const createWorker = (state = 'installing') => Object.assign(new EventTarget(), {
+  state,
+  postMessage: vi.fn()
+})
+
+const createRegistration = ({ waiting = null } = {}) => Object.assign(new EventTarget(), {
+  waiting,
+  installing: null,
+  update: vi.fn().mockResolvedValue()
+})
+
+const createContainer = (registration, controller = {}) => Object.assign(new EventTarget(), {
+  controller,
+  register: vi.fn().mockResolvedValue(registration)
+})
+
+const setup = ({ registration = createRegistration(), controller = {} } = {}) => {
+  const container = createContainer(registration, controller)
+  const reload = vi.fn()
+  const doc = Object.assign(new EventTarget(), { visibilityState: 'visible' })
+  const manager = createServiceWorkerManager({ container, baseUrl: '/hit-reflex-trainer/', reload, doc })
+  return { manager, container, registration, reload, doc }
+}
+
+const installUpdate = (registration, worker = createWorker()) => {
+  registration.installing = worker
+  registration.dispatchEvent(new Event('updatefound'))
+  worker.state = 'installed'
+  worker.dispatchEvent(new Event('statechange'))
+  return worker
+}
+
+describe('serviceWorkerManager', () => {
+  it('registers the worker under the base path', async () => {
+    const { manager, container } = setup()
+    await manager.register()
+    expect(container.register).toHaveBeenCalledWith('/hit-reflex-trainer/sw.js', { scope: '/hit-reflex-trainer/' })
+  })
+
+  it('does nothing without service worker support', async () => {
+    const manager = createServiceWorkerManager({ container: undefined })
+    expect(await manager.register()).toBeNull()
+  })
+
+  it('resolves to null when registration fails', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const container = Object.assign(new EventTarget(), { register: vi.fn().mockRejectedValue(new Error('nope')) })
+    const manager = createServiceWorkerManager({ container, baseUrl: '/' })
+    expect(await manager.register()).toBeNull()
+    expect(warn).toHaveBeenCalled()
+    warn.mockRestore()
+  })
+
+  it('reports an update that installs while the app is open', async () => {
+    const { manager, registration } = setup()
+    const listener = vi.fn()
+    manager.subscribe(listener)
+    await manager.register()
+
+    expect(manager.isUpdateAvailable()).toBe(false)
+    installUpdate(registration)
+    expect(manager.isUpdateAvailable()).toBe(true)
+    expect(listener).toHaveBeenCalledWith(true)
+  })
+
+  it('reports an update already waiting at startup', async () => {
+    const { manager } = setup({ registration: createRegistration({ waiting: createWorker('installed') }) })
+    await manager.register()
+    expect(manager.isUpdateAvailable()).toBe(true)
+  })
+
+  it('does not treat the first install as an update', async () => {
+    const { manager, registration } = setup({ controller: null })
+    await manager.register()
+    installUpdate(registration)
+    expect(manager.isUpdateAvailable()).toBe(false)
+  })
+
+  it('activates the waiting worker and reloads once it takes over', async () => {
+    const { manager, container, registration, reload } = setup()
+    await manager.register()
+    const worker = installUpdate(registration)
+
+    manager.applyUpdate()
+    expect(worker.postMessage).toHaveBeenCalledWith({ type: 'SKIP_WAITING' })
+    expect(reload).not.toHaveBeenCalled()
+
+    container.dispatchEvent(new Event('controllerchange'))
+    expect(reload).toHaveBeenCalledTimes(1)
+  })
+
+  it('does not reload when a worker takes over unasked', async () => {
+    const { manager, container, reload } = setup()
+    await manager.register()
+    container.dispatchEvent(new Event('controllerchange'))
+    expect(reload).not.toHaveBeenCalled()
+  })
+
+  it('checks for updates when the app becomes visible', async () => {
+    const { manager, registration, doc } = setup()
+    await manager.register()
+    doc.dispatchEvent(new Event('visibilitychange'))
+    expect(registration.update).toHaveBeenCalled()
+  })
+
+  it('stops notifying after unsubscribe', async () => {
+    const { manager, registration } = setup()
+    const listener = vi.fn()
+    const unsubscribe = manager.subscribe(listener)
+    await manager.register()
+    unsubscribe()
+    installUpdate(registration)
+    expect(listener).not.toHaveBeenCalled()
+  })
+})
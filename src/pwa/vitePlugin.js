@@ -0,0 +1,89 @@
+/**
+ * Combat Reflex - Service Worker Build Plugin
+ *
+ * Vite plugin that emits sw.js from pwa/serviceWorker.js with the list of
+ * files to precache (every build output plus everything in public/) and a
+ * cache version derived from their contents, so each deploy that changes
+ * anything gets a fresh cache and the old one is cleaned up.
+ */
+
+import { existsSync, readFileSync, readdirSync, statSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { SERVICE_WORKER_FILE } from './constants.js';
+
+/**
+ * Lists the files under a directory
+ * @param {string} dir - Directory to walk
+ * @param {string} [prefix=''] - Path of dir relative to the listing root
+ * @returns {string[]} File paths relative to the root, '/'-separated
+ */
+function listFiles(dir, prefix = '') {
+  return readdirSync(dir).flatMap(name => {
+    const path = join(dir, name);
+    return statSync(path).isDirectory() ? listFiles(path, `${prefix}${name}/`) : [`${prefix}${name}`];
+  });
+}
+
+/**
+ * Fills in the service worker source
+ * @param {string} source - Contents of pwa/serviceWorker.js
+ * @param {Array<{fileName: string, content: string|Uint8Array}>} files - Files to precache
+ * @returns {string} Service worker code
+ */
+export function buildServiceWorker(source, files) {
+  const sorted = [...files]
+    .filter(file => file.fileName !== SERVICE_WORKER_FILE && !file.fileName.endsWith('.map'))
+    .sort((a, b) => a.fileName.localeCompare(b.fileName));
+
+  const hash = createHash('sha256');
+  sorted.forEach(file => {
+    hash.update(file.fileName);
+    hash.update(file.content);
+  });
+  const version = hash.digest('hex').slice(0, 12);
+
+  return source
+    .replace(/^\/\* global .*\*\/\n\n?/m, '')
+    .replaceAll('__CACHE_VERSION__', JSON.stringify(version))
+    .replaceAll('__PRECACHE_URLS__', JSON.stringify(sorted.map(file => file.fileName), null, 2));
+}
+
+/**
+ * Creates the Vite plugin
+ * @returns {import('vite').Plugin}
+ */
+export function serviceWorkerPlugin() {
+  let publicDir = null;
+
+  return {
+    name: 'combat-reflex:service-worker',
+    apply: 'build',
+    // After Vite has emitted index.html
+    enforce: 'post',
+
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+
+    generateBundle(_options, bundle) {
+      const files = Object.values(bundle).map(output => ({
+        fileName: output.fileName,
+        content: output.type === 'chunk' ? output.code : output.source
+      }));
+      if (publicDir && existsSync(publicDir)) {
+        listFiles(publicDir).forEach(fileName => {
+          files.push({ fileName, content: readFileSync(join(publicDir, fileName)) });
+        });
+      }
+
+      const source = readFileSync(fileURLToPath(new URL('./serviceWorker.js', import.meta.url)), 'utf8');
+      this.emitFile({
+        type: 'asset',
+        fileName: SERVICE_WORKER_FILE,
+        source: buildServiceWorker(source, files)
+      });
+    }
+  };
+}
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest'
+import { buildServiceWorker } from './vitePlugin'
+
+const SOURCE = `/* global __CACHE_VERSION__, __PRECACHE_URLS__ */
+
+const CACHE_NAME = 'c-' + __CACHE_VERSION__;
+const PRECACHE_URLS = __PRECACHE_URLS__;
+`
+
+const evaluate = (code) => new Function(`${code}; return { CACHE_NAME, PRECACHE_URLS }`)()
+
+describe('buildServiceWorker', () => {
+  const files = [
+    { fileName: 'index.html', content: '<html></html>' },
+    { fileName: 'assets/index-abc.js', content: 'console.log(1)' },
+    { fileName: 'icon.png', content: new Uint8Array([1, 2, 3]) }
+  ]
+
+  it('lists the files to precache in a stable order', () => {
+    const { PRECACHE_URLS } = evaluate(buildServiceWorker(SOURCE, files))
+    expect(PRECACHE_URLS).toEqual(['assets/index-abc.js', 'icon.png', 'index.html'])
+  })
+
+  it('leaves out source maps and the worker itself', () => {
+    const code = buildServiceWorker(SOURCE, [
+      ...files,
+      { fileName: 'assets/index-abc.js.map', content: '{}' },
+      { fileName: 'sw.js', content: '' }
+    ])
+    expect(evaluate(code).PRECACHE_URLS).toHaveLength(3)
+  })
+
+  it('removes the placeholder globals comment', () => {
+    expect(buildServiceWorker(SOURCE, files)).not.toContain('global')
+  })
+
+  it('keeps the cache version when nothing changed', () => {
+    const a = evaluate(buildServiceWorker(SOURCE, files)).CACHE_NAME
+    const b = evaluate(buildServiceWorker(SOURCE, [...files].reverse())).CACHE_NAME
+    expect(a).toBe(b)
+  })
+
+  it('changes the cache version when any file changes', () => {
+    const before = evaluate(buildServiceWorker(SOURCE, files)).CACHE_NAME
+    const changed = files.map(f => (f.fileName === 'index.html' ? { ...f, content: '<html>2</html>' } : f))
+    expect(evaluate(buildServiceWorker(SOURCE, changed)).CACHE_NAME).not.toBe(before)
+  })
+})
@@ -0,0 +1,148 @@
+/**
+ * Combat Reflex - Storage Backends
+ *
+ * Key-value backends for the storage layer. All share one async API:
+ * open(), get(key), set(key, value), remove(key). Values are plain,
+ * structured-cloneable objects.
+ */
+
+/**
+ * IndexedDB database name
+ * @type {string}
+ */
+export const DB_NAME = 'combat-reflex';
+
+/**
+ * IndexedDB database version (object stores, not document schemas)
+ * @type {number}
+ */
+export const DB_VERSION = 1;
+
+/**
+ * Object store holding one record per document
+ * @type {string}
+ */
+export const DOCUMENT_STORE = 'documents';
+
+/**
+ * Prefix for records in the localStorage fallback
+ * Distinct from the pre-storage-layer keys so both can coexist during import.
+ * @type {string}
+ */
+export const LOCAL_STORAGE_PREFIX = 'combat-reflex-store:';
+
+/**
+ * @typedef {Object} StorageBackend
+ * @property {string} type - Backend name, for diagnostics
+ * @property {() => Promise<void>} open - Prepares the backend; rejects if unavailable
+ * @property {(key: string) => Promise<*>} get - Reads a value (undefined if missing)
+ * @property {(key: string, value: *) => Promise<void>} set - Writes a value
+ * @property {(key: string) => Promise<void>} remove - Deletes a value
+ */
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Creates a backend on IndexedDB
+ * @param {Object} [options]
+ * @param {string} [options.name=DB_NAME] - Database name
+ * @param {IDBFactory} [options.factory] - IndexedDB factory (defaults to the global one)
+ * @returns {StorageBackend}
+ */
+export function createIndexedDBBackend({ name = DB_NAME, factory = globalThis.indexedDB } = {}) {
+  let db = null;
+
+  // Runs one request in its own transaction and resolves once it is committed
+  const run = (mode, makeRequest) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(DOCUMENT_STORE, mode);
+    const request = makeRequest(transaction.objectStore(DOCUMENT_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  return {
+    type: 'indexeddb',
+
+    async open() {
+      if (!factory) {
+        throw new Error('IndexedDB is not available');
+      }
+      const request = factory.open(name, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(DOCUMENT_STORE)) {
+          database.createObjectStore(DOCUMENT_STORE);
+        }
+      };
+      db = await requestToPromise(request);
+    },
+
+    get: (key) => run('readonly', store => store.get(key)),
+
+    set: async (key, value) => {
+      await run('readwrite', store => store.put(value, key));
+    },
+
+    remove: async (key) => {
+      await run('readwrite', store => store.delete(key));
+    }
+  };
+}
+
+/**
+ * Creates a backend on localStorage, for browsers without IndexedDB
+ * @param {Object} [options]
+ * @param {string} [options.prefix=LOCAL_STORAGE_PREFIX] - Key prefix
+ * @param {Storage} [options.storage] - Storage object (defaults to localStorage)
+ * @returns {StorageBackend}
+ */
+export function createLocalStorageBackend({ prefix = LOCAL_STORAGE_PREFIX, storage = globalThis.localStorage } = {}) {
+  return {
+    type: 'localStorage',
+
+    async open() {
+      if (!storage) {
+        throw new Error('localStorage is not available');
+      }
+    },
+
+    async get(key) {
+      const item = storage.getItem(prefix + key);
+      return item === null ? undefined : JSON.parse(item);
+    },
+
+    async set(key, value) {
+      storage.setItem(prefix + key, JSON.stringify(value));
+    },
+
+    async remove(key) {
+      storage.removeItem(prefix + key);
+    }
+  };
+}
+
+/**
+ * Creates an in-memory backend; nothing survives a reload
+ * Used when no persistent backend works, and in tests.
+ * @returns {StorageBackend}
+ */
+export function createMemoryBackend() {
+  const values = new Map();
+  return {
+    type: 'memory',
+    async open() {},
+    async get(key) {
+      return values.has(key) ? structuredClone(values.get(key)) : undefined;
+    },
+    async set(key, value) {
+      values.set(key, structuredClone(value));
+    },
+    async remove(key) {
+      values.delete(key);
+    }
+  };
+}
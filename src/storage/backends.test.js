@@ -0,0 +1,56 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  createIndexedDBBackend,
+  createLocalStorageBackend,
+  createMemoryBackend,
+  LOCAL_STORAGE_PREFIX
+} from './backends'
+
+describe('backends', () => {
+  describe('createLocalStorageBackend', () => {
+    beforeEach(() => {
+      localStorage.clear()
+    })
+
+    it('stores JSON under prefixed keys', async () => {
+      const backend = createLocalStorageBackend()
+      await backend.open()
+      await backend.set('history', { version: 1, data: [1] })
+
+      expect(JSON.parse(localStorage.getItem(`${LOCAL_STORAGE_PREFIX}history`))).toEqual({ version: 1, data: [1] })
+      expect(await backend.get('history')).toEqual({ version: 1, data: [1] })
+    })
+
+    it('returns undefined for missing keys', async () => {
+      expect(await createLocalStorageBackend().get('missing')).toBeUndefined()
+    })
+
+    it('removes keys', async () => {
+      const backend = createLocalStorageBackend()
+      await backend.set('doc', 1)
+      await backend.remove('doc')
+      expect(await backend.get('doc')).toBeUndefined()
+    })
+
+    it('fails to open without localStorage', async () => {
+      await expect(createLocalStorageBackend({ storage: null }).open()).rejects.toThrow()
+    })
+  })
+
+  describe('createMemoryBackend', () => {
+    it('stores copies of values', async () => {
+      const backend = createMemoryBackend()
+      const value = { list: [1] }
+      await backend.set('doc', value)
+      value.list.push(2)
+
+      expect(await backend.get('doc')).toEqual({ list: [1] })
+    })
+  })
+
+  describe('createIndexedDBBackend', () => {
+    it('fails to open without IndexedDB', async () => {
+      await expect(createIndexedDBBackend({ factory: undefined }).open()).rejects.toThrow('IndexedDB is not available')
+    })
+  })
+})
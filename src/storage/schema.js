@@ -0,0 +1,129 @@
+/**
+ * Combat Reflex - Storage Schema
+ *
+ * Names the persisted documents and their ordered migrations.
+ *
+ * Every document is stored as a record of { version, data }. Data written
+ * by releases before the storage layer (raw localStorage JSON) is version 0.
+ * MIGRATIONS[name][i] upgrades data from version i to i + 1, so a document's
+ * current version is the number of migrations it has. To change a format,
+ * append a migration; never edit or reorder existing ones.
+ */
+
+/**
+ * Persisted document names
+ */
+export const DOCUMENTS = {
+  PROFILES: 'profiles',
+  ACTIVE_PROFILE: 'activeProfile',
+  PREFERENCES: 'preferences',
+  HISTORY: 'history'
+};
+
+/**
+ * localStorage keys used before the storage layer, imported on first run
+ */
+export const LEGACY_KEYS = {
+  [DOCUMENTS.PROFILES]: 'combat-reflex-profiles',
+  [DOCUMENTS.ACTIVE_PROFILE]: 'combat-reflex-active-profile',
+  [DOCUMENTS.PREFERENCES]: 'combat-reflex-preferences',
+  [DOCUMENTS.HISTORY]: 'combat-reflex-session-history'
+};
+
+// Defenses and counter combos as they were added in v2. Migrations must keep
+// producing the same data, so these are copies, not the live built-in set.
+const V2_DEFENSES = ['slip', 'roll', 'block', 'parry', 'duck', 'check'];
+const V2_COUNTER_COMBOS = [
+  ['slip-2', 'Slip, Cross', ['slip', 'cross'], 3],
+  ['slip-slip-2', 'Slip, Slip, Cross', ['slip', 'slip', 'cross'], 1],
+  ['roll-3', 'Roll, Hook', ['roll', 'hook'], 2],
+  ['parry-2', 'Parry, Cross', ['parry', 'cross'], 2],
+  ['block-3-2', 'Block, Hook, Cross', ['block', 'hook', 'cross'], 1],
+  ['duck-4-3', 'Duck, Uppercut, Hook', ['duck', 'uppercut', 'hook'], 1],
+  ['check-rh', 'Check, Roundhouse', ['check', 'roundhouse'], 2],
+  ['check-2-rh', 'Check, Cross, Roundhouse', ['check', 'cross', 'roundhouse'], 1]
+];
+
+/**
+ * Adds the defensive techniques and the counter combos to a stored profile
+ * @param {Object} profile - Stored custom profile
+ * @returns {Object} Upgraded profile
+ */
+function addDefenses(profile) {
+  const upgraded = { ...profile };
+  if (Array.isArray(profile.enabledTechniques)) {
+    upgraded.enabledTechniques = [...new Set([...profile.enabledTechniques, ...V2_DEFENSES])];
+  }
+  if (Array.isArray(profile.comboLibrary)) {
+    const counters = V2_COUNTER_COMBOS
+      .map(([id, name, techniques, weight]) => ({
+        id: `counters-${id}`,
+        name,
+        set: 'counters',
+        steps: techniques.map(technique => ({ technique })),
+        weight
+      }))
+      .filter(definition => !profile.comboLibrary.some(existing => existing.id === definition.id));
+    upgraded.comboLibrary = [...profile.comboLibrary, ...counters];
+  }
+  return upgraded;
+}
+
+/**
+ * Ordered migrations per document
+ * @type {Object<string, Array<(data: *) => *>>}
+ */
+export const MIGRATIONS = {
+  [DOCUMENTS.PROFILES]: [
+    // v0 → v1: custom profiles as an array; field defaults come from mergeWithDefaults on load
+    (data) => (Array.isArray(data) ? data.filter(p => p && typeof p === 'object' && p.id) : []),
+    // v1 → v2: defenses are new; turn them on and add the counter combos in profiles that
+    // chose their techniques or combos (the rest get both from mergeWithDefaults on load)
+    (data) => data.map(addDefenses)
+  ],
+  [DOCUMENTS.ACTIVE_PROFILE]: [
+    // v0 → v1: stored as a bare string, not JSON
+    (data) => (typeof data === 'string' && data ? data : null)
+  ],
+  [DOCUMENTS.PREFERENCES]: [
+    // v0 → v1: a plain settings object
+    (data) => (data && typeof data === 'object' && !Array.isArray(data) ? data : {})
+  ],
+  [DOCUMENTS.HISTORY]: [
+    // v0 → v1: entries before combo mode have no trainingType
+    (data) => (Array.isArray(data) ? data : [])
+      .filter(entry => entry && typeof entry === 'object')
+      .map(entry => ({ ...entry, trainingType: entry.trainingType || 'single' }))
+  ]
+};
+
+/**
+ * Gets the current schema version of a document
+ * @param {string} name - Document name
+ * @param {Object} [migrations=MIGRATIONS] - Migration table
+ * @returns {number} Current version
+ */
+export function getSchemaVersion(name, migrations = MIGRATIONS) {
+  return migrations[name]?.length ?? 0;
+}
+
+/**
+ * Upgrades a stored record to the current schema version
+ * Records from a newer version are returned unchanged.
+ * @param {string} name - Document name
+ * @param {{version: number, data: *}} record - Stored record
+ * @param {Object} [migrations=MIGRATIONS] - Migration table
+ * @returns {{version: number, data: *, migrated: boolean}} Current record
+ */
+export function migrateRecord(name, record, migrations = MIGRATIONS) {
+  const steps = migrations[name] || [];
+  const from = Number.isInteger(record.version) ? record.version : 0;
+
+  if (from > steps.length) {
+    console.warn(`Stored "${name}" is version ${from}, newer than ${steps.length}; leaving it unchanged`);
+    return { version: from, data: record.data, migrated: false };
+  }
+
+  const data = steps.slice(from).reduce((current, migrate) => migrate(current), record.data);
+  return { version: steps.length, data, migrated: from < steps.length };
+}
@@ -0,0 +1,106 @@
+import { describe, it, expect, vi } from 'vitest'
+import { DOCUMENTS, LEGACY_KEYS, MIGRATIONS, getSchemaVersion, migrateRecord } from './schema'
+
+describe('schema', () => {
+  it('has a legacy key and migrations for every document', () => {
+    Object.values(DOCUMENTS).forEach(name => {
+      expect(LEGACY_KEYS[name]).toMatch(/^combat-reflex-/)
+      expect(MIGRATIONS[name].length).toBeGreaterThan(0)
+    })
+  })
+
+  describe('getSchemaVersion', () => {
+    it('is the number of migrations', () => {
+      expect(getSchemaVersion('doc', { doc: [x => x, x => x] })).toBe(2)
+    })
+
+    it('is 0 for unknown documents', () => {
+      expect(getSchemaVersion('unknown')).toBe(0)
+    })
+  })
+
+  describe('migrateRecord', () => {
+    const migrations = {
+      doc: [
+        data => ({ ...data, a: true }),
+        data => ({ ...data, b: true })
+      ]
+    }
+
+    it('applies migrations in order from the stored version', () => {
+      expect(migrateRecord('doc', { version: 0, data: {} }, migrations)).toEqual({
+        version: 2,
+        data: { a: true, b: true },
+        migrated: true
+      })
+      expect(migrateRecord('doc', { version: 1, data: {} }, migrations).data).toEqual({ b: true })
+    })
+
+    it('leaves current records alone', () => {
+      const result = migrateRecord('doc', { version: 2, data: { x: 1 } }, migrations)
+      expect(result).toEqual({ version: 2, data: { x: 1 }, migrated: false })
+    })
+
+    it('leaves records from a newer version alone', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+      const result = migrateRecord('doc', { version: 5, data: { x: 1 } }, migrations)
+      expect(result).toEqual({ version: 5, data: { x: 1 }, migrated: false })
+      warn.mockRestore()
+    })
+
+    it('treats a missing version as legacy data', () => {
+      expect(migrateRecord('doc', { data: {} }, migrations).version).toBe(2)
+    })
+  })
+
+  describe('v1 migrations', () => {
+    const toV1 = (name, data) => migrateRecord(name, { version: 0, data }).data
+
+    it('keeps valid custom profiles', () => {
+      expect(toV1(DOCUMENTS.PROFILES, [{ id: 'a' }, null, { name: 'no id' }])).toEqual([{ id: 'a' }])
+      expect(toV1(DOCUMENTS.PROFILES, 'garbage')).toEqual([])
+    })
+
+    it('keeps the active profile ID string', () => {
+      expect(toV1(DOCUMENTS.ACTIVE_PROFILE, 'my-profile')).toBe('my-profile')
+      expect(toV1(DOCUMENTS.ACTIVE_PROFILE, 42)).toBeNull()
+    })
+
+    it('keeps preferences objects', () => {
+      expect(toV1(DOCUMENTS.PREFERENCES, { mode: 'kicks' })).toEqual({ mode: 'kicks' })
+      expect(toV1(DOCUMENTS.PREFERENCES, [])).toEqual({})
+    })
+
+    it('fills in the training type of old history entries', () => {
+      expect(toV1(DOCUMENTS.HISTORY, [{ id: 'a' }, { id: 'b', trainingType: 'combo' }])).toEqual([
+        { id: 'a', trainingType: 'single' },
+        { id: 'b', trainingType: 'combo' }
+      ])
+    })
+  })
+
+  describe('v2 migrations', () => {
+    const toV2 = (name, data) => migrateRecord(name, { version: 1, data }).data
+
+    it('turns on defensive techniques in profiles that chose their techniques', () => {
+      expect(toV2(DOCUMENTS.PROFILES, [{ id: 'a', enabledTechniques: ['jab'] }, { id: 'b' }])).toEqual([
+        { id: 'a', enabledTechniques: ['jab', 'slip', 'roll', 'block', 'parry', 'duck', 'check'] },
+        { id: 'b' }
+      ])
+    })
+
+    it('adds the built-in counter combos to stored combo libraries', () => {
+      const custom = { id: 'custom-1', name: 'Jab, Hook', set: null, steps: [{ technique: 'jab' }, { technique: 'hook' }], weight: 1 }
+      const slipCross = { id: 'counters-slip-2', name: 'Slip, Cross', set: 'counters', steps: [{ technique: 'slip' }, { technique: 'cross' }], weight: 0 }
+      const [profile] = toV2(DOCUMENTS.PROFILES, [{ id: 'a', comboLibrary: [custom, slipCross] }])
+
+      // A counter the profile already has is kept as it is
+      expect(profile.comboLibrary.slice(0, 2)).toEqual([custom, slipCross])
+      expect(profile.comboLibrary.map(definition => definition.id).slice(2)).toEqual([
+        'counters-slip-slip-2', 'counters-roll-3', 'counters-parry-2', 'counters-block-3-2',
+        'counters-duck-4-3', 'counters-check-rh', 'counters-check-2-rh'
+      ])
+      expect(profile.comboLibrary[4]).toEqual({ id: 'counters-parry-2', name: 'Parry, Cross', set: 'counters', steps: [{ technique: 'parry' }, { technique: 'cross' }], weight: 2 })
+    })
+  })
+})
@@ -0,0 +1,223 @@
+/**
+ * Combat Reflex - Storage
+ *
+ * Versioned document storage for profiles, preferences and history.
+ *
+ * init() opens the backend, imports data left in the old localStorage keys
+ * on first run, migrates every document to the current schema and loads it
+ * into an in-memory cache. After that, read() is synchronous, so React
+ * state can be initialised from it, and write() updates the cache at once
+ * and persists in the background. Other tabs are told about writes over a
+ * BroadcastChannel and reload the document.
+ */
+
+import { DOCUMENTS, LEGACY_KEYS, MIGRATIONS, getSchemaVersion, migrateRecord } from './schema';
+import { createIndexedDBBackend, createLocalStorageBackend, createMemoryBackend } from './backends';
+
+/**
+ * Backend key of the storage metadata record
+ * @type {string}
+ */
+export const META_KEY = 'meta';
+
+/**
+ * BroadcastChannel used to tell other tabs about writes
+ * @type {string}
+ */
+export const CHANNEL_NAME = 'combat-reflex-storage';
+
+/**
+ * Parses a legacy localStorage value
+ * The active profile ID was stored as a bare string rather than JSON.
+ * @param {string} item - Raw stored value
+ * @returns {*} Parsed value
+ */
+function parseLegacyItem(item) {
+  try {
+    return JSON.parse(item);
+  } catch {
+    return item;
+  }
+}
+
+/**
+ * @typedef {Object} DocumentStorage
+ * @property {string} backendType - Name of the backend in use
+ * @property {() => Promise<void>} init - Opens, imports, migrates and loads all documents
+ * @property {() => boolean} isReady - Whether init() has finished
+ * @property {(name: string) => *} read - Cached document data (undefined if never saved)
+ * @property {(name: string, data: *) => Promise<void>} write - Caches and persists a document
+ * @property {(name: string) => Promise<void>} remove - Deletes a document
+ * @property {(name: string, listener: (data: *) => void) => () => void} subscribe
+ *   Listens for changes made in other tabs; returns an unsubscribe function
+ */
+
+/**
+ * Creates a storage instance on a backend
+ * @param {Object} options
+ * @param {import('./backends').StorageBackend} options.backend - Where records are kept
+ * @param {Storage|null} [options.legacyStorage] - Where to import pre-storage-layer data from
+ * @param {BroadcastChannel|null} [options.channel=null] - Channel for cross-tab updates
+ * @param {Object} [options.migrations=MIGRATIONS] - Migration table
+ * @returns {DocumentStorage}
+ */
+export function createStorage({
+  backend,
+  legacyStorage = globalThis.localStorage ?? null,
+  channel = null,
+  migrations = MIGRATIONS
+}) {
+  const cache = new Map();
+  const listeners = new Map();
+  const documentNames = Object.values(DOCUMENTS);
+  let ready = false;
+
+  const loadDocument = async (name) => {
+    const record = await backend.get(name);
+    if (record === undefined) {
+      return undefined;
+    }
+    const current = migrateRecord(name, record, migrations);
+    if (current.migrated) {
+      await backend.set(name, { version: current.version, data: current.data });
+    }
+    return current.data;
+  };
+
+  const importLegacyData = async () => {
+    const meta = (await backend.get(META_KEY)) || {};
+    if (meta.legacyImported || !legacyStorage) {
+      return;
+    }
+
+    for (const name of documentNames) {
+      const item = legacyStorage.getItem(LEGACY_KEYS[name]);
+      // Never overwrite data already in the new store
+      if (item !== null && (await backend.get(name)) === undefined) {
+        await backend.set(name, { version: 0, data: parseLegacyItem(item) });
+      }
+    }
+
+    await backend.set(META_KEY, { ...meta, legacyImported: true, legacyImportedAt: Date.now() });
+    documentNames.forEach(name => legacyStorage.removeItem(LEGACY_KEYS[name]));
+  };
+
+  const handleMessage = async (event) => {
+    const name = event.data?.name;
+    if (!documentNames.includes(name)) {
+      return;
+    }
+    try {
+      const data = await loadDocument(name);
+      cache.set(name, data);
+      listeners.get(name)?.forEach(listener => listener(data));
+    } catch (error) {
+      console.warn(`Error reloading "${name}" from storage:`, error);
+    }
+  };
+
+  return {
+    backendType: backend.type,
+
+    async init() {
+      await backend.open();
+      await importLegacyData();
+      for (const name of documentNames) {
+        const data = await loadDocument(name);
+        if (data !== undefined) {
+          cache.set(name, data);
+        }
+      }
+      if (channel) {
+        channel.onmessage = handleMessage;
+      }
+      ready = true;
+    },
+
+    isReady: () => ready,
+
+    read: (name) => cache.get(name),
+
+    async write(name, data) {
+      cache.set(name, data);
+      try {
+        await backend.set(name, { version: getSchemaVersion(name, migrations), data });
+        channel?.postMessage({ name });
+      } catch (error) {
+        console.warn(`Error saving "${name}" to storage:`, error);
+      }
+    },
+
+    async remove(name) {
+      cache.delete(name);
+      try {
+        await backend.remove(name);
+        channel?.postMessage({ name });
+      } catch (error) {
+        console.warn(`Error removing "${name}" from storage:`, error);
+      }
+    },
+
+    subscribe(name, listener) {
+      if (!listeners.has(name)) {
+        listeners.set(name, new Set());
+      }
+      listeners.get(name).add(listener);
+      return () => listeners.get(name).delete(listener);
+    }
+  };
+}
+
+// Storage used by the app; in-memory until openStorage() succeeds
+let appStorage = null;
+
+/**
+ * Gets the app's storage
+ * Before openStorage() resolves this is an empty in-memory store.
+ * @returns {DocumentStorage}
+ */
+export function getStorage() {
+  if (!appStorage) {
+    appStorage = createStorage({ backend: createMemoryBackend(), legacyStorage: null });
+  }
+  return appStorage;
+}
+
+/**
+ * Replaces the app's storage (used by openStorage and tests)
+ * @param {DocumentStorage|null} storage - Storage to use, or null to reset
+ */
+export function setStorage(storage) {
+  appStorage = storage;
+}
+
+/**
+ * Opens the best available storage and makes it the app's storage
+ * Tries IndexedDB, then localStorage, then falls back to memory; never rejects.
+ * @param {Object} [options]
+ * @param {import('./backends').StorageBackend[]} [options.backends] - Backends in order of preference
+ * @param {Storage|null} [options.legacyStorage] - Where to import pre-storage-layer data from
+ * @param {BroadcastChannel|null} [options.channel] - Channel for cross-tab updates
+ * @returns {Promise<DocumentStorage>} The opened storage
+ */
+export async function openStorage({
+  backends = [createIndexedDBBackend(), createLocalStorageBackend()],
+  legacyStorage = globalThis.localStorage ?? null,
+  channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null
+} = {}) {
+  for (const backend of backends) {
+    const storage = createStorage({ backend, legacyStorage, channel });
+    try {
+      await storage.init();
+      setStorage(storage);
+      return storage;
+    } catch (error) {
+      console.warn(`Storage backend "${backend.type}" is unavailable:`, error);
+    }
+  }
+
+  // Every backend failed; keep the app usable for this visit
+  const storage = createStorage({ backend: createMemoryBackend(), legacyStorage: null });
+  setStorage(storage);
+  return storage;
+}
@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createStorage, openStorage, getStorage, setStorage, META_KEY } from './storage'
+import { createMemoryBackend } from './backends'
+import { DOCUMENTS, LEGACY_KEYS, getSchemaVersion } from './schema'
+
+describe('storage', () => {
+  let backend
+
+  beforeEach(() => {
+    localStorage.clear()
+    backend = createMemoryBackend()
+  })
+
+  afterEach(() => {
+    setStorage(null)
+  })
+
+  describe('legacy import', () => {
+    beforeEach(() => {
+      localStorage.setItem(LEGACY_KEYS[DOCUMENTS.PROFILES], JSON.stringify([{ id: 'p1', name: 'Mine' }]))
+      localStorage.setItem(LEGACY_KEYS[DOCUMENTS.ACTIVE_PROFILE], 'p1')
+      localStorage.setItem(LEGACY_KEYS[DOCUMENTS.PREFERENCES], JSON.stringify({ mode: 'kicks' }))
+      localStorage.setItem(LEGACY_KEYS[DOCUMENTS.HISTORY], JSON.stringify([{ id: 's1' }]))
+    })
+
+    it('imports and migrates old localStorage data on first run', async () => {
+      const storage = createStorage({ backend })
+      await storage.init()
+
+      expect(storage.read(DOCUMENTS.PROFILES)).toEqual([{ id: 'p1', name: 'Mine' }])
+      expect(storage.read(DOCUMENTS.ACTIVE_PROFILE)).toBe('p1')
+      expect(storage.read(DOCUMENTS.PREFERENCES)).toEqual({ mode: 'kicks' })
+      expect(storage.read(DOCUMENTS.HISTORY)).toEqual([{ id: 's1', trainingType: 'single' }])
+    })
+
+    it('saves migrated records at the current version', async () => {
+      await createStorage({ backend }).init()
+
+      expect(await backend.get(DOCUMENTS.HISTORY)).toEqual({
+        version: getSchemaVersion(DOCUMENTS.HISTORY),
+        data: [{ id: 's1', trainingType: 'single' }]
+      })
+    })
+
+    it('removes the old keys and records the import', async () => {
+      await createStorage({ backend }).init()
+
+      Object.values(LEGACY_KEYS).forEach(key => {
+        expect(localStorage.getItem(key)).toBeNull()
+      })
+      expect((await backend.get(META_KEY)).legacyImported).toBe(true)
+    })
+
+    it('imports only once', async () => {
+      await createStorage({ backend }).init()
+      localStorage.setItem(LEGACY_KEYS[DOCUMENTS.PREFERENCES], JSON.stringify({ mode: 'punches' }))
+
+      const storage = createStorage({ backend })
+      await storage.init()
+      expect(storage.read(DOCUMENTS.PREFERENCES)).toEqual({ mode: 'kicks' })
+    })
+
+    it('does not overwrite documents already in the store', async () => {
+      await backend.set(DOCUMENTS.PREFERENCES, { version: 1, data: { mode: 'both' } })
+
+      const storage = createStorage({ backend })
+      await storage.init()
+      expect(storage.read(DOCUMENTS.PREFERENCES)).toEqual({ mode: 'both' })
+    })
+  })
+
+  describe('read and write', () => {
+    it('reads undefined for documents never saved', async () => {
+      const storage = createStorage({ backend })
+      await storage.init()
+      expect(storage.read(DOCUMENTS.HISTORY)).toBeUndefined()
+    })
+
+    it('caches writes immediately and persists them with the schema version', async () => {
+      const storage = createStorage({ backend })
+      await storage.init()
+
+      const saving = storage.write(DOCUMENTS.PREFERENCES, { mode: 'kicks' })
+      expect(storage.read(DOCUMENTS.PREFERENCES)).toEqual({ mode: 'kicks' })
+      await saving
+
+      expect(await backend.get(DOCUMENTS.PREFERENCES)).toEqual({
+        version: getSchemaVersion(DOCUMENTS.PREFERENCES),
+        data: { mode: 'kicks' }
+      })
+    })
+
+    it('removes documents', async () => {
+      const storage = createStorage({ backend })
+      await storage.write(DOCUMENTS.PROFILES, [])
+      await storage.remove(DOCUMENTS.PROFILES)
+
+      expect(storage.read(DOCUMENTS.PROFILES)).toBeUndefined()
+      expect(await backend.get(DOCUMENTS.PROFILES)).toBeUndefined()
+    })
+
+    it('warns instead of throwing when a write fails', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+      const storage = createStorage({ backend: { ...backend, set: () => Promise.reject(new Error('full')) } })
+
+      await storage.write(DOCUMENTS.HISTORY, [])
+      expect(warn).toHaveBeenCalled()
+      warn.mockRestore()
+    })
+
+    it('runs custom migrations on load', async () => {
+      await backend.set('history', { version: 0, data: [] })
+      const migrations = { history: [() => ['migrated']] }
+
+      const storage = createStorage({ backend, migrations, legacyStorage: null })
+      await storage.init()
+      expect(storage.read(DOCUMENTS.HISTORY)).toEqual(['migrated'])
+    })
+  })
+
+  describe('cross-tab updates', () => {
+    it('announces writes on the channel', async () => {
+      const channel = { postMessage: vi.fn(), onmessage: null }
+      const storage = createStorage({ backend, channel })
+      await storage.init()
+      await storage.write(DOCUMENTS.HISTORY, [])
+
+      expect(channel.postMessage).toHaveBeenCalledWith({ name: DOCUMENTS.HISTORY })
+    })
+
+    it('reloads and notifies subscribers when another tab writes', async () => {
+      const channel = { postMessage: vi.fn(), onmessage: null }
+      const storage = createStorage({ backend, channel })
+      await storage.init()
+      const listener = vi.fn()
+      storage.subscribe(DOCUMENTS.PREFERENCES, listener)
+
+      await backend.set(DOCUMENTS.PREFERENCES, { version: 1, data: { mode: 'kicks' } })
+      await channel.onmessage({ data: { name: DOCUMENTS.PREFERENCES } })
+
+      expect(listener).toHaveBeenCalledWith({ mode: 'kicks' })
+      expect(storage.read(DOCUMENTS.PREFERENCES)).toEqual({ mode: 'kicks' })
+    })
+  })
+
+  describe('openStorage', () => {
+    it('uses the first backend that opens', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+      const broken = { ...createMemoryBackend(), type: 'broken', open: () => Promise.reject(new Error('nope')) }
+
+      const storage = await openStorage({ backends: [broken, backend], channel: null })
+
+      expect(storage.backendType).toBe('memory')
+      expect(storage.isReady()).toBe(true)
+      expect(getStorage()).toBe(storage)
+      warn.mockRestore()
+    })
+
+    it('falls back to memory when every backend fails', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+      const broken = { ...createMemoryBackend(), type: 'broken', open: () => Promise.reject(new Error('nope')) }
+
+      const storage = await openStorage({ backends: [broken], channel: null })
+      expect(storage.backendType).toBe('memory')
+      warn.mockRestore()
+    })
+  })
+
+  it('provides an in-memory storage before openStorage', () => {
+    expect(getStorage().backendType).toBe('memory')
+  })
+})
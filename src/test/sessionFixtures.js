@@ -0,0 +1,58 @@
+// Workout settings and an engine harness shared by the timeline and session engine tests
+
+import { createSessionEngine } from '../utils/sessionEngine'
+import {
+  COUNTDOWN_SECONDS,
+  COUNTDOWN_LEAD_IN_MS,
+  GO_DISPLAY_MS,
+  SINGLE_CUE_DISPLAY_MS
+} from '../utils/workoutTimeline'
+
+export const difficulty = {
+  id: 'test',
+  minInterval: 1000,
+  maxInterval: 1000,
+  totalHits: 3,
+  rest: { enabled: true, breakDuration: 10000 }
+}
+
+export const comboSettings = {
+  comboSize: { min: 2, max: 2 },
+  strikeInterval: { min: 400, max: 400 },
+  restBetweenCombos: { min: 2000, max: 2000 },
+  totalCombos: 2
+}
+
+// One single-mode session of three jab/cross cues
+export function createConfig(overrides = {}) {
+  return {
+    mode: 'punches',
+    trainingType: 'single',
+    difficulty,
+    comboSettings: null,
+    numberOfSessions: 1,
+    techniques: ['jab', 'cross'],
+    ...overrides
+  }
+}
+
+// Time from start() until the first session begins training
+export const TIME_TO_TRAINING = COUNTDOWN_LEAD_IN_MS + COUNTDOWN_SECONDS * 1000 + GO_DISPLAY_MS
+
+// One single-mode cue cycle: interval, then display time
+export const CUE_CYCLE = difficulty.minInterval + SINGLE_CUE_DISPLAY_MS
+
+export const fakeClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: (handle) => clearTimeout(handle)
+}
+
+// Engine on the (faked) timers that records every event it emits in events
+export function createTestEngine(events) {
+  return createSessionEngine({
+    clock: fakeClock,
+    random: () => 0,
+    onEvent: (type, payload) => events.push({ type, ...payload })
+  })
+}
@@ -20,6 +20,12 @@ class MockAudioContext {
       connect: () => {},
     }
   }
+  createStereoPanner() {
+    return {
+      pan: { setValueAtTime: () => {} },
+      connect: () => {},
+    }
+  }
   resume() {
     return Promise.resolve()
   }
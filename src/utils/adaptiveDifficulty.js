@@ -0,0 +1,180 @@
+/**
+ * Combat Reflex - Adaptive Difficulty
+ *
+ * A weighted staircase that tunes the pace of single cues to the athlete.
+ * A cue is caught when a response arrives while it is still on screen.
+ * Every caught cue shrinks the window a step; every missed cue widens it
+ * by targetRate / (1 - targetRate) steps. The scale applies to how long
+ * each cue stays on screen as well as to the interval before it, so a
+ * tighter window leaves less time to catch the cue and the catch rate
+ * settles at about targetRate (e.g. 3 caught for every miss at 75%).
+ *
+ * The window is scaled as a whole: an interval planned in the
+ * difficulty's minInterval-maxInterval band keeps its place in the
+ * adapted band. Adapting needs response capture and applies to single
+ * cues only; combo timing is left as it is.
+ */
+
+/**
+ * Target success rates offered on the settings screen
+ * @type {number[]}
+ */
+export const ADAPTIVE_TARGET_RATES = [0.6, 0.7, 0.8, 0.9];
+
+/**
+ * @typedef {Object} AdaptiveSettings
+ * @property {boolean} enabled - Whether intervals adapt during the workout
+ * @property {number} targetRate - Share of cues the athlete should catch (one of ADAPTIVE_TARGET_RATES)
+ */
+
+/**
+ * Adaptive difficulty is off until chosen
+ * @type {AdaptiveSettings}
+ */
+export const DEFAULT_ADAPTIVE_SETTINGS = {
+  enabled: false,
+  targetRate: 0.8
+};
+
+/**
+ * Change of the interval scale after a caught cue
+ * @type {number}
+ */
+export const ADAPTIVE_STEP = 0.04;
+
+/**
+ * Shortest interval the window can shrink to (ms)
+ * @type {number}
+ */
+export const MIN_ADAPTIVE_INTERVAL_MS = 200;
+
+/**
+ * Widest the window can grow, as a multiple of the difficulty's intervals
+ * @type {number}
+ */
+export const MAX_ADAPTIVE_SCALE = 3;
+
+/**
+ * @typedef {Object} IntervalWindow
+ * @property {number} minInterval - Shortest interval between cues (ms)
+ * @property {number} maxInterval - Longest interval between cues (ms)
+ */
+
+/**
+ * Checks adaptive difficulty settings
+ * @param {*} settings - Settings to check
+ * @returns {boolean} Whether they are valid
+ */
+export function isValidAdaptiveSettings(settings) {
+  return Boolean(settings)
+    && typeof settings.enabled === 'boolean'
+    && ADAPTIVE_TARGET_RATES.includes(settings.targetRate);
+}
+
+/**
+ * Creates a staircase over a difficulty's interval window
+ * @param {IntervalWindow} base - Interval window of the difficulty
+ * @param {number} [targetRate=DEFAULT_ADAPTIVE_SETTINGS.targetRate] - Share of cues to catch
+ * @param {number} [step=ADAPTIVE_STEP] - Change of the interval scale after a caught cue
+ * @returns {{record: (caught: boolean) => void, adapt: (delayMs: number) => number,
+ *   getWindow: () => IntervalWindow, getStats: () => {cues: number, caught: number},
+ *   resetStats: () => void}} Staircase
+ */
+export function createStaircase(base, targetRate = DEFAULT_ADAPTIVE_SETTINGS.targetRate, step = ADAPTIVE_STEP) {
+  const minScale = Math.min(1, MIN_ADAPTIVE_INTERVAL_MS / base.minInterval);
+  const missStep = step * (targetRate / (1 - targetRate));
+  let scale = 1;
+  let cues = 0;
+  let caught = 0;
+
+  return {
+    /**
+     * Records whether a cue was caught and moves the window
+     * @param {boolean} wasCaught - Whether the athlete responded in time
+     */
+    record(wasCaught) {
+      cues++;
+      if (wasCaught) {
+        caught++;
+      }
+      const next = wasCaught ? scale - step : scale + missStep;
+      scale = Math.min(MAX_ADAPTIVE_SCALE, Math.max(minScale, next));
+    },
+
+    /**
+     * Scales a planned interval or cue display time to the adapted window
+     * @param {number} delayMs - Time planned for the difficulty's window (ms)
+     * @returns {number} Adapted time (ms)
+     */
+    adapt(delayMs) {
+      return Math.round(delayMs * scale);
+    },
+
+    /**
+     * Gets the adapted interval window
+     * @returns {IntervalWindow}
+     */
+    getWindow() {
+      return {
+        minInterval: Math.round(base.minInterval * scale),
+        maxInterval: Math.round(base.maxInterval * scale)
+      };
+    },
+
+    /**
+     * Gets the cues recorded since the last resetStats()
+     * @returns {{cues: number, caught: number}}
+     */
+    getStats() {
+      return { cues, caught };
+    },
+
+    /**
+     * Starts counting cues afresh, keeping the window (e.g. for a new session)
+     */
+    resetStats() {
+      cues = 0;
+      caught = 0;
+    }
+  };
+}
+
+/**
+ * Stores an adapted interval window in a profile's difficulty
+ * @param {Object} profile - Profile to update
+ * @param {string} difficultyId - Difficulty the window was adapted for
+ * @param {IntervalWindow} window - Adapted interval window
+ * @returns {Object} Updated copy of the profile
+ */
+export function applyIntervalWindow(profile, difficultyId, { minInterval, maxInterval }) {
+  return {
+    ...profile,
+    difficulties: profile.difficulties.map(difficulty => (
+      difficulty.id === difficultyId ? { ...difficulty, minInterval, maxInterval } : difficulty
+    ))
+  };
+}
+
+/**
+ * Sums up adaptive difficulty over a workout's history entries
+ * @param {import('../context/TrainingContext').SessionHistoryEntry[]} sessions - Sessions of one workout
+ * @returns {{difficultyId: string, minInterval: number, maxInterval: number, targetRate: number,
+ *   cues: number, caught: number}|null} Window adapted by the last session and the cues caught
+ *   in all of them, or null if intervals did not adapt
+ */
+export function summarizeAdaptiveSessions(sessions) {
+  const adapted = sessions.filter(session => session.adaptive);
+  if (adapted.length === 0) {
+    return null;
+  }
+  // History lists the newest session first
+  const last = adapted.reduce((latest, session) => (session.sessionNumber > latest.sessionNumber ? session : latest));
+  return {
+    difficultyId: last.difficultyId,
+    minInterval: last.adaptive.minInterval,
+    maxInterval: last.adaptive.maxInterval,
+    targetRate: last.adaptive.targetRate,
+    cues: adapted.reduce((sum, session) => sum + session.adaptive.cues, 0),
+    caught: adapted.reduce((sum, session) => sum + session.adaptive.caught, 0)
+  };
+}
@@ -0,0 +1,207 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  ADAPTIVE_STEP,
+  MAX_ADAPTIVE_SCALE,
+  MIN_ADAPTIVE_INTERVAL_MS,
+  DEFAULT_ADAPTIVE_SETTINGS,
+  createStaircase,
+  isValidAdaptiveSettings,
+  applyIntervalWindow,
+  summarizeAdaptiveSessions
+} from './adaptiveDifficulty'
+import { SINGLE_CUE_DISPLAY_MS } from './workoutTimeline'
+import {
+  difficulty,
+  comboSettings,
+  createConfig,
+  createTestEngine,
+  TIME_TO_TRAINING
+} from '../test/sessionFixtures'
+
+const base = { minInterval: 1000, maxInterval: 2000 }
+
+describe('adaptiveDifficulty', () => {
+  describe('createStaircase', () => {
+    it('starts at the difficulty window', () => {
+      const staircase = createStaircase(base)
+      expect(staircase.getWindow()).toEqual(base)
+      expect(staircase.adapt(1500)).toBe(1500)
+    })
+
+    it('shrinks the window after a caught cue', () => {
+      const staircase = createStaircase(base, 0.8)
+      staircase.record(true)
+      expect(staircase.getWindow()).toEqual({ minInterval: 960, maxInterval: 1920 })
+      expect(staircase.adapt(1500)).toBe(1440)
+    })
+
+    it('widens the window after a miss, weighted by the target rate', () => {
+      const staircase = createStaircase(base, 0.8)
+      staircase.record(false)
+      // 4 steps, so 4 caught cues balance 1 miss at 80%
+      expect(staircase.getWindow().minInterval).toBe(1000 + 1000 * ADAPTIVE_STEP * 4)
+    })
+
+    it('holds steady at the target rate', () => {
+      const staircase = createStaircase(base, 0.75)
+      for (let i = 0; i < 10; i++) {
+        staircase.record(true)
+        staircase.record(true)
+        staircase.record(true)
+        staircase.record(false)
+      }
+      expect(staircase.getWindow()).toEqual(base)
+    })
+
+    it('keeps the window within its limits', () => {
+      const fast = createStaircase(base)
+      const slow = createStaircase(base)
+      for (let i = 0; i < 100; i++) {
+        fast.record(true)
+        slow.record(false)
+      }
+      expect(fast.getWindow().minInterval).toBe(MIN_ADAPTIVE_INTERVAL_MS)
+      expect(slow.getWindow().maxInterval).toBe(base.maxInterval * MAX_ADAPTIVE_SCALE)
+    })
+
+    it('counts cues until the stats are reset', () => {
+      const staircase = createStaircase(base)
+      staircase.record(true)
+      staircase.record(false)
+      expect(staircase.getStats()).toEqual({ cues: 2, caught: 1 })
+
+      const window = staircase.getWindow()
+      staircase.resetStats()
+      expect(staircase.getStats()).toEqual({ cues: 0, caught: 0 })
+      expect(staircase.getWindow()).toEqual(window)
+    })
+  })
+
+  describe('isValidAdaptiveSettings', () => {
+    it('accepts the defaults and rejects unknown target rates', () => {
+      expect(isValidAdaptiveSettings(DEFAULT_ADAPTIVE_SETTINGS)).toBe(true)
+      expect(isValidAdaptiveSettings({ enabled: true, targetRate: 0.5 })).toBe(false)
+      expect(isValidAdaptiveSettings({ enabled: 'yes', targetRate: 0.8 })).toBe(false)
+      expect(isValidAdaptiveSettings(null)).toBe(false)
+    })
+  })
+
+  describe('applyIntervalWindow', () => {
+    it('updates only the adapted difficulty', () => {
+      const profile = {
+        id: 'p',
+        difficulties: [
+          { id: 'easy', minInterval: 2000, maxInterval: 3000 },
+          { id: 'hard', minInterval: 800, maxInterval: 1200 }
+        ]
+      }
+      const updated = applyIntervalWindow(profile, 'hard', { minInterval: 600, maxInterval: 900 })
+
+      expect(updated.difficulties).toEqual([
+        { id: 'easy', minInterval: 2000, maxInterval: 3000 },
+        { id: 'hard', minInterval: 600, maxInterval: 900 }
+      ])
+      expect(profile.difficulties[1].minInterval).toBe(800)
+    })
+  })
+
+  describe('summarizeAdaptiveSessions', () => {
+    it('takes the window of the last session and sums the cues', () => {
+      const adaptive = (minInterval, cues, caught) => ({ minInterval, maxInterval: minInterval * 2, targetRate: 0.8, cues, caught })
+      const sessions = [
+        { difficultyId: 'hard', sessionNumber: 2, adaptive: adaptive(700, 10, 8) },
+        { difficultyId: 'hard', sessionNumber: 1, adaptive: adaptive(900, 10, 9) }
+      ]
+
+      expect(summarizeAdaptiveSessions(sessions)).toEqual({
+        difficultyId: 'hard',
+        minInterval: 700,
+        maxInterval: 1400,
+        targetRate: 0.8,
+        cues: 20,
+        caught: 17
+      })
+    })
+
+    it('returns null when nothing adapted', () => {
+      expect(summarizeAdaptiveSessions([{ sessionNumber: 1 }])).toBeNull()
+    })
+  })
+
+  describe('sessionEngine', () => {
+    let events
+    let engine
+
+    beforeEach(() => {
+      vi.useFakeTimers()
+      events = []
+      engine = createTestEngine(events)
+    })
+
+    afterEach(() => {
+      engine.destroy()
+      vi.useRealTimers()
+    })
+
+    const adaptive = { enabled: true, targetRate: 0.8 }
+
+    const cueOnsets = () => events.filter(e => e.type === 'cue').map(e => e.onset)
+    const gaps = (onsets) => onsets.slice(1).map((onset, i) => onset - onsets[i])
+
+    it('shortens the interval after each caught cue', () => {
+      engine.listen((type, payload) => type === 'cue' && engine.respond(payload.onset + 200))
+      engine.start(createConfig({ adaptive }))
+      vi.advanceTimersByTime(60000)
+
+      // Each cue stays up for the window it was scheduled in
+      expect(gaps(cueOnsets())).toEqual([SINGLE_CUE_DISPLAY_MS + 960, SINGLE_CUE_DISPLAY_MS * 0.96 + 920])
+      expect(events.find(e => e.type === 'sessionEnd').entry.adaptive).toEqual({
+        minInterval: 880,
+        maxInterval: 880,
+        targetRate: 0.8,
+        cues: 3,
+        caught: 3
+      })
+    })
+
+    it('lengthens the interval after a missed cue', () => {
+      engine.start(createConfig({ adaptive }))
+      vi.advanceTimersByTime(60000)
+
+      expect(gaps(cueOnsets())[0]).toBe(SINGLE_CUE_DISPLAY_MS + 1160)
+      expect(events.find(e => e.type === 'sessionEnd').entry.adaptive).toMatchObject({ cues: 3, caught: 0 })
+    })
+
+    it('shortens the time a cue stays on screen with the interval', () => {
+      engine.listen((type, payload) => type === 'cue' && engine.respond(payload.onset + 200))
+      engine.start(createConfig({ adaptive }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + difficulty.minInterval + SINGLE_CUE_DISPLAY_MS + 960)
+
+      expect(engine.getState().currentAction).not.toBeNull()
+      vi.advanceTimersByTime(SINGLE_CUE_DISPLAY_MS * 0.96)
+      expect(engine.getState().currentAction).toBeNull()
+    })
+
+    it('settles where an athlete with a fixed reaction time catches the target share', () => {
+      // Quick enough at first; the window shrinks until cues start to slip by
+      const reactionMs = SINGLE_CUE_DISPLAY_MS * 0.6
+      engine.listen((type) => type === 'cue' && setTimeout(() => engine.respond(), reactionMs))
+      engine.start(createConfig({ adaptive, difficulty: { ...difficulty, totalHits: 100 } }))
+      vi.advanceTimersByTime(600000)
+
+      const { cues, caught } = events.find(e => e.type === 'sessionEnd').entry.adaptive
+      expect(cues).toBe(100)
+      expect(caught / cues).toBeGreaterThan(0.7)
+      expect(caught / cues).toBeLessThan(0.9)
+    })
+
+    it('leaves combos and fixed workouts alone', () => {
+      engine.start(createConfig({ trainingType: 'combo', comboSettings, adaptive }))
+      vi.advanceTimersByTime(60000)
+      engine.start(createConfig())
+      vi.advanceTimersByTime(60000)
+
+      expect(events.filter(e => e.type === 'sessionEnd').every(e => !('adaptive' in e.entry))).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,174 @@
+/**
+ * Audio Scheduler for Combat Reflex Training App
+ *
+ * Plays cue sounds at an exact time on the AudioContext clock instead of
+ * "now", so setTimeout jitter and main-thread stalls no longer shift them.
+ *
+ * The session engine fires each cue LOOKAHEAD_MS before it is due and passes
+ * the cue's onset on the engine clock (performance.now()). The scheduler maps
+ * that onset to the audio clock and starts the sound there; the visual flash
+ * is revealed on the first frame at the same onset (see useCueReveal), so
+ * sound and picture line up. Sounds further ahead than the lookahead are
+ * queued and committed by a short polling interval.
+ *
+ * A cue sound can only be late if its timer fired more than LOOKAHEAD_MS
+ * after it was due. The engine records how late every cue timer fired;
+ * summarizeCueTiming turns those samples into the jitter report.
+ */
+
+/**
+ * How far ahead of its onset a cue is handed to the scheduler (ms)
+ * Larger absorbs longer stalls; smaller reacts faster to pause.
+ * @type {number}
+ */
+export const LOOKAHEAD_MS = 100;
+
+/**
+ * How often queued sounds are checked for commitment (ms)
+ * @type {number}
+ */
+export const SCHEDULER_INTERVAL_MS = 25;
+
+/**
+ * @typedef {Object} CueTiming
+ * @property {number} cues - Cues measured
+ * @property {number} meanJitterMs - Mean delay of the cue timers (ms, 1 decimal)
+ * @property {number} maxJitterMs - Largest delay of a cue timer (ms, 1 decimal)
+ * @property {number} lateCues - Cues whose timer fired too late for the sound to be on time
+ */
+
+const roundTenth = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Summarizes how late cue timers fired
+ * @param {number[]} latenessMs - How late each cue timer fired (ms)
+ * @param {number} lookaheadMs - Lookahead the cues were scheduled with
+ * @returns {CueTiming|null} Summary, or null if there were no cues
+ */
+export function summarizeCueTiming(latenessMs, lookaheadMs) {
+  if (latenessMs.length === 0) {
+    return null;
+  }
+  const total = latenessMs.reduce((sum, ms) => sum + ms, 0);
+  return {
+    cues: latenessMs.length,
+    meanJitterMs: roundTenth(total / latenessMs.length),
+    maxJitterMs: roundTenth(Math.max(...latenessMs)),
+    lateCues: latenessMs.filter(ms => ms > lookaheadMs).length
+  };
+}
+
+/**
+ * Combines per-session timing summaries into one for the workout
+ * @param {Array<CueTiming|null|undefined>} timings - Session summaries (missing ones are skipped)
+ * @returns {CueTiming|null} Combined summary, or null if no session has one
+ */
+export function mergeCueTiming(timings) {
+  const present = timings.filter(Boolean);
+  if (present.length === 0) {
+    return null;
+  }
+  const cues = present.reduce((sum, t) => sum + t.cues, 0);
+  return {
+    cues,
+    meanJitterMs: roundTenth(present.reduce((sum, t) => sum + t.meanJitterMs * t.cues, 0) / cues),
+    maxJitterMs: Math.max(...present.map(t => t.maxJitterMs)),
+    lateCues: present.reduce((sum, t) => sum + t.lateCues, 0)
+  };
+}
+
+/**
+ * @typedef {Object} AudioScheduler
+ * @property {(at: number) => number} toAudioTime - Maps an engine-clock time (ms) to the audio clock (s)
+ * @property {(at: number, play: (startTime: number) => (AudioScheduledSourceNode|undefined)) => void} schedule
+ *   Plays a sound at an engine-clock time; play starts it at the given audio time and returns its source
+ * @property {() => void} cancelAll - Drops queued sounds and silences committed ones
+ */
+
+/**
+ * Creates an audio scheduler for an AudioContext
+ * @param {Object} options
+ * @param {AudioContext} options.audioContext - Context to play on
+ * @param {() => number} [options.now] - Engine clock in ms (performance.now())
+ * @param {number} [options.lookaheadMs=LOOKAHEAD_MS] - How far ahead sounds are committed
+ * @param {number} [options.intervalMs=SCHEDULER_INTERVAL_MS] - Polling interval for queued sounds
+ * @param {{setInterval: Function, clearInterval: Function}} [options.timers] - Interval timer functions
+ * @returns {AudioScheduler}
+ */
+export function createAudioScheduler({
+  audioContext,
+  now = () => performance.now(),
+  lookaheadMs = LOOKAHEAD_MS,
+  intervalMs = SCHEDULER_INTERVAL_MS,
+  timers = globalThis
+}) {
+  let queue = [];
+  let sources = [];
+  let intervalId = null;
+
+  const toAudioTime = (at) => {
+    // The output timestamp pairs the audio clock with performance.now() for
+    // the sample leaving the speakers, so it also covers output latency
+    const stamp = audioContext.getOutputTimestamp?.();
+    if (stamp?.performanceTime > 0) {
+      return stamp.contextTime + (at - stamp.performanceTime) / 1000;
+    }
+    return audioContext.currentTime + (at - now()) / 1000;
+  };
+
+  const commit = ({ at, play }) => {
+    const startTime = Math.max(audioContext.currentTime, toAudioTime(at));
+    const source = play(startTime);
+    if (source) {
+      sources.push({ source, startTime });
+    }
+  };
+
+  const stopPolling = () => {
+    if (intervalId !== null) {
+      timers.clearInterval(intervalId);
+      intervalId = null;
+    }
+  };
+
+  const poll = () => {
+    const horizon = now() + lookaheadMs;
+    const due = queue.filter(item => item.at <= horizon);
+    queue = queue.filter(item => item.at > horizon);
+    due.forEach(commit);
+    if (queue.length === 0) {
+      stopPolling();
+    }
+  };
+
+  return {
+    toAudioTime,
+
+    schedule(at, play) {
+      // Forget sounds that have long finished
+      sources = sources.filter(({ startTime }) => startTime > audioContext.currentTime - 1);
+
+      if (at <= now() + lookaheadMs) {
+        commit({ at, play });
+        return;
+      }
+      queue.push({ at, play });
+      if (intervalId === null) {
+        intervalId = timers.setInterval(poll, intervalMs);
+      }
+    },
+
+    cancelAll() {
+      queue = [];
+      stopPolling();
+      sources.forEach(({ source }) => {
+        try {
+          source.stop();
+        } catch {
+          // Already stopped
+        }
+      });
+      sources = [];
+    }
+  };
+}
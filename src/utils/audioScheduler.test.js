@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  createAudioScheduler,
+  summarizeCueTiming,
+  mergeCueTiming,
+  LOOKAHEAD_MS,
+  SCHEDULER_INTERVAL_MS
+} from './audioScheduler'
+
+describe('audioScheduler', () => {
+  describe('createAudioScheduler', () => {
+    // Engine clock in ms; the audio clock started when the engine clock read 1000
+    let nowMs
+    let audioContext
+    let scheduler
+
+    const createSource = () => ({ stop: vi.fn() })
+
+    beforeEach(() => {
+      vi.useFakeTimers()
+      nowMs = 1000
+      audioContext = {
+        get currentTime() {
+          return (nowMs - 1000) / 1000
+        }
+      }
+      scheduler = createAudioScheduler({ audioContext, now: () => nowMs })
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    const advance = (ms) => {
+      nowMs += ms
+      vi.advanceTimersByTime(ms)
+    }
+
+    it('maps engine time to the audio clock', () => {
+      nowMs = 3000
+      expect(scheduler.toAudioTime(3050)).toBeCloseTo(2.05)
+    })
+
+    it('prefers the output timestamp when available', () => {
+      audioContext.getOutputTimestamp = () => ({ contextTime: 1.9, performanceTime: 3000 })
+      nowMs = 3000
+      expect(scheduler.toAudioTime(3050)).toBeCloseTo(1.95)
+    })
+
+    it('starts a sound within the lookahead at its exact audio time', () => {
+      const play = vi.fn(createSource)
+      scheduler.schedule(nowMs + 80, play)
+
+      expect(play).toHaveBeenCalledTimes(1)
+      expect(play.mock.calls[0][0]).toBeCloseTo(0.08)
+    })
+
+    it('starts a sound that is already due right away', () => {
+      nowMs = 2000
+      const play = vi.fn(createSource)
+      scheduler.schedule(1900, play)
+
+      expect(play.mock.calls[0][0]).toBeCloseTo(1)
+    })
+
+    it('queues sounds beyond the lookahead until they come within it', () => {
+      const play = vi.fn(createSource)
+      scheduler.schedule(nowMs + 500, play)
+      expect(play).not.toHaveBeenCalled()
+
+      advance(500 - LOOKAHEAD_MS - SCHEDULER_INTERVAL_MS)
+      expect(play).not.toHaveBeenCalled()
+
+      advance(SCHEDULER_INTERVAL_MS)
+      expect(play).toHaveBeenCalledTimes(1)
+      expect(play.mock.calls[0][0]).toBeCloseTo(0.5)
+    })
+
+    it('stops polling once the queue is empty', () => {
+      scheduler.schedule(nowMs + 200, createSource)
+      advance(200)
+      expect(vi.getTimerCount()).toBe(0)
+    })
+
+    it('cancels queued and committed sounds', () => {
+      const committed = createSource()
+      const queued = vi.fn(createSource)
+      scheduler.schedule(nowMs + 50, () => committed)
+      scheduler.schedule(nowMs + 500, queued)
+
+      scheduler.cancelAll()
+      advance(1000)
+
+      expect(committed.stop).toHaveBeenCalled()
+      expect(queued).not.toHaveBeenCalled()
+      expect(vi.getTimerCount()).toBe(0)
+    })
+
+    it('ignores sources that were already stopped', () => {
+      scheduler.schedule(nowMs, () => ({ stop: () => { throw new Error('InvalidStateError') } }))
+      expect(() => scheduler.cancelAll()).not.toThrow()
+    })
+  })
+
+  describe('summarizeCueTiming', () => {
+    it('reports mean and max jitter and late cues', () => {
+      expect(summarizeCueTiming([2, 4, 150], 100)).toEqual({
+        cues: 3,
+        meanJitterMs: 52,
+        maxJitterMs: 150,
+        lateCues: 1
+      })
+    })
+
+    it('returns null without cues', () => {
+      expect(summarizeCueTiming([], 100)).toBeNull()
+    })
+  })
+
+  describe('mergeCueTiming', () => {
+    it('weights sessions by their number of cues', () => {
+      const merged = mergeCueTiming([
+        { cues: 3, meanJitterMs: 2, maxJitterMs: 5, lateCues: 0 },
+        null,
+        { cues: 1, meanJitterMs: 10, maxJitterMs: 120, lateCues: 1 }
+      ])
+      expect(merged).toEqual({ cues: 4, meanJitterMs: 4, maxJitterMs: 120, lateCues: 1 })
+    })
+
+    it('returns null when no session was timed', () => {
+      expect(mergeCueTiming([undefined, null])).toBeNull()
+    })
+  })
+})
@@ -40,6 +40,8 @@ function createEnvelope(audioContext, attackTime, decayTime, startTime) {
  * @param {number} [options.startTime] - When to start (defaults to now)
  * @param {number} [options.endFrequency] - End frequency for sweeps (optional)
  * @param {number} [options.volume] - Volume multiplier (0-1, defaults to 0.5)
+ * @param {number} [options.pan] - Stereo position (-1 left to 1 right; centered if omitted)
+ * @returns {OscillatorNode} The scheduled oscillator
  */
 function playTone(audioContext, options) {
   const {
@@ -50,7 +52,8 @@ function playTone(audioContext, options) {
     decay,
     startTime = audioContext.currentTime,
     endFrequency = null,
-    volume = 0.5
+    volume = 0.5,
+    pan = null
   } = options;
 
   // Create oscillator
@@ -70,10 +73,17 @@ function playTone(audioContext, options) {
   const volumeNode = audioContext.createGain();
   volumeNode.gain.setValueAtTime(volume, startTime);
 
-  // Connect the audio graph: oscillator -> envelope -> volume -> output
+  // Connect the audio graph: oscillator -> envelope -> volume (-> panner) -> output
   oscillator.connect(envelope);
   envelope.connect(volumeNode);
-  volumeNode.connect(audioContext.destination);
+  if (pan !== null && audioContext.createStereoPanner) {
+    const panner = audioContext.createStereoPanner();
+    panner.pan.setValueAtTime(pan, startTime);
+    volumeNode.connect(panner);
+    panner.connect(audioContext.destination);
+  } else {
+    volumeNode.connect(audioContext.destination);
+  }
 
   // Start and stop the oscillator
   oscillator.start(startTime);
@@ -89,16 +99,20 @@ function playTone(audioContext, options) {
  * - Frequency: 800Hz (mid-high, cutting through)
  * - Duration: 100ms (quick)
  * - Attack: 10ms, Decay: 90ms
+ * @param {AudioContext} audioContext - The Web Audio API context
+ * @param {number} [startTime] - When to play on the audio clock (defaults to now)
+ * @returns {OscillatorNode|undefined} The scheduled oscillator
  */
-export function playPunchSound(audioContext) {
-  if (!audioContext) return;
+export function playPunchSound(audioContext, startTime) {
+  if (!audioContext) return undefined;
 
-  playTone(audioContext, {
+  return playTone(audioContext, {
     type: 'square',
     frequency: 800,
     duration: 0.1,      // 100ms
     attack: 0.01,       // 10ms
     decay: 0.09,        // 90ms
+    startTime,
     volume: 0.4         // Slightly lower volume for square wave harshness
   });
 }
@@ -110,20 +124,125 @@ export function playPunchSound(audioContext) {
  * - Frequency: 400Hz (lower, more body)
  * - Duration: 200ms (longer for impact feel)
  * - Attack: 20ms, Decay: 180ms
+ * @param {AudioContext} audioContext - The Web Audio API context
+ * @param {number} [startTime] - When to play on the audio clock (defaults to now)
+ * @returns {OscillatorNode|undefined} The scheduled oscillator
  */
-export function playKickSound(audioContext) {
-  if (!audioContext) return;
+export function playKickSound(audioContext, startTime) {
+  if (!audioContext) return undefined;
 
-  playTone(audioContext, {
+  return playTone(audioContext, {
     type: 'sine',
     frequency: 400,
     duration: 0.2,      // 200ms
     attack: 0.02,       // 20ms
     decay: 0.18,        // 180ms
+    startTime,
     volume: 0.6         // Slightly higher for sine wave
   });
 }
 
+/**
+ * Tone definitions for each named technique
+ * Punches keep the sharp square wave of the punch cue and kicks keep the deeper
+ * sine wave of the kick cue, and defenses use a falling triangle wave, so the
+ * category is recognisable by timbre while pitch and sweep identify the
+ * specific technique.
+ * @type {Object<string, Object>}
+ */
+export const TECHNIQUE_TONES = {
+  'jab':        { type: 'square', frequency: 950, duration: 0.07, attack: 0.005, decay: 0.065, volume: 0.4 },
+  'cross':      { type: 'square', frequency: 750, duration: 0.1, attack: 0.01, decay: 0.09, volume: 0.4 },
+  'hook':       { type: 'square', frequency: 850, endFrequency: 600, duration: 0.12, attack: 0.01, decay: 0.11, volume: 0.4 },
+  'uppercut':   { type: 'square', frequency: 600, endFrequency: 900, duration: 0.12, attack: 0.01, decay: 0.11, volume: 0.4 },
+  'front-kick': { type: 'sine', frequency: 480, duration: 0.18, attack: 0.02, decay: 0.16, volume: 0.6 },
+  'roundhouse': { type: 'sine', frequency: 500, endFrequency: 320, duration: 0.22, attack: 0.02, decay: 0.2, volume: 0.6 },
+  'side-kick':  { type: 'sine', frequency: 360, duration: 0.2, attack: 0.02, decay: 0.18, volume: 0.6 },
+  'back-kick':  { type: 'sine', frequency: 300, endFrequency: 450, duration: 0.22, attack: 0.02, decay: 0.2, volume: 0.6 },
+  'slip':       { type: 'triangle', frequency: 1200, endFrequency: 700, duration: 0.1, attack: 0.005, decay: 0.095, volume: 0.55 },
+  'roll':       { type: 'triangle', frequency: 900, endFrequency: 400, duration: 0.18, attack: 0.01, decay: 0.17, volume: 0.55 },
+  'block':      { type: 'triangle', frequency: 650, endFrequency: 600, duration: 0.08, attack: 0.005, decay: 0.075, volume: 0.6 },
+  'parry':      { type: 'triangle', frequency: 1500, endFrequency: 1100, duration: 0.07, attack: 0.005, decay: 0.065, volume: 0.5 },
+  'duck':       { type: 'triangle', frequency: 800, endFrequency: 250, duration: 0.2, attack: 0.01, decay: 0.19, volume: 0.6 },
+  'check':      { type: 'triangle', frequency: 450, endFrequency: 350, duration: 0.12, attack: 0.005, decay: 0.115, volume: 0.65 }
+};
+
+/**
+ * Technique Sound
+ * Plays the distinct cue tone for a named technique (see TECHNIQUE_TONES).
+ * Unknown techniques fall back to the punch sound.
+ * @param {AudioContext} audioContext - The Web Audio API context
+ * @param {string} techniqueId - Technique ID from the technique catalog
+ * @param {number} [startTime] - When to play on the audio clock (defaults to now)
+ * @param {number|null} [pan=null] - Stereo position of the side it is thrown from (see SIDE_PAN in stance.js)
+ * @returns {OscillatorNode|undefined} The scheduled oscillator
+ */
+export function playTechniqueSound(audioContext, techniqueId, startTime, pan = null) {
+  if (!audioContext) return undefined;
+
+  const tone = TECHNIQUE_TONES[techniqueId];
+  if (!tone) {
+    return playPunchSound(audioContext, startTime);
+  }
+
+  return playTone(audioContext, { ...tone, startTime, pan });
+}
+
+/**
+ * Decoy Sound
+ * Low, dull buzz for go/no-go decoys, unlike any technique tone, so the
+ * athlete knows to hold
+ * - Type: Sawtooth wave (buzzy)
+ * - Frequency: 180Hz falling to 140Hz
+ * - Duration: 250ms
+ * - Attack: 10ms, Decay: 240ms
+ * @param {AudioContext} audioContext - The Web Audio API context
+ * @param {number} [startTime] - When to play on the audio clock (defaults to now)
+ * @returns {OscillatorNode|undefined} The scheduled oscillator
+ */
+export function playDecoySound(audioContext, startTime) {
+  if (!audioContext) return undefined;
+
+  return playTone(audioContext, {
+    type: 'sawtooth',
+    frequency: 180,
+    endFrequency: 140,
+    duration: 0.25,     // 250ms
+    attack: 0.01,       // 10ms
+    decay: 0.24,        // 240ms
+    startTime,
+    volume: 0.35
+  });
+}
+
+/**
+ * Tone definitions for each target zone
+ * A soft triangle wave, unlike any technique tone, pitched by height:
+ * high for the head, middle for the body, low for the legs.
+ * @type {Object<string, Object>}
+ */
+export const ZONE_TONES = {
+  'head': { type: 'triangle', frequency: 1400, duration: 0.12, attack: 0.01, decay: 0.11, volume: 0.5 },
+  'body': { type: 'triangle', frequency: 900, duration: 0.12, attack: 0.01, decay: 0.11, volume: 0.5 },
+  'legs': { type: 'triangle', frequency: 520, duration: 0.14, attack: 0.01, decay: 0.13, volume: 0.55 }
+};
+
+/**
+ * Zone Sound
+ * Plays the tone of a target zone (see ZONE_TONES), after the technique's tone
+ * @param {AudioContext} audioContext - The Web Audio API context
+ * @param {string} zoneId - Target zone ID
+ * @param {number} [startTime] - When to play on the audio clock (defaults to now)
+ * @param {number|null} [pan=null] - Stereo position, on the side of the technique
+ * @returns {OscillatorNode|undefined} The scheduled oscillator, if the zone is known
+ */
+export function playZoneSound(audioContext, zoneId, startTime, pan = null) {
+  const tone = ZONE_TONES[zoneId];
+  if (!audioContext || !tone) return undefined;
+
+  return playTone(audioContext, { ...tone, startTime, pan });
+}
+
 /**
  * Session Start Sound
  * Ascending two-tone signal indicating session beginning
@@ -227,6 +346,74 @@ export function playWarningSound(audioContext) {
   }
 }
 
+/**
+ * Boxing Bell Sound
+ * Ringing bell strikes that open and close a timed round
+ * - Each strike: 880Hz sine with an inharmonic 2420Hz overtone
+ * - Duration: 1.2s ring, overtone fades faster
+ * - Gap: 350ms between strikes
+ * @param {AudioContext} audioContext - The Web Audio API context
+ * @param {number} [strikes=1] - Number of strikes (one to start a round, three to end it)
+ */
+export function playBellSound(audioContext, strikes = 1) {
+  if (!audioContext) return;
+
+  const now = audioContext.currentTime;
+
+  for (let i = 0; i < strikes; i++) {
+    const startTime = now + (i * 0.35);
+
+    // Fundamental: long ring
+    playTone(audioContext, {
+      type: 'sine',
+      frequency: 880,
+      duration: 1.2,
+      attack: 0.005,
+      decay: 1.195,
+      startTime,
+      volume: 0.6
+    });
+
+    // Overtone: metallic edge that dies away first
+    playTone(audioContext, {
+      type: 'sine',
+      frequency: 2420,
+      duration: 0.5,
+      attack: 0.005,
+      decay: 0.495,
+      startTime,
+      volume: 0.25
+    });
+  }
+}
+
+/**
+ * Round Clapper Sound
+ * Two sharp wooden clacks, like the clapper that marks the last
+ * 10 seconds of a boxing round
+ * - Type: Square wave, falling from 1800Hz to 1200Hz
+ * - Duration: 40ms each
+ * - Gap: 120ms between clacks
+ */
+export function playClapperSound(audioContext) {
+  if (!audioContext) return;
+
+  const now = audioContext.currentTime;
+
+  for (let i = 0; i < 2; i++) {
+    playTone(audioContext, {
+      type: 'square',
+      frequency: 1800,
+      endFrequency: 1200,
+      duration: 0.04,     // 40ms
+      attack: 0.002,      // 2ms
+      decay: 0.038,       // 38ms
+      startTime: now + (i * 0.12),
+      volume: 0.6
+    });
+  }
+}
+
 /**
  * Countdown Tick Sound
  * Short beep for countdown (3, 2, 1)
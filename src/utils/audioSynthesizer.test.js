@@ -2,12 +2,20 @@ import { describe, it, expect, beforeEach, vi } from 'vitest'
 import {
   playPunchSound,
   playKickSound,
+  playTechniqueSound,
+  TECHNIQUE_TONES,
+  playDecoySound,
+  playZoneSound,
+  ZONE_TONES,
   playSessionStartSound,
   playSessionEndSound,
   playWarningSound,
+  playClapperSound,
+  playBellSound,
   createAudioContext,
   resumeAudioContext,
 } from './audioSynthesizer'
+import { TECHNIQUES } from './techniques'
 
 describe('audioSynthesizer', () => {
   let audioContext
@@ -61,6 +69,90 @@ describe('audioSynthesizer', () => {
     })
   })
 
+  describe('playDecoySound', () => {
+    it('plays one tone at the given audio time', () => {
+      const createOscillator = vi.spyOn(audioContext, 'createOscillator')
+      expect(playDecoySound(audioContext, 1.5)).toBeDefined()
+      expect(createOscillator).toHaveBeenCalledTimes(1)
+    })
+
+    it('handles null context gracefully', () => {
+      expect(playDecoySound(null)).toBeUndefined()
+    })
+  })
+
+  describe('playZoneSound', () => {
+    it('plays one tone for every target zone', () => {
+      const createOscillator = vi.spyOn(audioContext, 'createOscillator')
+      Object.keys(ZONE_TONES).forEach(id => {
+        expect(playZoneSound(audioContext, id, 1.5)).toBeDefined()
+      })
+      expect(createOscillator).toHaveBeenCalledTimes(3)
+    })
+
+    it('skips unknown zones and a null context', () => {
+      expect(playZoneSound(audioContext, 'feet')).toBeUndefined()
+      expect(playZoneSound(null, 'head')).toBeUndefined()
+    })
+  })
+
+  describe('playTechniqueSound', () => {
+    it('does not throw for every known technique', () => {
+      Object.keys(TECHNIQUE_TONES).forEach(id => {
+        expect(() => playTechniqueSound(audioContext, id)).not.toThrow()
+      })
+    })
+
+    it('has a tone for every technique, with one waveform per category', () => {
+      const waveforms = { punch: 'square', kick: 'sine', defense: 'triangle' }
+      TECHNIQUES.forEach(t => {
+        expect(TECHNIQUE_TONES[t.id].type).toBe(waveforms[t.category])
+      })
+    })
+
+    it('falls back to a tone for unknown techniques', () => {
+      const createOscillator = vi.spyOn(audioContext, 'createOscillator')
+      playTechniqueSound(audioContext, 'unknown-technique')
+      expect(createOscillator).toHaveBeenCalledTimes(1)
+    })
+
+    it('handles null context gracefully', () => {
+      expect(() => playTechniqueSound(null, 'jab')).not.toThrow()
+    })
+
+    it('starts at the given audio time and returns the oscillator', () => {
+      const start = vi.fn()
+      const createOscillator = audioContext.createOscillator.bind(audioContext)
+      vi.spyOn(audioContext, 'createOscillator').mockImplementation(() => ({ ...createOscillator(), start }))
+
+      const oscillator = playTechniqueSound(audioContext, 'jab', 1.5)
+      expect(start).toHaveBeenCalledWith(1.5)
+      expect(oscillator.start).toBe(start)
+    })
+
+    it('pans the tone to the side it is thrown from', () => {
+      const setValueAtTime = vi.fn()
+      vi.spyOn(audioContext, 'createStereoPanner').mockImplementation(() => ({ pan: { setValueAtTime }, connect: () => {} }))
+
+      playTechniqueSound(audioContext, 'hook', 2, -0.8)
+      expect(setValueAtTime).toHaveBeenCalledWith(-0.8, 2)
+    })
+
+    it('leaves the tone centered without a side or panner support', () => {
+      const createStereoPanner = vi.spyOn(audioContext, 'createStereoPanner')
+      playTechniqueSound(audioContext, 'slip', 0)
+      expect(createStereoPanner).not.toHaveBeenCalled()
+
+      const noPanner = {
+        currentTime: 0,
+        destination: {},
+        createOscillator: () => audioContext.createOscillator(),
+        createGain: () => audioContext.createGain()
+      }
+      expect(() => playTechniqueSound(noPanner, 'jab', 0, 0.8)).not.toThrow()
+    })
+  })
+
   describe('playSessionStartSound', () => {
     it('does not throw when called with valid context', () => {
       expect(() => playSessionStartSound(audioContext)).not.toThrow()
@@ -91,6 +183,26 @@ describe('audioSynthesizer', () => {
     })
   })
 
+  describe('playClapperSound', () => {
+    it('does not throw when called with valid context', () => {
+      expect(() => playClapperSound(audioContext)).not.toThrow()
+    })
+
+    it('handles null context gracefully', () => {
+      expect(() => playClapperSound(null)).not.toThrow()
+    })
+  })
+
+  describe('playBellSound', () => {
+    it('does not throw when called with valid context', () => {
+      expect(() => playBellSound(audioContext, 3)).not.toThrow()
+    })
+
+    it('handles null context gracefully', () => {
+      expect(() => playBellSound(null)).not.toThrow()
+    })
+  })
+
   describe('sound functions use correct audio graph', () => {
     it('punch sound creates oscillator', () => {
       const createOscillator = vi.spyOn(audioContext, 'createOscillator')
@@ -121,5 +233,17 @@ describe('audioSynthesizer', () => {
       playWarningSound(audioContext)
       expect(createOscillator).toHaveBeenCalledTimes(3)
     })
+
+    it('bell creates a fundamental and an overtone per strike', () => {
+      const createOscillator = vi.spyOn(audioContext, 'createOscillator')
+      playBellSound(audioContext, 3)
+      expect(createOscillator).toHaveBeenCalledTimes(6)
+    })
+
+    it('clapper creates two oscillators for two clacks', () => {
+      const createOscillator = vi.spyOn(audioContext, 'createOscillator')
+      playClapperSound(audioContext)
+      expect(createOscillator).toHaveBeenCalledTimes(2)
+    })
   })
 })
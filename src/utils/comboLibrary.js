@@ -0,0 +1,186 @@
+/**
+ * Combat Reflex - Combo Library
+ *
+ * Named, ordered technique sequences that combo training draws from, in
+ * place of combos strung together from random techniques. Each profile
+ * keeps its own library; new profiles start with the built-in boxing,
+ * kickboxing and counter sets. Counters open with a defense, so they are
+ * only drawn in modes that call defenses.
+ */
+
+import { getTechniqueById } from './techniques';
+
+/**
+ * @typedef {Object} ComboStep
+ * @property {string} technique - Technique ID
+ * @property {number} [delayMs] - Time after the previous strike; the difficulty's
+ *   strike interval is used when omitted (ignored on the first step)
+ */
+
+/**
+ * @typedef {Object} ComboDefinition
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name, e.g. 'Jab, Cross, Hook'
+ * @property {string|null} set - Built-in set the combo came from, or null for custom combos
+ * @property {ComboStep[]} steps - Strikes in order
+ * @property {number} weight - Relative chance of being picked; 0 leaves the combo out
+ */
+
+/**
+ * Longest combo the editor builds
+ * @type {number}
+ */
+export const MAX_COMBO_STEPS = 8;
+
+/**
+ * Weights offered in the combo editor
+ * @type {number[]}
+ */
+export const COMBO_WEIGHTS = [0, 1, 2, 3];
+
+const combo = (set, id, name, techniques, weight = 1) => ({
+  id: `${set}-${id}`,
+  name,
+  set,
+  steps: techniques.map(technique => ({ technique })),
+  weight
+});
+
+/**
+ * Built-in combo sets, in display order
+ * @type {{id: string, name: string, combos: ComboDefinition[]}[]}
+ */
+export const BUILT_IN_COMBO_SETS = [
+  {
+    id: 'boxing',
+    name: 'Boxing',
+    combos: [
+      combo('boxing', '1-1', 'Double Jab', ['jab', 'jab']),
+      combo('boxing', '1-2', 'One-Two', ['jab', 'cross'], 3),
+      combo('boxing', '1-2-3', 'Jab, Cross, Hook', ['jab', 'cross', 'hook'], 2),
+      combo('boxing', '1-1-2', 'Double Jab, Cross', ['jab', 'jab', 'cross']),
+      combo('boxing', '1-2-3-2', 'Jab, Cross, Hook, Cross', ['jab', 'cross', 'hook', 'cross']),
+      combo('boxing', '1-4-3', 'Jab, Uppercut, Hook', ['jab', 'uppercut', 'hook']),
+      combo('boxing', '2-3-2', 'Cross, Hook, Cross', ['cross', 'hook', 'cross']),
+      combo('boxing', '3-4', 'Hook, Uppercut', ['hook', 'uppercut'])
+    ]
+  },
+  {
+    id: 'kickboxing',
+    name: 'Kickboxing',
+    combos: [
+      combo('kickboxing', '1-rh', 'Jab, Roundhouse', ['jab', 'roundhouse'], 2),
+      combo('kickboxing', '1-2-rh', 'One-Two, Roundhouse', ['jab', 'cross', 'roundhouse'], 2),
+      combo('kickboxing', '1-2-3-rh', 'Jab, Cross, Hook, Roundhouse', ['jab', 'cross', 'hook', 'roundhouse']),
+      combo('kickboxing', 'fk-2', 'Front Kick, Cross', ['front-kick', 'cross']),
+      combo('kickboxing', '1-fk', 'Jab, Front Kick', ['jab', 'front-kick']),
+      combo('kickboxing', '2-3-sk', 'Cross, Hook, Side Kick', ['cross', 'hook', 'side-kick']),
+      combo('kickboxing', 'rh-rh', 'Double Roundhouse', ['roundhouse', 'roundhouse']),
+      combo('kickboxing', 'fk-rh-bk', 'Front Kick, Roundhouse, Back Kick', ['front-kick', 'roundhouse', 'back-kick'])
+    ]
+  },
+  {
+    id: 'counters',
+    name: 'Counters',
+    combos: [
+      combo('counters', 'slip-2', 'Slip, Cross', ['slip', 'cross'], 3),
+      combo('counters', 'slip-slip-2', 'Slip, Slip, Cross', ['slip', 'slip', 'cross']),
+      combo('counters', 'roll-3', 'Roll, Hook', ['roll', 'hook'], 2),
+      combo('counters', 'parry-2', 'Parry, Cross', ['parry', 'cross'], 2),
+      combo('counters', 'block-3-2', 'Block, Hook, Cross', ['block', 'hook', 'cross']),
+      combo('counters', 'duck-4-3', 'Duck, Uppercut, Hook', ['duck', 'uppercut', 'hook']),
+      combo('counters', 'check-rh', 'Check, Roundhouse', ['check', 'roundhouse'], 2),
+      combo('counters', 'check-2-rh', 'Check, Cross, Roundhouse', ['check', 'cross', 'roundhouse'])
+    ]
+  }
+];
+
+/**
+ * Copies a combo so edits never reach the original
+ * @param {ComboDefinition} definition - Combo to copy
+ * @returns {ComboDefinition} Deep copy
+ */
+export function cloneCombo(definition) {
+  return { ...definition, steps: definition.steps.map(step => ({ ...step })) };
+}
+
+/**
+ * Creates the library new profiles start with: every built-in combo
+ * @returns {ComboDefinition[]} Fresh copy of the built-in combos
+ */
+export function createDefaultComboLibrary() {
+  return BUILT_IN_COMBO_SETS.flatMap(set => set.combos.map(cloneCombo));
+}
+
+/**
+ * Names a combo after its strikes, e.g. 'Jab, Cross, Hook'
+ * @param {ComboStep[]} steps - Strikes in order
+ * @returns {string} Generated name
+ */
+export function describeCombo(steps) {
+  return steps.map(step => getTechniqueById(step.technique)?.name ?? step.technique).join(', ');
+}
+
+/**
+ * Checks a combo definition
+ * @param {ComboDefinition} definition - Combo to check
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateCombo(definition) {
+  const errors = [];
+  const name = definition?.name?.trim() || 'Combo';
+
+  if (!definition?.name?.trim()) {
+    errors.push('Combo name is required');
+  }
+  if (!Array.isArray(definition?.steps) || definition.steps.length < 2) {
+    errors.push(`${name}: a combo needs at least 2 strikes`);
+    return errors;
+  }
+  if (definition.steps.length > MAX_COMBO_STEPS) {
+    errors.push(`${name}: a combo can have at most ${MAX_COMBO_STEPS} strikes`);
+  }
+  if (definition.steps.some(step => !getTechniqueById(step.technique))) {
+    errors.push(`${name}: unknown technique`);
+  }
+  if (definition.steps.some((step, i) => i > 0 && step.delayMs !== undefined && !(step.delayMs > 0))) {
+    errors.push(`${name}: strike timing must be positive`);
+  }
+  if (!Number.isFinite(definition.weight) || definition.weight < 0) {
+    errors.push(`${name}: weight cannot be negative`);
+  }
+  return errors;
+}
+
+/**
+ * Gets the combos that can be trained with the available techniques
+ * Combos with a weight of 0, or with a strike outside the mode, are left out.
+ * @param {ComboDefinition[]} library - Profile's combo library
+ * @param {string[]} techniques - Technique IDs available for the mode
+ * @returns {ComboDefinition[]} Combos to draw from
+ */
+export function getCombosForTechniques(library = [], techniques = []) {
+  return library.filter(definition => definition.weight > 0
+    && definition.steps.every(step => techniques.includes(step.technique)));
+}
+
+/**
+ * Picks a combo with a chance proportional to its weight
+ * @param {ComboDefinition[]} combos - Combos to draw from (weights above 0)
+ * @param {() => number} [random=Math.random] - Random number generator returning [0, 1)
+ * @returns {ComboDefinition|null} Picked combo, or null if there are none
+ */
+export function pickWeightedCombo(combos, random = Math.random) {
+  const total = combos.reduce((sum, definition) => sum + definition.weight, 0);
+  if (total <= 0) {
+    return null;
+  }
+  let roll = random() * total;
+  for (const definition of combos) {
+    roll -= definition.weight;
+    if (roll < 0) {
+      return definition;
+    }
+  }
+  return combos[combos.length - 1];
+}
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest'
+import {
+  BUILT_IN_COMBO_SETS,
+  MAX_COMBO_STEPS,
+  createDefaultComboLibrary,
+  describeCombo,
+  validateCombo,
+  getCombosForTechniques,
+  pickWeightedCombo
+} from './comboLibrary'
+import { PUNCH_ACTIONS, DEFENSE_ACTIONS, DEFAULT_ENABLED_TECHNIQUES } from './techniques'
+
+const steps = (...techniques) => techniques.map(technique => ({ technique }))
+const combo = (id, techniques, weight = 1) => ({ id, name: id, set: null, steps: steps(...techniques), weight })
+
+describe('comboLibrary', () => {
+  describe('BUILT_IN_COMBO_SETS', () => {
+    it('has boxing, kickboxing and counter sets', () => {
+      expect(BUILT_IN_COMBO_SETS.map(set => set.id)).toEqual(['boxing', 'kickboxing', 'counters'])
+    })
+
+    it('opens every counter with a defense and answers it with strikes', () => {
+      const counters = BUILT_IN_COMBO_SETS.find(set => set.id === 'counters')
+      counters.combos.forEach(definition => {
+        expect(DEFENSE_ACTIONS).toContain(definition.steps[0].technique)
+        expect(DEFENSE_ACTIONS).not.toContain(definition.steps.at(-1).technique)
+      })
+    })
+
+    it('only has valid combos with unique ids', () => {
+      const combos = BUILT_IN_COMBO_SETS.flatMap(set => set.combos)
+      combos.forEach(definition => expect(validateCombo(definition)).toEqual([]))
+      expect(new Set(combos.map(definition => definition.id)).size).toBe(combos.length)
+    })
+
+    it('keeps boxing to punches', () => {
+      const boxing = BUILT_IN_COMBO_SETS.find(set => set.id === 'boxing')
+      boxing.combos.forEach(definition => {
+        definition.steps.forEach(step => expect(PUNCH_ACTIONS).toContain(step.technique))
+      })
+    })
+  })
+
+  describe('createDefaultComboLibrary', () => {
+    it('copies every built-in combo', () => {
+      const library = createDefaultComboLibrary()
+      expect(library).toHaveLength(BUILT_IN_COMBO_SETS.flatMap(set => set.combos).length)
+
+      library[0].steps[0].technique = 'hook'
+      expect(BUILT_IN_COMBO_SETS[0].combos[0].steps[0].technique).toBe('jab')
+    })
+  })
+
+  describe('describeCombo', () => {
+    it('names a combo after its strikes', () => {
+      expect(describeCombo(steps('jab', 'cross', 'roundhouse'))).toBe('Jab, Cross, Roundhouse')
+    })
+  })
+
+  describe('validateCombo', () => {
+    it('accepts a combo with per-step timing', () => {
+      expect(validateCombo({ ...combo('a', ['jab', 'cross']), steps: [{ technique: 'jab' }, { technique: 'cross', delayMs: 250 }] })).toEqual([])
+    })
+
+    it('needs a name and at least 2 strikes', () => {
+      expect(validateCombo({ ...combo('a', ['jab', 'cross']), name: ' ' })).toContain('Combo name is required')
+      expect(validateCombo(combo('a', ['jab']))).toContain('a: a combo needs at least 2 strikes')
+    })
+
+    it('limits the number of strikes', () => {
+      const long = combo('long', Array(MAX_COMBO_STEPS + 1).fill('jab'))
+      expect(validateCombo(long)).toContain(`long: a combo can have at most ${MAX_COMBO_STEPS} strikes`)
+    })
+
+    it('rejects unknown techniques, bad timing and negative weights', () => {
+      expect(validateCombo(combo('a', ['jab', 'elbow']))).toContain('a: unknown technique')
+      expect(validateCombo({ ...combo('a', ['jab', 'cross']), steps: [{ technique: 'jab' }, { technique: 'cross', delayMs: 0 }] }))
+        .toContain('a: strike timing must be positive')
+      expect(validateCombo(combo('a', ['jab', 'cross'], -1))).toContain('a: weight cannot be negative')
+    })
+  })
+
+  describe('getCombosForTechniques', () => {
+    const library = [combo('punches', ['jab', 'cross']), combo('mixed', ['jab', 'roundhouse']), combo('off', ['jab', 'hook'], 0)]
+
+    it('keeps combos whose strikes are all available', () => {
+      expect(getCombosForTechniques(library, PUNCH_ACTIONS).map(c => c.id)).toEqual(['punches'])
+      expect(getCombosForTechniques(library, DEFAULT_ENABLED_TECHNIQUES).map(c => c.id)).toEqual(['punches', 'mixed'])
+    })
+
+    it('handles a missing library', () => {
+      expect(getCombosForTechniques(undefined, PUNCH_ACTIONS)).toEqual([])
+    })
+  })
+
+  describe('pickWeightedCombo', () => {
+    const combos = [combo('light', ['jab', 'cross'], 1), combo('heavy', ['jab', 'hook'], 3)]
+
+    it('picks in proportion to weight', () => {
+      expect(pickWeightedCombo(combos, () => 0).id).toBe('light')
+      expect(pickWeightedCombo(combos, () => 0.24).id).toBe('light')
+      expect(pickWeightedCombo(combos, () => 0.25).id).toBe('heavy')
+      expect(pickWeightedCombo(combos, () => 0.99).id).toBe('heavy')
+    })
+
+    it('returns null with nothing to pick', () => {
+      expect(pickWeightedCombo([], () => 0.5)).toBeNull()
+      expect(pickWeightedCombo([combo('off', ['jab', 'cross'], 0)], () => 0.5)).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,186 @@
+/**
+ * Combat Reflex - Cue Generator
+ *
+ * Picks the technique for each cue. Without settings every technique is
+ * equally likely, like a fair die. A difficulty's cue selection settings
+ * can change that:
+ * - weights: favour some techniques (e.g. a weaker side) or leave some out
+ * - maxRepeats: never call the same technique more than this many times in a row
+ * - shuffleBag: deal techniques from a shuffled bag so every technique comes
+ *   up in proportion to its weight within each pass through the bag
+ * - transitions: rules such as "kick never follows kick"
+ *
+ * When the rules leave nothing to pick, transition rules are relaxed
+ * first and then the repeat limit, so a cue is always called.
+ */
+
+import { TECHNIQUE_CATEGORIES, getTechniqueById } from './techniques';
+
+/**
+ * @typedef {Object} TransitionRule
+ * @property {string} from - Technique ID or category ('punch', 'kick') of the previous cue
+ * @property {string} to - Technique ID or category that may not come next
+ */
+
+/**
+ * @typedef {Object} CueSelection
+ * @property {Object<string, number>} weights - Weight per technique ID; missing techniques weigh 1
+ * @property {number} maxRepeats - Longest run of one technique; 0 for no limit
+ * @property {boolean} shuffleBag - Deal techniques from a shuffled bag
+ * @property {TransitionRule[]} transitions - Forbidden transitions
+ */
+
+/**
+ * Weights offered in the difficulty editor
+ * @type {number[]}
+ */
+export const CUE_WEIGHTS = [0, 1, 2, 3];
+
+/**
+ * Longest repeat limit the difficulty editor offers
+ * @type {number}
+ */
+export const MAX_REPEAT_LIMIT = 10;
+
+/**
+ * Cue selection for new profiles: a fair die
+ * @type {CueSelection}
+ */
+export const DEFAULT_CUE_SELECTION = {
+  weights: {},
+  maxRepeats: 0,
+  shuffleBag: false,
+  transitions: []
+};
+
+/**
+ * Copies cue selection settings so edits never reach the original
+ * @param {CueSelection} selection - Settings to copy
+ * @returns {CueSelection} Deep copy
+ */
+export function cloneCueSelection(selection = DEFAULT_CUE_SELECTION) {
+  return {
+    ...selection,
+    weights: { ...selection.weights },
+    transitions: selection.transitions.map(rule => ({ ...rule }))
+  };
+}
+
+/**
+ * Whether a rule target names a technique, directly or by category
+ * @param {string} target - Technique ID or category
+ * @param {string} techniqueId - Technique to test
+ * @returns {boolean} Whether the target covers the technique
+ */
+export function matchesTarget(target, techniqueId) {
+  return target === techniqueId || getTechniqueById(techniqueId)?.category === target;
+}
+
+/**
+ * Checks a rule target
+ * @param {string} target - Technique ID or category
+ * @returns {boolean} Whether it names a known technique or category
+ */
+export function isValidTarget(target) {
+  return TECHNIQUE_CATEGORIES.includes(target) || Boolean(getTechniqueById(target));
+}
+
+/**
+ * Checks cue selection settings
+ * @param {CueSelection} selection - Settings to check
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateCueSelection(selection) {
+  const errors = [];
+  if (Object.values(selection.weights ?? {}).some(weight => !Number.isFinite(weight) || weight < 0)) {
+    errors.push('cue weights cannot be negative');
+  }
+  if (!Number.isInteger(selection.maxRepeats) || selection.maxRepeats < 0) {
+    errors.push('repeat limit must be 0 (no limit) or more');
+  }
+  if ((selection.transitions ?? []).some(rule => !isValidTarget(rule.from) || !isValidTarget(rule.to))) {
+    errors.push('transition rules must name techniques or categories');
+  }
+  return errors;
+}
+
+/**
+ * Creates a generator that picks the technique for each cue
+ * @param {string[]} techniques - Technique IDs to pick from
+ * @param {CueSelection} [selection=DEFAULT_CUE_SELECTION] - Cue selection settings
+ * @param {() => number} [random=Math.random] - Random number generator returning [0, 1)
+ * @returns {{next: () => string, reset: () => void}} Generator; reset() forgets the history and bag
+ */
+export function createCueGenerator(techniques, selection = DEFAULT_CUE_SELECTION, random = Math.random) {
+  const { weights = {}, maxRepeats = 0, shuffleBag = false, transitions = [] } = selection;
+  const weightOf = (id) => weights[id] ?? 1;
+  // Every technique weighted 0 would leave nothing to call
+  const pool = techniques.some(id => weightOf(id) > 0)
+    ? techniques.filter(id => weightOf(id) > 0)
+    : techniques;
+  const poolWeight = (id) => (weightOf(id) > 0 ? weightOf(id) : 1);
+
+  let history = [];
+  let bag = [];
+
+  const isRepeatTooLong = (id) => maxRepeats > 0
+    && history.length >= maxRepeats
+    && history.slice(-maxRepeats).every(previous => previous === id);
+
+  const isForbidden = (id) => {
+    const previous = history[history.length - 1];
+    return previous !== undefined
+      && transitions.some(rule => matchesTarget(rule.from, previous) && matchesTarget(rule.to, id));
+  };
+
+  /**
+   * Techniques allowed next, relaxing transition rules and then the repeat limit
+   */
+  const getAllowed = () => {
+    const strict = pool.filter(id => !isRepeatTooLong(id) && !isForbidden(id));
+    if (strict.length > 0) return strict;
+    const withinRepeats = pool.filter(id => !isRepeatTooLong(id));
+    return withinRepeats.length > 0 ? withinRepeats : pool;
+  };
+
+  const pickWeighted = (candidates) => {
+    const total = candidates.reduce((sum, id) => sum + poolWeight(id), 0);
+    let roll = random() * total;
+    for (const id of candidates) {
+      roll -= poolWeight(id);
+      if (roll < 0) return id;
+    }
+    return candidates[candidates.length - 1];
+  };
+
+  const fillBag = () => {
+    bag = pool.flatMap(id => Array(Math.max(1, Math.round(poolWeight(id)))).fill(id));
+  };
+
+  const drawFromBag = (allowed) => {
+    if (bag.length === 0) fillBag();
+    let playable = bag.filter(id => allowed.includes(id));
+    if (playable.length === 0) {
+      // What is left in the bag breaks the rules; start a new pass
+      fillBag();
+      playable = bag.filter(id => allowed.includes(id));
+    }
+    const id = playable[Math.floor(random() * playable.length)];
+    bag.splice(bag.indexOf(id), 1);
+    return id;
+  };
+
+  return {
+    next() {
+      const allowed = getAllowed();
+      const id = shuffleBag ? drawFromBag(allowed) : pickWeighted(allowed);
+      history = [...history.slice(-MAX_REPEAT_LIMIT), id];
+      return id;
+    },
+
+    reset() {
+      history = [];
+      bag = [];
+    }
+  };
+}
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_CUE_SELECTION,
+  createCueGenerator,
+  matchesTarget,
+  validateCueSelection
+} from './cueGenerator'
+
+const selection = (overrides) => ({ ...DEFAULT_CUE_SELECTION, ...overrides })
+
+// Random source that replays the given values in a loop
+const sequence = (...values) => {
+  let i = 0
+  return () => values[i++ % values.length]
+}
+
+const take = (generator, count) => Array.from({ length: count }, () => generator.next())
+
+describe('cueGenerator', () => {
+  describe('createCueGenerator', () => {
+    it('picks like a fair die by default', () => {
+      const generator = createCueGenerator(['jab', 'cross', 'hook'], undefined, sequence(0, 0.4, 0.9))
+      expect(take(generator, 3)).toEqual(['jab', 'cross', 'hook'])
+    })
+
+    it('favours heavier techniques', () => {
+      const generator = createCueGenerator(['jab', 'cross'], selection({ weights: { cross: 3 } }), sequence(0.2, 0.3))
+      // jab covers the first quarter of the roll, cross the rest
+      expect(take(generator, 2)).toEqual(['jab', 'cross'])
+    })
+
+    it('leaves out techniques weighted 0', () => {
+      const generator = createCueGenerator(['jab', 'cross'], selection({ weights: { jab: 0 } }), Math.random)
+      expect(new Set(take(generator, 20))).toEqual(new Set(['cross']))
+    })
+
+    it('uses every technique when all are weighted 0', () => {
+      const generator = createCueGenerator(['jab', 'cross'], selection({ weights: { jab: 0, cross: 0 } }), sequence(0, 0.9))
+      expect(take(generator, 2)).toEqual(['jab', 'cross'])
+    })
+
+    it('limits runs of the same technique', () => {
+      const generator = createCueGenerator(['jab', 'cross'], selection({ maxRepeats: 2 }), () => 0)
+      expect(take(generator, 6)).toEqual(['jab', 'jab', 'cross', 'jab', 'jab', 'cross'])
+    })
+
+    it('follows transition rules by category', () => {
+      const generator = createCueGenerator(
+        ['jab', 'roundhouse'],
+        selection({ transitions: [{ from: 'kick', to: 'kick' }] }),
+        () => 0.99
+      )
+      expect(take(generator, 4)).toEqual(['roundhouse', 'jab', 'roundhouse', 'jab'])
+    })
+
+    it('relaxes transition rules that leave nothing to pick', () => {
+      const generator = createCueGenerator(
+        ['roundhouse'],
+        selection({ transitions: [{ from: 'kick', to: 'kick' }] }),
+        () => 0
+      )
+      expect(take(generator, 3)).toEqual(['roundhouse', 'roundhouse', 'roundhouse'])
+    })
+
+    it('deals every technique once per pass of the shuffle bag', () => {
+      const techniques = ['jab', 'cross', 'hook', 'uppercut']
+      const generator = createCueGenerator(techniques, selection({ shuffleBag: true }), Math.random)
+      const cues = take(generator, 12)
+
+      for (let pass = 0; pass < 3; pass++) {
+        expect([...cues.slice(pass * 4, pass * 4 + 4)].sort()).toEqual([...techniques].sort())
+      }
+    })
+
+    it('fills the shuffle bag in proportion to weight', () => {
+      const generator = createCueGenerator(['jab', 'cross'], selection({ shuffleBag: true, weights: { jab: 2 } }), Math.random)
+      const pass = take(generator, 3)
+      expect(pass.filter(id => id === 'jab')).toHaveLength(2)
+      expect(pass.filter(id => id === 'cross')).toHaveLength(1)
+    })
+
+    it('forgets the history on reset', () => {
+      const generator = createCueGenerator(['jab', 'cross'], selection({ maxRepeats: 1 }), () => 0)
+      expect(take(generator, 2)).toEqual(['jab', 'cross'])
+      generator.reset()
+      expect(generator.next()).toBe('jab')
+    })
+  })
+
+  describe('matchesTarget', () => {
+    it('matches a technique or its category', () => {
+      expect(matchesTarget('jab', 'jab')).toBe(true)
+      expect(matchesTarget('punch', 'jab')).toBe(true)
+      expect(matchesTarget('kick', 'jab')).toBe(false)
+    })
+  })
+
+  describe('validateCueSelection', () => {
+    it('accepts the defaults', () => {
+      expect(validateCueSelection(DEFAULT_CUE_SELECTION)).toEqual([])
+    })
+
+    it('reports bad weights, repeat limits and rules', () => {
+      expect(validateCueSelection(selection({ weights: { jab: -1 } }))).toContain('cue weights cannot be negative')
+      expect(validateCueSelection(selection({ maxRepeats: 1.5 }))).toContain('repeat limit must be 0 (no limit) or more')
+      expect(validateCueSelection(selection({ transitions: [{ from: 'kick', to: 'elbow' }] })))
+        .toContain('transition rules must name techniques or categories')
+    })
+  })
+})
@@ -59,24 +59,106 @@ export const DIFFICULTIES = [
 /**
  * Generates a random interval within the difficulty's range
  * @param {Difficulty} difficulty - The difficulty configuration object
+ * @param {() => number} [random=Math.random] - Random number generator returning [0, 1)
  * @returns {number} Random interval in milliseconds
  */
-export function getRandomInterval(difficulty) {
+export function getRandomInterval(difficulty, random = Math.random) {
   const { minInterval, maxInterval } = difficulty;
-  return Math.floor(Math.random() * (maxInterval - minInterval + 1)) + minInterval;
+  return Math.floor(random() * (maxInterval - minInterval + 1)) + minInterval;
 }
 
 /**
- * Available training modes (punch/kick selection)
+ * Available training modes (technique categories called out)
+ * - punches, kicks, both: offense only
+ * - defense: defensive techniques only
+ * - mixed: offense and defense, including counters (see comboLibrary.js)
  * @type {string[]}
  */
-export const TRAINING_MODES = ['punches', 'kicks', 'both'];
+export const TRAINING_MODES = ['punches', 'kicks', 'both', 'defense', 'mixed'];
 
 /**
  * Available training types
+ * - single: one technique per cue
+ * - combo: series of techniques
+ * - rounds: a round timer of work and rest rounds, with optional cues during work
+ * - gonogo: single cues mixed with decoys that must not be answered (see goNoGo.js)
+ * - zones: single cues that also name a target zone to strike (see targetZones.js)
+ * - peripheral: silent single cues flashed at the screen's edges and corners (see peripheral.js)
  * @type {string[]}
  */
-export const TRAINING_TYPES = ['single', 'combo'];
+export const TRAINING_TYPES = ['single', 'combo', 'rounds', 'gonogo', 'zones', 'peripheral'];
+
+const MODE_LABELS = {
+  punches: 'Punches Only',
+  kicks: 'Kicks Only',
+  both: 'Punches & Kicks',
+  defense: 'Defense Only',
+  mixed: 'Offense + Defense'
+};
+
+const TRAINING_TYPE_LABELS = {
+  single: 'Single Hits',
+  combo: 'Combo Series',
+  rounds: 'Round Timer',
+  gonogo: 'Go / No-Go',
+  zones: 'Target Zones',
+  peripheral: 'Peripheral'
+};
+
+/**
+ * Gets the display label of a training mode
+ * @param {string} mode - One of TRAINING_MODES
+ * @returns {string} Label; unknown modes are shown as they are
+ */
+export function getModeLabel(mode) {
+  return MODE_LABELS[mode] ?? mode;
+}
+
+/**
+ * Gets the display label of a training type
+ * @param {string} type - One of TRAINING_TYPES
+ * @returns {string} Label; unknown types are shown as they are
+ */
+export function getTrainingTypeLabel(type) {
+  return TRAINING_TYPE_LABELS[type] ?? type;
+}
+
+/**
+ * Most sessions (or rounds) a workout can have
+ * @type {number}
+ */
+export const MAX_SESSIONS = 99;
+
+/**
+ * Cues that can be called during round timer work rounds
+ * - off: the clock only
+ * - single / combo: cues as in single-hit or combo training
+ * @type {string[]}
+ */
+export const ROUND_TIMER_CUES = ['off', 'single', 'combo'];
+
+/**
+ * Default round timer settings: 3-minute rounds with 1 minute of rest
+ * @type {{workDuration: number, restDuration: number, cues: string}}
+ */
+export const DEFAULT_ROUND_TIMER = {
+  workDuration: 180000,
+  restDuration: 60000,
+  cues: 'off'
+};
+
+/**
+ * Checks round timer settings
+ * @param {*} roundTimer - Settings to check
+ * @returns {boolean} True if the work length is positive, the rest length is not negative
+ *   and the cues are one of ROUND_TIMER_CUES
+ */
+export function isValidRoundTimer(roundTimer) {
+  return Boolean(roundTimer)
+    && Number.isFinite(roundTimer.workDuration) && roundTimer.workDuration > 0
+    && Number.isFinite(roundTimer.restDuration) && roundTimer.restDuration >= 0
+    && ROUND_TIMER_CUES.includes(roundTimer.cues);
+}
 
 /**
  * @typedef {Object} ComboConfig
@@ -141,35 +223,38 @@ export function getComboSettings(difficultyId) {
 /**
  * Generates a random combo size within the difficulty's range
  * @param {ComboConfig} comboConfig - The combo configuration
+ * @param {() => number} [random=Math.random] - Random number generator returning [0, 1)
  * @returns {number} Number of strikes in the combo
  */
-export function getRandomComboSize(comboConfig) {
+export function getRandomComboSize(comboConfig, random = Math.random) {
   const { min, max } = comboConfig.comboSize;
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return Math.floor(random() * (max - min + 1)) + min;
 }
 
 /**
  * Generates a random interval between strikes in a combo
  * @param {ComboConfig} comboConfig - The combo configuration
+ * @param {() => number} [random=Math.random] - Random number generator returning [0, 1)
  * @returns {number} Interval in milliseconds
  */
-export function getRandomStrikeInterval(comboConfig) {
+export function getRandomStrikeInterval(comboConfig, random = Math.random) {
   const { min, max } = comboConfig.strikeInterval;
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return Math.floor(random() * (max - min + 1)) + min;
 }
 
 /**
  * Generates a random rest interval between combos
  * @param {ComboConfig} comboConfig - The combo configuration
+ * @param {() => number} [random=Math.random] - Random number generator returning [0, 1)
  * @returns {number} Rest interval in milliseconds
  */
-export function getRandomComboRest(comboConfig) {
+export function getRandomComboRest(comboConfig, random = Math.random) {
   const { min, max } = comboConfig.restBetweenCombos;
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return Math.floor(random() * (max - min + 1)) + min;
 }
 
 /**
- * Duration of a training session in milliseconds (2 minutes)
+ * Default length of a timed round in milliseconds (2 minutes)
  * @type {number}
  */
 export const SESSION_DURATION_MS = 120000;
@@ -205,13 +290,67 @@ export const DEFAULT_DIFFICULTIES = [...DIFFICULTIES];
  */
 export const DEFAULT_COMBO_SETTINGS = [...COMBO_SETTINGS];
 
+/**
+ * Ways a mid-session rest can be triggered
+ * - hits: after a number of hits (combos in combo mode)
+ * - percent: at a percentage of the session target
+ * @type {string[]}
+ */
+export const MID_REST_TRIGGERS = ['hits', 'percent'];
+
+/**
+ * Default mid-session rest settings (for profile system)
+ * Disabled by default; when enabled, rests once halfway through each session.
+ * @type {Object}
+ */
+export const DEFAULT_MID_REST_SETTINGS = {
+  enabled: false,
+  trigger: 'percent',
+  points: [50],
+  duration: MID_REST_DURATION_MS
+};
+
+/**
+ * Ways a session's length can be measured
+ * - auto: hits in single-hit training, combos in combo training
+ * - hits: the hit count, in either training type (combos finish before the session ends)
+ * - combos: the combo count; in single-hit training each cue counts as a combo of one
+ * - time: a timed round, like boxing and Muay Thai rounds
+ * @type {string[]}
+ */
+export const SESSION_LENGTH_MODES = ['auto', 'hits', 'combos', 'time'];
+
+/**
+ * Default session length settings (for profile system)
+ * @type {{mode: string, roundDuration: number}}
+ */
+export const DEFAULT_SESSION_LENGTH = {
+  mode: 'auto',
+  roundDuration: SESSION_DURATION_MS
+};
+
+/**
+ * Resolves what ends a session
+ * @param {{mode: string}|undefined} sessionLength - Session length settings
+ * @param {string} trainingType - 'single', 'combo', 'gonogo', 'zones' or 'peripheral'
+ * @returns {string} 'hits', 'combos' or 'time'
+ */
+export function resolveSessionLength(sessionLength, trainingType) {
+  const mode = sessionLength?.mode;
+  if (mode === 'hits' || mode === 'combos' || mode === 'time') {
+    return mode;
+  }
+  return trainingType === 'combo' ? 'combos' : 'hits';
+}
+
 /**
  * Default rest settings (for profile system)
  * @type {Object}
  */
 export const DEFAULT_REST_SETTINGS = {
   enabled: true,
-  breakDuration: BREAK_DURATION_MS
+  breakDuration: BREAK_DURATION_MS,
+  midRest: DEFAULT_MID_REST_SETTINGS
 };
 
 /**
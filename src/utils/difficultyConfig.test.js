@@ -4,6 +4,8 @@ import {
   getRandomInterval,
   TRAINING_MODES,
   TRAINING_TYPES,
+  getModeLabel,
+  getTrainingTypeLabel,
   COMBO_SETTINGS,
   getComboSettings,
   getRandomComboSize,
@@ -12,6 +14,15 @@ import {
   SESSION_DURATION_MS,
   BREAK_DURATION_MS,
   MID_REST_DURATION_MS,
+  MID_REST_TRIGGERS,
+  DEFAULT_MID_REST_SETTINGS,
+  SESSION_LENGTH_MODES,
+  DEFAULT_SESSION_LENGTH,
+  resolveSessionLength,
+  MAX_SESSIONS,
+  ROUND_TIMER_CUES,
+  DEFAULT_ROUND_TIMER,
+  isValidRoundTimer,
   DEFAULT_DIFFICULTY,
   getDifficultyById,
 } from './difficultyConfig'
@@ -65,17 +76,25 @@ describe('difficultyConfig', () => {
         expect(Number.isInteger(interval)).toBe(true)
       }
     })
+
+    it('uses the injected random number generator', () => {
+      const difficulty = DIFFICULTIES[2]
+      expect(getRandomInterval(difficulty, () => 0)).toBe(difficulty.minInterval)
+      expect(getRandomInterval(difficulty, () => 0.9999)).toBe(difficulty.maxInterval)
+    })
   })
 
   describe('TRAINING_MODES', () => {
-    it('includes punches, kicks, and both', () => {
+    it('includes punches, kicks, both, defense and mixed', () => {
       expect(TRAINING_MODES).toContain('punches')
       expect(TRAINING_MODES).toContain('kicks')
       expect(TRAINING_MODES).toContain('both')
+      expect(TRAINING_MODES).toContain('defense')
+      expect(TRAINING_MODES).toContain('mixed')
     })
 
-    it('has exactly 3 modes', () => {
-      expect(TRAINING_MODES).toHaveLength(3)
+    it('has exactly 5 modes', () => {
+      expect(TRAINING_MODES).toHaveLength(5)
     })
   })
 
@@ -91,6 +110,31 @@ describe('difficultyConfig', () => {
     it('MID_REST_DURATION_MS is 7 seconds', () => {
       expect(MID_REST_DURATION_MS).toBe(7000)
     })
+
+    it('mid-session rest is off by default and uses MID_REST_DURATION_MS', () => {
+      expect(DEFAULT_MID_REST_SETTINGS.enabled).toBe(false)
+      expect(MID_REST_TRIGGERS).toContain(DEFAULT_MID_REST_SETTINGS.trigger)
+      expect(DEFAULT_MID_REST_SETTINGS.duration).toBe(MID_REST_DURATION_MS)
+    })
+  })
+
+  describe('session length', () => {
+    it('defaults to auto with 2-minute rounds', () => {
+      expect(SESSION_LENGTH_MODES).toContain(DEFAULT_SESSION_LENGTH.mode)
+      expect(DEFAULT_SESSION_LENGTH).toEqual({ mode: 'auto', roundDuration: SESSION_DURATION_MS })
+    })
+
+    it('resolves auto to hits or combos by training type', () => {
+      expect(resolveSessionLength({ mode: 'auto' }, 'single')).toBe('hits')
+      expect(resolveSessionLength({ mode: 'auto' }, 'combo')).toBe('combos')
+      expect(resolveSessionLength(undefined, 'combo')).toBe('combos')
+    })
+
+    it('keeps an explicit mode in either training type', () => {
+      expect(resolveSessionLength({ mode: 'combos' }, 'single')).toBe('combos')
+      expect(resolveSessionLength({ mode: 'hits' }, 'combo')).toBe('hits')
+      expect(resolveSessionLength({ mode: 'time' }, 'single')).toBe('time')
+    })
   })
 
   describe('DEFAULT_DIFFICULTY', () => {
@@ -120,13 +164,54 @@ describe('difficultyConfig', () => {
   })
 
   describe('TRAINING_TYPES', () => {
-    it('includes single and combo', () => {
+    it('includes single, combo, rounds, gonogo, zones and peripheral', () => {
       expect(TRAINING_TYPES).toContain('single')
       expect(TRAINING_TYPES).toContain('combo')
+      expect(TRAINING_TYPES).toContain('rounds')
+      expect(TRAINING_TYPES).toContain('gonogo')
+      expect(TRAINING_TYPES).toContain('zones')
+      expect(TRAINING_TYPES).toContain('peripheral')
+    })
+
+    it('has exactly 6 types', () => {
+      expect(TRAINING_TYPES).toHaveLength(6)
+    })
+  })
+
+  describe('labels', () => {
+    it('labels every mode and training type', () => {
+      expect(TRAINING_MODES.map(getModeLabel)).toEqual(['Punches Only', 'Kicks Only', 'Punches & Kicks', 'Defense Only', 'Offense + Defense'])
+      expect(TRAINING_TYPES.map(getTrainingTypeLabel)).toEqual(['Single Hits', 'Combo Series', 'Round Timer', 'Go / No-Go', 'Target Zones', 'Peripheral'])
+    })
+
+    it('shows unknown values as they are', () => {
+      expect(getModeLabel('grappling')).toBe('grappling')
+      expect(getTrainingTypeLabel('sparring')).toBe('sparring')
+    })
+  })
+
+  describe('round timer', () => {
+    it('allows far more sessions than the drill presets', () => {
+      expect(MAX_SESSIONS).toBeGreaterThanOrEqual(12)
     })
 
-    it('has exactly 2 types', () => {
-      expect(TRAINING_TYPES).toHaveLength(2)
+    it('defaults to three-minute rounds with a minute of rest and no cues', () => {
+      expect(DEFAULT_ROUND_TIMER).toEqual({ workDuration: 180000, restDuration: 60000, cues: 'off' })
+      expect(isValidRoundTimer(DEFAULT_ROUND_TIMER)).toBe(true)
+    })
+
+    it('accepts every cue style and no rest', () => {
+      for (const cues of ROUND_TIMER_CUES) {
+        expect(isValidRoundTimer({ ...DEFAULT_ROUND_TIMER, cues })).toBe(true)
+      }
+      expect(isValidRoundTimer({ ...DEFAULT_ROUND_TIMER, restDuration: 0 })).toBe(true)
+    })
+
+    it('rejects missing or impossible settings', () => {
+      expect(isValidRoundTimer(null)).toBe(false)
+      expect(isValidRoundTimer({ ...DEFAULT_ROUND_TIMER, workDuration: 0 })).toBe(false)
+      expect(isValidRoundTimer({ ...DEFAULT_ROUND_TIMER, restDuration: -1 })).toBe(false)
+      expect(isValidRoundTimer({ ...DEFAULT_ROUND_TIMER, cues: 'loud' })).toBe(false)
     })
   })
 
@@ -214,6 +299,13 @@ describe('difficultyConfig', () => {
       }
     })
 
+    it('uses the injected random number generator', () => {
+      const config = COMBO_SETTINGS[4]
+      expect(getRandomComboSize(config, () => 0)).toBe(config.comboSize.min)
+      expect(getRandomStrikeInterval(config, () => 0)).toBe(config.strikeInterval.min)
+      expect(getRandomComboRest(config, () => 0.9999)).toBe(config.restBetweenCombos.max)
+    })
+
     it('returns varied values for range configs', () => {
       const config = COMBO_SETTINGS[4] // Very Hard: 4-5
       const sizes = new Set()
@@ -0,0 +1,103 @@
+/**
+ * Combat Reflex - Go/No-Go
+ *
+ * The 'gonogo' training type trains response inhibition: some single cues
+ * are decoys, shown in grey with "Hold", voiced as "Hold" and sounded with
+ * a low buzz, that the athlete must not react to. Which cues are decoys is
+ * planned with the rest of the workout (see workoutTimeline.js).
+ *
+ * A cue counts as answered when a response arrives while it is on screen:
+ * - go cue answered: hit
+ * - go cue not answered: miss
+ * - decoy answered: false alarm
+ * - decoy not answered: correct rejection
+ * Only hits give reaction times. Scoring needs response capture.
+ */
+
+/**
+ * Shares of cues that are decoys, offered on the settings screen
+ * @type {number[]}
+ */
+export const DECOY_RATES = [0.2, 0.3, 0.4, 0.5];
+
+/**
+ * @typedef {Object} GoNoGoSettings
+ * @property {number} decoyRate - Share of cues that are decoys (one of DECOY_RATES)
+ */
+
+/**
+ * About one cue in three is a decoy by default
+ * @type {GoNoGoSettings}
+ */
+export const DEFAULT_GO_NOGO_SETTINGS = {
+  decoyRate: 0.3
+};
+
+/**
+ * @typedef {Object} GoNoGoStats
+ * @property {number} hits - Go cues answered
+ * @property {number} misses - Go cues not answered
+ * @property {number} falseAlarms - Decoys answered
+ * @property {number} correctRejections - Decoys not answered
+ */
+
+/**
+ * Checks go/no-go settings
+ * @param {*} settings - Settings to check
+ * @returns {boolean} Whether they are valid
+ */
+export function isValidGoNoGoSettings(settings) {
+  return Boolean(settings) && DECOY_RATES.includes(settings.decoyRate);
+}
+
+/**
+ * Creates empty go/no-go counts
+ * @returns {GoNoGoStats}
+ */
+export function createGoNoGoStats() {
+  return { hits: 0, misses: 0, falseAlarms: 0, correctRejections: 0 };
+}
+
+/**
+ * Counts the outcome of one cue
+ * @param {GoNoGoStats} stats - Counts so far
+ * @param {boolean} decoy - Whether the cue was a decoy
+ * @param {boolean} answered - Whether the athlete responded while it was on screen
+ * @returns {GoNoGoStats} Updated copy of the counts
+ */
+export function scoreCue(stats, decoy, answered) {
+  let outcome;
+  if (decoy) {
+    outcome = answered ? 'falseAlarms' : 'correctRejections';
+  } else {
+    outcome = answered ? 'hits' : 'misses';
+  }
+  return { ...stats, [outcome]: stats[outcome] + 1 };
+}
+
+/**
+ * Sums up go/no-go counts over a workout's history entries
+ * @param {import('../context/TrainingContext').SessionHistoryEntry[]} sessions - Sessions of one workout
+ * @returns {(GoNoGoStats & {hitRate: number|null, rejectionRate: number|null})|null} Summed counts with
+ *   the percentage of go cues hit and of decoys held (null without such cues), or null if no
+ *   session was go/no-go
+ */
+export function summarizeGoNoGoSessions(sessions) {
+  const scored = sessions.filter(session => session.goNoGo);
+  if (scored.length === 0) {
+    return null;
+  }
+  const totals = scored.reduce((sum, { goNoGo }) => ({
+    hits: sum.hits + goNoGo.hits,
+    misses: sum.misses + goNoGo.misses,
+    falseAlarms: sum.falseAlarms + goNoGo.falseAlarms,
+    correctRejections: sum.correctRejections + goNoGo.correctRejections
+  }), createGoNoGoStats());
+  const goCues = totals.hits + totals.misses;
+  const decoys = totals.falseAlarms + totals.correctRejections;
+  return {
+    ...totals,
+    hitRate: goCues > 0 ? Math.round((totals.hits / goCues) * 100) : null,
+    rejectionRate: decoys > 0 ? Math.round((totals.correctRejections / decoys) * 100) : null
+  };
+}
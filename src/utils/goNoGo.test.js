@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  DECOY_RATES,
+  DEFAULT_GO_NOGO_SETTINGS,
+  isValidGoNoGoSettings,
+  createGoNoGoStats,
+  scoreCue,
+  summarizeGoNoGoSessions
+} from './goNoGo'
+import { buildWorkoutTimeline } from './workoutTimeline'
+import {
+  difficulty,
+  createConfig,
+  createTestEngine,
+  TIME_TO_TRAINING,
+  CUE_CYCLE
+} from '../test/sessionFixtures'
+
+describe('goNoGo', () => {
+  describe('isValidGoNoGoSettings', () => {
+    it('accepts the offered decoy rates', () => {
+      expect(DECOY_RATES).toContain(DEFAULT_GO_NOGO_SETTINGS.decoyRate)
+      DECOY_RATES.forEach(decoyRate => expect(isValidGoNoGoSettings({ decoyRate })).toBe(true))
+    })
+
+    it('rejects other rates and missing settings', () => {
+      expect(isValidGoNoGoSettings({ decoyRate: 0.25 })).toBe(false)
+      expect(isValidGoNoGoSettings({})).toBe(false)
+      expect(isValidGoNoGoSettings(null)).toBe(false)
+    })
+  })
+
+  describe('scoreCue', () => {
+    it('counts each outcome separately', () => {
+      let stats = createGoNoGoStats()
+      stats = scoreCue(stats, false, true)
+      stats = scoreCue(stats, false, false)
+      stats = scoreCue(stats, true, true)
+      stats = scoreCue(stats, true, false)
+      stats = scoreCue(stats, true, false)
+
+      expect(stats).toEqual({ hits: 1, misses: 1, falseAlarms: 1, correctRejections: 2 })
+    })
+
+    it('does not change the counts passed in', () => {
+      const stats = createGoNoGoStats()
+      scoreCue(stats, false, true)
+      expect(stats.hits).toBe(0)
+    })
+  })
+
+  describe('summarizeGoNoGoSessions', () => {
+    it('returns null without go/no-go sessions', () => {
+      expect(summarizeGoNoGoSessions([{ hitsCompleted: 10 }])).toBeNull()
+    })
+
+    it('sums the counts and works out the rates', () => {
+      const summary = summarizeGoNoGoSessions([
+        { goNoGo: { hits: 6, misses: 2, falseAlarms: 1, correctRejections: 3 } },
+        { goNoGo: { hits: 3, misses: 1, falseAlarms: 1, correctRejections: 1 } }
+      ])
+
+      expect(summary).toEqual({
+        hits: 9,
+        misses: 3,
+        falseAlarms: 2,
+        correctRejections: 4,
+        hitRate: 75,
+        rejectionRate: 67
+      })
+    })
+
+    it('has no rate without the cues to base it on', () => {
+      const summary = summarizeGoNoGoSessions([{ goNoGo: { hits: 0, misses: 0, falseAlarms: 0, correctRejections: 2 } }])
+      expect(summary.hitRate).toBeNull()
+      expect(summary.rejectionRate).toBe(100)
+    })
+  })
+
+  describe('sessionEngine', () => {
+    let events
+    let engine
+
+    beforeEach(() => {
+      vi.useFakeTimers()
+      events = []
+      engine = createTestEngine(events)
+    })
+
+    afterEach(() => {
+      engine.destroy()
+      vi.useRealTimers()
+    })
+
+    const goNoGoConfig = (decoys) => {
+      const config = createConfig({ trainingType: 'gonogo', difficulty: { ...difficulty, totalHits: decoys.length } })
+      const timeline = buildWorkoutTimeline(config, () => 0.99)
+      timeline.sessions[0].items.forEach((item, i) => { item.decoy = decoys[i] })
+      return { ...config, timeline }
+    }
+
+    it('scores hits, misses, false alarms and correct rejections separately', () => {
+      // Answer the first two cues only
+      let cues = 0
+      engine.listen((type, payload) => type === 'cue' && ++cues <= 2 && engine.respond(payload.onset + 200))
+      engine.start(goNoGoConfig([false, true, false, true]))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE * 4)
+
+      const { entry } = events.find(e => e.type === 'sessionEnd')
+      expect(entry.goNoGo).toEqual({ hits: 1, misses: 1, falseAlarms: 1, correctRejections: 1 })
+      expect(entry.reactionTimes).toEqual([200])
+    })
+
+    it('marks decoys and reports a response to one as a false alarm', () => {
+      engine.start(goNoGoConfig([true, false, false]))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + difficulty.minInterval)
+
+      expect(events.find(e => e.type === 'cue')).toMatchObject({ inCombo: false, decoy: true })
+      expect(engine.getState().currentDecoy).toBe(true)
+      vi.advanceTimersByTime(250)
+      expect(engine.respond()).toBeNull()
+      expect(events.at(-1)).toEqual({ type: 'falseAlarm', latency: 250 })
+      expect(engine.getState().reactionTimes).toEqual([])
+    })
+
+    it('does not count a response after the cue left the screen', () => {
+      engine.start(goNoGoConfig([false, false, false]))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE + 100)
+
+      expect(engine.respond()).toBeNull()
+      vi.advanceTimersByTime(CUE_CYCLE * 2)
+      expect(events.find(e => e.type === 'sessionEnd').entry.goNoGo).toMatchObject({ hits: 0, misses: 3 })
+    })
+
+    it('leaves other training types unscored', () => {
+      engine.start(createConfig())
+      vi.advanceTimersByTime(60000)
+
+      const { entry } = events.find(e => e.type === 'sessionEnd')
+      expect(entry).not.toHaveProperty('goNoGo')
+      expect(events.filter(e => e.type === 'cue').every(e => e.decoy === false)).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,179 @@
+/**
+ * Combat Reflex - History Utilities
+ *
+ * Pure helpers for the training history: grouping stored session entries
+ * into workouts and training days, and applying the retention limit.
+ *
+ * History is stored newest first as a flat list of session entries.
+ * Sessions from the same workout share a workoutId; entries written
+ * before workouts were tracked are treated as one-session workouts.
+ */
+
+/**
+ * Retention options, in workouts; null keeps everything
+ * @type {Array<number|null>}
+ */
+export const HISTORY_LIMITS = [null, 100, 50, 20];
+
+/**
+ * Default retention: keep the full history
+ * @type {number|null}
+ */
+export const DEFAULT_HISTORY_LIMIT = null;
+
+/**
+ * @typedef {Object} Workout
+ * @property {string} id - Workout ID (or the session ID for legacy entries)
+ * @property {string} timestamp - ISO time the last session finished
+ * @property {Object[]} sessions - Session entries in session order
+ * @property {string} mode - Training mode of the workout
+ * @property {string} trainingType - Training type of the workout
+ * @property {string} difficultyId - Difficulty ID of the workout
+ * @property {string|null} profileName - Name of the profile used, if recorded
+ * @property {number} totalSessions - Sessions planned for the workout
+ * @property {number} hitsCompleted - Hits completed across sessions
+ * @property {number} totalHits - Hits planned across sessions
+ * @property {number} combosCompleted - Combos completed across sessions
+ * @property {number} durationMs - Active training time across sessions
+ * @property {number} midRestMs - Mid-session rest time across sessions
+ * @property {number[]} reactionTimes - Reaction times across sessions
+ * @property {boolean} stopped - Whether the workout was ended early
+ */
+
+/**
+ * Creates a unique workout ID
+ * @returns {string} Workout ID
+ */
+export function createWorkoutId() {
+  return `workout-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Gets the key that groups an entry with the rest of its workout
+ * @param {Object} entry - Session history entry
+ * @returns {string} Workout key
+ */
+export function getWorkoutKey(entry) {
+  return entry.workoutId || entry.id;
+}
+
+/**
+ * Groups session entries into workouts
+ * @param {Object[]} history - Session entries, newest first
+ * @returns {Workout[]} Workouts, newest first
+ */
+export function groupIntoWorkouts(history) {
+  const groups = new Map();
+  history.forEach(entry => {
+    const key = getWorkoutKey(entry);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(entry);
+  });
+
+  return [...groups.entries()].map(([id, entries]) => {
+    const sessions = [...entries].sort((a, b) => (a.sessionNumber || 0) - (b.sessionNumber || 0));
+    const first = sessions[0];
+    const sum = (field) => sessions.reduce((total, s) => total + (s[field] || 0), 0);
+    const timestamp = entries.reduce(
+      (latest, s) => (s.timestamp > latest ? s.timestamp : latest),
+      entries[0].timestamp
+    );
+
+    return {
+      id,
+      timestamp,
+      sessions,
+      mode: first.mode,
+      trainingType: first.trainingType || 'single',
+      difficultyId: first.difficultyId,
+      profileName: first.profileName || null,
+      totalSessions: first.totalSessions || sessions.length,
+      hitsCompleted: sum('hitsCompleted'),
+      totalHits: sum('totalHits'),
+      combosCompleted: sum('combosCompleted'),
+      durationMs: sum('durationMs'),
+      midRestMs: sum('midRestMs'),
+      reactionTimes: sessions.flatMap(s => s.reactionTimes || []),
+      stopped: sessions.some(s => s.stopped)
+    };
+  });
+}
+
+/**
+ * Gets the local calendar day of a timestamp
+ * @param {string|number|Date} timestamp - Time to convert
+ * @returns {string} Day key in YYYY-MM-DD form
+ */
+export function getDayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Formats a day key for display
+ * @param {string} dayKey - Day key from getDayKey
+ * @param {Date} [now] - Current time, for Today/Yesterday labels
+ * @returns {string} 'Today', 'Yesterday' or a formatted date
+ */
+export function formatDayLabel(dayKey, now = new Date()) {
+  if (dayKey === getDayKey(now)) {
+    return 'Today';
+  }
+  const yesterday = new Date(now);
+  yesterday.setDate(yesterday.getDate() - 1);
+  if (dayKey === getDayKey(yesterday)) {
+    return 'Yesterday';
+  }
+
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, {
+    weekday: 'long',
+    month: 'short',
+    day: 'numeric',
+    year: year === now.getFullYear() ? undefined : 'numeric'
+  });
+}
+
+/**
+ * Groups workouts by the local day they finished
+ * @param {Workout[]} workouts - Workouts, newest first
+ * @returns {Array<{dayKey: string, workouts: Workout[]}>} Training days, newest first
+ */
+export function groupWorkoutsByDay(workouts) {
+  const days = new Map();
+  workouts.forEach(workout => {
+    const dayKey = getDayKey(workout.timestamp);
+    if (!days.has(dayKey)) {
+      days.set(dayKey, []);
+    }
+    days.get(dayKey).push(workout);
+  });
+  return [...days.entries()].map(([dayKey, dayWorkouts]) => ({ dayKey, workouts: dayWorkouts }));
+}
+
+/**
+ * Applies the retention limit, keeping the newest workouts whole
+ * @param {Object[]} history - Session entries, newest first
+ * @param {number|null} limit - Maximum workouts to keep, or null for all
+ * @returns {Object[]} Trimmed session entries
+ */
+export function trimHistory(history, limit) {
+  if (!limit) {
+    return history;
+  }
+  const kept = new Set();
+  return history.filter(entry => {
+    const key = getWorkoutKey(entry);
+    if (!kept.has(key)) {
+      if (kept.size >= limit) {
+        return false;
+      }
+      kept.add(key);
+    }
+    return true;
+  });
+}
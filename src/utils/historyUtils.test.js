@@ -0,0 +1,161 @@
+import { describe, it, expect } from 'vitest'
+import {
+  HISTORY_LIMITS,
+  createWorkoutId,
+  getWorkoutKey,
+  groupIntoWorkouts,
+  getDayKey,
+  formatDayLabel,
+  groupWorkoutsByDay,
+  trimHistory
+} from './historyUtils'
+
+function entry(overrides = {}) {
+  return {
+    id: `session-${Math.random()}`,
+    timestamp: '2026-03-10T18:00:00.000Z',
+    mode: 'both',
+    trainingType: 'single',
+    difficultyId: 'normal',
+    hitsCompleted: 40,
+    totalHits: 45,
+    durationMs: 60000,
+    sessionNumber: 1,
+    totalSessions: 1,
+    ...overrides
+  }
+}
+
+describe('historyUtils', () => {
+  describe('HISTORY_LIMITS', () => {
+    it('offers unlimited retention first', () => {
+      expect(HISTORY_LIMITS[0]).toBeNull()
+    })
+  })
+
+  describe('createWorkoutId', () => {
+    it('creates unique IDs', () => {
+      expect(createWorkoutId()).not.toBe(createWorkoutId())
+    })
+  })
+
+  describe('getWorkoutKey', () => {
+    it('uses the workout ID when present', () => {
+      expect(getWorkoutKey(entry({ id: 's1', workoutId: 'w1' }))).toBe('w1')
+    })
+
+    it('falls back to the session ID for legacy entries', () => {
+      expect(getWorkoutKey(entry({ id: 's1' }))).toBe('s1')
+    })
+  })
+
+  describe('groupIntoWorkouts', () => {
+    it('groups sessions that share a workout ID', () => {
+      const history = [
+        entry({ workoutId: 'w2', sessionNumber: 2, totalSessions: 2, timestamp: '2026-03-10T18:05:00.000Z' }),
+        entry({ workoutId: 'w2', sessionNumber: 1, totalSessions: 2, timestamp: '2026-03-10T18:02:00.000Z' }),
+        entry({ workoutId: 'w1' })
+      ]
+      const workouts = groupIntoWorkouts(history)
+
+      expect(workouts).toHaveLength(2)
+      expect(workouts[0].id).toBe('w2')
+      expect(workouts[0].sessions.map(s => s.sessionNumber)).toEqual([1, 2])
+      expect(workouts[0].timestamp).toBe('2026-03-10T18:05:00.000Z')
+    })
+
+    it('sums totals across sessions', () => {
+      const workouts = groupIntoWorkouts([
+        entry({ workoutId: 'w', sessionNumber: 2, hitsCompleted: 30, totalHits: 30, durationMs: 1000, midRestMs: 500, reactionTimes: [300] }),
+        entry({ workoutId: 'w', sessionNumber: 1, hitsCompleted: 20, totalHits: 25, durationMs: 2000, reactionTimes: [250] })
+      ])
+
+      expect(workouts[0]).toMatchObject({
+        hitsCompleted: 50,
+        totalHits: 55,
+        durationMs: 3000,
+        midRestMs: 500,
+        reactionTimes: [250, 300],
+        stopped: false
+      })
+    })
+
+    it('keeps profile and settings from the first session', () => {
+      const [workout] = groupIntoWorkouts([
+        entry({ workoutId: 'w', profileName: 'Sparring', mode: 'kicks', difficultyId: 'hard', totalSessions: 3 })
+      ])
+
+      expect(workout).toMatchObject({
+        profileName: 'Sparring',
+        mode: 'kicks',
+        difficultyId: 'hard',
+        totalSessions: 3
+      })
+    })
+
+    it('marks workouts with a stopped session', () => {
+      const [workout] = groupIntoWorkouts([entry({ workoutId: 'w', stopped: true })])
+      expect(workout.stopped).toBe(true)
+    })
+
+    it('treats legacy entries as single-session workouts', () => {
+      const workouts = groupIntoWorkouts([entry({ id: 'a' }), entry({ id: 'b' })])
+      expect(workouts.map(w => w.id)).toEqual(['a', 'b'])
+      expect(workouts[0].profileName).toBeNull()
+    })
+  })
+
+  describe('getDayKey', () => {
+    it('formats the local date', () => {
+      expect(getDayKey(new Date(2026, 2, 5, 23, 30))).toBe('2026-03-05')
+    })
+  })
+
+  describe('formatDayLabel', () => {
+    const now = new Date(2026, 2, 10, 12, 0)
+
+    it('labels today and yesterday', () => {
+      expect(formatDayLabel('2026-03-10', now)).toBe('Today')
+      expect(formatDayLabel('2026-03-09', now)).toBe('Yesterday')
+    })
+
+    it('formats older days as dates', () => {
+      const label = formatDayLabel('2026-03-01', now)
+      expect(label).not.toBe('Today')
+      expect(label).toContain('1')
+    })
+  })
+
+  describe('groupWorkoutsByDay', () => {
+    it('groups workouts by the day they finished', () => {
+      const workouts = groupIntoWorkouts([
+        entry({ workoutId: 'c', timestamp: new Date(2026, 2, 10, 19).toISOString() }),
+        entry({ workoutId: 'b', timestamp: new Date(2026, 2, 10, 8).toISOString() }),
+        entry({ workoutId: 'a', timestamp: new Date(2026, 2, 9, 18).toISOString() })
+      ])
+      const days = groupWorkoutsByDay(workouts)
+
+      expect(days.map(d => d.dayKey)).toEqual(['2026-03-10', '2026-03-09'])
+      expect(days[0].workouts.map(w => w.id)).toEqual(['c', 'b'])
+    })
+  })
+
+  describe('trimHistory', () => {
+    const history = [
+      entry({ workoutId: 'w3', sessionNumber: 2 }),
+      entry({ workoutId: 'w3', sessionNumber: 1 }),
+      entry({ workoutId: 'w2' }),
+      entry({ workoutId: 'w1' })
+    ]
+
+    it('keeps everything without a limit', () => {
+      expect(trimHistory(history, null)).toBe(history)
+    })
+
+    it('keeps the newest workouts whole', () => {
+      const trimmed = trimHistory(history, 2)
+      expect(trimmed).toHaveLength(3)
+      expect(trimmed.map(e => e.workoutId)).toEqual(['w3', 'w3', 'w2'])
+    })
+  })
+})
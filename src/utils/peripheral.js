@@ -0,0 +1,193 @@
+/**
+ * Combat Reflex - Peripheral Vision
+ *
+ * The 'peripheral' training type trains reactions to movement at the edge
+ * of vision: the athlete keeps their eyes on a fixation point in the middle
+ * of the screen while small cues flash at its edges and corners. Where each
+ * cue appears is drawn with the cue when the workout is planned (see
+ * workoutTimeline.js), from the workout's position set.
+ *
+ * Cues are silent, so only the eyes can catch them. With response capture,
+ * each cue is scored for its screen region as it leaves the screen: a hit
+ * when answered in time, a miss otherwise.
+ */
+
+/**
+ * @typedef {Object} ScreenRegion
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {string} kind - 'edge' or 'corner'
+ */
+
+/**
+ * Screen regions cues can flash in, top row to bottom row
+ * @type {ScreenRegion[]}
+ */
+export const SCREEN_REGIONS = [
+  { id: 'top-left', name: 'Top Left', kind: 'corner' },
+  { id: 'top', name: 'Top', kind: 'edge' },
+  { id: 'top-right', name: 'Top Right', kind: 'corner' },
+  { id: 'left', name: 'Left', kind: 'edge' },
+  { id: 'right', name: 'Right', kind: 'edge' },
+  { id: 'bottom-left', name: 'Bottom Left', kind: 'corner' },
+  { id: 'bottom', name: 'Bottom', kind: 'edge' },
+  { id: 'bottom-right', name: 'Bottom Right', kind: 'corner' }
+];
+
+/**
+ * Position sets offered on the settings screen
+ * - edges: the middle of each edge
+ * - corners: the four corners
+ * - all: edges and corners
+ * @type {string[]}
+ */
+export const POSITION_SETS = ['edges', 'corners', 'all'];
+
+/**
+ * Display names of the position sets
+ * @type {Object<string, string>}
+ */
+export const POSITION_SET_NAMES = {
+  edges: 'Edges',
+  corners: 'Corners',
+  all: 'Edges & Corners'
+};
+
+/**
+ * Cue sizes offered on the settings screen, smallest first
+ * @type {string[]}
+ */
+export const CUE_SIZES = ['small', 'medium', 'large'];
+
+/**
+ * Cue contrasts against the background, lowest first
+ * @type {string[]}
+ */
+export const CUE_CONTRASTS = ['low', 'medium', 'high'];
+
+/**
+ * @typedef {Object} PeripheralSettings
+ * @property {string} positions - Where cues flash (one of POSITION_SETS)
+ * @property {string} size - Size of the cues (one of CUE_SIZES)
+ * @property {string} contrast - Contrast of the cues (one of CUE_CONTRASTS)
+ */
+
+/**
+ * Every position, medium cues at high contrast by default
+ * @type {PeripheralSettings}
+ */
+export const DEFAULT_PERIPHERAL_SETTINGS = {
+  positions: 'all',
+  size: 'medium',
+  contrast: 'high'
+};
+
+/**
+ * @typedef {Object} RegionStats
+ * @property {number} cues - Cues flashed in the region
+ * @property {number} hits - Cues answered in time
+ * @property {number[]} reactionTimes - Reaction times of the hits (ms)
+ */
+
+/**
+ * Finds a screen region
+ * @param {string} id - Region ID
+ * @returns {ScreenRegion|undefined} The region, if known
+ */
+export function getRegionById(id) {
+  return SCREEN_REGIONS.find(region => region.id === id);
+}
+
+/**
+ * Checks peripheral settings
+ * @param {*} settings - Settings to check
+ * @returns {boolean} Whether they are valid
+ */
+export function isValidPeripheralSettings(settings) {
+  return Boolean(settings)
+    && POSITION_SETS.includes(settings.positions)
+    && CUE_SIZES.includes(settings.size)
+    && CUE_CONTRASTS.includes(settings.contrast);
+}
+
+/**
+ * Lists the regions of a position set
+ * @param {string} positions - One of POSITION_SETS
+ * @returns {string[]} Region IDs, top row to bottom row; every region for an unknown set
+ */
+export function getRegionsForSet(positions) {
+  const kind = { edges: 'edge', corners: 'corner' }[positions];
+  return SCREEN_REGIONS
+    .filter(region => !kind || region.kind === kind)
+    .map(region => region.id);
+}
+
+/**
+ * Picks where a cue flashes
+ * @param {string[]} regions - Region IDs of the position set
+ * @param {() => number} [random=Math.random] - Random number generator returning [0, 1)
+ * @returns {string} Region ID
+ */
+export function pickRegion(regions, random = Math.random) {
+  return regions[Math.floor(random() * regions.length)];
+}
+
+/**
+ * Creates empty counts for a position set
+ * @param {string[]} regions - Region IDs
+ * @returns {Object<string, RegionStats>} Counts by region
+ */
+export function createRegionStats(regions) {
+  return Object.fromEntries(regions.map(id => [id, { cues: 0, hits: 0, reactionTimes: [] }]));
+}
+
+/**
+ * Counts the outcome of one cue
+ * @param {Object<string, RegionStats>} stats - Counts so far
+ * @param {string} region - Region the cue flashed in
+ * @param {number|null} latency - Reaction time of the answer, or null if none
+ * @returns {Object<string, RegionStats>} Updated copy of the counts
+ */
+export function scoreRegionCue(stats, region, latency) {
+  const counts = stats[region] ?? { cues: 0, hits: 0, reactionTimes: [] };
+  return {
+    ...stats,
+    [region]: {
+      cues: counts.cues + 1,
+      hits: counts.hits + (latency !== null ? 1 : 0),
+      reactionTimes: latency !== null ? [...counts.reactionTimes, latency] : counts.reactionTimes
+    }
+  };
+}
+
+/**
+ * Sums up accuracy and reaction time by screen region over a workout's history entries
+ * @param {import('../context/TrainingContext').SessionHistoryEntry[]} sessions - Sessions of one workout
+ * @returns {{region: string, name: string, cues: number, hits: number, accuracy: number,
+ *   meanReactionMs: number|null}[]|null} One row per region flashed, top row to bottom row,
+ *   or null if no session was peripheral
+ */
+export function summarizeRegionSessions(sessions) {
+  const scored = sessions.filter(session => session.regions);
+  if (scored.length === 0) {
+    return null;
+  }
+  return SCREEN_REGIONS
+    .map(({ id, name }) => {
+      const counts = scored.map(session => session.regions[id]).filter(Boolean);
+      const cues = counts.reduce((sum, region) => sum + region.cues, 0);
+      const hits = counts.reduce((sum, region) => sum + region.hits, 0);
+      const reactionTimes = counts.flatMap(region => region.reactionTimes);
+      return {
+        region: id,
+        name,
+        cues,
+        hits,
+        accuracy: cues > 0 ? Math.round((hits / cues) * 100) : 0,
+        meanReactionMs: reactionTimes.length > 0
+          ? Math.round(reactionTimes.reduce((sum, time) => sum + time, 0) / reactionTimes.length)
+          : null
+      };
+    })
+    .filter(row => row.cues > 0);
+}
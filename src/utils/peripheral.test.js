@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  SCREEN_REGIONS,
+  DEFAULT_PERIPHERAL_SETTINGS,
+  getRegionById,
+  isValidPeripheralSettings,
+  getRegionsForSet,
+  pickRegion,
+  createRegionStats,
+  scoreRegionCue,
+  summarizeRegionSessions
+} from './peripheral'
+import { buildWorkoutTimeline, SINGLE_CUE_DISPLAY_MS } from './workoutTimeline'
+import {
+  difficulty,
+  createConfig,
+  createTestEngine,
+  TIME_TO_TRAINING,
+  CUE_CYCLE
+} from '../test/sessionFixtures'
+
+describe('peripheral', () => {
+  describe('SCREEN_REGIONS', () => {
+    it('has four edges and four corners', () => {
+      expect(SCREEN_REGIONS).toHaveLength(8)
+      expect(SCREEN_REGIONS.filter(region => region.kind === 'corner')).toHaveLength(4)
+      expect(getRegionById('top-left').name).toBe('Top Left')
+      expect(getRegionById('center')).toBeUndefined()
+    })
+  })
+
+  describe('isValidPeripheralSettings', () => {
+    it('accepts known positions, sizes and contrasts', () => {
+      expect(isValidPeripheralSettings(DEFAULT_PERIPHERAL_SETTINGS)).toBe(true)
+      expect(isValidPeripheralSettings({ positions: 'corners', size: 'small', contrast: 'low' })).toBe(true)
+    })
+
+    it('rejects unknown values and missing settings', () => {
+      expect(isValidPeripheralSettings({ ...DEFAULT_PERIPHERAL_SETTINGS, positions: 'center' })).toBe(false)
+      expect(isValidPeripheralSettings({ ...DEFAULT_PERIPHERAL_SETTINGS, size: 'huge' })).toBe(false)
+      expect(isValidPeripheralSettings({ positions: 'all', size: 'small' })).toBe(false)
+      expect(isValidPeripheralSettings(undefined)).toBe(false)
+    })
+  })
+
+  describe('getRegionsForSet', () => {
+    it('lists the regions of each position set', () => {
+      expect(getRegionsForSet('edges')).toEqual(['top', 'left', 'right', 'bottom'])
+      expect(getRegionsForSet('corners')).toEqual(['top-left', 'top-right', 'bottom-left', 'bottom-right'])
+      expect(getRegionsForSet('all')).toHaveLength(8)
+    })
+  })
+
+  describe('pickRegion', () => {
+    it('picks among the regions of the set', () => {
+      const regions = getRegionsForSet('edges')
+      expect(pickRegion(regions, () => 0)).toBe('top')
+      expect(pickRegion(regions, () => 0.99)).toBe('bottom')
+    })
+  })
+
+  describe('scoreRegionCue', () => {
+    it('counts cues, hits and reaction times by region', () => {
+      let stats = createRegionStats(['left', 'right'])
+      stats = scoreRegionCue(stats, 'left', 300)
+      stats = scoreRegionCue(stats, 'left', null)
+      stats = scoreRegionCue(stats, 'right', 450)
+
+      expect(stats).toEqual({
+        left: { cues: 2, hits: 1, reactionTimes: [300] },
+        right: { cues: 1, hits: 1, reactionTimes: [450] }
+      })
+    })
+
+    it('leaves the counts passed in untouched', () => {
+      const stats = createRegionStats(['left'])
+      scoreRegionCue(stats, 'left', 300)
+      expect(stats.left.cues).toBe(0)
+    })
+  })
+
+  describe('summarizeRegionSessions', () => {
+    it('sums accuracy and mean reaction time by region over sessions', () => {
+      const sessions = [
+        { regions: { top: { cues: 2, hits: 1, reactionTimes: [400] }, left: { cues: 1, hits: 1, reactionTimes: [500] } } },
+        { regions: { top: { cues: 2, hits: 2, reactionTimes: [300, 500] }, left: { cues: 0, hits: 0, reactionTimes: [] } } },
+        { reactionTimes: [250] }
+      ]
+
+      expect(summarizeRegionSessions(sessions)).toEqual([
+        { region: 'top', name: 'Top', cues: 4, hits: 3, accuracy: 75, meanReactionMs: 400 },
+        { region: 'left', name: 'Left', cues: 1, hits: 1, accuracy: 100, meanReactionMs: 500 }
+      ])
+    })
+
+    it('returns null without peripheral sessions', () => {
+      expect(summarizeRegionSessions([{ reactionTimes: [] }])).toBeNull()
+    })
+  })
+
+  describe('sessionEngine', () => {
+    let events
+    let engine
+
+    beforeEach(() => {
+      vi.useFakeTimers()
+      events = []
+      engine = createTestEngine(events)
+    })
+
+    afterEach(() => {
+      engine.destroy()
+      vi.useRealTimers()
+    })
+
+    const peripheralConfig = (regions) => {
+      const config = createConfig({
+        trainingType: 'peripheral',
+        peripheral: { positions: 'edges', size: 'small', contrast: 'low' },
+        difficulty: { ...difficulty, totalHits: regions.length }
+      })
+      const timeline = buildWorkoutTimeline(config, () => 0)
+      timeline.sessions[0].items.forEach((item, i) => { item.region = regions[i] })
+      return { ...config, timeline }
+    }
+
+    it('flashes each cue in its region', () => {
+      engine.start(peripheralConfig(['left', 'top']))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + difficulty.minInterval)
+
+      expect(events.find(e => e.type === 'cue')).toMatchObject({ region: 'left', zone: null })
+      expect(engine.getState().currentRegion).toBe('left')
+      vi.advanceTimersByTime(SINGLE_CUE_DISPLAY_MS)
+      expect(engine.getState().currentRegion).toBeNull()
+    })
+
+    it('scores hits and reaction time by region', () => {
+      // Answer the first two cues, miss the last
+      const latencies = [300, 500]
+      let cues = 0
+      engine.listen((type, payload) => type === 'cue' && cues < latencies.length
+        && engine.respond(payload.onset + latencies[cues++]))
+      engine.start(peripheralConfig(['left', 'left', 'bottom']))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE * 3)
+
+      const { entry } = events.find(e => e.type === 'sessionEnd')
+      expect(entry.regions).toEqual({
+        top: { cues: 0, hits: 0, reactionTimes: [] },
+        left: { cues: 2, hits: 2, reactionTimes: [300, 500] },
+        right: { cues: 0, hits: 0, reactionTimes: [] },
+        bottom: { cues: 1, hits: 0, reactionTimes: [] }
+      })
+    })
+
+    it('leaves other training types without regions', () => {
+      engine.start(createConfig())
+      vi.advanceTimersByTime(60000)
+
+      expect(events.find(e => e.type === 'sessionEnd').entry).not.toHaveProperty('regions')
+      expect(events.filter(e => e.type === 'cue').every(e => e.region === null)).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,224 @@
+/**
+ * Profile Transfer for Combat Reflex Training App
+ *
+ * Exports custom profiles to a versioned JSON file and plans imports:
+ * parsing, validation, and resolving ID collisions with existing profiles.
+ */
+
+import { mergeWithDefaults, validateProfile, generateUUID, DEFAULT_PROFILE_ID } from './profileUtils'
+import { TECHNIQUES } from './techniques'
+import { cloneCombo } from './comboLibrary'
+
+/**
+ * Identifies Combat Reflex profile files
+ */
+export const PROFILE_FILE_FORMAT = 'combat-reflex-profiles'
+
+/**
+ * Current profile file version
+ * Bump when the file layout changes, and keep reading older versions.
+ */
+export const PROFILE_FILE_VERSION = 1
+
+/**
+ * Ways to resolve an imported profile whose ID is already taken
+ * - replace: overwrite the existing profile
+ * - keep-both: import as a new profile, with a unique name
+ * - rename: import as a new profile under a chosen name
+ */
+export const IMPORT_STRATEGIES = ['replace', 'keep-both', 'rename']
+
+/**
+ * Strips a profile down to the fields worth sharing
+ * @param {Object} profile - Profile to export
+ * @returns {Object} Exported profile
+ */
+function toExportedProfile(profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    createdAt: profile.createdAt,
+    updatedAt: profile.updatedAt,
+    enabledTechniques: [...(profile.enabledTechniques || [])],
+    ...(profile.targetZones && { targetZones: [...profile.targetZones] }),
+    ...(profile.stance && { stance: { ...profile.stance } }),
+    ...(profile.comboLibrary && { comboLibrary: profile.comboLibrary.map(cloneCombo) }),
+    difficulties: JSON.parse(JSON.stringify(profile.difficulties))
+  }
+}
+
+/**
+ * Builds the contents of a profile file
+ * @param {Object[]} profiles - Profiles to export (the default profile is skipped)
+ * @param {number} [now=Date.now()] - Export time
+ * @returns {{format: string, version: number, exportedAt: string, profiles: Object[]}} File contents
+ */
+export function createProfileExport(profiles, now = Date.now()) {
+  return {
+    format: PROFILE_FILE_FORMAT,
+    version: PROFILE_FILE_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    profiles: profiles.filter(p => !p.isDefault).map(toExportedProfile)
+  }
+}
+
+/**
+ * Suggests a file name for an export
+ * @param {Object[]} profiles - Exported profiles
+ * @param {number} [now=Date.now()] - Export time
+ * @returns {string} File name ending in .json
+ */
+export function getExportFileName(profiles, now = Date.now()) {
+  if (profiles.length === 1) {
+    const slug = profiles[0].name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+    return `combat-reflex-${slug || 'profile'}.json`
+  }
+  return `combat-reflex-profiles-${new Date(now).toISOString().slice(0, 10)}.json`
+}
+
+/**
+ * Offers a profile export to the user as a download
+ * @param {Object[]} profiles - Profiles to export
+ */
+export function downloadProfiles(profiles) {
+  const json = JSON.stringify(createProfileExport(profiles), null, 2)
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = getExportFileName(profiles)
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * @typedef {Object} ImportItem
+ * @property {Object} profile - Imported profile, merged with defaults
+ * @property {string[]} errors - Problems that block importing this profile
+ * @property {string[]} warnings - Problems that do not block importing
+ * @property {Object|null} conflict - Existing profile with the same ID, if any
+ */
+
+/**
+ * Checks one imported profile against the existing ones
+ * Missing settings are filled in from the defaults.
+ * @param {*} raw - Profile as read from a file or link
+ * @param {Object[]} existingProfiles - Profiles already in the app
+ * @returns {ImportItem}
+ */
+export function parseProfileData(raw, existingProfiles) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { profile: null, errors: ['Profile entry is not an object'], warnings: [], conflict: null }
+  }
+
+  const profile = {
+    ...mergeWithDefaults(raw),
+    isDefault: false,
+    isReadOnly: false
+  }
+  const { errors, warnings } = validateProfile(profile)
+
+  if (!raw.name) {
+    warnings.push(`Profile has no name; it will be imported as "${profile.name}"`)
+  }
+  const unknownTechniques = (raw.enabledTechniques || []).filter(id => !TECHNIQUES.some(t => t.id === id))
+  if (unknownTechniques.length > 0) {
+    warnings.push(`Unknown techniques will be ignored: ${unknownTechniques.join(', ')}`)
+  }
+
+  const conflict = existingProfiles.find(p => p.id === profile.id) || null
+  return { profile, errors, warnings, conflict }
+}
+
+/**
+ * Parses a profile file and checks each profile against the existing ones
+ * @param {string} text - File contents
+ * @param {Object[]} existingProfiles - Profiles already in the app
+ * @returns {{error: string|null, items: ImportItem[]}} File error, or one item per profile
+ */
+export function parseProfileFile(text, existingProfiles) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    return { error: 'File is not valid JSON', items: [] }
+  }
+
+  if (!data || data.format !== PROFILE_FILE_FORMAT) {
+    return { error: 'File is not a Combat Reflex profile export', items: [] }
+  }
+  if (!Number.isInteger(data.version) || data.version > PROFILE_FILE_VERSION) {
+    return { error: `File version ${data.version} is not supported; update the app to import it`, items: [] }
+  }
+  if (!Array.isArray(data.profiles) || data.profiles.length === 0) {
+    return { error: 'File contains no profiles', items: [] }
+  }
+
+  const items = data.profiles.map(raw => parseProfileData(raw, existingProfiles))
+
+  return { error: null, items }
+}
+
+/**
+ * Makes a profile name unique by adding a counter
+ * @param {string} name - Desired name
+ * @param {string[]} takenNames - Names already in use
+ * @returns {string} Name not in takenNames
+ */
+export function getUniqueProfileName(name, takenNames) {
+  if (!takenNames.includes(name)) {
+    return name
+  }
+  let counter = 2
+  while (takenNames.includes(`${name} (${counter})`)) {
+    counter++
+  }
+  return `${name} (${counter})`
+}
+
+/**
+ * Turns parsed items and the user's choices into profiles to save
+ * Items with errors, and items not included, are skipped. The default
+ * profile can never be replaced.
+ * @param {ImportItem[]} items - Parsed items
+ * @param {Array<{include: boolean, strategy?: string, name?: string}>} resolutions - Choice per item
+ * @param {Object[]} existingProfiles - Profiles already in the app
+ * @param {number} [now=Date.now()] - Import time
+ * @returns {Array<{profile: Object, replace: boolean}>} Profiles to add or replace
+ */
+export function planProfileImport(items, resolutions, existingProfiles, now = Date.now()) {
+  const takenIds = new Set(existingProfiles.map(p => p.id))
+  const takenNames = existingProfiles.map(p => p.name)
+  const plan = []
+
+  items.forEach((item, index) => {
+    const resolution = resolutions[index] || {}
+    if (!resolution.include || !item.profile || item.errors.length > 0) {
+      return
+    }
+
+    const canReplace = item.conflict && item.conflict.id !== DEFAULT_PROFILE_ID && !item.conflict.isReadOnly
+    const strategy = item.conflict ? resolution.strategy || 'keep-both' : null
+
+    if (strategy === 'replace' && canReplace) {
+      plan.push({
+        profile: { ...item.profile, createdAt: item.conflict.createdAt, updatedAt: now },
+        replace: true
+      })
+      return
+    }
+
+    // New profile: keep the file's ID unless it is already taken
+    const id = takenIds.has(item.profile.id) ? generateUUID() : item.profile.id
+    const chosenName = strategy === 'rename' ? resolution.name?.trim() : ''
+    const name = chosenName || getUniqueProfileName(item.profile.name, takenNames)
+
+    takenIds.add(id)
+    takenNames.push(name)
+    plan.push({
+      profile: { ...item.profile, id, name, createdAt: now, updatedAt: now },
+      replace: false
+    })
+  })
+
+  return plan
+}
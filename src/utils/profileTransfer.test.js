@@ -0,0 +1,250 @@
+import { describe, it, expect } from 'vitest'
+import {
+  createProfileExport,
+  getExportFileName,
+  parseProfileFile,
+  getUniqueProfileName,
+  planProfileImport,
+  PROFILE_FILE_FORMAT,
+  PROFILE_FILE_VERSION
+} from './profileTransfer'
+import { createDefaultProfile, createNewProfile, DEFAULT_PROFILE_ID } from './profileUtils'
+
+const NOW = new Date('2026-03-14T12:00:00Z').getTime()
+
+const toFile = (profiles) => JSON.stringify(createProfileExport(profiles, NOW))
+
+describe('profileTransfer', () => {
+  describe('createProfileExport', () => {
+    it('includes the format, version and export time', () => {
+      const file = createProfileExport([createNewProfile('A')], NOW)
+      expect(file.format).toBe(PROFILE_FILE_FORMAT)
+      expect(file.version).toBe(PROFILE_FILE_VERSION)
+      expect(file.exportedAt).toBe('2026-03-14T12:00:00.000Z')
+    })
+
+    it('skips the default profile', () => {
+      const file = createProfileExport([createDefaultProfile(), createNewProfile('A')], NOW)
+      expect(file.profiles).toHaveLength(1)
+      expect(file.profiles[0].name).toBe('A')
+    })
+
+    it('leaves out app-managed flags', () => {
+      const file = createProfileExport([createNewProfile('A')], NOW)
+      expect(file.profiles[0]).not.toHaveProperty('isDefault')
+      expect(file.profiles[0]).not.toHaveProperty('isReadOnly')
+      expect(file.profiles[0].difficulties).toHaveLength(5)
+    })
+
+    it('includes the target set', () => {
+      const profile = { ...createNewProfile('A'), targetZones: ['body', 'legs'] }
+      const file = createProfileExport([profile], NOW)
+      expect(file.profiles[0].targetZones).toEqual(['body', 'legs'])
+    })
+
+    it('includes the stance', () => {
+      const profile = { ...createNewProfile('A'), stance: { stance: 'southpaw', switchEachRound: true } }
+      const file = createProfileExport([profile], NOW)
+      expect(file.profiles[0].stance).toEqual({ stance: 'southpaw', switchEachRound: true })
+    })
+
+    it('keeps a custom combo library through a file round trip', () => {
+      const custom = { id: 'custom-1', name: 'Jab, Jab, Hook', set: null, steps: [{ technique: 'jab' }, { technique: 'jab', delayMs: 300 }, { technique: 'hook' }], weight: 2 }
+      const profile = { ...createNewProfile('A'), comboLibrary: [custom] }
+      const file = createProfileExport([profile], NOW)
+      expect(file.profiles[0].comboLibrary[0].steps).not.toBe(custom.steps)
+
+      const { items } = parseProfileFile(JSON.stringify(file), [])
+      expect(items[0].profile.comboLibrary).toEqual([custom])
+    })
+  })
+
+  describe('getExportFileName', () => {
+    it('uses the profile name for a single profile', () => {
+      expect(getExportFileName([{ name: 'My Hard Day!' }], NOW)).toBe('combat-reflex-my-hard-day.json')
+    })
+
+    it('uses the date for several profiles', () => {
+      expect(getExportFileName([{ name: 'A' }, { name: 'B' }], NOW)).toBe('combat-reflex-profiles-2026-03-14.json')
+    })
+  })
+
+  describe('parseProfileFile', () => {
+    it('rejects invalid JSON', () => {
+      expect(parseProfileFile('{nope', []).error).toMatch(/not valid JSON/)
+    })
+
+    it('rejects files of another format', () => {
+      expect(parseProfileFile(JSON.stringify({ profiles: [] }), []).error).toMatch(/not a Combat Reflex/)
+    })
+
+    it('rejects newer file versions', () => {
+      const text = JSON.stringify({ format: PROFILE_FILE_FORMAT, version: PROFILE_FILE_VERSION + 1, profiles: [{}] })
+      expect(parseProfileFile(text, []).error).toMatch(/not supported/)
+    })
+
+    it('rejects files without profiles', () => {
+      expect(parseProfileFile(toFile([]), []).error).toMatch(/no profiles/)
+    })
+
+    it('returns one item per profile', () => {
+      const result = parseProfileFile(toFile([createNewProfile('A'), createNewProfile('B')]), [])
+      expect(result.error).toBeNull()
+      expect(result.items.map(i => i.profile.name)).toEqual(['A', 'B'])
+      expect(result.items.every(i => i.errors.length === 0 && i.conflict === null)).toBe(true)
+    })
+
+    it('fills in missing settings from the defaults', () => {
+      const text = JSON.stringify({
+        format: PROFILE_FILE_FORMAT,
+        version: 1,
+        profiles: [{ id: 'x', name: 'Sparse', difficulties: [{ id: 'hard', minInterval: 500 }] }]
+      })
+      const { profile } = parseProfileFile(text, []).items[0]
+      expect(profile.difficulties).toHaveLength(5)
+      expect(profile.difficulties.find(d => d.id === 'hard').minInterval).toBe(500)
+      expect(profile.isDefault).toBe(false)
+    })
+
+    it('never imports a profile as the default or read-only', () => {
+      const text = JSON.stringify({
+        format: PROFILE_FILE_FORMAT,
+        version: 1,
+        profiles: [{ ...createNewProfile('Sneaky'), isDefault: true, isReadOnly: true }]
+      })
+      const { profile } = parseProfileFile(text, []).items[0]
+      expect(profile.isDefault).toBe(false)
+      expect(profile.isReadOnly).toBe(false)
+    })
+
+    it('reports validation errors', () => {
+      const bad = createNewProfile('Bad')
+      bad.difficulties[0].minInterval = -1
+      const item = parseProfileFile(toFile([bad]), []).items[0]
+      expect(item.errors.length).toBeGreaterThan(0)
+    })
+
+    it('reports entries that are not objects', () => {
+      const text = JSON.stringify({ format: PROFILE_FILE_FORMAT, version: 1, profiles: ['oops'] })
+      const item = parseProfileFile(text, []).items[0]
+      expect(item.profile).toBeNull()
+      expect(item.errors).toHaveLength(1)
+    })
+
+    it('warns about a missing name and unknown techniques', () => {
+      const text = JSON.stringify({
+        format: PROFILE_FILE_FORMAT,
+        version: 1,
+        profiles: [{ id: 'x', enabledTechniques: ['jab', 'flying-armbar'] }]
+      })
+      const { warnings } = parseProfileFile(text, []).items[0]
+      expect(warnings.some(w => w.includes('no name'))).toBe(true)
+      expect(warnings.some(w => w.includes('flying-armbar'))).toBe(true)
+    })
+
+    it('finds the existing profile with the same ID', () => {
+      const existing = createNewProfile('Mine')
+      const item = parseProfileFile(toFile([existing]), [existing]).items[0]
+      expect(item.conflict).toBe(existing)
+    })
+  })
+
+  describe('getUniqueProfileName', () => {
+    it('keeps a free name', () => {
+      expect(getUniqueProfileName('A', ['B'])).toBe('A')
+    })
+
+    it('adds the first free counter', () => {
+      expect(getUniqueProfileName('A', ['A', 'A (2)'])).toBe('A (3)')
+    })
+  })
+
+  describe('planProfileImport', () => {
+    const existing = { ...createNewProfile('Mine'), createdAt: 1000 }
+    const defaultProfile = createDefaultProfile()
+
+    const parse = (profiles, current = [defaultProfile, existing]) =>
+      parseProfileFile(toFile(profiles), current).items
+
+    it('keeps the ID and name of a new profile', () => {
+      const incoming = createNewProfile('Fresh')
+      const plan = planProfileImport(parse([incoming]), [{ include: true }], [defaultProfile, existing], NOW)
+      expect(plan).toHaveLength(1)
+      expect(plan[0].replace).toBe(false)
+      expect(plan[0].profile.id).toBe(incoming.id)
+      expect(plan[0].profile.name).toBe('Fresh')
+    })
+
+    it('skips items that are not included or have errors', () => {
+      const bad = createNewProfile('Bad')
+      bad.difficulties[0].minInterval = -1
+      const plan = planProfileImport(
+        parse([createNewProfile('Skipped'), bad]),
+        [{ include: false }, { include: true }],
+        [defaultProfile, existing],
+        NOW
+      )
+      expect(plan).toEqual([])
+    })
+
+    it('replaces a conflicting profile, keeping its creation time', () => {
+      const incoming = { ...existing, name: 'Mine v2' }
+      const plan = planProfileImport(
+        parse([incoming]),
+        [{ include: true, strategy: 'replace' }],
+        [defaultProfile, existing],
+        NOW
+      )
+      expect(plan[0].replace).toBe(true)
+      expect(plan[0].profile.id).toBe(existing.id)
+      expect(plan[0].profile.name).toBe('Mine v2')
+      expect(plan[0].profile.createdAt).toBe(1000)
+      expect(plan[0].profile.updatedAt).toBe(NOW)
+    })
+
+    it('keeps both with a new ID and a unique name', () => {
+      const plan = planProfileImport(
+        parse([existing]),
+        [{ include: true, strategy: 'keep-both' }],
+        [defaultProfile, existing],
+        NOW
+      )
+      expect(plan[0].replace).toBe(false)
+      expect(plan[0].profile.id).not.toBe(existing.id)
+      expect(plan[0].profile.name).toBe('Mine (2)')
+    })
+
+    it('renames to the chosen name', () => {
+      const plan = planProfileImport(
+        parse([existing]),
+        [{ include: true, strategy: 'rename', name: '  From Coach ' }],
+        [defaultProfile, existing],
+        NOW
+      )
+      expect(plan[0].profile.id).not.toBe(existing.id)
+      expect(plan[0].profile.name).toBe('From Coach')
+    })
+
+    it('never replaces the default profile', () => {
+      const text = JSON.stringify({
+        format: PROFILE_FILE_FORMAT,
+        version: 1,
+        profiles: [{ ...createNewProfile('Not Default'), id: DEFAULT_PROFILE_ID }]
+      })
+      const items = parseProfileFile(text, [defaultProfile]).items
+      const plan = planProfileImport(items, [{ include: true, strategy: 'replace' }], [defaultProfile], NOW)
+      expect(plan[0].replace).toBe(false)
+      expect(plan[0].profile.id).not.toBe(DEFAULT_PROFILE_ID)
+    })
+
+    it('gives profiles in the same file distinct names', () => {
+      const plan = planProfileImport(
+        parse([createNewProfile('Twin'), createNewProfile('Twin')]),
+        [{ include: true }, { include: true }],
+        [defaultProfile],
+        NOW
+      )
+      expect(plan.map(p => p.profile.name)).toEqual(['Twin', 'Twin (2)'])
+    })
+  })
+})
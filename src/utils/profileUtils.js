@@ -8,8 +8,17 @@
 import {
   DIFFICULTIES,
   COMBO_SETTINGS,
-  BREAK_DURATION_MS
+  BREAK_DURATION_MS,
+  DEFAULT_MID_REST_SETTINGS,
+  MID_REST_TRIGGERS,
+  DEFAULT_SESSION_LENGTH,
+  SESSION_LENGTH_MODES
 } from './difficultyConfig'
+import { TECHNIQUES, DEFAULT_ENABLED_TECHNIQUES } from './techniques'
+import { createDefaultComboLibrary, cloneCombo, validateCombo } from './comboLibrary'
+import { DEFAULT_CUE_SELECTION, cloneCueSelection, isValidTarget, validateCueSelection } from './cueGenerator'
+import { DEFAULT_TARGET_ZONES, getZoneById, canReachZone, validateTargetZones } from './targetZones'
+import { DEFAULT_STANCE_SETTINGS, isValidStanceSettings } from './stance'
 
 /**
  * Default profile ID constant
@@ -92,9 +101,15 @@ function createDifficultySettings(difficulty, comboSettings) {
       restBetweenCombos: { ...comboSettings.restBetweenCombos },
       totalCombos: comboSettings.totalCombos
     },
+    sessionLength: { ...DEFAULT_SESSION_LENGTH },
+    cueSelection: cloneCueSelection(DEFAULT_CUE_SELECTION),
     rest: {
       enabled: true,
-      breakDuration: BREAK_DURATION_MS
+      breakDuration: BREAK_DURATION_MS,
+      midRest: {
+        ...DEFAULT_MID_REST_SETTINGS,
+        points: [...DEFAULT_MID_REST_SETTINGS.points]
+      }
     }
   }
 }
@@ -117,6 +132,10 @@ export function createDefaultProfile() {
     isReadOnly: true,
     createdAt: 0,
     updatedAt: 0,
+    enabledTechniques: [...DEFAULT_ENABLED_TECHNIQUES],
+    comboLibrary: createDefaultComboLibrary(),
+    targetZones: [...DEFAULT_TARGET_ZONES],
+    stance: { ...DEFAULT_STANCE_SETTINGS },
     difficulties
   }
 }
@@ -137,6 +156,10 @@ export function createNewProfile(name) {
     isReadOnly: false,
     createdAt: now,
     updatedAt: now,
+    enabledTechniques: [...defaultProfile.enabledTechniques],
+    comboLibrary: defaultProfile.comboLibrary,
+    targetZones: [...defaultProfile.targetZones],
+    stance: { ...defaultProfile.stance },
     difficulties: defaultProfile.difficulties.map(diff => ({
       ...diff,
       totalHits: { ...diff.totalHits },
@@ -146,7 +169,12 @@ export function createNewProfile(name) {
         strikeInterval: { ...diff.combo.strikeInterval },
         restBetweenCombos: { ...diff.combo.restBetweenCombos }
       },
-      rest: { ...diff.rest }
+      sessionLength: { ...diff.sessionLength },
+      cueSelection: cloneCueSelection(diff.cueSelection),
+      rest: {
+        ...diff.rest,
+        midRest: { ...diff.rest.midRest, points: [...diff.rest.midRest.points] }
+      }
     }))
   }
 }
@@ -165,6 +193,45 @@ export function validateProfile(profile) {
     errors.push('Profile name is required')
   }
 
+  // Validate techniques
+  if (Array.isArray(profile.enabledTechniques)) {
+    if (profile.enabledTechniques.length === 0) {
+      errors.push('At least one technique must be enabled')
+    } else {
+      const categories = new Set(
+        TECHNIQUES.filter(t => profile.enabledTechniques.includes(t.id)).map(t => t.category)
+      )
+      if (!categories.has('punch')) {
+        warnings.push('No punches enabled: punch modes will use all punches')
+      }
+      if (!categories.has('kick')) {
+        warnings.push('No kicks enabled: kick modes will use all kicks')
+      }
+    }
+  }
+
+  // Validate target zones
+  if (profile.targetZones !== undefined) {
+    errors.push(...validateTargetZones(profile.targetZones))
+    const legs = TECHNIQUES.some(t => profile.enabledTechniques?.includes(t.id) && canReachZone(t.id, 'legs'))
+    if (Array.isArray(profile.targetZones) && profile.targetZones.includes('legs') && !legs) {
+      warnings.push('No kicks or checks enabled: target zone training will not call the legs')
+    }
+  }
+
+  // Validate stance
+  if (profile.stance !== undefined && !isValidStanceSettings(profile.stance)) {
+    errors.push('Stance must be orthodox or southpaw')
+  }
+
+  // Validate combo library
+  if (Array.isArray(profile.comboLibrary)) {
+    profile.comboLibrary.forEach(definition => errors.push(...validateCombo(definition)))
+    if (profile.comboLibrary.length > 0 && profile.comboLibrary.every(definition => definition.weight === 0)) {
+      warnings.push('Every combo has a weight of 0: combo training will use random combos')
+    }
+  }
+
   // Validate each difficulty
   profile.difficulties?.forEach((diff, index) => {
     const diffName = diff.name || `Difficulty ${index + 1}`
@@ -191,11 +258,44 @@ export function validateProfile(profile) {
       }
     }
 
+    // Session length validation
+    if (diff.sessionLength) {
+      if (!SESSION_LENGTH_MODES.includes(diff.sessionLength.mode)) {
+        errors.push(`${diffName}: unknown session length "${diff.sessionLength.mode}"`)
+      } else if (diff.sessionLength.mode === 'time' && !(diff.sessionLength.roundDuration > 0)) {
+        errors.push(`${diffName}: round duration must be positive`)
+      }
+    }
+
+    // Cue selection validation
+    if (diff.cueSelection) {
+      validateCueSelection(diff.cueSelection).forEach(error => errors.push(`${diffName}: ${error}`))
+    }
+
     // Rest settings validation
     if (diff.rest) {
       if (diff.rest.breakDuration < 0) {
         errors.push(`${diffName}: breakDuration cannot be negative`)
       }
+
+      const { midRest } = diff.rest
+      if (midRest?.enabled) {
+        if (!MID_REST_TRIGGERS.includes(midRest.trigger)) {
+          errors.push(`${diffName}: unknown mid-session rest trigger "${midRest.trigger}"`)
+        }
+        if (!Array.isArray(midRest.points) || midRest.points.length === 0) {
+          errors.push(`${diffName}: mid-session rest needs at least one rest point`)
+        } else if (midRest.trigger === 'percent' && midRest.points.some(p => p <= 0 || p >= 100)) {
+          errors.push(`${diffName}: mid-session rest percentages must be between 1 and 99`)
+        } else if (midRest.points.some(p => p <= 0)) {
+          errors.push(`${diffName}: mid-session rest points must be positive`)
+        } else if (midRest.trigger === 'hits' && diff.totalHits && midRest.points.some(p => p >= diff.totalHits.min)) {
+          warnings.push(`${diffName}: mid-session rest points at or beyond ${diff.totalHits.min} hits may be skipped in shorter sessions`)
+        }
+        if (!(midRest.duration > 0)) {
+          errors.push(`${diffName}: mid-session rest duration must be positive`)
+        }
+      }
     }
 
     // Warnings for values outside recommended range
@@ -218,6 +318,20 @@ export function validateProfile(profile) {
   return { errors, warnings }
 }
 
+/**
+ * Keeps the known zones of a stored target set
+ * @param {*} zones - Stored zone IDs
+ * @param {string[]} defaults - Target set to fall back to
+ * @returns {string[]} Target set with at least two zones
+ */
+function mergeTargetZones(zones, defaults) {
+  if (!Array.isArray(zones)) {
+    return [...defaults]
+  }
+  const known = [...new Set(zones)].filter(id => getZoneById(id))
+  return known.length >= 2 ? known : [...defaults]
+}
+
 /**
  * Merges a partial profile with defaults to ensure all fields exist
  * @param {Object} partial - Partial profile data
@@ -258,9 +372,38 @@ export function mergeWithDefaults(partial) {
         } : { ...defaultDiff.combo.restBetweenCombos },
         totalCombos: customDiff.combo.totalCombos ?? defaultDiff.combo.totalCombos
       } : { ...defaultDiff.combo },
+      sessionLength: customDiff.sessionLength ? {
+        mode: SESSION_LENGTH_MODES.includes(customDiff.sessionLength.mode)
+          ? customDiff.sessionLength.mode
+          : defaultDiff.sessionLength.mode,
+        roundDuration: customDiff.sessionLength.roundDuration ?? defaultDiff.sessionLength.roundDuration
+      } : { ...defaultDiff.sessionLength },
+      cueSelection: customDiff.cueSelection ? {
+        weights: Object.fromEntries(Object.entries(customDiff.cueSelection.weights ?? {})
+          .filter(([id, weight]) => TECHNIQUES.some(t => t.id === id) && Number.isFinite(weight) && weight >= 0)),
+        maxRepeats: Number.isInteger(customDiff.cueSelection.maxRepeats) && customDiff.cueSelection.maxRepeats >= 0
+          ? customDiff.cueSelection.maxRepeats
+          : defaultDiff.cueSelection.maxRepeats,
+        shuffleBag: customDiff.cueSelection.shuffleBag ?? defaultDiff.cueSelection.shuffleBag,
+        transitions: Array.isArray(customDiff.cueSelection.transitions)
+          ? customDiff.cueSelection.transitions
+            .filter(rule => isValidTarget(rule?.from) && isValidTarget(rule?.to))
+            .map(rule => ({ from: rule.from, to: rule.to }))
+          : []
+      } : cloneCueSelection(defaultDiff.cueSelection),
       rest: customDiff.rest ? {
         enabled: customDiff.rest.enabled ?? defaultDiff.rest.enabled,
-        breakDuration: customDiff.rest.breakDuration ?? defaultDiff.rest.breakDuration
+        breakDuration: customDiff.rest.breakDuration ?? defaultDiff.rest.breakDuration,
+        midRest: customDiff.rest.midRest ? {
+          enabled: customDiff.rest.midRest.enabled ?? defaultDiff.rest.midRest.enabled,
+          trigger: MID_REST_TRIGGERS.includes(customDiff.rest.midRest.trigger)
+            ? customDiff.rest.midRest.trigger
+            : defaultDiff.rest.midRest.trigger,
+          points: Array.isArray(customDiff.rest.midRest.points)
+            ? customDiff.rest.midRest.points.filter(p => typeof p === 'number')
+            : [...defaultDiff.rest.midRest.points],
+          duration: customDiff.rest.midRest.duration ?? defaultDiff.rest.midRest.duration
+        } : { ...defaultDiff.rest.midRest }
       } : { ...defaultDiff.rest }
     }
   })
@@ -272,6 +415,21 @@ export function mergeWithDefaults(partial) {
     isReadOnly: partial.isReadOnly ?? false,
     createdAt: partial.createdAt ?? Date.now(),
     updatedAt: partial.updatedAt ?? Date.now(),
+    enabledTechniques: Array.isArray(partial.enabledTechniques)
+      ? partial.enabledTechniques.filter(id => TECHNIQUES.some(t => t.id === id))
+      : [...defaultProfile.enabledTechniques],
+    // Combos that fail validation are dropped rather than trained wrong
+    comboLibrary: Array.isArray(partial.comboLibrary)
+      ? partial.comboLibrary
+        .filter(definition => validateCombo(definition).length === 0)
+        .map(definition => ({
+          ...cloneCombo(definition),
+          id: definition.id || generateUUID(),
+          set: definition.set ?? null
+        }))
+      : defaultProfile.comboLibrary,
+    targetZones: mergeTargetZones(partial.targetZones, defaultProfile.targetZones),
+    stance: isValidStanceSettings(partial.stance) ? { ...partial.stance } : { ...defaultProfile.stance },
     difficulties: mergedDifficulties
   }
 }
@@ -279,9 +437,10 @@ export function mergeWithDefaults(partial) {
 /**
  * Gets a random total hits value from a range
  * @param {{min: number, max: number}} totalHits - Range object
+ * @param {() => number} [random=Math.random] - Random number generator returning [0, 1)
  * @returns {number} Random integer within range
  */
-export function getRandomTotalHits(totalHits) {
+export function getRandomTotalHits(totalHits, random = Math.random) {
   const { min, max } = totalHits
-  return Math.floor(Math.random() * (max - min + 1)) + min
+  return Math.floor(random() * (max - min + 1)) + min
 }
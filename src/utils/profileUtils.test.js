@@ -8,6 +8,9 @@ import {
   RECOMMENDED_VALUES,
   DEFAULT_PROFILE_ID
 } from './profileUtils'
+import { DEFAULT_ENABLED_TECHNIQUES } from './techniques'
+import { createDefaultComboLibrary } from './comboLibrary'
+import { DEFAULT_TARGET_ZONES } from './targetZones'
 
 describe('profileUtils', () => {
   describe('DEFAULT_PROFILE_ID', () => {
@@ -125,6 +128,51 @@ describe('profileUtils', () => {
         expect(diff.rest.breakDuration).toBeGreaterThan(0)
       })
     })
+
+    it('each difficulty has mid-session rest disabled by default', () => {
+      const profile = createDefaultProfile()
+      profile.difficulties.forEach(diff => {
+        expect(diff.rest.midRest).toEqual({
+          enabled: false,
+          trigger: 'percent',
+          points: [50],
+          duration: 7000
+        })
+      })
+    })
+
+    it('each difficulty counts sessions automatically by default', () => {
+      const profile = createDefaultProfile()
+      profile.difficulties.forEach(diff => {
+        expect(diff.sessionLength).toEqual({ mode: 'auto', roundDuration: 120000 })
+      })
+    })
+
+    it('enables every technique', () => {
+      const profile = createDefaultProfile()
+      expect(profile.enabledTechniques).toEqual(DEFAULT_ENABLED_TECHNIQUES)
+    })
+
+    it('picks cues like a fair die by default', () => {
+      const profile = createDefaultProfile()
+      profile.difficulties.forEach(diff => {
+        expect(diff.cueSelection).toEqual({ weights: {}, maxRepeats: 0, shuffleBag: false, transitions: [] })
+      })
+    })
+
+    it('starts with the built-in combo library', () => {
+      const profile = createDefaultProfile()
+      expect(profile.comboLibrary).toEqual(createDefaultComboLibrary())
+    })
+
+    it('targets every zone', () => {
+      const profile = createDefaultProfile()
+      expect(profile.targetZones).toEqual(DEFAULT_TARGET_ZONES)
+    })
+
+    it('trains orthodox without switching stance', () => {
+      expect(createDefaultProfile().stance).toEqual({ stance: 'orthodox', switchEachRound: false })
+    })
   })
 
   describe('createNewProfile', () => {
@@ -173,6 +221,53 @@ describe('profileUtils', () => {
       expect(result.errors).toHaveLength(0)
     })
 
+    it('returns errors for invalid combos', () => {
+      const profile = createNewProfile('Test')
+      profile.comboLibrary.push({ id: 'x', name: 'Lonely Jab', set: null, steps: [{ technique: 'jab' }], weight: 1 })
+      const result = validateProfile(profile)
+      expect(result.errors).toContain('Lonely Jab: a combo needs at least 2 strikes')
+    })
+
+    it('returns errors for invalid cue selection', () => {
+      const profile = createNewProfile('Test')
+      profile.difficulties[0].cueSelection.maxRepeats = -1
+      const result = validateProfile(profile)
+      expect(result.errors).toContain('Very Easy: repeat limit must be 0 (no limit) or more')
+    })
+
+    it('warns when every combo is turned off', () => {
+      const profile = createNewProfile('Test')
+      profile.comboLibrary = profile.comboLibrary.map(definition => ({ ...definition, weight: 0 }))
+      const result = validateProfile(profile)
+      expect(result.warnings).toContain('Every combo has a weight of 0: combo training will use random combos')
+    })
+
+    it('returns errors for a target set with fewer than two known zones', () => {
+      const profile = createNewProfile('Test')
+      profile.targetZones = ['head', 'groin']
+      const result = validateProfile(profile)
+      expect(result.errors).toEqual(['Unknown target zone: groin'])
+
+      profile.targetZones = ['head']
+      expect(validateProfile(profile).errors).toEqual(['At least two target zones must be enabled'])
+    })
+
+    it('returns an error for an unknown stance', () => {
+      const profile = createNewProfile('Test')
+      profile.stance = { stance: 'square', switchEachRound: false }
+      expect(validateProfile(profile).errors).toEqual(['Stance must be orthodox or southpaw'])
+    })
+
+    it('warns when the legs are targeted without kicks or checks', () => {
+      const profile = createNewProfile('Test')
+      profile.enabledTechniques = ['jab', 'cross']
+      const result = validateProfile(profile)
+      expect(result.warnings).toContain('No kicks or checks enabled: target zone training will not call the legs')
+
+      profile.enabledTechniques = ['jab', 'check']
+      expect(validateProfile(profile).warnings.some(w => w.includes('will not call the legs'))).toBe(false)
+    })
+
     it('returns error for missing name', () => {
       const profile = createNewProfile('Test')
       profile.name = ''
@@ -180,6 +275,57 @@ describe('profileUtils', () => {
       expect(result.errors).toContain('Profile name is required')
     })
 
+    it('returns error for mid-session rest without points', () => {
+      const profile = createNewProfile('Test')
+      profile.difficulties[0].rest.midRest = { enabled: true, trigger: 'hits', points: [], duration: 5000 }
+      const result = validateProfile(profile)
+      expect(result.errors.some(e => e.includes('at least one rest point'))).toBe(true)
+    })
+
+    it('returns error for mid-session rest percentages out of range', () => {
+      const profile = createNewProfile('Test')
+      profile.difficulties[0].rest.midRest = { enabled: true, trigger: 'percent', points: [50, 100], duration: 5000 }
+      const result = validateProfile(profile)
+      expect(result.errors.some(e => e.includes('between 1 and 99'))).toBe(true)
+    })
+
+    it('returns error for non-positive mid-session rest duration', () => {
+      const profile = createNewProfile('Test')
+      profile.difficulties[0].rest.midRest = { enabled: true, trigger: 'percent', points: [50], duration: 0 }
+      const result = validateProfile(profile)
+      expect(result.errors.some(e => e.includes('duration must be positive'))).toBe(true)
+    })
+
+    it('warns when mid-session rest hits exceed the session length', () => {
+      const profile = createNewProfile('Test')
+      profile.difficulties[0].totalHits = { min: 10, max: 20 }
+      profile.difficulties[0].rest.midRest = { enabled: true, trigger: 'hits', points: [5, 15], duration: 5000 }
+      const result = validateProfile(profile)
+      expect(result.errors).toHaveLength(0)
+      expect(result.warnings.some(w => w.includes('may be skipped'))).toBe(true)
+    })
+
+    it('ignores mid-session rest settings when disabled', () => {
+      const profile = createNewProfile('Test')
+      profile.difficulties[0].rest.midRest = { enabled: false, trigger: 'hits', points: [], duration: 0 }
+      const result = validateProfile(profile)
+      expect(result.errors).toHaveLength(0)
+    })
+
+    it('returns error for an unknown session length', () => {
+      const profile = createNewProfile('Test')
+      profile.difficulties[0].sessionLength.mode = 'laps'
+      const result = validateProfile(profile)
+      expect(result.errors.some(e => e.includes('unknown session length'))).toBe(true)
+    })
+
+    it('returns error for a timed round without a duration', () => {
+      const profile = createNewProfile('Test')
+      profile.difficulties[0].sessionLength = { mode: 'time', roundDuration: 0 }
+      const result = validateProfile(profile)
+      expect(result.errors.some(e => e.includes('round duration must be positive'))).toBe(true)
+    })
+
     it('returns error when minInterval > maxInterval', () => {
       const profile = createNewProfile('Test')
       profile.difficulties[0].minInterval = 5000
@@ -219,6 +365,23 @@ describe('profileUtils', () => {
       expect(result.warnings.length).toBeGreaterThan(0)
     })
 
+    it('returns error when no techniques are enabled', () => {
+      const profile = createNewProfile('Test')
+      profile.enabledTechniques = []
+      const result = validateProfile(profile)
+      expect(result.errors).toContain('At least one technique must be enabled')
+    })
+
+    it('returns warning when a whole category is disabled', () => {
+      const profile = createNewProfile('Test')
+      profile.enabledTechniques = ['jab', 'cross']
+      const result = validateProfile(profile)
+      expect(result.errors).toHaveLength(0)
+      expect(result.warnings.some(w => w.includes('No kicks enabled'))).toBe(true)
+      // Offense-only profiles are common; defense modes fall back to all defenses quietly
+      expect(result.warnings.some(w => w.includes('defenses'))).toBe(false)
+    })
+
     it('returns warnings array even when empty', () => {
       const profile = createNewProfile('Valid')
       const result = validateProfile(profile)
@@ -252,6 +415,49 @@ describe('profileUtils', () => {
       expect(merged.difficulties[0].rest.enabled).toBe(true)
     })
 
+    it('adds mid-session rest defaults to older profiles', () => {
+      const profile = createNewProfile('Test')
+      delete profile.difficulties[0].rest.midRest
+      const merged = mergeWithDefaults(profile)
+      expect(merged.difficulties[0].rest.midRest.enabled).toBe(false)
+      expect(merged.difficulties[0].rest.midRest.points).toEqual([50])
+    })
+
+    it('preserves custom mid-session rest settings', () => {
+      const profile = createNewProfile('Test')
+      profile.difficulties[0].rest.midRest = { enabled: true, trigger: 'hits', points: [10, 20], duration: 5000 }
+      const merged = mergeWithDefaults(profile)
+      expect(merged.difficulties[0].rest.midRest).toEqual({
+        enabled: true,
+        trigger: 'hits',
+        points: [10, 20],
+        duration: 5000
+      })
+    })
+
+    it('replaces an unknown mid-session rest trigger', () => {
+      const profile = createNewProfile('Test')
+      profile.difficulties[0].rest.midRest.trigger = 'minutes'
+      const merged = mergeWithDefaults(profile)
+      expect(merged.difficulties[0].rest.midRest.trigger).toBe('percent')
+    })
+
+    it('fills in the round duration of a partial session length', () => {
+      const profile = createNewProfile('Test')
+      profile.difficulties[0].sessionLength = { mode: 'time' }
+      const merged = mergeWithDefaults(profile)
+      expect(merged.difficulties[0].sessionLength).toEqual({ mode: 'time', roundDuration: 120000 })
+    })
+
+    it('replaces an unknown session length', () => {
+      const profile = createNewProfile('Test')
+      delete profile.difficulties[1].sessionLength
+      profile.difficulties[0].sessionLength.mode = 'laps'
+      const merged = mergeWithDefaults(profile)
+      expect(merged.difficulties[0].sessionLength.mode).toBe('auto')
+      expect(merged.difficulties[1].sessionLength.mode).toBe('auto')
+    })
+
     it('adds missing difficulties', () => {
       const profile = createNewProfile('Test')
       profile.difficulties = profile.difficulties.slice(0, 2)
@@ -259,6 +465,63 @@ describe('profileUtils', () => {
       expect(merged.difficulties).toHaveLength(5)
     })
 
+    it('defaults enabled techniques when missing', () => {
+      const merged = mergeWithDefaults({ id: 'legacy', name: 'Legacy', difficulties: [] })
+      expect(merged.enabledTechniques).toEqual(DEFAULT_ENABLED_TECHNIQUES)
+    })
+
+    it('keeps valid cue selection and drops unknown techniques and rules', () => {
+      const merged = mergeWithDefaults({
+        name: 'Test',
+        difficulties: [{
+          id: 'normal',
+          cueSelection: {
+            weights: { jab: 2, elbow: 3 },
+            shuffleBag: true,
+            transitions: [{ from: 'kick', to: 'kick' }, { from: 'elbow', to: 'jab' }]
+          }
+        }]
+      })
+      expect(merged.difficulties[2].cueSelection).toEqual({
+        weights: { jab: 2 },
+        maxRepeats: 0,
+        shuffleBag: true,
+        transitions: [{ from: 'kick', to: 'kick' }]
+      })
+    })
+
+    it('defaults the combo library when missing', () => {
+      const merged = mergeWithDefaults({ id: 'legacy', name: 'Legacy', difficulties: [] })
+      expect(merged.comboLibrary).toEqual(createDefaultComboLibrary())
+    })
+
+    it('keeps custom combos and drops invalid ones', () => {
+      const custom = { id: 'c1', name: 'Teep Jab', steps: [{ technique: 'front-kick' }, { technique: 'jab', delayMs: 300 }], weight: 2 }
+      const merged = mergeWithDefaults({
+        name: 'Test',
+        comboLibrary: [custom, { id: 'bad', name: 'Bad', steps: [{ technique: 'elbow' }, { technique: 'jab' }], weight: 1 }]
+      })
+      expect(merged.comboLibrary).toEqual([{ ...custom, set: null }])
+    })
+
+    it('keeps known target zones and defaults a target set that is too small', () => {
+      expect(mergeWithDefaults({ name: 'Test', targetZones: ['legs', 'head', 'groin'] }).targetZones).toEqual(['legs', 'head'])
+      expect(mergeWithDefaults({ name: 'Test', targetZones: ['head', 'head'] }).targetZones).toEqual(DEFAULT_TARGET_ZONES)
+      expect(mergeWithDefaults({ name: 'Legacy' }).targetZones).toEqual(DEFAULT_TARGET_ZONES)
+    })
+
+    it('keeps a valid stance and defaults an invalid or missing one', () => {
+      const stance = { stance: 'southpaw', switchEachRound: true }
+      expect(mergeWithDefaults({ name: 'Test', stance }).stance).toEqual(stance)
+      expect(mergeWithDefaults({ name: 'Test', stance: { stance: 'square' } }).stance).toEqual({ stance: 'orthodox', switchEachRound: false })
+      expect(mergeWithDefaults({ name: 'Legacy' }).stance).toEqual({ stance: 'orthodox', switchEachRound: false })
+    })
+
+    it('drops unknown technique ids', () => {
+      const merged = mergeWithDefaults({ name: 'Test', enabledTechniques: ['jab', 'spinning-elbow'] })
+      expect(merged.enabledTechniques).toEqual(['jab'])
+    })
+
     it('preserves profile metadata', () => {
       const profile = createNewProfile('My Custom')
       profile.updatedAt = 12345
@@ -286,6 +549,11 @@ describe('profileUtils', () => {
       }
     })
 
+    it('uses the injected random number generator', () => {
+      expect(getRandomTotalHits({ min: 10, max: 20 }, () => 0)).toBe(10)
+      expect(getRandomTotalHits({ min: 10, max: 20 }, () => 0.9999)).toBe(20)
+    })
+
     it('returns exact value when min equals max', () => {
       const totalHits = { min: 45, max: 45 }
       const result = getRandomTotalHits(totalHits)
@@ -0,0 +1,63 @@
+/**
+ * Combat Reflex - Seeded Random Numbers
+ *
+ * A workout draws every random choice (cue timing, techniques, combo sizes,
+ * hit targets) from one generator seeded at the start, so the same seed
+ * replays the same cue timeline. Seeds are unsigned 32-bit integers, shown
+ * as 8 hex digits so they are easy to read out and type in.
+ */
+
+const SEED_RANGE = 2 ** 32;
+
+/**
+ * Creates a seeded random number generator (mulberry32)
+ * @param {number} seed - Unsigned 32-bit seed
+ * @returns {() => number} Generator returning [0, 1), like Math.random
+ */
+export function createSeededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / SEED_RANGE;
+  };
+}
+
+/**
+ * Picks a new seed
+ * @param {() => number} [random=Math.random] - Source of randomness
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function createSeed(random = Math.random) {
+  return Math.floor(random() * SEED_RANGE);
+}
+
+/**
+ * Checks a seed
+ * @param {*} seed - Value to check
+ * @returns {boolean} Whether it is an unsigned 32-bit integer
+ */
+export function isValidSeed(seed) {
+  return Number.isInteger(seed) && seed >= 0 && seed < SEED_RANGE;
+}
+
+/**
+ * Formats a seed for display, e.g. '00C0FFEE'
+ * @param {number} seed - Unsigned 32-bit seed
+ * @returns {string} 8 uppercase hex digits
+ */
+export function formatSeed(seed) {
+  return (seed >>> 0).toString(16).toUpperCase().padStart(8, '0');
+}
+
+/**
+ * Reads a seed typed in by the user
+ * @param {string} text - Up to 8 hex digits; surrounding spaces are ignored
+ * @returns {number|null} The seed, or null if the text is not a seed
+ */
+export function parseSeed(text) {
+  const trimmed = String(text ?? '').trim();
+  return /^[0-9a-f]{1,8}$/i.test(trimmed) ? parseInt(trimmed, 16) : null;
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest'
+import { createSeededRandom, createSeed, isValidSeed, formatSeed, parseSeed } from './random'
+
+const take = (random, count) => Array.from({ length: count }, () => random())
+
+describe('random', () => {
+  describe('createSeededRandom', () => {
+    it('repeats the same numbers for the same seed', () => {
+      expect(take(createSeededRandom(1234), 10)).toEqual(take(createSeededRandom(1234), 10))
+    })
+
+    it('gives different numbers for different seeds', () => {
+      expect(take(createSeededRandom(1), 10)).not.toEqual(take(createSeededRandom(2), 10))
+    })
+
+    it('stays in [0, 1)', () => {
+      const values = take(createSeededRandom(0xFFFFFFFF), 1000)
+      expect(values.every(value => value >= 0 && value < 1)).toBe(true)
+    })
+  })
+
+  describe('createSeed', () => {
+    it('makes a valid seed from the random source', () => {
+      expect(createSeed(() => 0)).toBe(0)
+      expect(isValidSeed(createSeed(() => 0.999999999))).toBe(true)
+      expect(isValidSeed(createSeed())).toBe(true)
+    })
+  })
+
+  describe('isValidSeed', () => {
+    it('accepts unsigned 32-bit integers only', () => {
+      expect(isValidSeed(0)).toBe(true)
+      expect(isValidSeed(0xFFFFFFFF)).toBe(true)
+      expect(isValidSeed(-1)).toBe(false)
+      expect(isValidSeed(2 ** 32)).toBe(false)
+      expect(isValidSeed(1.5)).toBe(false)
+      expect(isValidSeed('42')).toBe(false)
+      expect(isValidSeed(null)).toBe(false)
+    })
+  })
+
+  describe('formatSeed / parseSeed', () => {
+    it('round-trips a seed as 8 hex digits', () => {
+      expect(formatSeed(0xC0FFEE)).toBe('00C0FFEE')
+      expect(parseSeed('00C0FFEE')).toBe(0xC0FFEE)
+    })
+
+    it('reads short, lowercase and padded input', () => {
+      expect(parseSeed(' c0ffee ')).toBe(0xC0FFEE)
+      expect(parseSeed('7')).toBe(7)
+    })
+
+    it('rejects text that is not a seed', () => {
+      expect(parseSeed('')).toBeNull()
+      expect(parseSeed('xyz')).toBeNull()
+      expect(parseSeed('123456789')).toBeNull()
+      expect(parseSeed(null)).toBeNull()
+    })
+  })
+})
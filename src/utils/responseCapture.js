@@ -0,0 +1,136 @@
+/**
+ * Combat Reflex - Response Capture
+ *
+ * Pure helpers for measuring reaction time: matching athlete responses
+ * (tap, key press or microphone spike) to the cue they answer, and
+ * detecting pad strikes in microphone amplitude data.
+ */
+
+/**
+ * Available response capture methods
+ * - off: no response capture, cues only
+ * - touch: screen tap or any key press
+ * - microphone: amplitude spike from hitting a pad or bag
+ * @type {string[]}
+ */
+export const RESPONSE_METHODS = ['off', 'touch', 'microphone'];
+
+/**
+ * Maximum time after cue onset that a response still counts (ms)
+ * @type {number}
+ */
+export const RESPONSE_WINDOW_MS = 1500;
+
+/**
+ * Responses faster than this are treated as anticipations and ignored (ms)
+ * This also keeps the microphone from reacting to the cue tone itself.
+ * @type {number}
+ */
+export const MIN_REACTION_MS = 100;
+
+/**
+ * Default microphone peak amplitude (0-1) that counts as a strike
+ * @type {number}
+ */
+export const DEFAULT_MIC_THRESHOLD = 0.35;
+
+/**
+ * Minimum time between two microphone spikes (ms)
+ * Prevents the ring-out of a single strike from registering twice.
+ * @type {number}
+ */
+export const MIC_REFRACTORY_MS = 250;
+
+/**
+ * Gets the peak absolute amplitude of a block of time-domain samples
+ * @param {ArrayLike<number>} samples - Samples in the range -1..1
+ * @returns {number} Peak amplitude (0-1)
+ */
+export function getPeakAmplitude(samples) {
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.abs(samples[i]);
+    if (value > peak) {
+      peak = value;
+    }
+  }
+  return peak;
+}
+
+/**
+ * Creates a detector that reports rising amplitude spikes
+ *
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Peak amplitude that counts as a spike
+ * @param {number} [options.refractoryMs] - Minimum time between spikes
+ * @returns {(peak: number, time: number) => boolean} Returns true when a new spike starts
+ */
+export function createSpikeDetector({
+  threshold = DEFAULT_MIC_THRESHOLD,
+  refractoryMs = MIC_REFRACTORY_MS
+} = {}) {
+  let lastSpikeTime = -Infinity;
+
+  return (peak, time) => {
+    if (peak < threshold || time - lastSpikeTime < refractoryMs) {
+      return false;
+    }
+    lastSpikeTime = time;
+    return true;
+  };
+}
+
+/**
+ * Creates a tracker that matches responses to the most recent cue
+ *
+ * Each cue accepts at most one response, between MIN_REACTION_MS and
+ * windowMs after its onset.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.windowMs] - Response window after cue onset
+ * @param {number} [options.minReactionMs] - Fastest response that counts
+ * @returns {{cue: (onset: number) => void, respond: (time: number) => (number|null), reset: () => void}}
+ */
+export function createResponseTracker({
+  windowMs = RESPONSE_WINDOW_MS,
+  minReactionMs = MIN_REACTION_MS
+} = {}) {
+  let cueOnset = null;
+  let responded = false;
+
+  return {
+    /**
+     * Registers a new cue
+     * @param {number} onset - Cue onset timestamp (ms)
+     */
+    cue(onset) {
+      cueOnset = onset;
+      responded = false;
+    },
+
+    /**
+     * Registers a response
+     * @param {number} time - Response timestamp (ms)
+     * @returns {number|null} Reaction time in ms, or null if it does not count
+     */
+    respond(time) {
+      if (cueOnset === null || responded) {
+        return null;
+      }
+      const latency = time - cueOnset;
+      if (latency < minReactionMs || latency > windowMs) {
+        return null;
+      }
+      responded = true;
+      return Math.round(latency);
+    },
+
+    /**
+     * Forgets the current cue
+     */
+    reset() {
+      cueOnset = null;
+      responded = false;
+    }
+  };
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest'
+import {
+  RESPONSE_METHODS,
+  RESPONSE_WINDOW_MS,
+  MIN_REACTION_MS,
+  getPeakAmplitude,
+  createSpikeDetector,
+  createResponseTracker
+} from './responseCapture'
+
+describe('responseCapture', () => {
+  describe('RESPONSE_METHODS', () => {
+    it('includes off, touch and microphone', () => {
+      expect(RESPONSE_METHODS).toEqual(['off', 'touch', 'microphone'])
+    })
+  })
+
+  describe('getPeakAmplitude', () => {
+    it('returns 0 for silence', () => {
+      expect(getPeakAmplitude(new Float32Array(16))).toBe(0)
+    })
+
+    it('returns the largest absolute sample', () => {
+      expect(getPeakAmplitude([0.1, -0.8, 0.5])).toBeCloseTo(0.8)
+    })
+  })
+
+  describe('createSpikeDetector', () => {
+    it('ignores peaks below the threshold', () => {
+      const detect = createSpikeDetector({ threshold: 0.5 })
+      expect(detect(0.4, 0)).toBe(false)
+    })
+
+    it('reports peaks above the threshold', () => {
+      const detect = createSpikeDetector({ threshold: 0.5 })
+      expect(detect(0.6, 0)).toBe(true)
+    })
+
+    it('ignores spikes during the refractory period', () => {
+      const detect = createSpikeDetector({ threshold: 0.5, refractoryMs: 200 })
+      expect(detect(0.9, 1000)).toBe(true)
+      expect(detect(0.9, 1100)).toBe(false)
+      expect(detect(0.9, 1250)).toBe(true)
+    })
+  })
+
+  describe('createResponseTracker', () => {
+    it('returns null when there is no cue', () => {
+      const tracker = createResponseTracker()
+      expect(tracker.respond(500)).toBeNull()
+    })
+
+    it('returns the latency from cue onset', () => {
+      const tracker = createResponseTracker()
+      tracker.cue(1000)
+      expect(tracker.respond(1350)).toBe(350)
+    })
+
+    it('accepts only one response per cue', () => {
+      const tracker = createResponseTracker()
+      tracker.cue(1000)
+      expect(tracker.respond(1300)).toBe(300)
+      expect(tracker.respond(1400)).toBeNull()
+    })
+
+    it('ignores anticipations faster than the minimum', () => {
+      const tracker = createResponseTracker()
+      tracker.cue(1000)
+      expect(tracker.respond(1000 + MIN_REACTION_MS - 1)).toBeNull()
+      expect(tracker.respond(1200)).toBe(200)
+    })
+
+    it('ignores responses after the window closes', () => {
+      const tracker = createResponseTracker()
+      tracker.cue(1000)
+      expect(tracker.respond(1000 + RESPONSE_WINDOW_MS + 1)).toBeNull()
+    })
+
+    it('matches responses to the newest cue', () => {
+      const tracker = createResponseTracker()
+      tracker.cue(1000)
+      tracker.cue(2000)
+      expect(tracker.respond(2250)).toBe(250)
+    })
+
+    it('forgets the cue on reset', () => {
+      const tracker = createResponseTracker()
+      tracker.cue(1000)
+      tracker.reset()
+      expect(tracker.respond(1300)).toBeNull()
+    })
+  })
+})
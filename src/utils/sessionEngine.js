@@ -0,0 +1,936 @@
+/**
+ * Combat Reflex - Session Engine
+ *
+ * Framework-agnostic state machine that plays a workout planned up front
+ * (see workoutTimeline.js) through TRAINING_PHASES: countdown, training,
+ * optional mid-session rest, breaks between sessions and completion.
+ *
+ * Every step is a registered timer, so pause() can freeze the remaining
+ * time of each one and resume() can pick up exactly where it left off.
+ * Time and randomness are injected so tests can drive the engine with fake
+ * timers and a fixed RNG. The UI subscribes to state snapshots and reacts
+ * to events (cues, session end) for side effects such as audio and history.
+ *
+ * State Machine Flow:
+ * IDLE -> COUNTDOWN -> TRAINING (-> MID_REST -> TRAINING) -> BREAK -> (repeat) -> COMPLETE
+ */
+
+import { createResponseTracker } from './responseCapture';
+import { summarizeCueTiming } from './audioScheduler';
+import { createSeededRandom, isValidSeed } from './random';
+import { createStaircase } from './adaptiveDifficulty';
+import { createGoNoGoStats, scoreCue } from './goNoGo';
+import { DEFAULT_TARGET_ZONES, createZoneStats, scoreZoneCue } from './targetZones';
+import { getTechniqueSide } from './stance';
+import { DEFAULT_PERIPHERAL_SETTINGS, getRegionsForSet, createRegionStats, scoreRegionCue } from './peripheral';
+import {
+  buildWorkoutTimeline,
+  getSessionMidRestPoints,
+  COUNTDOWN_SECONDS,
+  COUNTDOWN_LEAD_IN_MS,
+  GO_DISPLAY_MS,
+  SINGLE_CUE_DISPLAY_MS,
+  COMBO_CUE_DISPLAY_MS
+} from './workoutTimeline';
+
+/**
+ * Training phases that represent the state machine states
+ * @readonly
+ * @enum {string}
+ */
+export const TRAINING_PHASES = {
+  IDLE: 'IDLE',               // Not training, ready to start
+  COUNTDOWN: 'COUNTDOWN',     // Initial countdown before training starts
+  TRAINING: 'TRAINING',       // Active training phase
+  MID_REST: 'MID_REST',       // Mid-session rest break
+  SESSION_END: 'SESSION_END', // End of a single session
+  BREAK: 'BREAK',             // Break between sessions
+  COMPLETE: 'COMPLETE'        // All sessions completed
+};
+
+/**
+ * Remaining break time at which the "get ready" warning fires (in seconds)
+ * @type {number}
+ */
+export const BREAK_WARNING_SECONDS = 5;
+
+/**
+ * Remaining mid-session rest time at which the "get ready" warning fires (in seconds)
+ * @type {number}
+ */
+export const MID_REST_WARNING_SECONDS = 3;
+
+/**
+ * Remaining round time at which the clapper warning fires (in seconds)
+ * @type {number}
+ */
+export const ROUND_WARNING_SECONDS = 10;
+
+/**
+ * Real-time clock backed by performance.now() and setTimeout
+ * @type {Clock}
+ */
+export const systemClock = {
+  now: () => performance.now(),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: (handle) => clearTimeout(handle)
+};
+
+/**
+ * @typedef {Object} Clock
+ * @property {() => number} now - Current time in milliseconds
+ * @property {(callback: Function, delay: number) => *} setTimeout - Schedules a callback
+ * @property {(handle: *) => void} clearTimeout - Cancels a scheduled callback
+ */
+
+/**
+ * @typedef {Object} SessionConfig
+ * @property {string} mode - Training mode ('punches', 'kicks', 'both', 'defense', 'mixed')
+ * @property {string} trainingType - 'single', 'combo', 'rounds', 'gonogo', 'zones' or 'peripheral'
+ * @property {Object} difficulty - Effective difficulty settings (intervals, totalHits, rest,
+ *   including the optional rest.midRest settings, sessionLength and cueSelection)
+ * @property {Object|null} [comboSettings] - Effective combo settings; needed in combo mode
+ *   and when sessions are counted in combos (falls back to difficulty.combo)
+ * @property {{workDuration: number, restDuration: number, cues: string}} [roundTimer] - Work and rest
+ *   lengths (ms) and cues of a round timer workout ('rounds' only)
+ * @property {number} numberOfSessions - Sessions (rounds) in the workout
+ * @property {string[]} techniques - Technique IDs that cues are drawn from
+ * @property {number} [seed] - Seed for every random choice in the workout (see random.js);
+ *   the same seed and settings replay the same cue timeline
+ * @property {import('./adaptiveDifficulty').AdaptiveSettings} [adaptive] - Adapt single-cue
+ *   intervals to the athlete's responses
+ * @property {import('./goNoGo').GoNoGoSettings} [goNoGo] - Share of decoys ('gonogo' only)
+ * @property {string[]} [targetZones] - Zone IDs cues are sent to ('zones' only; falls back to every zone)
+ * @property {import('./peripheral').PeripheralSettings} [peripheral] - Positions, size and contrast
+ *   of the cues ('peripheral' only)
+ * @property {import('./stance').StanceSettings} [stance] - Athlete's stance, and whether it
+ *   switches every round (falls back to orthodox)
+ * @property {import('./workoutTimeline').WorkoutTimeline} [timeline] - Workout planned ahead,
+ *   e.g. for a preview; planned from the other settings when missing
+ * @property {Object[]} [comboLibrary] - Named combos (see comboLibrary.js) that combo cues are
+ *   drawn from, by weight; random combos are strung together when none fit the techniques
+ */
+
+/**
+ * @typedef {Object} SessionState
+ * @property {string} phase - Current phase from TRAINING_PHASES
+ * @property {boolean} isPaused - Whether the workout is paused
+ * @property {number} currentSession - Current session number (1-based)
+ * @property {number} numberOfSessions - Sessions in the workout
+ * @property {number} countdownValue - Countdown value (3, 2, 1, 0 for "GO!")
+ * @property {string|null} currentAction - Technique ID currently shown, or null
+ * @property {boolean} currentDecoy - Whether the cue shown is a go/no-go decoy
+ * @property {string|null} currentZone - Target zone of the cue shown, or null
+ * @property {string|null} currentRegion - Screen region of the peripheral cue shown, or null
+ * @property {string|null} currentSide - Side of the cue shown ('left' or 'right'), or null
+ * @property {string|null} stance - Stance of the current session, or null before the first
+ * @property {number|null} cueOnset - Clock time the current cue is due to be seen and heard;
+ *   may be slightly in the future when cues are scheduled ahead
+ * @property {number} hitsCompleted - Cues completed in the current session
+ * @property {number} combosCompleted - Combos completed in the current session
+ * @property {string} sessionLength - What ends the session: 'hits', 'combos' or 'time'
+ * @property {number|null} sessionTotalHits - Hit target for the session (counted in hits)
+ * @property {number} totalCombos - Combo target for the session (counted in combos)
+ * @property {number} roundDuration - Length of the round (in seconds; timed rounds only)
+ * @property {number} roundTimeRemaining - Seconds left in the round (timed rounds only)
+ * @property {number|null} seed - Seed of the workout's random numbers, or null if unseeded
+ * @property {number} breakDuration - Length of the current break (in seconds)
+ * @property {number} breakTimeRemaining - Seconds left in the current break
+ * @property {number} midRestDuration - Length of the current mid-session rest (in seconds)
+ * @property {number} midRestTimeRemaining - Seconds left in the current mid-session rest
+ * @property {number} midRestMs - Time spent in mid-session rests across the workout (ms)
+ * @property {number[]} reactionTimes - Reaction times across the whole workout (ms)
+ * @property {number|null} trainingStartTime - Clock time the first session started
+ * @property {number|null} trainingEndTime - Clock time the workout ended
+ */
+
+/**
+ * Engine events passed to onEvent and listen() handlers as (type, payload):
+ * - countdown {value}: a countdown tick (3, 2, 1)
+ * - sessionStart {session, sessionLength}: training begins for a session
+ * - combo {actions, name, sides}: a combo is about to be played, strike by strike; name is
+ *   null for a random combo; sides holds the side of each strike, as on its cue
+ * - cue {action, onset, inCombo, late, decoy, zone, region, side}: a technique is called out at onset
+ *   (engine clock); late is how many ms after it was due the cue's timer fired; decoy is true for a
+ *   go/no-go cue that must not be answered; zone is the target zone to strike, or null; region is the
+ *   screen region a peripheral cue flashes in, or null; side is the side it is thrown from ('left'
+ *   or 'right'), or null
+ * - response {latency}: a response matched the current cue
+ * - falseAlarm {latency}: a response answered a go/no-go decoy
+ * - wrongZone {latency, zone}: a tap landed on another zone than the cue's
+ * - midRestStart {duration} / midRestEnd: mid-session rest begins / ends
+ * - midRestWarning {seconds}: the mid-session rest ends in this many seconds
+ * - roundWarning {seconds}: the timed round ends in this many seconds
+ * - sessionEnd {entry}: a session finished or was stopped; entry is ready for history
+ * - breakStart {duration}: a break between sessions begins
+ * - breakWarning {seconds}: the break ends in this many seconds
+ * - pause / resume: the workout was paused / resumed
+ * - complete {stopped}: the workout ended, stopped early or not
+ */
+
+/**
+ * Creates the initial engine state
+ * @returns {SessionState}
+ */
+function createInitialState() {
+  return {
+    phase: TRAINING_PHASES.IDLE,
+    isPaused: false,
+    currentSession: 1,
+    numberOfSessions: 1,
+    countdownValue: COUNTDOWN_SECONDS,
+    currentAction: null,
+    currentDecoy: false,
+    currentZone: null,
+    currentRegion: null,
+    currentSide: null,
+    stance: null,
+    cueOnset: null,
+    hitsCompleted: 0,
+    combosCompleted: 0,
+    sessionLength: 'hits',
+    sessionTotalHits: null,
+    totalCombos: 0,
+    roundDuration: 0,
+    roundTimeRemaining: 0,
+    seed: null,
+    breakDuration: 0,
+    breakTimeRemaining: 0,
+    midRestDuration: 0,
+    midRestTimeRemaining: 0,
+    midRestMs: 0,
+    reactionTimes: [],
+    trainingStartTime: null,
+    trainingEndTime: null
+  };
+}
+
+/**
+ * Creates a session engine
+ *
+ * @param {Object} [options]
+ * @param {Clock} [options.clock] - Time source and scheduler
+ * @param {() => number} [options.random] - Random number generator returning [0, 1); plans
+ *   workouts started without a seed or timeline
+ * @param {(type: string, payload?: Object) => void} [options.onEvent] - Event callback
+ * @param {number} [options.lookaheadMs=0] - How long before its onset each cue is emitted (ms)
+ * @returns {Object} Engine with start, stop, reset, pause, resume, skipBreak, respond, getState, subscribe and listen
+ *
+ * @example
+ * const engine = createSessionEngine({ onEvent: (type, payload) => console.log(type, payload) });
+ * engine.subscribe(state => render(state));
+ * engine.start({ mode: 'both', trainingType: 'single', difficulty, numberOfSessions: 2, techniques });
+ */
+export function createSessionEngine({
+  clock = systemClock,
+  random = Math.random,
+  onEvent,
+  lookaheadMs = 0
+} = {}) {
+  let state = createInitialState();
+  let config = null;
+  let timeline = null;
+  // Plan of the current session and the next of its items to call
+  let plan = null;
+  let nextItem = 0;
+  // Adapts single-cue intervals when adaptive difficulty is on
+  let staircase = null;
+  let cueCaught = false;
+  // Outcomes of the session's go/no-go cues
+  let sessionGoNoGo = createGoNoGoStats();
+  // Outcomes of the session's target zone cues, and how the shown cue was answered
+  let sessionZones = {};
+  let cueLatency = null;
+  let cueWrong = false;
+  // Outcomes of the session's peripheral cues
+  let sessionRegions = {};
+  const listeners = new Set();
+  const eventHandlers = new Set(onEvent ? [onEvent] : []);
+  const timers = new Map();
+  let nextTimerId = 1;
+  let cueId = 0;
+  let lastCue = null;
+  let sessionCueLateness = [];
+  let sessionStartTime = null;
+  let pausedAt = null;
+  let sessionReactionTimes = [];
+  let midRestPoints = [];
+  let midRestStartTime = null;
+  let sessionMidRestMs = 0;
+  const tracker = createResponseTracker();
+
+  const setState = (patch) => {
+    state = { ...state, ...patch };
+    listeners.forEach(listener => listener(state));
+  };
+
+  const emit = (type, payload) => {
+    eventHandlers.forEach(handler => handler(type, payload));
+  };
+
+  const startTimer = (id, timer, delay) => {
+    timer.due = clock.now() + delay;
+    timer.handle = clock.setTimeout(() => {
+      timers.delete(id);
+      timer.callback(timer.due);
+    }, delay);
+  };
+
+  /**
+   * Runs callback after delay; it receives the time it was due
+   */
+  const schedule = (callback, delay) => {
+    // Zero-delay steps (first strike of a combo, first combo) run immediately
+    if (delay <= 0) {
+      callback(clock.now());
+      return null;
+    }
+    const id = nextTimerId++;
+    const timer = { callback, due: 0, handle: null };
+    timers.set(id, timer);
+    startTimer(id, timer, delay);
+    return id;
+  };
+
+  const clearTimers = () => {
+    timers.forEach(timer => clock.clearTimeout(timer.handle));
+    timers.clear();
+  };
+
+  /**
+   * Schedules a cue step lookaheadMs early
+   * callback receives the onset it should happen at and the time its timer was due, so
+   * audio can be scheduled on the AudioContext clock (see audioScheduler.js) and how late
+   * the timer fired can be recorded as timing jitter.
+   */
+  const scheduleAhead = (callback, delay) => {
+    const lead = Math.min(lookaheadMs, Math.max(0, delay));
+    schedule(due => callback(due + lead, due), delay - lead);
+  };
+
+  /**
+   * Takes the next cue or combo of the session
+   * A timed round can outlast its planned items; its clock still ends it.
+   */
+  const takeItem = () => plan.items[nextItem++] ?? null;
+
+  // ---- Countdown ----
+
+  const startCountdown = () => {
+    setState({
+      phase: TRAINING_PHASES.COUNTDOWN,
+      countdownValue: COUNTDOWN_SECONDS,
+      currentAction: null,
+      cueOnset: null,
+      stance: timeline.sessions[state.currentSession - 1].stance ?? null
+    });
+    schedule(() => tickCountdown(COUNTDOWN_SECONDS), COUNTDOWN_LEAD_IN_MS);
+  };
+
+  const tickCountdown = (value) => {
+    setState({ countdownValue: value });
+    if (value > 0) {
+      emit('countdown', { value });
+      schedule(() => tickCountdown(value - 1), 1000);
+    } else {
+      schedule(startSession, GO_DISPLAY_MS);
+    }
+  };
+
+  // ---- Training ----
+
+  /**
+   * Starts training the next planned session
+   * Round timer sessions ('rounds') are timed work rounds whose cues are optional;
+   * the rests between them use the BREAK phase.
+   */
+  const startSession = () => {
+    const now = clock.now();
+    plan = timeline.sessions[state.currentSession - 1];
+    const { sessionLength, totalHits, totalCombos, roundDuration } = plan;
+
+    sessionStartTime = now;
+    sessionReactionTimes = [];
+    sessionCueLateness = [];
+    sessionMidRestMs = 0;
+    nextItem = 0;
+    midRestPoints = getSessionMidRestPoints(plan);
+    sessionGoNoGo = createGoNoGoStats();
+    sessionZones = createZoneStats(config.targetZones ?? DEFAULT_TARGET_ZONES);
+    sessionRegions = createRegionStats(getRegionsForSet((config.peripheral ?? DEFAULT_PERIPHERAL_SETTINGS).positions));
+    staircase?.resetStats();
+    tracker.reset();
+
+    setState({
+      phase: TRAINING_PHASES.TRAINING,
+      trainingStartTime: state.trainingStartTime ?? now,
+      hitsCompleted: 0,
+      combosCompleted: 0,
+      sessionLength,
+      sessionTotalHits: totalHits,
+      totalCombos,
+      roundDuration,
+      roundTimeRemaining: roundDuration,
+      stance: plan.stance ?? null
+    });
+    emit('sessionStart', { session: state.currentSession, sessionLength });
+
+    if (sessionLength === 'time') {
+      schedule(() => tickRound(roundDuration - 1), 1000);
+    }
+    if (plan.cueType === 'combo') {
+      scheduleNextCombo();
+    } else if (['single', 'gonogo', 'zones', 'peripheral'].includes(plan.cueType)) {
+      scheduleNextCue();
+    }
+  };
+
+  /**
+   * Shows a cue at onset, then clears it and counts the hit displayMs later
+   * The cue is called on its side in the session's stance (see stance.js).
+   * @param {number} onset - When the cue is seen and heard (may be up to lookaheadMs ahead)
+   * @param {number} due - When the cue's timer was due, to measure how late it fired
+   * @param {boolean} [decoy=false] - Whether the cue is a go/no-go decoy
+   * @param {string|null} [zone=null] - Target zone of the cue
+   * @param {string|null} [region=null] - Screen region of a peripheral cue
+   */
+  const showCue = (action, displayMs, onDone, inCombo, onset, due, decoy = false, zone = null, region = null) => {
+    const id = ++cueId;
+    const late = Math.max(0, clock.now() - due);
+
+    const side = getTechniqueSide(action, plan.stance);
+
+    lastCue = { action, inCombo, decoy, zone, region, side };
+    cueCaught = false;
+    cueLatency = null;
+    cueWrong = false;
+    sessionCueLateness.push(late);
+    tracker.cue(onset);
+    setState({
+      currentAction: action,
+      currentDecoy: decoy,
+      currentZone: zone,
+      currentRegion: region,
+      currentSide: side,
+      cueOnset: onset
+    });
+    emit('cue', { action, onset, inCombo, late, decoy, zone, region, side });
+
+    schedule(() => {
+      // A later combo strike may already have replaced this cue
+      const current = cueId === id;
+      setState({
+        currentAction: current ? null : state.currentAction,
+        currentDecoy: current ? false : state.currentDecoy,
+        currentZone: current ? null : state.currentZone,
+        currentRegion: current ? null : state.currentRegion,
+        currentSide: current ? null : state.currentSide,
+        cueOnset: current ? null : state.cueOnset,
+        hitsCompleted: state.hitsCompleted + 1
+      });
+      onDone?.();
+    }, onset + displayMs - clock.now());
+  };
+
+  /**
+   * Schedules the next single cue of the session
+   * With adaptive difficulty, a staircase (see adaptiveDifficulty.js) scales its
+   * planned interval and how long it stays on screen by whether the athlete
+   * caught the previous cues.
+   */
+  const scheduleNextCue = () => {
+    const item = takeItem();
+    if (!item) {
+      return;
+    }
+    const displayMs = staircase ? staircase.adapt(SINGLE_CUE_DISPLAY_MS) : SINGLE_CUE_DISPLAY_MS;
+    scheduleAhead(
+      (onset, due) => showCue(item.actions[0], displayMs, afterCue, false, onset, due, item.decoy, item.zone, item.region),
+      staircase ? staircase.adapt(item.delayMs) : item.delayMs
+    );
+  };
+
+  /**
+   * Whether the hit or combo target of the session has been reached
+   * Timed rounds end on the round clock instead.
+   */
+  const targetReached = () => {
+    switch (state.sessionLength) {
+      case 'hits':
+        return state.hitsCompleted >= state.sessionTotalHits;
+      case 'combos':
+        return state.combosCompleted >= state.totalCombos;
+      default:
+        return false;
+    }
+  };
+
+  /**
+   * Scores a single cue as it leaves the screen and moves on
+   * Go/no-go cues are scored as hits, misses, false alarms or correct rejections
+   * (see goNoGo.js), target zone cues by zone (see targetZones.js) and peripheral
+   * cues by screen region (see peripheral.js).
+   */
+  const afterCue = () => {
+    // Caught means answered while still on screen
+    staircase?.record(cueCaught);
+    if (plan.cueType === 'gonogo') {
+      sessionGoNoGo = scoreCue(sessionGoNoGo, lastCue.decoy, cueCaught);
+      // The cue is scored; a late response must not count for it
+      tracker.reset();
+    } else if (plan.cueType === 'zones') {
+      sessionZones = scoreZoneCue(sessionZones, lastCue.zone, { latency: cueLatency, wrong: cueWrong });
+      tracker.reset();
+    } else if (plan.cueType === 'peripheral') {
+      sessionRegions = scoreRegionCue(sessionRegions, lastCue.region, cueLatency);
+      tracker.reset();
+    }
+    // Each single cue counts as a combo of one
+    setState({ combosCompleted: state.combosCompleted + 1 });
+    if (targetReached()) {
+      endSession();
+    } else if (shouldStartMidRest()) {
+      startMidRest(scheduleNextCue);
+    } else {
+      scheduleNextCue();
+    }
+  };
+
+  const scheduleNextCombo = () => {
+    const item = takeItem();
+    if (!item) {
+      return;
+    }
+    scheduleAhead(start => playCombo(item, start), item.delayMs);
+  };
+
+  /**
+   * Counts down the round clock, which stands still during mid-session rests
+   */
+  const tickRound = (remaining) => {
+    if (state.phase === TRAINING_PHASES.MID_REST) {
+      schedule(() => tickRound(remaining), 1000);
+      return;
+    }
+    setState({ roundTimeRemaining: remaining });
+    if (remaining <= 0) {
+      endSession();
+      return;
+    }
+    if (remaining === ROUND_WARNING_SECONDS) {
+      emit('roundWarning', { seconds: ROUND_WARNING_SECONDS });
+    }
+    schedule(() => tickRound(remaining - 1), 1000);
+  };
+
+  /**
+   * Plays a combo whose first strike is at start
+   */
+  const playCombo = (item, start) => {
+    // The whole combo is announced before the first strike
+    const { name, actions, intervals } = item;
+    emit('combo', { actions, name, sides: actions.map(action => getTechniqueSide(action, plan.stance)) });
+
+    let offset = 0;
+    actions.forEach((action, i) => {
+      const isLast = i === actions.length - 1;
+      scheduleAhead(
+        (onset, due) => showCue(action, COMBO_CUE_DISPLAY_MS, isLast ? afterCombo : null, true, onset, due),
+        start + offset - clock.now()
+      );
+      if (!isLast) {
+        offset += intervals[i];
+      }
+    });
+  };
+
+  const afterCombo = () => {
+    setState({ combosCompleted: state.combosCompleted + 1 });
+    if (targetReached()) {
+      endSession();
+    } else if (shouldStartMidRest()) {
+      startMidRest(scheduleNextCombo);
+    } else {
+      scheduleNextCombo();
+    }
+  };
+
+  // ---- Mid-session rest ----
+
+  /**
+   * Session progress in the unit mid-rest points are counted in
+   */
+  const getMidRestProgress = () => {
+    const { sessionLength } = state;
+    if (sessionLength === 'time' && plan.midRest?.trigger === 'percent') {
+      return state.roundDuration - state.roundTimeRemaining;
+    }
+    const inCombos = sessionLength === 'combos' || (sessionLength === 'time' && plan.cueType === 'combo');
+    return inCombos ? state.combosCompleted : state.hitsCompleted;
+  };
+
+  const shouldStartMidRest = () => {
+    const progress = getMidRestProgress();
+    if (midRestPoints.length === 0 || progress < midRestPoints[0]) {
+      return false;
+    }
+    // Consume every point reached, so overlapping points rest only once
+    midRestPoints = midRestPoints.filter(point => point > progress);
+    return true;
+  };
+
+  const startMidRest = (resume) => {
+    const duration = plan.midRestDuration;
+
+    midRestStartTime = clock.now();
+    tracker.reset();
+    setState({
+      phase: TRAINING_PHASES.MID_REST,
+      currentAction: null,
+      cueOnset: null,
+      midRestDuration: duration
+    });
+    emit('midRestStart', { duration });
+    tickMidRest(duration, resume);
+  };
+
+  const tickMidRest = (remaining, resume) => {
+    setState({ midRestTimeRemaining: remaining });
+    if (remaining > 0) {
+      if (remaining === MID_REST_WARNING_SECONDS) {
+        emit('midRestWarning', { seconds: MID_REST_WARNING_SECONDS });
+      }
+      schedule(() => tickMidRest(remaining - 1, resume), 1000);
+      return;
+    }
+
+    const restedMs = clock.now() - midRestStartTime;
+    midRestStartTime = null;
+    sessionMidRestMs += restedMs;
+    setState({
+      phase: TRAINING_PHASES.TRAINING,
+      midRestMs: state.midRestMs + restedMs
+    });
+    emit('midRestEnd');
+    resume();
+  };
+
+  // ---- Session end, breaks and completion ----
+
+  const createSessionEntry = (endTime, stopped) => {
+    const { mode, trainingType, difficulty, numberOfSessions } = config;
+    const { sessionLength } = state;
+    const isCombo = plan.cueType === 'combo';
+    const restedMs = sessionMidRestMs + (midRestStartTime !== null ? endTime - midRestStartTime : 0);
+    const timing = summarizeCueTiming(sessionCueLateness, lookaheadMs);
+    return {
+      mode,
+      trainingType,
+      difficultyId: difficulty.id,
+      hitsCompleted: state.hitsCompleted,
+      // Without a hit target (combos or timed rounds), use actual hits; a last combo may overshoot the target
+      totalHits: sessionLength === 'hits'
+        ? Math.max(state.sessionTotalHits, state.hitsCompleted)
+        : state.hitsCompleted,
+      ...((isCombo || sessionLength === 'combos') && {
+        combosCompleted: state.combosCompleted,
+        totalCombos: sessionLength === 'combos' ? state.totalCombos : state.combosCompleted
+      }),
+      sessionLength,
+      ...(sessionLength === 'time' && { roundDurationMs: state.roundDuration * 1000 }),
+      reactionTimes: [...sessionReactionTimes],
+      responses: sessionReactionTimes.length,
+      // Active training time; mid-session rests are counted separately
+      durationMs: Math.round(endTime - sessionStartTime - restedMs),
+      midRestMs: Math.round(restedMs),
+      sessionNumber: state.currentSession,
+      totalSessions: numberOfSessions,
+      ...(state.seed !== null && { seed: state.seed }),
+      ...(staircase && {
+        adaptive: { ...staircase.getWindow(), targetRate: config.adaptive.targetRate, ...staircase.getStats() }
+      }),
+      ...(plan.cueType === 'gonogo' && { goNoGo: { ...sessionGoNoGo } }),
+      ...(plan.cueType === 'zones' && { zones: { ...sessionZones } }),
+      ...(plan.cueType === 'peripheral' && { regions: { ...sessionRegions } }),
+      ...(plan.stance && { stance: plan.stance }),
+      ...(timing && { timing }),
+      ...(stopped && { stopped: true })
+    };
+  };
+
+  const endSession = () => {
+    clearTimers();
+    tracker.reset();
+
+    const entry = createSessionEntry(clock.now(), false);
+    setState({ currentAction: null, cueOnset: null });
+    emit('sessionEnd', { entry });
+
+    if (state.currentSession < config.numberOfSessions) {
+      startBreak();
+    } else {
+      complete(false);
+    }
+  };
+
+  const startBreak = () => {
+    const { breakDuration } = plan;
+
+    // If rest is disabled, go straight to the next session
+    if (breakDuration === 0) {
+      startNextSession();
+      return;
+    }
+
+    setState({ phase: TRAINING_PHASES.BREAK, breakDuration });
+    emit('breakStart', { duration: breakDuration });
+    tickBreak(breakDuration);
+  };
+
+  const tickBreak = (remaining) => {
+    setState({ breakTimeRemaining: remaining });
+    if (remaining <= 0) {
+      startNextSession();
+      return;
+    }
+    if (remaining === BREAK_WARNING_SECONDS) {
+      emit('breakWarning', { seconds: BREAK_WARNING_SECONDS });
+    }
+    schedule(() => tickBreak(remaining - 1), 1000);
+  };
+
+  const startNextSession = () => {
+    clearTimers();
+    pausedAt = null;
+    setState({
+      isPaused: false,
+      currentSession: state.currentSession + 1,
+      hitsCompleted: 0,
+      combosCompleted: 0
+    });
+    // The round timer goes from rest straight to the bell
+    if (!timeline.sessions[state.currentSession - 1].countdown) {
+      setState({ currentAction: null, cueOnset: null });
+      startSession();
+    } else {
+      startCountdown();
+    }
+  };
+
+  const complete = (stopped) => {
+    // Stopping while paused ends the workout when the pause began
+    const endTime = pausedAt ?? clock.now();
+    const restedMs = midRestStartTime !== null ? endTime - midRestStartTime : 0;
+
+    clearTimers();
+    tracker.reset();
+    pausedAt = null;
+    midRestStartTime = null;
+    setState({
+      isPaused: false,
+      phase: TRAINING_PHASES.COMPLETE,
+      currentAction: null,
+      cueOnset: null,
+      midRestMs: state.midRestMs + restedMs,
+      trainingEndTime: endTime
+    });
+    emit('complete', { stopped });
+  };
+
+  return {
+    /**
+     * Starts a new workout from the countdown
+     * @param {SessionConfig} sessionConfig - Workout configuration
+     */
+    start(sessionConfig) {
+      clearTimers();
+      tracker.reset();
+      pausedAt = null;
+      midRestStartTime = null;
+      config = sessionConfig;
+      const seed = isValidSeed(sessionConfig.seed) ? sessionConfig.seed : null;
+      timeline = sessionConfig.timeline
+        ?? buildWorkoutTimeline(sessionConfig, seed !== null ? createSeededRandom(seed) : random);
+      const adapts = sessionConfig.adaptive?.enabled && timeline.sessions.some(session => session.cueType === 'single');
+      staircase = adapts ? createStaircase(sessionConfig.difficulty, sessionConfig.adaptive.targetRate) : null;
+      state = {
+        ...createInitialState(),
+        numberOfSessions: sessionConfig.numberOfSessions,
+        seed
+      };
+      startCountdown();
+    },
+
+    /**
+     * Ends the workout early and shows results
+     * A session stopped part-way is still reported, marked as stopped.
+     */
+    stop() {
+      const { phase } = state;
+      if (phase === TRAINING_PHASES.IDLE || phase === TRAINING_PHASES.COMPLETE) {
+        return;
+      }
+      // Keep the partial session if any work was done in it
+      const inSession = phase === TRAINING_PHASES.TRAINING || phase === TRAINING_PHASES.MID_REST;
+      const workDone = state.hitsCompleted > 0 || state.roundTimeRemaining < state.roundDuration;
+      if (inSession && workDone) {
+        emit('sessionEnd', { entry: createSessionEntry(pausedAt ?? clock.now(), true) });
+      }
+      complete(true);
+    },
+
+    /**
+     * Cancels any workout and returns to IDLE
+     */
+    reset() {
+      clearTimers();
+      tracker.reset();
+      pausedAt = null;
+      midRestStartTime = null;
+      config = null;
+      timeline = null;
+      plan = null;
+      setState(createInitialState());
+    },
+
+    /**
+     * Freezes all pending timers with their remaining time
+     * @returns {boolean} True if the workout was paused
+     */
+    pause() {
+      const { phase, isPaused } = state;
+      if (isPaused || phase === TRAINING_PHASES.IDLE || phase === TRAINING_PHASES.COMPLETE) {
+        return false;
+      }
+      pausedAt = clock.now();
+      timers.forEach(timer => {
+        clock.clearTimeout(timer.handle);
+        timer.remaining = Math.max(0, timer.due - pausedAt);
+      });
+      // A response after resuming should not be matched to a stale cue
+      tracker.reset();
+      setState({ isPaused: true });
+      emit('pause');
+      return true;
+    },
+
+    /**
+     * Restarts frozen timers where they left off
+     * Paused time is excluded from session and workout durations.
+     * @returns {boolean} True if the workout was resumed
+     */
+    resume() {
+      if (!state.isPaused) {
+        return false;
+      }
+      const pausedFor = clock.now() - pausedAt;
+      // A cue handed out ahead but not yet due when pausing is announced again
+      const cuePending = state.cueOnset !== null && state.cueOnset > pausedAt;
+      const cueOnset = state.cueOnset === null ? null : state.cueOnset + pausedFor;
+      pausedAt = null;
+      if (sessionStartTime !== null) {
+        sessionStartTime += pausedFor;
+      }
+      if (midRestStartTime !== null) {
+        midRestStartTime += pausedFor;
+      }
+      timers.forEach((timer, id) => startTimer(id, timer, timer.remaining));
+      setState({
+        isPaused: false,
+        cueOnset,
+        trainingStartTime: state.trainingStartTime === null
+          ? null
+          : state.trainingStartTime + pausedFor
+      });
+      emit('resume');
+      if (cuePending) {
+        tracker.cue(cueOnset);
+        emit('cue', { ...lastCue, onset: cueOnset, late: 0 });
+      }
+      return true;
+    },
+
+    /**
+     * Ends the current break and starts the next session
+     */
+    skipBreak() {
+      if (state.phase === TRAINING_PHASES.BREAK) {
+        startNextSession();
+      }
+    },
+
+    /**
+     * Registers an athlete response against the current cue
+     * @param {number} [time] - Response timestamp on the engine clock
+     * @param {string|null} [zone=null] - Target zone tapped or keyed, or null when the response cannot tell
+     * @returns {number|null} Reaction time in ms, or null if it does not count (a decoy answered is
+     *   a false alarm, a tap on another zone is wrong)
+     */
+    respond(time = clock.now(), zone = null) {
+      if (state.phase !== TRAINING_PHASES.TRAINING || state.isPaused) {
+        return null;
+      }
+      const latency = tracker.respond(time);
+      if (latency !== null && lastCue?.decoy) {
+        cueCaught = true;
+        emit('falseAlarm', { latency });
+        return null;
+      }
+      if (latency !== null && zone && lastCue?.zone && zone !== lastCue.zone) {
+        // The cue took its one answer; choosing wrong is not caught
+        cueWrong = true;
+        emit('wrongZone', { latency, zone });
+        return null;
+      }
+      if (latency !== null) {
+        cueCaught = true;
+        cueLatency = latency;
+        sessionReactionTimes.push(latency);
+        setState({ reactionTimes: [...state.reactionTimes, latency] });
+        emit('response', { latency });
+      }
+      return latency;
+    },
+
+    /**
+     * Gets the current state snapshot
+     * @returns {SessionState}
+     */
+    getState() {
+      return state;
+    },
+
+    /**
+     * Subscribes to state changes
+     * @param {(state: SessionState) => void} listener
+     * @returns {() => void} Unsubscribe function
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+
+    /**
+     * Subscribes to engine events
+     * @param {(type: string, payload?: Object) => void} handler
+     * @returns {() => void} Unsubscribe function
+     */
+    listen(handler) {
+      eventHandlers.add(handler);
+      return () => {
+        eventHandlers.delete(handler);
+      };
+    },
+
+    /**
+     * Cancels all timers and drops subscribers
+     */
+    destroy() {
+      clearTimers();
+      listeners.clear();
+      eventHandlers.clear();
+    }
+  };
+}
@@ -0,0 +1,928 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createSessionEngine, TRAINING_PHASES, ROUND_WARNING_SECONDS } from './sessionEngine'
+import {
+  buildWorkoutTimeline,
+  getMidRestPoints,
+  COUNTDOWN_SECONDS,
+  COUNTDOWN_LEAD_IN_MS,
+  GO_DISPLAY_MS,
+  COMBO_CUE_DISPLAY_MS
+} from './workoutTimeline'
+import {
+  difficulty,
+  comboSettings,
+  createConfig,
+  createTestEngine,
+  fakeClock,
+  TIME_TO_TRAINING,
+  CUE_CYCLE
+} from '../test/sessionFixtures'
+
+describe('sessionEngine', () => {
+  let events
+  let engine
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    events = []
+    engine = createTestEngine(events)
+  })
+
+  afterEach(() => {
+    engine.destroy()
+    vi.useRealTimers()
+  })
+
+  const eventTypes = () => events.map(e => e.type)
+
+  it('starts in IDLE', () => {
+    expect(engine.getState().phase).toBe(TRAINING_PHASES.IDLE)
+  })
+
+  describe('countdown', () => {
+    it('counts down from 3 and then starts training', () => {
+      engine.start(createConfig())
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.COUNTDOWN)
+
+      vi.advanceTimersByTime(COUNTDOWN_LEAD_IN_MS)
+      expect(engine.getState().countdownValue).toBe(3)
+
+      vi.advanceTimersByTime(3000)
+      expect(engine.getState().countdownValue).toBe(0)
+      expect(events.filter(e => e.type === 'countdown').map(e => e.value)).toEqual([3, 2, 1])
+
+      vi.advanceTimersByTime(GO_DISPLAY_MS)
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.TRAINING)
+      expect(eventTypes()).toContain('sessionStart')
+    })
+  })
+
+  describe('single mode', () => {
+    it('shows cues from the configured techniques', () => {
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + difficulty.minInterval)
+
+      expect(engine.getState().currentAction).toBe('jab')
+      expect(events.find(e => e.type === 'cue').action).toBe('jab')
+      expect(events.find(e => e.type === 'cue').inCombo).toBe(false)
+    })
+
+    it('clears the cue and counts the hit after the display time', () => {
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE)
+
+      expect(engine.getState().currentAction).toBeNull()
+      expect(engine.getState().hitsCompleted).toBe(1)
+    })
+
+    it('uses the injected random number generator to pick techniques', () => {
+      engine = createSessionEngine({ clock: fakeClock, random: () => 0.99 })
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + difficulty.minInterval)
+
+      expect(engine.getState().currentAction).toBe('cross')
+    })
+
+    it('follows the difficulty cue selection', () => {
+      const cueSelection = { weights: {}, maxRepeats: 1, shuffleBag: false, transitions: [] }
+      engine.start(createConfig({ difficulty: { ...difficulty, cueSelection } }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE * 3)
+
+      expect(events.filter(e => e.type === 'cue').map(e => e.action)).toEqual(['jab', 'cross', 'jab'])
+    })
+
+    it('draws the hit target from a range', () => {
+      engine.start(createConfig({ difficulty: { ...difficulty, totalHits: { min: 5, max: 9 } } }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING)
+
+      expect(engine.getState().sessionTotalHits).toBe(5)
+    })
+
+    it('completes after the hit target and reports the session', () => {
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE * 3)
+
+      const state = engine.getState()
+      expect(state.phase).toBe(TRAINING_PHASES.COMPLETE)
+      expect(state.trainingEndTime - state.trainingStartTime).toBe(CUE_CYCLE * 3)
+
+      const { entry } = events.find(e => e.type === 'sessionEnd')
+      expect(entry).toMatchObject({
+        mode: 'punches',
+        trainingType: 'single',
+        difficultyId: 'test',
+        hitsCompleted: 3,
+        totalHits: 3,
+        durationMs: CUE_CYCLE * 3,
+        sessionNumber: 1,
+        totalSessions: 1
+      })
+      expect(events.at(-1)).toEqual({ type: 'complete', stopped: false })
+    })
+  })
+
+  describe('combo mode', () => {
+    const comboConfig = () => createConfig({ trainingType: 'combo', comboSettings })
+
+    it('plays each strike of a combo', () => {
+      engine.start(comboConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING)
+      expect(engine.getState().currentAction).toBe('jab')
+
+      vi.advanceTimersByTime(400)
+      expect(events.filter(e => e.type === 'cue')).toHaveLength(2)
+
+      vi.advanceTimersByTime(COMBO_CUE_DISPLAY_MS)
+      expect(engine.getState().hitsCompleted).toBe(2)
+      expect(engine.getState().combosCompleted).toBe(1)
+    })
+
+    it('announces each combo before its first strike', () => {
+      engine.start(comboConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + 400)
+
+      const combo = events.find(e => e.type === 'combo')
+      expect(combo.actions).toEqual(['jab', 'jab'])
+      expect(eventTypes().indexOf('combo')).toBeLessThan(eventTypes().indexOf('cue'))
+      const cues = events.filter(e => e.type === 'cue')
+      expect(cues.map(e => e.action)).toEqual(combo.actions)
+      expect(cues.every(e => e.inCombo)).toBe(true)
+    })
+
+    it('completes after the combo target', () => {
+      engine.start(comboConfig())
+      const comboLength = 400 + COMBO_CUE_DISPLAY_MS
+      vi.advanceTimersByTime(TIME_TO_TRAINING + comboLength + 2000 + comboLength)
+
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.COMPLETE)
+      const { entry } = events.find(e => e.type === 'sessionEnd')
+      expect(entry).toMatchObject({
+        trainingType: 'combo',
+        hitsCompleted: 4,
+        totalHits: 4,
+        combosCompleted: 2,
+        totalCombos: 2
+      })
+    })
+
+    describe('combo library', () => {
+      const oneTwoThree = {
+        id: 'one-two-three',
+        name: 'One-Two-Three',
+        set: null,
+        steps: [{ technique: 'jab' }, { technique: 'cross', delayMs: 250 }, { technique: 'hook' }],
+        weight: 1
+      }
+      const libraryConfig = (comboLibrary) => createConfig({
+        trainingType: 'combo',
+        comboSettings,
+        techniques: ['jab', 'cross', 'hook'],
+        comboLibrary
+      })
+
+      it('plays a named combo in order', () => {
+        engine.start(libraryConfig([oneTwoThree]))
+        vi.advanceTimersByTime(TIME_TO_TRAINING + 250 + 400)
+
+        expect(events.find(e => e.type === 'combo')).toMatchObject({
+          actions: ['jab', 'cross', 'hook'],
+          name: 'One-Two-Three'
+        })
+        expect(events.filter(e => e.type === 'cue').map(e => e.action)).toEqual(['jab', 'cross', 'hook'])
+      })
+
+      it('uses step timing, falling back to the strike interval', () => {
+        engine.start(libraryConfig([oneTwoThree]))
+        vi.advanceTimersByTime(TIME_TO_TRAINING + 250 + 400)
+
+        const onsets = events.filter(e => e.type === 'cue').map(e => e.onset)
+        expect([onsets[1] - onsets[0], onsets[2] - onsets[1]]).toEqual([250, 400])
+      })
+
+      it('skips combos with strikes outside the techniques', () => {
+        const kicks = { ...oneTwoThree, id: 'kicks', name: 'Kicks', steps: [{ technique: 'roundhouse' }, { technique: 'roundhouse' }] }
+        engine.start(libraryConfig([kicks, oneTwoThree]))
+        vi.advanceTimersByTime(TIME_TO_TRAINING)
+
+        expect(events.find(e => e.type === 'combo').name).toBe('One-Two-Three')
+      })
+
+      it('strings random strikes together when no combo fits', () => {
+        engine.start(libraryConfig([{ ...oneTwoThree, weight: 0 }]))
+        vi.advanceTimersByTime(TIME_TO_TRAINING)
+
+        expect(events.find(e => e.type === 'combo')).toEqual({ type: 'combo', actions: ['jab', 'jab'], name: null, sides: ['left', 'left'] })
+      })
+    })
+  })
+
+  describe('session length', () => {
+    const withSessionLength = (sessionLength, { difficulty: difficultyOverrides, ...overrides } = {}) => createConfig({
+      difficulty: { ...difficulty, sessionLength, ...difficultyOverrides },
+      ...overrides
+    })
+
+    it('counts single cues as combos of one', () => {
+      engine.start(withSessionLength({ mode: 'combos' }, { comboSettings }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE * 2)
+
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.COMPLETE)
+      const { entry } = events.find(e => e.type === 'sessionEnd')
+      expect(entry).toMatchObject({
+        trainingType: 'single',
+        sessionLength: 'combos',
+        hitsCompleted: 2,
+        totalHits: 2,
+        combosCompleted: 2,
+        totalCombos: 2
+      })
+    })
+
+    it('falls back to the difficulty combo settings', () => {
+      engine.start(withSessionLength({ mode: 'combos' }, {
+        difficulty: { combo: { ...comboSettings, totalCombos: 1 } }
+      }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE)
+
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.COMPLETE)
+    })
+
+    it('ends combo training once the hit target is reached', () => {
+      engine.start(withSessionLength({ mode: 'hits' }, { trainingType: 'combo', comboSettings }))
+      const comboLength = 400 + COMBO_CUE_DISPLAY_MS
+      vi.advanceTimersByTime(TIME_TO_TRAINING + comboLength)
+      expect(engine.getState().sessionTotalHits).toBe(3)
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.TRAINING)
+
+      vi.advanceTimersByTime(2000 + comboLength)
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.COMPLETE)
+      const { entry } = events.find(e => e.type === 'sessionEnd')
+      expect(entry).toMatchObject({ sessionLength: 'hits', hitsCompleted: 4, totalHits: 4 })
+    })
+
+    describe('timed rounds', () => {
+      const round = { mode: 'time', roundDuration: 20000 }
+
+      it('runs cues until the round clock runs out', () => {
+        engine.start(withSessionLength(round))
+        vi.advanceTimersByTime(TIME_TO_TRAINING)
+        expect(engine.getState()).toMatchObject({
+          sessionLength: 'time',
+          sessionTotalHits: null,
+          roundDuration: 20,
+          roundTimeRemaining: 20
+        })
+
+        vi.advanceTimersByTime(10000)
+        expect(engine.getState().roundTimeRemaining).toBe(10)
+        expect(engine.getState().hitsCompleted).toBeGreaterThan(difficulty.totalHits)
+
+        vi.advanceTimersByTime(10000)
+        expect(engine.getState().phase).toBe(TRAINING_PHASES.COMPLETE)
+        const { entry } = events.find(e => e.type === 'sessionEnd')
+        expect(entry).toMatchObject({ sessionLength: 'time', roundDurationMs: 20000, durationMs: 20000 })
+        expect(entry.totalHits).toBe(entry.hitsCompleted)
+      })
+
+      it('warns once before the round ends', () => {
+        engine.start(withSessionLength(round))
+        vi.advanceTimersByTime(TIME_TO_TRAINING + 20000 - ROUND_WARNING_SECONDS * 1000 - 1)
+        expect(eventTypes()).not.toContain('roundWarning')
+
+        vi.advanceTimersByTime(ROUND_WARNING_SECONDS * 1000)
+        expect(events.filter(e => e.type === 'roundWarning')).toEqual([
+          { type: 'roundWarning', seconds: ROUND_WARNING_SECONDS }
+        ])
+      })
+
+      it('plays combos in a timed round', () => {
+        engine.start(withSessionLength(round, { trainingType: 'combo', comboSettings }))
+        vi.advanceTimersByTime(TIME_TO_TRAINING + 20000)
+
+        const { entry } = events.find(e => e.type === 'sessionEnd')
+        expect(entry.combosCompleted).toBeGreaterThan(comboSettings.totalCombos)
+        expect(entry.totalCombos).toBe(entry.combosCompleted)
+      })
+
+      it('holds the round clock during mid-session rests', () => {
+        engine.start(withSessionLength(round, {
+          difficulty: { rest: { ...difficulty.rest, midRest: { enabled: true, trigger: 'percent', points: [50], duration: 5000 } } }
+        }))
+        vi.advanceTimersByTime(TIME_TO_TRAINING + 10000 + CUE_CYCLE)
+        expect(engine.getState().phase).toBe(TRAINING_PHASES.MID_REST)
+        const remaining = engine.getState().roundTimeRemaining
+
+        vi.advanceTimersByTime(4000)
+        expect(engine.getState().roundTimeRemaining).toBe(remaining)
+
+        vi.advanceTimersByTime(20000)
+        expect(engine.getState().phase).toBe(TRAINING_PHASES.COMPLETE)
+        expect(events.filter(e => e.type === 'midRestStart')).toHaveLength(1)
+      })
+
+      it('freezes the round clock while paused', () => {
+        engine.start(withSessionLength(round))
+        vi.advanceTimersByTime(TIME_TO_TRAINING + 5000)
+        engine.pause()
+        vi.advanceTimersByTime(60000)
+        expect(engine.getState().roundTimeRemaining).toBe(15)
+
+        engine.resume()
+        vi.advanceTimersByTime(15000)
+        expect(engine.getState().phase).toBe(TRAINING_PHASES.COMPLETE)
+      })
+    })
+  })
+
+  describe('round timer', () => {
+    const roundTimer = { workDuration: 20000, restDuration: 5000, cues: 'off' }
+    const roundsConfig = (overrides = {}) => createConfig({
+      trainingType: 'rounds',
+      roundTimer,
+      numberOfSessions: 12,
+      ...overrides
+    })
+
+    it('runs timed work rounds without cues', () => {
+      engine.start(roundsConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING)
+      expect(engine.getState()).toMatchObject({ sessionLength: 'time', roundTimeRemaining: 20 })
+      expect(events.find(e => e.type === 'sessionStart')).toEqual({ type: 'sessionStart', session: 1, sessionLength: 'time' })
+
+      vi.advanceTimersByTime(20000)
+      expect(eventTypes()).not.toContain('cue')
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.BREAK)
+      const { entry } = events.find(e => e.type === 'sessionEnd')
+      expect(entry).toMatchObject({ trainingType: 'rounds', sessionLength: 'time', hitsCompleted: 0, durationMs: 20000 })
+    })
+
+    it('rests for the rest length and starts the next round without a countdown', () => {
+      engine.start(roundsConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + 20000)
+      expect(engine.getState().breakDuration).toBe(5)
+
+      vi.advanceTimersByTime(5000)
+      expect(engine.getState()).toMatchObject({ phase: TRAINING_PHASES.TRAINING, currentSession: 2 })
+      expect(events.filter(e => e.type === 'countdown')).toHaveLength(COUNTDOWN_SECONDS)
+    })
+
+    it('runs every round of a long workout', () => {
+      engine.start(roundsConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + 12 * 20000 + 11 * 5000)
+
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.COMPLETE)
+      expect(events.filter(e => e.type === 'sessionEnd')).toHaveLength(12)
+    })
+
+    it('goes straight to the next round without rest', () => {
+      engine.start(roundsConfig({ roundTimer: { ...roundTimer, restDuration: 0 } }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + 20000)
+
+      expect(engine.getState()).toMatchObject({ phase: TRAINING_PHASES.TRAINING, currentSession: 2 })
+    })
+
+    it('calls cues during work when asked to', () => {
+      engine.start(roundsConfig({ roundTimer: { ...roundTimer, cues: 'combo' }, comboSettings }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + 20000)
+
+      expect(events.filter(e => e.type === 'combo').length).toBeGreaterThan(0)
+      const { entry } = events.find(e => e.type === 'sessionEnd')
+      expect(entry.combosCompleted).toBeGreaterThan(0)
+    })
+
+    it('keeps a round stopped part-way even without cues', () => {
+      engine.start(roundsConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + 5000)
+      engine.stop()
+
+      const { entry } = events.find(e => e.type === 'sessionEnd')
+      expect(entry).toMatchObject({ stopped: true, durationMs: 5000 })
+    })
+  })
+
+  describe('seed', () => {
+    const varied = { ...difficulty, minInterval: 500, maxInterval: 2500, totalHits: { min: 5, max: 9 } }
+
+    // Cue actions and onsets of a full workout
+    function playSeeded(seed) {
+      const cues = []
+      engine = createSessionEngine({
+        clock: fakeClock,
+        onEvent: (type, payload) => type === 'cue' && cues.push([payload.action, Date.now()])
+      })
+      const start = Date.now()
+      engine.start(createConfig({ difficulty: varied, numberOfSessions: 2, seed }))
+      vi.advanceTimersByTime(60000)
+      engine.destroy()
+      return cues.map(([action, at]) => [action, at - start])
+    }
+
+    it('replays the same cue timeline for the same seed', () => {
+      const first = playSeeded(0xC0FFEE)
+      expect(first.length).toBeGreaterThan(0)
+      expect(playSeeded(0xC0FFEE)).toEqual(first)
+      expect(playSeeded(0xBADA55)).not.toEqual(first)
+    })
+
+    it('plays a timeline planned ahead', () => {
+      const config = createConfig({ difficulty: varied, seed: 7 })
+      const timeline = buildWorkoutTimeline(config, () => 0.99)
+      engine.start({ ...config, timeline })
+      vi.advanceTimersByTime(60000)
+
+      const planned = timeline.sessions[0].items.map(item => item.actions[0])
+      expect(events.filter(e => e.type === 'cue').map(e => e.action)).toEqual(planned)
+      expect(events.find(e => e.type === 'sessionEnd').entry.hitsCompleted).toBe(planned.length)
+    })
+
+    it('saves the seed with each session', () => {
+      engine.start(createConfig({ seed: 42 }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE * 3)
+
+      expect(engine.getState().seed).toBe(42)
+      expect(events.find(e => e.type === 'sessionEnd').entry.seed).toBe(42)
+    })
+
+    it('uses the injected random number generator without a seed', () => {
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE * 3)
+
+      expect(engine.getState().seed).toBeNull()
+      expect(events.find(e => e.type === 'sessionEnd').entry).not.toHaveProperty('seed')
+    })
+  })
+
+  describe('breaks', () => {
+    const SESSION_LENGTH = TIME_TO_TRAINING + CUE_CYCLE * 3
+
+    it('rests between sessions and then starts the next one', () => {
+      engine.start(createConfig({ numberOfSessions: 2 }))
+      vi.advanceTimersByTime(SESSION_LENGTH)
+
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.BREAK)
+      expect(engine.getState().breakDuration).toBe(10)
+      expect(engine.getState().breakTimeRemaining).toBe(10)
+
+      vi.advanceTimersByTime(10000)
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.COUNTDOWN)
+      expect(engine.getState().currentSession).toBe(2)
+      expect(engine.getState().hitsCompleted).toBe(0)
+    })
+
+    it('announces the break and its length', () => {
+      engine.start(createConfig({ numberOfSessions: 2 }))
+      vi.advanceTimersByTime(SESSION_LENGTH)
+      expect(events.find(e => e.type === 'breakStart')).toEqual({ type: 'breakStart', duration: 10 })
+    })
+
+    it('warns once when the break is about to end', () => {
+      engine.start(createConfig({ numberOfSessions: 2 }))
+      vi.advanceTimersByTime(SESSION_LENGTH + 4000)
+      expect(eventTypes()).not.toContain('breakWarning')
+
+      vi.advanceTimersByTime(1000)
+      expect(events.filter(e => e.type === 'breakWarning')).toEqual([{ type: 'breakWarning', seconds: 5 }])
+    })
+
+    it('skips the break on request', () => {
+      engine.start(createConfig({ numberOfSessions: 2 }))
+      vi.advanceTimersByTime(SESSION_LENGTH)
+      engine.skipBreak()
+
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.COUNTDOWN)
+      expect(engine.getState().currentSession).toBe(2)
+    })
+
+    it('goes straight to the next session when rest is disabled', () => {
+      engine.start(createConfig({
+        numberOfSessions: 2,
+        difficulty: { ...difficulty, rest: { enabled: false } }
+      }))
+      vi.advanceTimersByTime(SESSION_LENGTH)
+
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.COUNTDOWN)
+      expect(engine.getState().currentSession).toBe(2)
+    })
+
+    it('keeps the workout start time across sessions', () => {
+      engine.start(createConfig({ numberOfSessions: 2 }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING)
+      const startTime = engine.getState().trainingStartTime
+
+      vi.advanceTimersByTime(CUE_CYCLE * 3 + 10000 + TIME_TO_TRAINING)
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.TRAINING)
+      expect(engine.getState().trainingStartTime).toBe(startTime)
+    })
+  })
+
+  describe('getMidRestPoints', () => {
+    it('returns no points when disabled or missing', () => {
+      expect(getMidRestPoints(undefined, 20)).toEqual([])
+      expect(getMidRestPoints({ enabled: false, trigger: 'hits', points: [5] }, 20)).toEqual([])
+    })
+
+    it('uses hit counts directly', () => {
+      expect(getMidRestPoints({ enabled: true, trigger: 'hits', points: [15, 5] }, 20)).toEqual([5, 15])
+    })
+
+    it('converts percentages of the session target', () => {
+      expect(getMidRestPoints({ enabled: true, trigger: 'percent', points: [50] }, 45)).toEqual([23])
+      expect(getMidRestPoints({ enabled: true, trigger: 'percent', points: [25, 50, 75] }, 20)).toEqual([5, 10, 15])
+    })
+
+    it('drops duplicates and points at or beyond the target', () => {
+      expect(getMidRestPoints({ enabled: true, trigger: 'hits', points: [5, 5, 20, 30] }, 20)).toEqual([5])
+      expect(getMidRestPoints({ enabled: true, trigger: 'percent', points: [1] }, 10)).toEqual([])
+    })
+  })
+
+  describe('mid-session rest', () => {
+    const withMidRest = (midRest, overrides = {}) => createConfig({
+      difficulty: {
+        ...difficulty,
+        totalHits: 4,
+        rest: { ...difficulty.rest, midRest: { enabled: true, duration: 5000, ...midRest } }
+      },
+      ...overrides
+    })
+
+    it('pauses cues for the rest duration after the configured hits', () => {
+      engine.start(withMidRest({ trigger: 'hits', points: [1] }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE)
+
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.MID_REST)
+      expect(engine.getState().midRestDuration).toBe(5)
+      expect(engine.getState().midRestTimeRemaining).toBe(5)
+
+      vi.advanceTimersByTime(5000)
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.TRAINING)
+      expect(eventTypes()).toEqual(expect.arrayContaining(['midRestStart', 'midRestEnd']))
+
+      vi.advanceTimersByTime(CUE_CYCLE * 3)
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.COMPLETE)
+      expect(events.filter(e => e.type === 'midRestStart')).toHaveLength(1)
+    })
+
+    it('rests at a percentage of the session', () => {
+      engine.start(withMidRest({ trigger: 'percent', points: [50] }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE)
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.TRAINING)
+
+      vi.advanceTimersByTime(CUE_CYCLE)
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.MID_REST)
+      expect(engine.getState().hitsCompleted).toBe(2)
+    })
+
+    it('rests at multiple points', () => {
+      engine.start(withMidRest({ trigger: 'hits', points: [1, 3] }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE * 4 + 5000 * 2)
+
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.COMPLETE)
+      expect(events.filter(e => e.type === 'midRestStart')).toHaveLength(2)
+    })
+
+    it('counts combos in combo mode', () => {
+      engine.start(withMidRest(
+        { trigger: 'hits', points: [1] },
+        { trainingType: 'combo', comboSettings }
+      ))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + 400 + COMBO_CUE_DISPLAY_MS)
+
+      expect(engine.getState().combosCompleted).toBe(1)
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.MID_REST)
+    })
+
+    it('warns before the rest ends', () => {
+      engine.start(withMidRest({ trigger: 'hits', points: [1] }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE + 1000)
+      expect(eventTypes()).not.toContain('midRestWarning')
+
+      vi.advanceTimersByTime(1000)
+      expect(eventTypes()).toContain('midRestWarning')
+    })
+
+    it('counts rest time separately from training time', () => {
+      engine.start(withMidRest({ trigger: 'hits', points: [2] }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE * 4 + 5000)
+
+      const { entry } = events.find(e => e.type === 'sessionEnd')
+      expect(entry.durationMs).toBe(CUE_CYCLE * 4)
+      expect(entry.midRestMs).toBe(5000)
+      expect(engine.getState().midRestMs).toBe(5000)
+    })
+
+    it('excludes paused time from rest time', () => {
+      engine.start(withMidRest({ trigger: 'hits', points: [2] }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE * 2 + 2000)
+      engine.pause()
+      vi.advanceTimersByTime(30000)
+      engine.resume()
+      vi.advanceTimersByTime(3000 + CUE_CYCLE * 2)
+
+      const { entry } = events.find(e => e.type === 'sessionEnd')
+      expect(entry.midRestMs).toBe(5000)
+      expect(entry.durationMs).toBe(CUE_CYCLE * 4)
+    })
+
+    it('ignores responses during the rest', () => {
+      engine.start(withMidRest({ trigger: 'hits', points: [1] }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE + 500)
+
+      expect(engine.respond()).toBeNull()
+    })
+  })
+
+  describe('responses', () => {
+    it('measures reaction time from the cue onset', () => {
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + difficulty.minInterval)
+      const { onset } = events.find(e => e.type === 'cue')
+
+      expect(engine.respond(onset + 250)).toBe(250)
+      expect(engine.getState().reactionTimes).toEqual([250])
+      expect(events.at(-1)).toEqual({ type: 'response', latency: 250 })
+    })
+
+    it('ignores responses outside training', () => {
+      engine.start(createConfig())
+      expect(engine.respond()).toBeNull()
+    })
+
+    it('records session reaction times in the history entry', () => {
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + difficulty.minInterval + 300)
+      engine.respond()
+      vi.advanceTimersByTime(CUE_CYCLE * 3)
+
+      const { entry } = events.find(e => e.type === 'sessionEnd')
+      expect(entry.reactionTimes).toEqual([300])
+      expect(entry.responses).toBe(1)
+    })
+  })
+
+  describe('pause and resume', () => {
+    it('freezes the remaining interval until the next cue', () => {
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + 600)
+      expect(engine.pause()).toBe(true)
+      expect(engine.getState().isPaused).toBe(true)
+
+      vi.advanceTimersByTime(60000)
+      expect(eventTypes()).not.toContain('cue')
+
+      engine.resume()
+      vi.advanceTimersByTime(399)
+      expect(eventTypes()).not.toContain('cue')
+      vi.advanceTimersByTime(1)
+      expect(engine.getState().currentAction).toBe('jab')
+    })
+
+    it('freezes in-flight combo strikes', () => {
+      engine.start(createConfig({ trainingType: 'combo', comboSettings }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + 100)
+      engine.pause()
+      vi.advanceTimersByTime(10000)
+      expect(events.filter(e => e.type === 'cue')).toHaveLength(1)
+
+      engine.resume()
+      vi.advanceTimersByTime(300)
+      expect(events.filter(e => e.type === 'cue')).toHaveLength(2)
+    })
+
+    it('freezes the break countdown', () => {
+      engine.start(createConfig({ numberOfSessions: 2 }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE * 3 + 3000)
+      expect(engine.getState().breakTimeRemaining).toBe(7)
+
+      engine.pause()
+      vi.advanceTimersByTime(30000)
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.BREAK)
+      expect(engine.getState().breakTimeRemaining).toBe(7)
+
+      engine.resume()
+      vi.advanceTimersByTime(7000)
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.COUNTDOWN)
+    })
+
+    it('excludes paused time from durations', () => {
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + 500)
+      engine.pause()
+      vi.advanceTimersByTime(20000)
+      engine.resume()
+      vi.advanceTimersByTime(CUE_CYCLE * 3)
+
+      const state = engine.getState()
+      expect(state.phase).toBe(TRAINING_PHASES.COMPLETE)
+      expect(state.trainingEndTime - state.trainingStartTime).toBe(CUE_CYCLE * 3)
+      expect(events.find(e => e.type === 'sessionEnd').entry.durationMs).toBe(CUE_CYCLE * 3)
+    })
+
+    it('ignores responses while paused', () => {
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + difficulty.minInterval + 200)
+      engine.pause()
+
+      expect(engine.respond()).toBeNull()
+    })
+
+    it('cannot pause when idle or complete', () => {
+      expect(engine.pause()).toBe(false)
+
+      engine.start(createConfig())
+      engine.stop()
+      expect(engine.pause()).toBe(false)
+    })
+
+    it('resume does nothing when not paused', () => {
+      engine.start(createConfig())
+      expect(engine.resume()).toBe(false)
+    })
+
+    it('stopping while paused clears the pause', () => {
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING)
+      engine.pause()
+      engine.stop()
+
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.COMPLETE)
+      expect(engine.getState().isPaused).toBe(false)
+    })
+
+    it('emits pause and resume events', () => {
+      engine.start(createConfig())
+      engine.pause()
+      engine.resume()
+
+      expect(eventTypes()).toEqual(expect.arrayContaining(['pause', 'resume']))
+    })
+  })
+
+  describe('lookahead', () => {
+    const LOOKAHEAD = 100
+
+    const createAheadEngine = (clock = fakeClock, lookaheadMs = LOOKAHEAD) => createSessionEngine({
+      clock,
+      random: () => 0,
+      lookaheadMs,
+      onEvent: (type, payload) => events.push({ type, ...payload })
+    })
+
+    // Fires every timer a fixed time after it was due
+    const lateClock = (lateMs) => ({
+      ...fakeClock,
+      setTimeout: (callback, delay) => setTimeout(callback, delay + lateMs)
+    })
+
+    it('emits each cue ahead of time with its exact onset', () => {
+      engine = createAheadEngine()
+      const startedAt = Date.now()
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + difficulty.minInterval - LOOKAHEAD)
+
+      const cue = events.find(e => e.type === 'cue')
+      expect(cue.onset).toBe(startedAt + TIME_TO_TRAINING + difficulty.minInterval)
+      expect(cue.late).toBe(0)
+      expect(engine.getState()).toMatchObject({ currentAction: 'jab', cueOnset: cue.onset })
+    })
+
+    it('keeps the cue rhythm unchanged', () => {
+      engine = createAheadEngine()
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE * 3)
+
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.COMPLETE)
+      expect(events.find(e => e.type === 'sessionEnd').entry.durationMs).toBe(CUE_CYCLE * 3)
+    })
+
+    it('spaces combo strikes by their intervals', () => {
+      engine = createAheadEngine()
+      engine.start(createConfig({ trainingType: 'combo', comboSettings }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + 400)
+
+      const onsets = events.filter(e => e.type === 'cue').map(e => e.onset)
+      expect(onsets).toHaveLength(2)
+      expect(onsets[1] - onsets[0]).toBe(400)
+    })
+
+    it('records how late cue timers fired', () => {
+      engine = createAheadEngine(lateClock(20))
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE * 3 + 500)
+
+      const { entry } = events.find(e => e.type === 'sessionEnd')
+      expect(entry.timing).toEqual({ cues: 3, meanJitterMs: 20, maxJitterMs: 20, lateCues: 0 })
+    })
+
+    it('counts cues whose timer fired later than the lookahead', () => {
+      engine = createAheadEngine(lateClock(20), 10)
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE * 3 + 500)
+
+      expect(events.find(e => e.type === 'sessionEnd').entry.timing.lateCues).toBe(3)
+    })
+
+    it('announces a pending cue again after resuming', () => {
+      engine = createAheadEngine()
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + difficulty.minInterval - 50)
+      const { onset } = events.find(e => e.type === 'cue')
+
+      engine.pause()
+      vi.advanceTimersByTime(5000)
+      engine.resume()
+
+      const cues = events.filter(e => e.type === 'cue')
+      expect(cues).toHaveLength(2)
+      expect(cues[1]).toMatchObject({ action: 'jab', onset: onset + 5000, inCombo: false })
+      expect(engine.getState().cueOnset).toBe(onset + 5000)
+    })
+
+    it('does not announce a cue again once it was seen', () => {
+      engine = createAheadEngine()
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + difficulty.minInterval + 100)
+
+      engine.pause()
+      engine.resume()
+
+      expect(events.filter(e => e.type === 'cue')).toHaveLength(1)
+    })
+  })
+
+  describe('controls', () => {
+    it('stop ends the workout early and keeps results', () => {
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE)
+      engine.stop()
+
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.COMPLETE)
+      expect(engine.getState().hitsCompleted).toBe(1)
+      expect(events.at(-1)).toEqual({ type: 'complete', stopped: true })
+
+      // No timers keep running after stop
+      vi.advanceTimersByTime(60000)
+      expect(engine.getState().hitsCompleted).toBe(1)
+    })
+
+    it('stop records the partial session as stopped', () => {
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE + 500)
+      engine.stop()
+
+      const { entry } = events.find(e => e.type === 'sessionEnd')
+      expect(entry).toMatchObject({ hitsCompleted: 1, totalHits: 3, stopped: true })
+      expect(entry.durationMs).toBe(CUE_CYCLE + 500)
+    })
+
+    it('stop records nothing when no hits were completed', () => {
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + 500)
+      engine.stop()
+
+      expect(eventTypes()).not.toContain('sessionEnd')
+    })
+
+    it('stop during a break does not record the session again', () => {
+      engine.start(createConfig({ numberOfSessions: 2 }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE * 3 + 1000)
+      engine.stop()
+
+      expect(events.filter(e => e.type === 'sessionEnd')).toHaveLength(1)
+    })
+
+    it('reset returns to IDLE and cancels timers', () => {
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING)
+      engine.reset()
+      vi.advanceTimersByTime(60000)
+
+      expect(engine.getState().phase).toBe(TRAINING_PHASES.IDLE)
+      expect(eventTypes()).not.toContain('cue')
+    })
+
+    it('start begins a fresh workout', () => {
+      engine.start(createConfig())
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE * 3)
+      engine.start(createConfig())
+
+      const state = engine.getState()
+      expect(state.phase).toBe(TRAINING_PHASES.COUNTDOWN)
+      expect(state.currentSession).toBe(1)
+      expect(state.trainingStartTime).toBeNull()
+    })
+
+    it('notifies subscribers of state changes', () => {
+      const listener = vi.fn()
+      const unsubscribe = engine.subscribe(listener)
+      engine.start(createConfig())
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ phase: TRAINING_PHASES.COUNTDOWN }))
+
+      unsubscribe()
+      listener.mockClear()
+      vi.advanceTimersByTime(TIME_TO_TRAINING)
+      expect(listener).not.toHaveBeenCalled()
+    })
+  })
+})
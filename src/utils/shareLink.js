@@ -0,0 +1,297 @@
+/**
+ * Combat Reflex - Share Links
+ *
+ * Encodes a profile, or a workout setup, into the hash of an app URL so it
+ * can be opened on another device. The hash is never sent to the server, so
+ * links work on static hosting under the app's base path.
+ */
+
+import { createDefaultProfile } from './profileUtils';
+import { DIFFICULTIES, TRAINING_MODES, TRAINING_TYPES, MAX_SESSIONS, isValidRoundTimer } from './difficultyConfig';
+import { isValidSeed } from './random';
+import { isValidGoNoGoSettings } from './goNoGo';
+import { isValidPeripheralSettings } from './peripheral';
+
+/**
+ * Current share link version
+ * Bump when the payload layout changes, and keep reading older versions.
+ * @type {number}
+ */
+export const SHARE_LINK_VERSION = 1;
+
+/**
+ * What a link can carry; also the hash key, e.g. #profile=...
+ * @type {string[]}
+ */
+export const SHARE_KINDS = ['profile', 'workout'];
+
+/**
+ * @typedef {Object} WorkoutConfig
+ * @property {string} mode - One of TRAINING_MODES
+ * @property {string} trainingType - One of TRAINING_TYPES
+ * @property {string} difficultyId - Difficulty ID
+ * @property {number} numberOfSessions - Sessions (or rounds) in the workout (1 to MAX_SESSIONS)
+ * @property {{workDuration: number, restDuration: number, cues: string}} [roundTimer] - Round
+ *   timer settings; only carried for the 'rounds' training type
+ * @property {{decoyRate: number}} [goNoGo] - Share of decoys; only carried for the 'gonogo' training type
+ * @property {import('./peripheral').PeripheralSettings} [peripheral] - Positions, size and contrast
+ *   of the cues; only carried for the 'peripheral' training type
+ * @property {number} [seed] - Fixed seed, so everyone who opens the link gets the same cues
+ */
+
+const SHARE_HASH_PATTERN = new RegExp(`^#(${SHARE_KINDS.join('|')})=([A-Za-z0-9_-]+)$`);
+
+/**
+ * Encodes text as unpadded, URL-safe base64
+ * @param {string} text - Text to encode (any Unicode)
+ * @returns {string} Encoded text
+ */
+function toBase64Url(text) {
+  let binary = '';
+  new TextEncoder().encode(text).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes unpadded, URL-safe base64
+ * @param {string} encoded - Encoded text
+ * @returns {string} Decoded text
+ */
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Keeps only the parts of a value that differ from the defaults
+ * @param {*} value - Value to compare
+ * @param {*} defaults - Default value
+ * @returns {*} Differing parts, or undefined if nothing differs
+ */
+function diffFromDefaults(value, defaults) {
+  const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+  if (isPlainObject(value) && isPlainObject(defaults)) {
+    const diff = {};
+    Object.keys(value).forEach(key => {
+      const changed = diffFromDefaults(value[key], defaults[key]);
+      if (changed !== undefined) {
+        diff[key] = changed;
+      }
+    });
+    return Object.keys(diff).length > 0 ? diff : undefined;
+  }
+  return JSON.stringify(value) === JSON.stringify(defaults) ? undefined : value;
+}
+
+/**
+ * Shrinks a profile to its ID, name and the settings that differ from the
+ * defaults; mergeWithDefaults() restores the rest
+ * @param {Object} profile - Profile to share
+ * @returns {Object} Compact profile
+ */
+export function compactProfile(profile) {
+  const defaults = createDefaultProfile();
+  const compact = { id: profile.id, name: profile.name };
+
+  const techniques = diffFromDefaults(profile.enabledTechniques, defaults.enabledTechniques);
+  if (techniques) {
+    compact.enabledTechniques = techniques;
+  }
+
+  const targetZones = diffFromDefaults(profile.targetZones, defaults.targetZones);
+  if (targetZones) {
+    compact.targetZones = targetZones;
+  }
+
+  // The stance travels whole: half of it would not pass validation on merge
+  if (profile.stance && diffFromDefaults(profile.stance, defaults.stance)) {
+    compact.stance = { ...profile.stance };
+  }
+
+  // Combos travel whole: a partial library could not be merged back in order
+  const comboLibrary = diffFromDefaults(profile.comboLibrary, defaults.comboLibrary);
+  if (comboLibrary) {
+    compact.comboLibrary = comboLibrary;
+  }
+
+  const difficulties = profile.difficulties
+    .map(diff => {
+      const changed = diffFromDefaults(diff, defaults.difficulties.find(d => d.id === diff.id));
+      return changed && { ...changed, id: diff.id };
+    })
+    .filter(Boolean);
+  if (difficulties.length > 0) {
+    compact.difficulties = difficulties;
+  }
+
+  return compact;
+}
+
+/**
+ * Checks a shared workout setup
+ * @param {*} workout - Workout setup from a link
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateWorkoutConfig(workout) {
+  if (!workout || typeof workout !== 'object') {
+    return ['Workout settings are missing'];
+  }
+
+  const errors = [];
+  if (!TRAINING_MODES.includes(workout.mode)) {
+    errors.push(`Unknown training mode: ${workout.mode}`);
+  }
+  if (!TRAINING_TYPES.includes(workout.trainingType)) {
+    errors.push(`Unknown training type: ${workout.trainingType}`);
+  }
+  if (!DIFFICULTIES.some(d => d.id === workout.difficultyId)) {
+    errors.push(`Unknown difficulty: ${workout.difficultyId}`);
+  }
+  if (!Number.isInteger(workout.numberOfSessions) || workout.numberOfSessions < 1 || workout.numberOfSessions > MAX_SESSIONS) {
+    errors.push(`Number of sessions must be between 1 and ${MAX_SESSIONS}`);
+  }
+  if (workout.roundTimer !== undefined && !isValidRoundTimer(workout.roundTimer)) {
+    errors.push('Round timer settings are invalid');
+  }
+  if (workout.goNoGo !== undefined && !isValidGoNoGoSettings(workout.goNoGo)) {
+    errors.push('Go/no-go settings are invalid');
+  }
+  if (workout.peripheral !== undefined && !isValidPeripheralSettings(workout.peripheral)) {
+    errors.push('Peripheral settings are invalid');
+  }
+  if (workout.seed !== undefined && !isValidSeed(workout.seed)) {
+    errors.push('Seed is invalid');
+  }
+  return errors;
+}
+
+/**
+ * Builds the URL hash for a share link
+ * @param {string} kind - One of SHARE_KINDS
+ * @param {Object} data - Profile, or WorkoutConfig
+ * @returns {string} Hash including the leading '#'
+ */
+export function createShareHash(kind, data) {
+  let payload;
+  switch (kind) {
+    case 'profile':
+      payload = { v: SHARE_LINK_VERSION, profile: compactProfile(data) };
+      break;
+    case 'workout': {
+      const { mode, trainingType, difficultyId, numberOfSessions, roundTimer, goNoGo, peripheral, seed } = data;
+      payload = {
+        v: SHARE_LINK_VERSION,
+        workout: {
+          mode,
+          trainingType,
+          difficultyId,
+          numberOfSessions,
+          ...(trainingType === 'rounds' && roundTimer && { roundTimer }),
+          ...(trainingType === 'gonogo' && goNoGo && { goNoGo }),
+          ...(trainingType === 'peripheral' && peripheral && { peripheral }),
+          ...(isValidSeed(seed) && { seed })
+        }
+      };
+      break;
+    }
+    default:
+      throw new Error(`Unknown share link kind: ${kind}`);
+  }
+  return `#${kind}=${toBase64Url(JSON.stringify(payload))}`;
+}
+
+/**
+ * Gets the URL the app is served from, including the deploy base path
+ * @returns {string} App URL ending in '/'
+ */
+export function getAppUrl() {
+  return new URL(import.meta.env.BASE_URL, window.location.origin).href;
+}
+
+/**
+ * Builds a full share link
+ * @param {string} kind - One of SHARE_KINDS
+ * @param {Object} data - Profile, or WorkoutConfig
+ * @param {string} [appUrl=getAppUrl()] - URL the app is served from
+ * @returns {string} Share link
+ */
+export function createShareUrl(kind, data, appUrl = getAppUrl()) {
+  return appUrl + createShareHash(kind, data);
+}
+
+/**
+ * @typedef {Object} SharedItem
+ * @property {string} kind - One of SHARE_KINDS
+ * @property {Object|null} data - Compact profile (see compactProfile), or WorkoutConfig
+ * @property {string|null} error - Why the link cannot be used
+ */
+
+/**
+ * Reads a share link from a URL hash
+ * @param {string} hash - URL hash, e.g. window.location.hash
+ * @returns {SharedItem|null} Shared item, or null if the hash is not a share link
+ */
+export function parseShareHash(hash) {
+  const match = SHARE_HASH_PATTERN.exec(hash || '');
+  if (!match) {
+    return null;
+  }
+  const [, kind, encoded] = match;
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(encoded));
+  } catch {
+    return { kind, data: null, error: 'This link is damaged or incomplete' };
+  }
+
+  if (!payload || typeof payload !== 'object' || !Number.isInteger(payload.v)) {
+    return { kind, data: null, error: 'This link is damaged or incomplete' };
+  }
+  if (payload.v > SHARE_LINK_VERSION) {
+    return { kind, data: null, error: 'This link was made by a newer version of the app; update to open it' };
+  }
+
+  const data = payload[kind] ?? null;
+  if (kind === 'workout') {
+    const errors = validateWorkoutConfig(data);
+    return { kind, data: errors.length > 0 ? null : data, error: errors[0] ?? null };
+  }
+  return { kind, data, error: data ? null : 'This link is damaged or incomplete' };
+}
+
+/**
+ * Removes a share link from the address bar without reloading
+ */
+export function clearShareHash() {
+  window.history.replaceState(null, '', window.location.pathname + window.location.search);
+}
+
+/**
+ * Hands a link to the system share sheet, or copies it to the clipboard
+ * @param {string} url - Link to share
+ * @param {string} title - Title for the share sheet
+ * @returns {Promise<'shared'|'copied'|'cancelled'|'failed'>} What happened
+ */
+export async function shareUrl(url, title) {
+  if (navigator.share) {
+    try {
+      await navigator.share({ title, url });
+      return 'shared';
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return 'cancelled';
+      }
+    }
+  }
+
+  try {
+    await navigator.clipboard.writeText(url);
+    return 'copied';
+  } catch {
+    return 'failed';
+  }
+}
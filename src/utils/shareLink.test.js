@@ -0,0 +1,220 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import {
+  compactProfile,
+  validateWorkoutConfig,
+  createShareHash,
+  createShareUrl,
+  parseShareHash,
+  shareUrl,
+  SHARE_LINK_VERSION
+} from './shareLink'
+import { createNewProfile, mergeWithDefaults } from './profileUtils'
+
+const WORKOUT = { mode: 'kicks', trainingType: 'combo', difficultyId: 'hard', numberOfSessions: 3 }
+const ROUND_TIMER = { workDuration: 180000, restDuration: 60000, cues: 'off' }
+const ROUNDS_WORKOUT = { mode: 'both', trainingType: 'rounds', difficultyId: 'normal', numberOfSessions: 12, roundTimer: ROUND_TIMER }
+const GO_NOGO_WORKOUT = { mode: 'punches', trainingType: 'gonogo', difficultyId: 'normal', numberOfSessions: 2, goNoGo: { decoyRate: 0.4 } }
+const PERIPHERAL = { positions: 'corners', size: 'small', contrast: 'low' }
+const PERIPHERAL_WORKOUT = { mode: 'both', trainingType: 'peripheral', difficultyId: 'easy', numberOfSessions: 2, peripheral: PERIPHERAL }
+
+// Builds a hash from a raw payload, as an older or newer app might
+const rawHash = (kind, payload) =>
+  `#${kind}=${btoa(JSON.stringify(payload)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}`
+
+describe('shareLink', () => {
+  describe('compactProfile', () => {
+    it('keeps only the ID and name of an unchanged profile', () => {
+      const profile = createNewProfile('Plain')
+      expect(compactProfile(profile)).toEqual({ id: profile.id, name: 'Plain' })
+    })
+
+    it('keeps only the settings that differ from the defaults', () => {
+      const profile = createNewProfile('Fast')
+      const hard = profile.difficulties.find(d => d.id === 'hard')
+      hard.minInterval = 321
+      hard.totalHits.max = 99
+
+      const compact = compactProfile(profile)
+      expect(compact.difficulties).toEqual([{ id: 'hard', minInterval: 321, totalHits: { max: 99 } }])
+    })
+
+    it('keeps changed techniques', () => {
+      const profile = { ...createNewProfile('Jabs'), enabledTechniques: ['jab'] }
+      expect(compactProfile(profile).enabledTechniques).toEqual(['jab'])
+    })
+
+    it('keeps a changed target set', () => {
+      const profile = { ...createNewProfile('Head Hunter'), targetZones: ['head', 'body'] }
+      expect(compactProfile(profile).targetZones).toEqual(['head', 'body'])
+      expect(compactProfile(createNewProfile('Default Zones'))).not.toHaveProperty('targetZones')
+      expect(mergeWithDefaults(compactProfile(profile)).targetZones).toEqual(['head', 'body'])
+    })
+
+    it('keeps a changed stance whole', () => {
+      const profile = { ...createNewProfile('Lefty'), stance: { stance: 'southpaw', switchEachRound: false } }
+      expect(compactProfile(profile).stance).toEqual({ stance: 'southpaw', switchEachRound: false })
+      expect(compactProfile(createNewProfile('Orthodox'))).not.toHaveProperty('stance')
+      expect(mergeWithDefaults(compactProfile(profile)).stance).toEqual(profile.stance)
+    })
+
+    it('keeps a changed combo library whole', () => {
+      const profile = createNewProfile('Combos')
+      profile.comboLibrary = [{ id: 'c1', name: 'Teep Jab', set: null, steps: [{ technique: 'front-kick' }, { technique: 'jab' }], weight: 2 }]
+
+      expect(compactProfile(profile).comboLibrary).toEqual(profile.comboLibrary)
+      expect(mergeWithDefaults(compactProfile(profile)).comboLibrary).toEqual(profile.comboLibrary)
+    })
+
+    it('restores the full profile through mergeWithDefaults', () => {
+      const profile = createNewProfile('Round Trip')
+      profile.difficulties[0].rest.midRest.points = [10, 20]
+      profile.difficulties[4].combo.totalCombos = 7
+
+      const restored = mergeWithDefaults(compactProfile(profile))
+      expect(restored.difficulties).toEqual(profile.difficulties)
+      expect(restored.enabledTechniques).toEqual(profile.enabledTechniques)
+    })
+  })
+
+  describe('validateWorkoutConfig', () => {
+    it('accepts a valid workout', () => {
+      expect(validateWorkoutConfig(WORKOUT)).toEqual([])
+    })
+
+    it('reports each invalid field', () => {
+      const errors = validateWorkoutConfig({ mode: 'elbows', trainingType: 'x', difficultyId: 'y', numberOfSessions: 100 })
+      expect(errors).toHaveLength(4)
+    })
+
+    it('accepts a long round timer workout', () => {
+      expect(validateWorkoutConfig(ROUNDS_WORKOUT)).toEqual([])
+    })
+
+    it('reports invalid round timer settings', () => {
+      const errors = validateWorkoutConfig({ ...ROUNDS_WORKOUT, roundTimer: { ...ROUND_TIMER, workDuration: 0 } })
+      expect(errors).toEqual(['Round timer settings are invalid'])
+    })
+
+    it('reports invalid go/no-go settings', () => {
+      expect(validateWorkoutConfig(GO_NOGO_WORKOUT)).toEqual([])
+      expect(validateWorkoutConfig({ ...GO_NOGO_WORKOUT, goNoGo: { decoyRate: 0.9 } })).toEqual(['Go/no-go settings are invalid'])
+    })
+
+    it('reports invalid peripheral settings', () => {
+      expect(validateWorkoutConfig(PERIPHERAL_WORKOUT)).toEqual([])
+      expect(validateWorkoutConfig({ ...PERIPHERAL_WORKOUT, peripheral: { ...PERIPHERAL, size: 'huge' } })).toEqual(['Peripheral settings are invalid'])
+    })
+
+    it('reports an invalid seed', () => {
+      expect(validateWorkoutConfig({ ...WORKOUT, seed: 0xC0FFEE })).toEqual([])
+      expect(validateWorkoutConfig({ ...WORKOUT, seed: -1 })).toEqual(['Seed is invalid'])
+    })
+
+    it('reports missing settings', () => {
+      expect(validateWorkoutConfig(null)).toHaveLength(1)
+    })
+  })
+
+  describe('createShareHash / parseShareHash', () => {
+    it('round-trips a workout', () => {
+      const hash = createShareHash('workout', { ...WORKOUT, extra: 'ignored' })
+      expect(hash).toMatch(/^#workout=[A-Za-z0-9_-]+$/)
+      expect(parseShareHash(hash)).toEqual({ kind: 'workout', data: WORKOUT, error: null })
+    })
+
+    it('carries round timer settings only for round timer workouts', () => {
+      expect(parseShareHash(createShareHash('workout', ROUNDS_WORKOUT)).data).toEqual(ROUNDS_WORKOUT)
+      expect(parseShareHash(createShareHash('workout', { ...WORKOUT, roundTimer: ROUND_TIMER })).data).toEqual(WORKOUT)
+    })
+
+    it('carries go/no-go settings only for go/no-go workouts', () => {
+      expect(parseShareHash(createShareHash('workout', GO_NOGO_WORKOUT)).data).toEqual(GO_NOGO_WORKOUT)
+      expect(parseShareHash(createShareHash('workout', { ...WORKOUT, goNoGo: { decoyRate: 0.4 } })).data).toEqual(WORKOUT)
+    })
+
+    it('carries peripheral settings only for peripheral workouts', () => {
+      expect(parseShareHash(createShareHash('workout', PERIPHERAL_WORKOUT)).data).toEqual(PERIPHERAL_WORKOUT)
+      expect(parseShareHash(createShareHash('workout', { ...WORKOUT, peripheral: PERIPHERAL })).data).toEqual(WORKOUT)
+    })
+
+    it('carries a fixed seed but no empty one', () => {
+      expect(parseShareHash(createShareHash('workout', { ...WORKOUT, seed: 42 })).data).toEqual({ ...WORKOUT, seed: 42 })
+      expect(parseShareHash(createShareHash('workout', { ...WORKOUT, seed: null })).data).toEqual(WORKOUT)
+    })
+
+    it('round-trips a profile, including non-ASCII names', () => {
+      const profile = createNewProfile('Muay Thai 🥊 Łódź')
+      const { kind, data, error } = parseShareHash(createShareHash('profile', profile))
+      expect(kind).toBe('profile')
+      expect(error).toBeNull()
+      expect(data.name).toBe('Muay Thai 🥊 Łódź')
+      expect(data.id).toBe(profile.id)
+    })
+
+    it('rejects unknown kinds when creating', () => {
+      expect(() => createShareHash('playlist', {})).toThrow()
+    })
+
+    it('ignores hashes that are not share links', () => {
+      expect(parseShareHash('')).toBeNull()
+      expect(parseShareHash('#settings')).toBeNull()
+      expect(parseShareHash('#playlist=abc')).toBeNull()
+    })
+
+    it('reports damaged links', () => {
+      expect(parseShareHash('#profile=bm90LWpzb24').error).toMatch(/damaged/)
+      expect(parseShareHash(rawHash('profile', { v: 1 })).error).toMatch(/damaged/)
+    })
+
+    it('reports links from a newer version', () => {
+      const hash = rawHash('workout', { v: SHARE_LINK_VERSION + 1, workout: WORKOUT })
+      expect(parseShareHash(hash).error).toMatch(/newer version/)
+    })
+
+    it('reports invalid workouts', () => {
+      const hash = rawHash('workout', { v: 1, workout: { ...WORKOUT, difficultyId: 'impossible' } })
+      const result = parseShareHash(hash)
+      expect(result.data).toBeNull()
+      expect(result.error).toMatch(/impossible/)
+    })
+  })
+
+  describe('createShareUrl', () => {
+    it('puts the hash after the app URL', () => {
+      const url = createShareUrl('workout', WORKOUT, 'https://example.com/hit-reflex-trainer/')
+      expect(url.startsWith('https://example.com/hit-reflex-trainer/#workout=')).toBe(true)
+      expect(parseShareHash(new URL(url).hash).data).toEqual(WORKOUT)
+    })
+  })
+
+  describe('shareUrl', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals()
+    })
+
+    it('uses the share sheet when available', async () => {
+      const share = vi.fn().mockResolvedValue()
+      vi.stubGlobal('navigator', { share })
+      expect(await shareUrl('https://x/#a', 'Title')).toBe('shared')
+      expect(share).toHaveBeenCalledWith({ title: 'Title', url: 'https://x/#a' })
+    })
+
+    it('reports a cancelled share', async () => {
+      const abort = Object.assign(new Error('cancel'), { name: 'AbortError' })
+      vi.stubGlobal('navigator', { share: vi.fn().mockRejectedValue(abort) })
+      expect(await shareUrl('https://x/#a', 'Title')).toBe('cancelled')
+    })
+
+    it('falls back to the clipboard', async () => {
+      const writeText = vi.fn().mockResolvedValue()
+      vi.stubGlobal('navigator', { clipboard: { writeText } })
+      expect(await shareUrl('https://x/#a', 'Title')).toBe('copied')
+      expect(writeText).toHaveBeenCalledWith('https://x/#a')
+    })
+
+    it('reports when nothing works', async () => {
+      vi.stubGlobal('navigator', {})
+      expect(await shareUrl('https://x/#a', 'Title')).toBe('failed')
+    })
+  })
+})
@@ -0,0 +1,106 @@
+/**
+ * Combat Reflex - Stance
+ *
+ * Techniques are thrown from the lead or the rear side of the stance (see
+ * techniques.js). The athlete's stance, set per profile, turns that into a
+ * left or right side: an orthodox fighter leads with the left, a southpaw
+ * with the right. Cues are named, shown and panned to that side, so
+ * switching stance mirrors them.
+ *
+ * With switchEachRound, the stance alternates from one session (round) to
+ * the next, starting from the profile's stance.
+ */
+
+import { getTechniqueById } from './techniques';
+
+/**
+ * Available stances
+ * @type {string[]}
+ */
+export const STANCES = ['orthodox', 'southpaw'];
+
+/**
+ * @typedef {Object} StanceSettings
+ * @property {string} stance - Stance of the first session (one of STANCES)
+ * @property {boolean} switchEachRound - Whether the stance alternates every session
+ */
+
+/**
+ * Orthodox, without switching
+ * @type {StanceSettings}
+ */
+export const DEFAULT_STANCE_SETTINGS = {
+  stance: 'orthodox',
+  switchEachRound: false
+};
+
+/**
+ * Stereo position of cue tones on each side (-1 is fully left)
+ * @type {Object<string, number>}
+ */
+export const SIDE_PAN = {
+  left: -0.8,
+  right: 0.8
+};
+
+// Side the lead hand and foot are on
+const LEAD_SIDES = {
+  orthodox: 'left',
+  southpaw: 'right'
+};
+
+/**
+ * Checks stance settings
+ * @param {*} settings - Settings to check
+ * @returns {boolean} Whether they are valid
+ */
+export function isValidStanceSettings(settings) {
+  return Boolean(settings)
+    && STANCES.includes(settings.stance)
+    && typeof settings.switchEachRound === 'boolean';
+}
+
+/**
+ * Gets the stance of a session
+ * @param {StanceSettings} settings - Stance settings
+ * @param {number} index - Session index (0-based)
+ * @returns {string} Stance of the session
+ */
+export function getSessionStance({ stance, switchEachRound }, index) {
+  if (!switchEachRound || index % 2 === 0) {
+    return stance;
+  }
+  return stance === 'orthodox' ? 'southpaw' : 'orthodox';
+}
+
+/**
+ * Gets the side of the body a technique is thrown from
+ * @param {string} techniqueId - Technique ID
+ * @param {string} stance - One of STANCES
+ * @returns {string|null} 'left' or 'right', or null if the technique has no side
+ */
+export function getTechniqueSide(techniqueId, stance) {
+  const side = getTechniqueById(techniqueId)?.side;
+  const lead = LEAD_SIDES[stance];
+  if (!side || !lead) {
+    return null;
+  }
+  if (side === 'lead') {
+    return lead;
+  }
+  return lead === 'left' ? 'right' : 'left';
+}
+
+/**
+ * Names a technique with its side, e.g. 'Left Hook'
+ * @param {string} techniqueId - Technique ID
+ * @param {string|null} side - 'left', 'right' or null
+ * @returns {string} Display name
+ */
+export function getSidedName(techniqueId, side) {
+  const name = getTechniqueById(techniqueId)?.name ?? techniqueId;
+  if (!side) {
+    return name;
+  }
+  return `${side === 'left' ? 'Left' : 'Right'} ${name}`;
+}
@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  STANCES,
+  DEFAULT_STANCE_SETTINGS,
+  isValidStanceSettings,
+  getSessionStance,
+  getTechniqueSide,
+  getSidedName
+} from './stance'
+import { SINGLE_CUE_DISPLAY_MS } from './workoutTimeline'
+import {
+  difficulty,
+  comboSettings,
+  createConfig,
+  createTestEngine,
+  TIME_TO_TRAINING,
+  CUE_CYCLE
+} from '../test/sessionFixtures'
+
+describe('stance', () => {
+  describe('isValidStanceSettings', () => {
+    it('accepts a known stance with a switch flag', () => {
+      expect(STANCES).toEqual(['orthodox', 'southpaw'])
+      expect(isValidStanceSettings(DEFAULT_STANCE_SETTINGS)).toBe(true)
+      expect(isValidStanceSettings({ stance: 'southpaw', switchEachRound: true })).toBe(true)
+    })
+
+    it('rejects unknown stances and missing settings', () => {
+      expect(isValidStanceSettings({ stance: 'square', switchEachRound: false })).toBe(false)
+      expect(isValidStanceSettings({ stance: 'orthodox' })).toBe(false)
+      expect(isValidStanceSettings(undefined)).toBe(false)
+    })
+  })
+
+  describe('getSessionStance', () => {
+    it('keeps the stance without switching', () => {
+      expect(getSessionStance({ stance: 'southpaw', switchEachRound: false }, 1)).toBe('southpaw')
+    })
+
+    it('alternates every session when switching each round', () => {
+      const settings = { stance: 'orthodox', switchEachRound: true }
+      expect([0, 1, 2, 3].map(index => getSessionStance(settings, index)))
+        .toEqual(['orthodox', 'southpaw', 'orthodox', 'southpaw'])
+    })
+  })
+
+  describe('getTechniqueSide', () => {
+    it('puts the lead on the left for orthodox', () => {
+      expect(getTechniqueSide('jab', 'orthodox')).toBe('left')
+      expect(getTechniqueSide('cross', 'orthodox')).toBe('right')
+    })
+
+    it('mirrors for southpaw', () => {
+      expect(getTechniqueSide('hook', 'southpaw')).toBe('right')
+      expect(getTechniqueSide('roundhouse', 'southpaw')).toBe('left')
+    })
+
+    it('gives no side to techniques without one', () => {
+      expect(getTechniqueSide('slip', 'orthodox')).toBeNull()
+      expect(getTechniqueSide('unknown', 'orthodox')).toBeNull()
+      expect(getTechniqueSide('jab', undefined)).toBeNull()
+    })
+  })
+
+  describe('getSidedName', () => {
+    it('prefixes the side', () => {
+      expect(getSidedName('hook', 'left')).toBe('Left Hook')
+      expect(getSidedName('front-kick', 'right')).toBe('Right Front Kick')
+      expect(getSidedName('duck', null)).toBe('Duck')
+    })
+  })
+
+  describe('sessionEngine', () => {
+    let events
+    let engine
+
+    beforeEach(() => {
+      vi.useFakeTimers()
+      events = []
+      engine = createTestEngine(events)
+    })
+
+    afterEach(() => {
+      engine.destroy()
+      vi.useRealTimers()
+    })
+
+    const SESSION_LENGTH = TIME_TO_TRAINING + CUE_CYCLE * 3
+
+    it('calls cues on the side of the stance', () => {
+      engine.start(createConfig({ techniques: ['jab'], stance: { stance: 'southpaw', switchEachRound: false } }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + difficulty.minInterval)
+
+      expect(events.find(e => e.type === 'cue')).toMatchObject({ action: 'jab', side: 'right' })
+      expect(engine.getState()).toMatchObject({ stance: 'southpaw', currentSide: 'right' })
+      vi.advanceTimersByTime(SINGLE_CUE_DISPLAY_MS)
+      expect(engine.getState().currentSide).toBeNull()
+    })
+
+    it('mirrors the cues when switching stance every round', () => {
+      engine.start(createConfig({
+        techniques: ['jab'],
+        numberOfSessions: 2,
+        stance: { stance: 'orthodox', switchEachRound: true }
+      }))
+      vi.advanceTimersByTime(SESSION_LENGTH)
+      engine.skipBreak()
+      expect(engine.getState().stance).toBe('southpaw')
+      vi.advanceTimersByTime(SESSION_LENGTH)
+
+      const sides = events.filter(e => e.type === 'cue').map(e => e.side)
+      expect(sides).toEqual(['left', 'left', 'left', 'right', 'right', 'right'])
+      const entries = events.filter(e => e.type === 'sessionEnd').map(e => e.entry.stance)
+      expect(entries).toEqual(['orthodox', 'southpaw'])
+    })
+
+    it('announces combos with the side of each strike', () => {
+      engine.start(createConfig({
+        trainingType: 'combo',
+        comboSettings,
+        techniques: ['jab', 'roundhouse'],
+        comboLibrary: [{ id: 'c', name: 'Jab, Roundhouse', set: null, steps: [{ technique: 'jab' }, { technique: 'roundhouse' }], weight: 1 }],
+        stance: { stance: 'southpaw', switchEachRound: false }
+      }))
+      vi.advanceTimersByTime(TIME_TO_TRAINING)
+
+      expect(events.find(e => e.type === 'combo')).toMatchObject({ actions: ['jab', 'roundhouse'], sides: ['right', 'left'] })
+    })
+
+    it('gives no side to techniques without one', () => {
+      engine.start(createConfig({ mode: 'defense', techniques: ['slip'] }))
+      vi.advanceTimersByTime(SESSION_LENGTH)
+
+      expect(events.filter(e => e.type === 'cue').every(e => e.side === null)).toBe(true)
+      expect(events.find(e => e.type === 'sessionEnd').entry.stance).toBe('orthodox')
+    })
+  })
+})
@@ -110,3 +110,305 @@ export function calculateHitsPerMinute(hits, durationMs) {
   const minutes = durationMs / 60000;
   return Math.round((hits / minutes) * 10) / 10;
 }
+
+/**
+ * Reaction time distribution buckets (upper bounds in milliseconds)
+ * The last bucket is open-ended.
+ * @type {number[]}
+ */
+export const REACTION_TIME_BUCKETS = [200, 300, 400, 500, 700];
+
+/**
+ * @typedef {Object} ReactionStats
+ * @property {number} count - Number of measured responses
+ * @property {number} mean - Mean reaction time in milliseconds (0 if no data)
+ * @property {number} median - Median reaction time in milliseconds (0 if no data)
+ * @property {number} best - Fastest reaction time in milliseconds (0 if no data)
+ * @property {{label: string, min: number, max: number, count: number}[]} distribution - Responses per bucket
+ */
+
+/**
+ * Calculates reaction time statistics from measured latencies
+ * @param {number[]} reactionTimes - Reaction times in milliseconds
+ * @returns {ReactionStats} Calculated reaction statistics
+ */
+export function calculateReactionStats(reactionTimes = []) {
+  const times = reactionTimes.filter(t => Number.isFinite(t) && t >= 0);
+  const distribution = getReactionDistribution(times);
+
+  if (times.length === 0) {
+    return { count: 0, mean: 0, median: 0, best: 0, distribution };
+  }
+
+  const sorted = [...times].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+  const mean = times.reduce((sum, t) => sum + t, 0) / times.length;
+
+  return {
+    count: times.length,
+    mean: Math.round(mean),
+    median: Math.round(median),
+    best: sorted[0],
+    distribution
+  };
+}
+
+/**
+ * Groups reaction times into REACTION_TIME_BUCKETS
+ * @param {number[]} reactionTimes - Reaction times in milliseconds
+ * @returns {{label: string, min: number, max: number, count: number}[]} Bucket counts
+ */
+function getReactionDistribution(reactionTimes) {
+  const buckets = REACTION_TIME_BUCKETS.map((max, i) => {
+    const min = i === 0 ? 0 : REACTION_TIME_BUCKETS[i - 1];
+    return { label: i === 0 ? `<${max}` : `${min}-${max}`, min, max, count: 0 };
+  });
+  const lastMax = REACTION_TIME_BUCKETS[REACTION_TIME_BUCKETS.length - 1];
+  buckets.push({ label: `${lastMax}+`, min: lastMax, max: Infinity, count: 0 });
+
+  reactionTimes.forEach(t => {
+    const bucket = buckets.find(b => t >= b.min && t < b.max);
+    if (bucket) {
+      bucket.count += 1;
+    }
+  });
+
+  return buckets;
+}
+
+// ---- Timed rounds ----
+
+/**
+ * @typedef {Object} RoundStats
+ * @property {{round: number, hits: number, hitsPerMinute: number, meanReactionMs: number|null, stopped: boolean}[]} rounds
+ *   Output of each timed round, in order
+ * @property {number} averageHitsPerMinute - Hits per minute over all rounds
+ * @property {number|null} paceChangePercent - Change in hits per minute from the first
+ *   to the last full round (negative when tiring); null with fewer than two full rounds
+ */
+
+/**
+ * Calculates per-round output for the timed rounds of a workout
+ * @param {Object[]} sessions - History entries of one workout
+ * @returns {RoundStats|null} Round statistics, or null if no session was a timed round
+ */
+export function calculateRoundStats(sessions = []) {
+  const timed = sessions
+    .filter(session => session.sessionLength === 'time')
+    .sort((a, b) => a.sessionNumber - b.sessionNumber);
+  if (timed.length === 0) {
+    return null;
+  }
+
+  const rounds = timed.map(session => {
+    const reactionTimes = session.reactionTimes || [];
+    return {
+      round: session.sessionNumber,
+      hits: session.hitsCompleted || 0,
+      durationMs: session.durationMs || 0,
+      hitsPerMinute: calculateHitsPerMinute(session.hitsCompleted || 0, session.durationMs || 0),
+      meanReactionMs: reactionTimes.length > 0 ? calculateReactionStats(reactionTimes).mean : null,
+      stopped: Boolean(session.stopped)
+    };
+  });
+
+  const totalHits = rounds.reduce((sum, round) => sum + round.hits, 0);
+  const totalMs = timed.reduce((sum, session) => sum + (session.durationMs || 0), 0);
+  // A round stopped part-way says little about fatigue
+  const fullRounds = rounds.filter(round => !round.stopped);
+  const first = fullRounds[0];
+  const last = fullRounds[fullRounds.length - 1];
+
+  return {
+    rounds,
+    averageHitsPerMinute: calculateHitsPerMinute(totalHits, totalMs),
+    paceChangePercent: fullRounds.length >= 2 && first.hitsPerMinute > 0
+      ? Math.round(((last.hitsPerMinute - first.hitsPerMinute) / first.hitsPerMinute) * 100)
+      : null
+  };
+}
+
+// ---- Trends over time ----
+
+/**
+ * Periods that history can be bucketed into
+ * @type {string[]}
+ */
+export const TREND_PERIODS = ['day', 'week'];
+
+/**
+ * Minimum responses in a session before its mean counts as a personal best
+ * Keeps a session with one lucky response from standing as the record.
+ * @type {number}
+ */
+export const MIN_RESPONSES_FOR_BEST = 5;
+
+/**
+ * Gets the local start of the day or week (weeks start on Monday)
+ * @param {string|number|Date} timestamp - Time within the period
+ * @param {string} period - 'day' or 'week'
+ * @returns {Date} Start of the period
+ */
+export function getPeriodStart(timestamp, period) {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  if (period === 'week') {
+    const daysSinceMonday = (date.getDay() + 6) % 7;
+    date.setDate(date.getDate() - daysSinceMonday);
+  }
+  return date;
+}
+
+/**
+ * @typedef {Object} TrendBucket
+ * @property {number} start - Period start timestamp (ms since epoch)
+ * @property {number} sessions - Sessions recorded in the period
+ * @property {number} hitsCompleted - Hits completed in the period
+ * @property {number} totalHits - Hits planned in the period
+ * @property {number} durationMs - Active training time in the period
+ * @property {number} hitsPerMinute - Hits per minute of active training
+ * @property {number} completionRate - Percentage of planned hits completed (0-100)
+ * @property {number|null} meanReaction - Mean reaction time, or null with no responses
+ */
+
+/**
+ * Buckets session history into days or weeks
+ * @param {Object[]} history - Session history entries
+ * @param {string} [period='week'] - 'day' or 'week'
+ * @returns {TrendBucket[]} Buckets with sessions, oldest first
+ */
+export function bucketHistory(history, period = 'week') {
+  const buckets = new Map();
+
+  history.forEach(entry => {
+    const start = getPeriodStart(entry.timestamp, period).getTime();
+    if (!buckets.has(start)) {
+      buckets.set(start, { start, sessions: 0, hitsCompleted: 0, totalHits: 0, durationMs: 0, reactionTimes: [] });
+    }
+    const bucket = buckets.get(start);
+    bucket.sessions += 1;
+    bucket.hitsCompleted += entry.hitsCompleted || 0;
+    bucket.totalHits += entry.totalHits || 0;
+    bucket.durationMs += entry.durationMs || 0;
+    bucket.reactionTimes.push(...(entry.reactionTimes || []));
+  });
+
+  return [...buckets.values()]
+    .sort((a, b) => a.start - b.start)
+    .map(({ reactionTimes, ...bucket }) => {
+      const reactionStats = calculateReactionStats(reactionTimes);
+      return {
+        ...bucket,
+        hitsPerMinute: calculateHitsPerMinute(bucket.hitsCompleted, bucket.durationMs),
+        completionRate: bucket.totalHits > 0 ? Math.round((bucket.hitsCompleted / bucket.totalHits) * 100) : 0,
+        meanReaction: reactionStats.count > 0 ? reactionStats.mean : null
+      };
+    });
+}
+
+/**
+ * Calculates a trailing rolling average
+ * Missing values (null) are skipped; a point with no values in its window is null.
+ * @param {Array<number|null>} values - Values in time order
+ * @param {number} windowSize - Number of points to average over
+ * @returns {Array<number|null>} Rolling averages (rounded to 1 decimal place)
+ */
+export function calculateRollingAverage(values, windowSize) {
+  return values.map((_, i) => {
+    const window = values
+      .slice(Math.max(0, i - windowSize + 1), i + 1)
+      .filter(v => v !== null && Number.isFinite(v));
+    if (window.length === 0) {
+      return null;
+    }
+    const mean = window.reduce((sum, v) => sum + v, 0) / window.length;
+    return Math.round(mean * 10) / 10;
+  });
+}
+
+/**
+ * Mean reaction time per period, split by difficulty
+ * @param {Object[]} history - Session history entries
+ * @param {string} [period='week'] - 'day' or 'week'
+ * @returns {{starts: number[], byDifficulty: Object<string, Array<number|null>>}}
+ *   Period starts (oldest first) and, per difficulty ID, the mean for each period
+ */
+export function calculateReactionTrendsByDifficulty(history, period = 'week') {
+  const withResponses = history.filter(entry => entry.reactionTimes?.length > 0);
+  const starts = bucketHistory(withResponses, period).map(b => b.start);
+  const byDifficulty = {};
+
+  [...new Set(withResponses.map(entry => entry.difficultyId))].forEach(difficultyId => {
+    const buckets = bucketHistory(withResponses.filter(entry => entry.difficultyId === difficultyId), period);
+    byDifficulty[difficultyId] = starts.map(start => buckets.find(b => b.start === start)?.meanReaction ?? null);
+  });
+
+  return { starts, byDifficulty };
+}
+
+/**
+ * @typedef {Object} PersonalBest
+ * @property {number} value - Record value
+ * @property {string} timestamp - When the record was set
+ */
+
+/**
+ * @typedef {Object} PersonalBests
+ * @property {PersonalBest|null} hitsPerMinute - Fastest session pace
+ * @property {PersonalBest|null} sessionHits - Most hits in one session
+ * @property {PersonalBest|null} meanReaction - Lowest session mean reaction time
+ * @property {PersonalBest|null} fastestReaction - Single fastest reaction time
+ * @property {PersonalBest|null} weeklyHits - Most hits in one week
+ */
+
+/**
+ * Finds personal bests across the session history
+ * @param {Object[]} history - Session history entries
+ * @returns {PersonalBests} Records, null where there is no data
+ */
+export function calculatePersonalBests(history) {
+  const bests = {
+    hitsPerMinute: null,
+    sessionHits: null,
+    meanReaction: null,
+    fastestReaction: null,
+    weeklyHits: null
+  };
+
+  const record = (key, value, timestamp, lowerIsBetter = false) => {
+    const current = bests[key];
+    if (!current || (lowerIsBetter ? value < current.value : value > current.value)) {
+      bests[key] = { value, timestamp };
+    }
+  };
+
+  history.forEach(entry => {
+    const hits = entry.hitsCompleted || 0;
+    if (hits > 0) {
+      record('sessionHits', hits, entry.timestamp);
+      const pace = calculateHitsPerMinute(hits, entry.durationMs || 0);
+      if (pace > 0) {
+        record('hitsPerMinute', pace, entry.timestamp);
+      }
+    }
+
+    const reactionStats = calculateReactionStats(entry.reactionTimes);
+    if (reactionStats.count > 0) {
+      record('fastestReaction', reactionStats.best, entry.timestamp, true);
+    }
+    if (reactionStats.count >= MIN_RESPONSES_FOR_BEST) {
+      record('meanReaction', reactionStats.mean, entry.timestamp, true);
+    }
+  });
+
+  bucketHistory(history, 'week').forEach(bucket => {
+    if (bucket.hitsCompleted > 0) {
+      record('weeklyHits', bucket.hitsCompleted, new Date(bucket.start).toISOString());
+    }
+  });
+
+  return bests;
+}
@@ -5,8 +5,20 @@ import {
   formatTime,
   formatTimeDetailed,
   calculateHitsPerMinute,
+  calculateReactionStats,
+  REACTION_TIME_BUCKETS,
+  getPeriodStart,
+  bucketHistory,
+  calculateRollingAverage,
+  calculateReactionTrendsByDifficulty,
+  calculatePersonalBests,
+  calculateRoundStats,
+  MIN_RESPONSES_FOR_BEST,
 } from './statsCalculator'
 
+// Local-time ISO timestamp for a history entry
+const at = (year, month, day, hour = 12) => new Date(year, month - 1, day, hour).toISOString()
+
 describe('statsCalculator', () => {
   describe('formatTime', () => {
     it('formats 0ms as 00:00', () => {
@@ -144,4 +156,194 @@ describe('statsCalculator', () => {
       expect(stats.averagePaceFormatted).toBe('N/A')
     })
   })
+
+  describe('calculateReactionStats', () => {
+    it('returns zeros for no data', () => {
+      const stats = calculateReactionStats([])
+      expect(stats.count).toBe(0)
+      expect(stats.mean).toBe(0)
+      expect(stats.median).toBe(0)
+      expect(stats.best).toBe(0)
+    })
+
+    it('calculates mean, median and best', () => {
+      const stats = calculateReactionStats([300, 200, 400, 500])
+      expect(stats.count).toBe(4)
+      expect(stats.mean).toBe(350)
+      expect(stats.median).toBe(350)
+      expect(stats.best).toBe(200)
+    })
+
+    it('uses the middle value as median for odd counts', () => {
+      expect(calculateReactionStats([250, 900, 310]).median).toBe(310)
+    })
+
+    it('ignores invalid values', () => {
+      const stats = calculateReactionStats([300, NaN, -5])
+      expect(stats.count).toBe(1)
+      expect(stats.best).toBe(300)
+    })
+
+    it('builds a distribution with an open-ended last bucket', () => {
+      const stats = calculateReactionStats([150, 250, 260, 1200])
+      expect(stats.distribution).toHaveLength(REACTION_TIME_BUCKETS.length + 1)
+      expect(stats.distribution[0].count).toBe(1)
+      expect(stats.distribution[1].count).toBe(2)
+      expect(stats.distribution[stats.distribution.length - 1].count).toBe(1)
+    })
+  })
+
+  describe('calculateRoundStats', () => {
+    const round = (sessionNumber, hitsCompleted, extra = {}) => ({
+      sessionLength: 'time',
+      sessionNumber,
+      hitsCompleted,
+      durationMs: 60000,
+      reactionTimes: [],
+      ...extra
+    })
+
+    it('returns null without timed rounds', () => {
+      expect(calculateRoundStats([])).toBeNull()
+      expect(calculateRoundStats([{ sessionLength: 'hits', hitsCompleted: 30, durationMs: 60000 }])).toBeNull()
+    })
+
+    it('reports the output of each round in order', () => {
+      const stats = calculateRoundStats([
+        round(2, 30),
+        round(1, 40, { reactionTimes: [300, 400] })
+      ])
+
+      expect(stats.rounds).toEqual([
+        { round: 1, hits: 40, durationMs: 60000, hitsPerMinute: 40, meanReactionMs: 350, stopped: false },
+        { round: 2, hits: 30, durationMs: 60000, hitsPerMinute: 30, meanReactionMs: null, stopped: false }
+      ])
+      expect(stats.averageHitsPerMinute).toBe(35)
+    })
+
+    it('measures the pace change from the first to the last full round', () => {
+      const stats = calculateRoundStats([
+        round(1, 40),
+        round(2, 36),
+        round(3, 30),
+        round(4, 5, { durationMs: 10000, stopped: true })
+      ])
+
+      expect(stats.paceChangePercent).toBe(-25)
+    })
+
+    it('has no pace change with a single full round', () => {
+      expect(calculateRoundStats([round(1, 40)]).paceChangePercent).toBeNull()
+    })
+  })
+
+  describe('getPeriodStart', () => {
+    it('returns local midnight for days', () => {
+      const start = getPeriodStart(new Date(2026, 2, 11, 18, 30), 'day')
+      expect(start).toEqual(new Date(2026, 2, 11))
+    })
+
+    it('returns the Monday for weeks', () => {
+      // 2026-03-15 is a Sunday
+      expect(getPeriodStart(new Date(2026, 2, 15, 9), 'week')).toEqual(new Date(2026, 2, 9))
+      expect(getPeriodStart(new Date(2026, 2, 9, 9), 'week')).toEqual(new Date(2026, 2, 9))
+    })
+  })
+
+  describe('bucketHistory', () => {
+    const history = [
+      { timestamp: at(2026, 3, 17), hitsCompleted: 30, totalHits: 30, durationMs: 60000, reactionTimes: [300] },
+      { timestamp: at(2026, 3, 11), hitsCompleted: 20, totalHits: 40, durationMs: 60000, reactionTimes: [] },
+      { timestamp: at(2026, 3, 10), hitsCompleted: 40, totalHits: 40, durationMs: 120000, reactionTimes: [200, 400] }
+    ]
+
+    it('groups sessions by week, oldest first', () => {
+      const buckets = bucketHistory(history, 'week')
+      expect(buckets).toHaveLength(2)
+      expect(buckets[0].start).toBe(new Date(2026, 2, 9).getTime())
+      expect(buckets[0]).toMatchObject({
+        sessions: 2,
+        hitsCompleted: 60,
+        totalHits: 80,
+        durationMs: 180000,
+        hitsPerMinute: 20,
+        completionRate: 75,
+        meanReaction: 300
+      })
+    })
+
+    it('groups sessions by day', () => {
+      expect(bucketHistory(history, 'day')).toHaveLength(3)
+    })
+
+    it('leaves reaction time empty when nothing was measured', () => {
+      const [bucket] = bucketHistory([history[1]], 'day')
+      expect(bucket.meanReaction).toBeNull()
+    })
+
+    it('returns no buckets for empty history', () => {
+      expect(bucketHistory([])).toEqual([])
+    })
+  })
+
+  describe('calculateRollingAverage', () => {
+    it('averages over a trailing window', () => {
+      expect(calculateRollingAverage([10, 20, 30, 40], 2)).toEqual([10, 15, 25, 35])
+    })
+
+    it('skips missing values', () => {
+      expect(calculateRollingAverage([10, null, 30], 3)).toEqual([10, 10, 20])
+      expect(calculateRollingAverage([null, null], 2)).toEqual([null, null])
+    })
+  })
+
+  describe('calculateReactionTrendsByDifficulty', () => {
+    it('lines up each difficulty against the same periods', () => {
+      const { starts, byDifficulty } = calculateReactionTrendsByDifficulty([
+        { timestamp: at(2026, 3, 17), difficultyId: 'hard', reactionTimes: [250] },
+        { timestamp: at(2026, 3, 10), difficultyId: 'normal', reactionTimes: [300, 400] },
+        { timestamp: at(2026, 3, 10), difficultyId: 'easy', reactionTimes: [] }
+      ], 'week')
+
+      expect(starts).toHaveLength(2)
+      expect(byDifficulty).toEqual({
+        hard: [null, 250],
+        normal: [350, null]
+      })
+    })
+  })
+
+  describe('calculatePersonalBests', () => {
+    it('returns empty records for empty history', () => {
+      expect(calculatePersonalBests([])).toEqual({
+        hitsPerMinute: null,
+        sessionHits: null,
+        meanReaction: null,
+        fastestReaction: null,
+        weeklyHits: null
+      })
+    })
+
+    it('finds the best of each record', () => {
+      const manyResponses = Array(MIN_RESPONSES_FOR_BEST).fill(280)
+      const bests = calculatePersonalBests([
+        { timestamp: at(2026, 3, 17), hitsCompleted: 30, durationMs: 60000, reactionTimes: manyResponses },
+        { timestamp: at(2026, 3, 11), hitsCompleted: 50, durationMs: 120000, reactionTimes: [150] },
+        { timestamp: at(2026, 3, 10), hitsCompleted: 40, durationMs: 120000 }
+      ])
+
+      expect(bests.hitsPerMinute).toEqual({ value: 30, timestamp: at(2026, 3, 17) })
+      expect(bests.sessionHits.value).toBe(50)
+      expect(bests.fastestReaction.value).toBe(150)
+      expect(bests.meanReaction.value).toBe(280)
+      expect(bests.weeklyHits.value).toBe(90)
+    })
+
+    it('needs enough responses for a mean reaction record', () => {
+      const bests = calculatePersonalBests([
+        { timestamp: at(2026, 3, 10), hitsCompleted: 10, durationMs: 60000, reactionTimes: [150] }
+      ])
+      expect(bests.meanReaction).toBeNull()
+    })
+  })
 })
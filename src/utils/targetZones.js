@@ -0,0 +1,177 @@
+/**
+ * Combat Reflex - Target Zones
+ *
+ * The 'zones' training type is a choice-reaction drill: every single cue
+ * also names where to strike. The zone is drawn with the cue when the
+ * workout is planned (see workoutTimeline.js), from the target set of the
+ * active profile, and only among zones the technique can reach (a jab is
+ * never sent to the legs while another zone is on). A defense's zone is
+ * where the attack it answers is aimed: slips go to the head, checks to the
+ * legs.
+ *
+ * With response capture, each cue is scored for its zone as it leaves the
+ * screen: a hit when answered in time, wrong when a tap landed on another
+ * zone, a miss otherwise. Keys answer for a zone too (1 head, 2 body,
+ * 3 legs); other keys do not count. Pad strikes cannot tell zones apart, so
+ * they count as hits.
+ */
+
+import { getTechniqueById } from './techniques';
+
+/**
+ * @typedef {Object} TargetZone
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {string} key - Key that answers for the zone
+ * @property {string[]} categories - Technique categories that can strike the zone
+ * @property {string[]} defenses - Defenses against attacks aimed at the zone
+ */
+
+/**
+ * All target zones, top to bottom
+ * @type {TargetZone[]}
+ */
+export const TARGET_ZONES = [
+  { id: 'head', name: 'Head', key: '1', categories: ['punch', 'kick'], defenses: ['slip', 'roll', 'block', 'parry', 'duck'] },
+  { id: 'body', name: 'Body', key: '2', categories: ['punch', 'kick'], defenses: ['block', 'parry'] },
+  { id: 'legs', name: 'Legs', key: '3', categories: ['kick'], defenses: ['check'] }
+];
+
+/**
+ * Target set of new profiles: every zone
+ * @type {string[]}
+ */
+export const DEFAULT_TARGET_ZONES = TARGET_ZONES.map(zone => zone.id);
+
+/**
+ * @typedef {Object} ZoneStats
+ * @property {number} cues - Cues called to the zone
+ * @property {number} hits - Cues answered in time (on the zone, when tapped)
+ * @property {number} wrong - Cues answered by tapping another zone
+ * @property {number[]} reactionTimes - Reaction times of the hits (ms)
+ */
+
+/**
+ * Finds a target zone
+ * @param {string} id - Zone ID
+ * @returns {TargetZone|undefined} The zone, if known
+ */
+export function getZoneById(id) {
+  return TARGET_ZONES.find(zone => zone.id === id);
+}
+
+/**
+ * Finds the target zone a key answers for
+ * @param {string} key - KeyboardEvent key
+ * @returns {TargetZone|undefined} The zone, if the key has one
+ */
+export function getZoneByKey(key) {
+  return TARGET_ZONES.find(zone => zone.key === key);
+}
+
+/**
+ * Checks whether a technique can be sent to a zone
+ * @param {string} techniqueId - Technique ID
+ * @param {string} zoneId - Zone ID
+ * @returns {boolean} True if the technique strikes or defends the zone
+ */
+export function canReachZone(techniqueId, zoneId) {
+  const zone = getZoneById(zoneId);
+  if (!zone) return false;
+  const category = getTechniqueById(techniqueId)?.category ?? 'punch';
+  return category === 'defense' ? zone.defenses.includes(techniqueId) : zone.categories.includes(category);
+}
+
+/**
+ * Checks a profile's target set
+ * @param {*} zones - Zone IDs
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateTargetZones(zones) {
+  if (!Array.isArray(zones)) {
+    return ['Target zones are missing'];
+  }
+  const errors = zones
+    .filter(id => !getZoneById(id))
+    .map(id => `Unknown target zone: ${id}`);
+  if (new Set(zones).size < 2) {
+    errors.push('At least two target zones must be enabled');
+  }
+  return errors;
+}
+
+/**
+ * Picks the zone a technique is sent to
+ * @param {string} techniqueId - Technique ID
+ * @param {string[]} zones - Zones of the target set
+ * @param {() => number} [random=Math.random] - Random number generator returning [0, 1)
+ * @returns {string} Zone ID; any zone of the set when none fits the technique
+ */
+export function pickZone(techniqueId, zones, random = Math.random) {
+  const reachable = zones.filter(id => canReachZone(techniqueId, id));
+  const choices = reachable.length > 0 ? reachable : zones;
+  return choices[Math.floor(random() * choices.length)];
+}
+
+/**
+ * Creates empty counts for a target set
+ * @param {string[]} zones - Zone IDs
+ * @returns {Object<string, ZoneStats>} Counts by zone
+ */
+export function createZoneStats(zones) {
+  return Object.fromEntries(zones.map(id => [id, { cues: 0, hits: 0, wrong: 0, reactionTimes: [] }]));
+}
+
+/**
+ * Counts the outcome of one cue
+ * @param {Object<string, ZoneStats>} stats - Counts so far
+ * @param {string} zone - Zone the cue was sent to
+ * @param {{latency: number|null, wrong: boolean}} outcome - Reaction time of an answer on the
+ *   zone (null if none), and whether another zone was tapped
+ * @returns {Object<string, ZoneStats>} Updated copy of the counts
+ */
+export function scoreZoneCue(stats, zone, { latency, wrong }) {
+  const counts = stats[zone] ?? { cues: 0, hits: 0, wrong: 0, reactionTimes: [] };
+  return {
+    ...stats,
+    [zone]: {
+      cues: counts.cues + 1,
+      hits: counts.hits + (latency !== null ? 1 : 0),
+      wrong: counts.wrong + (wrong ? 1 : 0),
+      reactionTimes: latency !== null ? [...counts.reactionTimes, latency] : counts.reactionTimes
+    }
+  };
+}
+
+/**
+ * Sums up accuracy and reaction time by zone over a workout's history entries
+ * @param {import('../context/TrainingContext').SessionHistoryEntry[]} sessions - Sessions of one workout
+ * @returns {{zone: string, name: string, cues: number, hits: number, wrong: number,
+ *   accuracy: number, meanReactionMs: number|null}[]|null} One row per zone called, top to
+ *   bottom, or null if no session had target zones
+ */
+export function summarizeZoneSessions(sessions) {
+  const scored = sessions.filter(session => session.zones);
+  if (scored.length === 0) {
+    return null;
+  }
+  return TARGET_ZONES
+    .map(({ id, name }) => {
+      const counts = scored.map(session => session.zones[id]).filter(Boolean);
+      const cues = counts.reduce((sum, zone) => sum + zone.cues, 0);
+      const hits = counts.reduce((sum, zone) => sum + zone.hits, 0);
+      const reactionTimes = counts.flatMap(zone => zone.reactionTimes);
+      return {
+        zone: id,
+        name,
+        cues,
+        hits,
+        wrong: counts.reduce((sum, zone) => sum + zone.wrong, 0),
+        accuracy: cues > 0 ? Math.round((hits / cues) * 100) : 0,
+        meanReactionMs: reactionTimes.length > 0
+          ? Math.round(reactionTimes.reduce((sum, time) => sum + time, 0) / reactionTimes.length)
+          : null
+      };
+    })
+    .filter(row => row.cues > 0);
+}
@@ -0,0 +1,195 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  TARGET_ZONES,
+  DEFAULT_TARGET_ZONES,
+  getZoneById,
+  getZoneByKey,
+  canReachZone,
+  validateTargetZones,
+  pickZone,
+  createZoneStats,
+  scoreZoneCue,
+  summarizeZoneSessions
+} from './targetZones'
+import { buildWorkoutTimeline, SINGLE_CUE_DISPLAY_MS } from './workoutTimeline'
+import {
+  difficulty,
+  createConfig,
+  createTestEngine,
+  TIME_TO_TRAINING,
+  CUE_CYCLE
+} from '../test/sessionFixtures'
+
+describe('targetZones', () => {
+  describe('TARGET_ZONES', () => {
+    it('lists head, body and legs top to bottom', () => {
+      expect(TARGET_ZONES.map(zone => zone.id)).toEqual(['head', 'body', 'legs'])
+      expect(DEFAULT_TARGET_ZONES).toEqual(['head', 'body', 'legs'])
+    })
+
+    it('lets only kicks reach the legs', () => {
+      expect(getZoneById('legs').categories).toEqual(['kick'])
+      expect(getZoneById('feet')).toBeUndefined()
+    })
+
+    it('answers for the zones with keys 1 to 3', () => {
+      expect(['1', '2', '3'].map(key => getZoneByKey(key).id)).toEqual(['head', 'body', 'legs'])
+      expect(getZoneByKey('4')).toBeUndefined()
+      expect(getZoneByKey(' ')).toBeUndefined()
+    })
+  })
+
+  describe('canReachZone', () => {
+    it('sends strikes by category', () => {
+      expect(canReachZone('jab', 'body')).toBe(true)
+      expect(canReachZone('jab', 'legs')).toBe(false)
+      expect(canReachZone('roundhouse', 'legs')).toBe(true)
+    })
+
+    it('sends defenses only where the attack they answer is aimed', () => {
+      expect(canReachZone('slip', 'head')).toBe(true)
+      expect(canReachZone('slip', 'legs')).toBe(false)
+      expect(canReachZone('block', 'body')).toBe(true)
+      expect(canReachZone('check', 'legs')).toBe(true)
+      expect(canReachZone('check', 'head')).toBe(false)
+    })
+  })
+
+  describe('validateTargetZones', () => {
+    it('accepts two or more known zones', () => {
+      expect(validateTargetZones(['head', 'legs'])).toEqual([])
+      expect(validateTargetZones(DEFAULT_TARGET_ZONES)).toEqual([])
+    })
+
+    it('reports unknown zones, too few zones and a missing set', () => {
+      expect(validateTargetZones(['head', 'feet'])).toEqual(['Unknown target zone: feet'])
+      expect(validateTargetZones(['body'])).toEqual(['At least two target zones must be enabled'])
+      expect(validateTargetZones(undefined)).toEqual(['Target zones are missing'])
+    })
+  })
+
+  describe('pickZone', () => {
+    it('picks among the zones the technique can reach', () => {
+      expect(pickZone('jab', DEFAULT_TARGET_ZONES, () => 0)).toBe('head')
+      expect(pickZone('jab', DEFAULT_TARGET_ZONES, () => 0.99)).toBe('body')
+      expect(pickZone('roundhouse', DEFAULT_TARGET_ZONES, () => 0.99)).toBe('legs')
+      expect(pickZone('duck', DEFAULT_TARGET_ZONES, () => 0.99)).toBe('head')
+      expect(pickZone('check', DEFAULT_TARGET_ZONES, () => 0)).toBe('legs')
+    })
+
+    it('only picks zones of the target set', () => {
+      expect(pickZone('roundhouse', ['body', 'legs'], () => 0)).toBe('body')
+    })
+  })
+
+  describe('scoreZoneCue', () => {
+    it('counts cues, hits and wrong zones by zone', () => {
+      let stats = createZoneStats(['head', 'body'])
+      stats = scoreZoneCue(stats, 'head', { latency: 300, wrong: false })
+      stats = scoreZoneCue(stats, 'head', { latency: null, wrong: true })
+      stats = scoreZoneCue(stats, 'body', { latency: null, wrong: false })
+
+      expect(stats).toEqual({
+        head: { cues: 2, hits: 1, wrong: 1, reactionTimes: [300] },
+        body: { cues: 1, hits: 0, wrong: 0, reactionTimes: [] }
+      })
+    })
+
+    it('leaves the counts passed in untouched', () => {
+      const stats = createZoneStats(['head', 'body'])
+      scoreZoneCue(stats, 'head', { latency: 300, wrong: false })
+      expect(stats.head.cues).toBe(0)
+    })
+  })
+
+  describe('summarizeZoneSessions', () => {
+    it('sums accuracy and mean reaction time by zone over sessions', () => {
+      const sessions = [
+        { zones: { head: { cues: 2, hits: 1, wrong: 1, reactionTimes: [300] }, legs: { cues: 1, hits: 1, wrong: 0, reactionTimes: [500] } } },
+        { zones: { head: { cues: 2, hits: 2, wrong: 0, reactionTimes: [200, 400] }, legs: { cues: 0, hits: 0, wrong: 0, reactionTimes: [] } } },
+        { reactionTimes: [250] }
+      ]
+
+      expect(summarizeZoneSessions(sessions)).toEqual([
+        { zone: 'head', name: 'Head', cues: 4, hits: 3, wrong: 1, accuracy: 75, meanReactionMs: 300 },
+        { zone: 'legs', name: 'Legs', cues: 1, hits: 1, wrong: 0, accuracy: 100, meanReactionMs: 500 }
+      ])
+    })
+
+    it('returns null without target zone sessions', () => {
+      expect(summarizeZoneSessions([{ reactionTimes: [] }])).toBeNull()
+    })
+  })
+
+  describe('sessionEngine', () => {
+    let events
+    let engine
+
+    beforeEach(() => {
+      vi.useFakeTimers()
+      events = []
+      engine = createTestEngine(events)
+    })
+
+    afterEach(() => {
+      engine.destroy()
+      vi.useRealTimers()
+    })
+
+    const zonesConfig = (zones) => {
+      const config = createConfig({
+        trainingType: 'zones',
+        targetZones: ['head', 'body'],
+        difficulty: { ...difficulty, totalHits: zones.length }
+      })
+      const timeline = buildWorkoutTimeline(config, () => 0.99)
+      timeline.sessions[0].items.forEach((item, i) => { item.zone = zones[i] })
+      return { ...config, timeline }
+    }
+
+    it('shows each cue with its zone', () => {
+      engine.start(zonesConfig(['head', 'body', 'head']))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + difficulty.minInterval)
+
+      expect(events.find(e => e.type === 'cue')).toMatchObject({ decoy: false, zone: 'head' })
+      expect(engine.getState().currentZone).toBe('head')
+      vi.advanceTimersByTime(SINGLE_CUE_DISPLAY_MS)
+      expect(engine.getState().currentZone).toBeNull()
+    })
+
+    it('reports a tap on another zone as wrong, not as a reaction time', () => {
+      engine.start(zonesConfig(['head', 'body', 'head']))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + difficulty.minInterval + 300)
+
+      expect(engine.respond(undefined, 'body')).toBeNull()
+      expect(events.at(-1)).toEqual({ type: 'wrongZone', latency: 300, zone: 'body' })
+      expect(engine.respond(undefined, 'head')).toBeNull()
+      expect(engine.getState().reactionTimes).toEqual([])
+    })
+
+    it('scores accuracy and reaction time by zone', () => {
+      // Tap the right zone, the wrong zone, then strike a pad that cannot tell zones apart; miss the last cue
+      const taps = ['head', 'head', null]
+      let cues = 0
+      engine.listen((type, payload) => type === 'cue' && cues < taps.length
+        && engine.respond(payload.onset + 200 + cues * 100, taps[cues++]))
+      engine.start(zonesConfig(['head', 'body', 'body', 'head']))
+      vi.advanceTimersByTime(TIME_TO_TRAINING + CUE_CYCLE * 4)
+
+      const { entry } = events.find(e => e.type === 'sessionEnd')
+      expect(entry.zones).toEqual({
+        head: { cues: 2, hits: 1, wrong: 0, reactionTimes: [200] },
+        body: { cues: 2, hits: 1, wrong: 1, reactionTimes: [400] }
+      })
+      expect(entry.reactionTimes).toEqual([200, 400])
+    })
+
+    it('leaves other training types without zones', () => {
+      engine.start(createConfig())
+      vi.advanceTimersByTime(60000)
+
+      expect(events.find(e => e.type === 'sessionEnd').entry).not.toHaveProperty('zones')
+      expect(events.filter(e => e.type === 'cue').every(e => e.zone === null)).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,113 @@
+/**
+ * Combat Reflex - Technique Catalog
+ *
+ * Defines the named techniques the trainer can call out, grouped by
+ * category, and helpers for resolving which techniques are available
+ * for a training mode and profile.
+ *
+ * Defensive techniques are cued like strikes: the athlete answers the cue
+ * by slipping, blocking or checking instead of striking.
+ */
+
+/**
+ * @typedef {Object} Technique
+ * @property {string} id - Unique identifier for the technique
+ * @property {string} name - Display name for the technique
+ * @property {string} category - Technique category ('punch', 'kick' or 'defense')
+ * @property {string|null} side - Side of the stance it is thrown from ('lead' or 'rear'),
+ *   or null for defenses that use neither (see stance.js)
+ */
+
+/**
+ * Technique categories, in display order
+ * @type {string[]}
+ */
+export const TECHNIQUE_CATEGORIES = ['punch', 'kick', 'defense'];
+
+/**
+ * All techniques the trainer can call out
+ * @type {Technique[]}
+ */
+export const TECHNIQUES = [
+  { id: 'jab', name: 'Jab', category: 'punch', side: 'lead' },
+  { id: 'cross', name: 'Cross', category: 'punch', side: 'rear' },
+  { id: 'hook', name: 'Hook', category: 'punch', side: 'lead' },
+  { id: 'uppercut', name: 'Uppercut', category: 'punch', side: 'rear' },
+  { id: 'front-kick', name: 'Front Kick', category: 'kick', side: 'lead' },
+  { id: 'roundhouse', name: 'Roundhouse', category: 'kick', side: 'rear' },
+  { id: 'side-kick', name: 'Side Kick', category: 'kick', side: 'lead' },
+  { id: 'back-kick', name: 'Back Kick', category: 'kick', side: 'rear' },
+  { id: 'slip', name: 'Slip', category: 'defense', side: null },
+  { id: 'roll', name: 'Roll', category: 'defense', side: null },
+  { id: 'block', name: 'Block', category: 'defense', side: null },
+  { id: 'parry', name: 'Parry', category: 'defense', side: 'rear' },
+  { id: 'duck', name: 'Duck', category: 'defense', side: null },
+  { id: 'check', name: 'Check', category: 'defense', side: 'lead' }
+];
+
+/**
+ * Punch technique IDs
+ * @type {string[]}
+ */
+export const PUNCH_ACTIONS = TECHNIQUES.filter(t => t.category === 'punch').map(t => t.id);
+
+/**
+ * Kick technique IDs
+ * @type {string[]}
+ */
+export const KICK_ACTIONS = TECHNIQUES.filter(t => t.category === 'kick').map(t => t.id);
+
+/**
+ * Defensive technique IDs
+ * @type {string[]}
+ */
+export const DEFENSE_ACTIONS = TECHNIQUES.filter(t => t.category === 'defense').map(t => t.id);
+
+/**
+ * Techniques enabled for new profiles (all of them)
+ * @type {string[]}
+ */
+export const DEFAULT_ENABLED_TECHNIQUES = TECHNIQUES.map(t => t.id);
+
+/**
+ * Categories included in each training mode
+ * @type {Object<string, string[]>}
+ */
+const MODE_CATEGORIES = {
+  punches: ['punch'],
+  kicks: ['kick'],
+  both: ['punch', 'kick'],
+  defense: ['defense'],
+  mixed: ['punch', 'kick', 'defense']
+};
+
+/**
+ * Gets a technique by its ID
+ * @param {string} id - The technique ID
+ * @returns {Technique|undefined} The technique or undefined if not found
+ */
+export function getTechniqueById(id) {
+  return TECHNIQUES.find(t => t.id === id);
+}
+
+/**
+ * Gets the technique IDs available for a training mode
+ *
+ * Only enabled techniques are returned. If the profile has disabled every
+ * technique of a category the mode needs, that category falls back to all
+ * of its techniques so the session always has something to call out.
+ *
+ * @param {string} mode - Training mode ('punches', 'kicks', 'both', 'defense', 'mixed')
+ * @param {string[]} [enabledIds] - Enabled technique IDs (defaults to all)
+ * @returns {string[]} Technique IDs available for the mode
+ */
+export function getTechniquesForMode(mode, enabledIds = DEFAULT_ENABLED_TECHNIQUES) {
+  const categories = MODE_CATEGORIES[mode] || MODE_CATEGORIES.both;
+  const enabled = TECHNIQUES.filter(t => categories.includes(t.category) && enabledIds.includes(t.id));
+
+  if (enabled.length > 0) {
+    return enabled.map(t => t.id);
+  }
+
+  return TECHNIQUES.filter(t => categories.includes(t.category)).map(t => t.id);
+}
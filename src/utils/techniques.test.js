@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest'
+import {
+  TECHNIQUES,
+  TECHNIQUE_CATEGORIES,
+  PUNCH_ACTIONS,
+  KICK_ACTIONS,
+  DEFENSE_ACTIONS,
+  DEFAULT_ENABLED_TECHNIQUES,
+  getTechniqueById,
+  getTechniquesForMode
+} from './techniques'
+
+describe('techniques', () => {
+  describe('TECHNIQUES', () => {
+    it('has unique ids', () => {
+      const ids = TECHNIQUES.map(t => t.id)
+      expect(new Set(ids).size).toBe(ids.length)
+    })
+
+    it('every technique belongs to a known category', () => {
+      TECHNIQUES.forEach(t => {
+        expect(TECHNIQUE_CATEGORIES).toContain(t.category)
+        expect(t.name.length).toBeGreaterThan(0)
+      })
+    })
+
+    it('splits into punch, kick and defense actions', () => {
+      expect(PUNCH_ACTIONS).toEqual(['jab', 'cross', 'hook', 'uppercut'])
+      expect(KICK_ACTIONS).toEqual(['front-kick', 'roundhouse', 'side-kick', 'back-kick'])
+      expect(DEFENSE_ACTIONS).toEqual(['slip', 'roll', 'block', 'parry', 'duck', 'check'])
+    })
+
+    it('enables every technique by default', () => {
+      expect(DEFAULT_ENABLED_TECHNIQUES).toHaveLength(TECHNIQUES.length)
+    })
+  })
+
+  describe('getTechniqueById', () => {
+    it('returns the technique for a valid id', () => {
+      expect(getTechniqueById('roundhouse').name).toBe('Roundhouse')
+    })
+
+    it('returns undefined for an invalid id', () => {
+      expect(getTechniqueById('invalid')).toBeUndefined()
+    })
+  })
+
+  describe('getTechniquesForMode', () => {
+    it('returns only punches for punches mode', () => {
+      expect(getTechniquesForMode('punches')).toEqual(PUNCH_ACTIONS)
+    })
+
+    it('returns only kicks for kicks mode', () => {
+      expect(getTechniquesForMode('kicks')).toEqual(KICK_ACTIONS)
+    })
+
+    it('returns everything for both mode', () => {
+      expect(getTechniquesForMode('both')).toEqual([...PUNCH_ACTIONS, ...KICK_ACTIONS])
+    })
+
+    it('returns only defenses for defense mode', () => {
+      expect(getTechniquesForMode('defense')).toEqual(DEFENSE_ACTIONS)
+    })
+
+    it('returns offense and defense for mixed mode', () => {
+      expect(getTechniquesForMode('mixed')).toEqual([...PUNCH_ACTIONS, ...KICK_ACTIONS, ...DEFENSE_ACTIONS])
+      expect(getTechniquesForMode('mixed', ['jab', 'slip'])).toEqual(['jab', 'slip'])
+    })
+
+    it('filters by enabled techniques', () => {
+      expect(getTechniquesForMode('both', ['jab', 'roundhouse'])).toEqual(['jab', 'roundhouse'])
+    })
+
+    it('falls back to the whole category when none are enabled', () => {
+      expect(getTechniquesForMode('kicks', ['jab'])).toEqual(KICK_ACTIONS)
+    })
+  })
+})
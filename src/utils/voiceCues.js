@@ -0,0 +1,236 @@
+/**
+ * Voice Cues for Combat Reflex Training App
+ *
+ * Speaks training callouts with the Web Speech API (speechSynthesis):
+ * technique names, combos by number ("one-two-three"), countdowns, rest
+ * announcements and end-of-rest warnings. useAudio falls back to the tones
+ * in audioSynthesizer.js when speech is unavailable or turned off.
+ *
+ * Callouts are in English; the accent setting (the language tag of the
+ * voice) only chooses which voices are offered.
+ */
+
+import { getSidedName } from './stance';
+import { getZoneById } from './targetZones';
+
+/**
+ * Speech rates offered in settings (1 = the voice's normal speed)
+ * @type {number[]}
+ */
+export const VOICE_RATES = [0.8, 1, 1.2, 1.5];
+
+/**
+ * @typedef {Object} VoiceSettings
+ * @property {boolean} enabled - Speak callouts instead of playing tones
+ * @property {string|null} voiceURI - Chosen voice; null for the best match of lang
+ * @property {string|null} lang - Accent: BCP 47 language of the voice, e.g. 'en-GB'; null for the default voice
+ * @property {number} rate - Speech rate, one of VOICE_RATES
+ */
+
+/**
+ * Voice settings for new users (tones until turned on)
+ * @type {VoiceSettings}
+ */
+export const DEFAULT_VOICE_SETTINGS = {
+  enabled: false,
+  voiceURI: null,
+  lang: null,
+  rate: 1.2
+};
+
+/**
+ * Numbers called for punches in a combo; other techniques are called by name
+ * @type {Object<string, string>}
+ */
+export const COMBO_NUMBERS = {
+  jab: 'one',
+  cross: 'two',
+  hook: 'three',
+  uppercut: 'four'
+};
+
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+
+/**
+ * Checks whether the browser can speak
+ * @param {SpeechSynthesis} [synth=globalThis.speechSynthesis] - Speech synthesis service
+ * @returns {boolean} Whether speech synthesis is available
+ */
+export function isSpeechSupported(synth = globalThis.speechSynthesis) {
+  return Boolean(synth) && typeof globalThis.SpeechSynthesisUtterance === 'function';
+}
+
+/**
+ * Callout for a single technique, with its side when it has one, e.g. "Left Hook"
+ * @param {string} techniqueId - Technique ID
+ * @param {string|null} [side=null] - 'left', 'right' or null
+ * @returns {string} Text to speak
+ */
+export function getTechniqueCallout(techniqueId, side = null) {
+  return getSidedName(techniqueId, side);
+}
+
+/**
+ * Callout for a technique sent to a target zone, e.g. "Jab, head"
+ * @param {string} techniqueId - Technique ID
+ * @param {string} zoneId - Target zone ID
+ * @param {string|null} [side=null] - 'left', 'right' or null
+ * @returns {string} Text to speak
+ */
+export function getZoneCallout(techniqueId, zoneId, side = null) {
+  const zone = getZoneById(zoneId)?.name.toLowerCase() ?? zoneId;
+  return `${getTechniqueCallout(techniqueId, side)}, ${zone}`;
+}
+
+/**
+ * Callout for a go/no-go decoy, in place of the technique's name
+ * @returns {string} Text to speak
+ */
+export function getDecoyCallout() {
+  return 'Hold';
+}
+
+/**
+ * Callout for a whole combo, e.g. "one-two-right roundhouse"
+ * Punch numbers count from the lead hand in either stance, so they already
+ * say the side; other techniques are called with theirs, like single cues.
+ * @param {string[]} techniqueIds - Techniques in strike order
+ * @param {(string|null)[]} [sides=[]] - Side of each strike ('left', 'right' or null)
+ * @returns {string} Text to speak
+ */
+export function getComboCallout(techniqueIds, sides = []) {
+  return techniqueIds
+    .map((id, i) => COMBO_NUMBERS[id] ?? getTechniqueCallout(id, sides[i] ?? null).toLowerCase())
+    .join('-');
+}
+
+/**
+ * Callout for a countdown tick
+ * @param {number} value - Seconds left (3, 2, 1)
+ * @returns {string} Text to speak
+ */
+export function getCountdownCallout(value) {
+  return NUMBER_WORDS[value] ?? String(value);
+}
+
+/**
+ * Callout at the start of a rest
+ * @param {number} seconds - Length of the rest
+ * @returns {string} Text to speak
+ */
+export function getRestCallout(seconds) {
+  return `Rest. ${seconds} seconds`;
+}
+
+/**
+ * Callout shortly before a rest or round ends
+ * @param {number} seconds - Seconds left
+ * @returns {string} Text to speak
+ */
+export function getLastSecondsCallout(seconds) {
+  return `Last ${seconds} seconds`;
+}
+
+/**
+ * Lists the languages voices are available in
+ * @param {SpeechSynthesisVoice[]} voices - Installed voices
+ * @returns {string[]} Sorted, distinct language tags
+ */
+export function getVoiceLanguages(voices) {
+  return [...new Set(voices.map(v => v.lang))].sort();
+}
+
+/**
+ * Chooses the voice to speak with
+ * The chosen voice wins; otherwise the default voice of the language, then
+ * any voice of the language (exact tag, then same base language).
+ * @param {SpeechSynthesisVoice[]} voices - Installed voices
+ * @param {VoiceSettings} settings - Voice settings
+ * @returns {SpeechSynthesisVoice|null} Voice, or null for the browser default
+ */
+export function pickVoice(voices, { voiceURI, lang }) {
+  const chosen = voiceURI && voices.find(v => v.voiceURI === voiceURI);
+  if (chosen) {
+    return chosen;
+  }
+  if (!lang) {
+    return voices.find(v => v.default) ?? null;
+  }
+
+  const base = lang.split('-')[0];
+  const exact = voices.filter(v => v.lang === lang);
+  const related = voices.filter(v => v.lang.split('-')[0] === base);
+  return exact.find(v => v.default) ?? exact[0] ?? related[0] ?? null;
+}
+
+/**
+ * @typedef {Object} Speaker
+ * @property {() => boolean} isAvailable - Whether speech synthesis is available
+ * @property {(settings: VoiceSettings) => void} configure - Sets the voice, language and rate
+ * @property {(text: string, options?: {queue?: boolean}) => boolean} speak
+ *   Speaks text; cuts off anything still being said unless queue is set
+ * @property {() => void} unlock - Primes speech from a user gesture (needed on iOS)
+ * @property {() => void} cancel - Stops speaking
+ */
+
+/**
+ * Creates a speaker on the Web Speech API
+ * @param {Object} [options]
+ * @param {SpeechSynthesis} [options.synth] - Speech synthesis service
+ * @param {typeof SpeechSynthesisUtterance} [options.Utterance] - Utterance constructor
+ * @returns {Speaker}
+ */
+export function createSpeaker({
+  synth = globalThis.speechSynthesis,
+  Utterance = globalThis.SpeechSynthesisUtterance
+} = {}) {
+  let settings = DEFAULT_VOICE_SETTINGS;
+  const available = Boolean(synth) && typeof Utterance === 'function';
+
+  const createUtterance = (text) => {
+    const utterance = new Utterance(text);
+    const voice = pickVoice(synth.getVoices(), settings);
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    } else if (settings.lang) {
+      utterance.lang = settings.lang;
+    }
+    utterance.rate = settings.rate;
+    return utterance;
+  };
+
+  return {
+    isAvailable: () => available,
+
+    configure(next) {
+      settings = { ...DEFAULT_VOICE_SETTINGS, ...next };
+    },
+
+    speak(text, { queue = false } = {}) {
+      if (!available) {
+        return false;
+      }
+      // A late callout is worse than none, so cues never wait their turn
+      if (!queue) {
+        synth.cancel();
+      }
+      synth.speak(createUtterance(text));
+      return true;
+    },
+
+    unlock() {
+      if (available) {
+        const utterance = new Utterance('');
+        utterance.volume = 0;
+        synth.speak(utterance);
+      }
+    },
+
+    cancel() {
+      if (available) {
+        synth.cancel();
+      }
+    }
+  };
+}
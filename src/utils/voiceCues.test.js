@@ -0,0 +1,173 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  DEFAULT_VOICE_SETTINGS,
+  getTechniqueCallout,
+  getDecoyCallout,
+  getZoneCallout,
+  getComboCallout,
+  getCountdownCallout,
+  getRestCallout,
+  getLastSecondsCallout,
+  getVoiceLanguages,
+  pickVoice,
+  createSpeaker
+} from './voiceCues'
+
+const VOICES = [
+  { voiceURI: 'us-1', name: 'US One', lang: 'en-US', default: true },
+  { voiceURI: 'gb-1', name: 'GB One', lang: 'en-GB', default: false },
+  { voiceURI: 'gb-2', name: 'GB Two', lang: 'en-GB', default: false },
+  { voiceURI: 'pl-1', name: 'PL One', lang: 'pl-PL', default: false }
+]
+
+// Minimal stand-ins for speechSynthesis and SpeechSynthesisUtterance
+function createFakeSynth(voices = VOICES) {
+  return {
+    spoken: [],
+    getVoices: () => voices,
+    speak: vi.fn(function (utterance) { this.spoken.push(utterance) }),
+    cancel: vi.fn()
+  }
+}
+
+class FakeUtterance {
+  constructor(text) {
+    this.text = text
+  }
+}
+
+describe('voiceCues', () => {
+  describe('callouts', () => {
+    it('calls a technique by name', () => {
+      expect(getTechniqueCallout('jab')).toBe('Jab')
+      expect(getTechniqueCallout('unknown')).toBe('unknown')
+    })
+
+    it('calls a technique with its target zone', () => {
+      expect(getZoneCallout('jab', 'head')).toBe('Jab, head')
+      expect(getZoneCallout('roundhouse', 'legs')).toBe('Roundhouse, legs')
+    })
+
+    it('calls the side of sided techniques', () => {
+      expect(getTechniqueCallout('hook', 'left')).toBe('Left Hook')
+      expect(getTechniqueCallout('slip', null)).toBe('Slip')
+      expect(getZoneCallout('roundhouse', 'body', 'right')).toBe('Right Roundhouse, body')
+    })
+
+    it('calls a decoy with a word that is no technique', () => {
+      expect(getDecoyCallout()).toBe('Hold')
+    })
+
+    it('calls punches in a combo by number', () => {
+      expect(getComboCallout(['jab', 'cross', 'hook'])).toBe('one-two-three')
+    })
+
+    it('calls other techniques in a combo by name', () => {
+      expect(getComboCallout(['jab', 'cross', 'roundhouse'])).toBe('one-two-roundhouse')
+      expect(getComboCallout(['slip', 'cross'])).toBe('slip-two')
+      expect(getComboCallout(['front-kick', 'hook'])).toBe('front kick-three')
+    })
+
+    it('calls named strikes of a combo with their side', () => {
+      expect(getComboCallout(['jab', 'cross', 'roundhouse'], ['left', 'right', 'right'])).toBe('one-two-right roundhouse')
+      expect(getComboCallout(['slip', 'check', 'cross'], [null, 'right', 'left'])).toBe('slip-right check-two')
+    })
+
+    it('spells out countdown numbers', () => {
+      expect(getCountdownCallout(3)).toBe('three')
+      expect(getCountdownCallout(42)).toBe('42')
+    })
+
+    it('announces rests and last seconds', () => {
+      expect(getRestCallout(30)).toBe('Rest. 30 seconds')
+      expect(getLastSecondsCallout(5)).toBe('Last 5 seconds')
+    })
+  })
+
+  describe('getVoiceLanguages', () => {
+    it('lists distinct languages in order', () => {
+      expect(getVoiceLanguages(VOICES)).toEqual(['en-GB', 'en-US', 'pl-PL'])
+    })
+  })
+
+  describe('pickVoice', () => {
+    it('uses the chosen voice', () => {
+      expect(pickVoice(VOICES, { voiceURI: 'gb-2', lang: 'en-GB' }).voiceURI).toBe('gb-2')
+    })
+
+    it('falls back to the language when the chosen voice is gone', () => {
+      expect(pickVoice(VOICES, { voiceURI: 'missing', lang: 'en-GB' }).voiceURI).toBe('gb-1')
+    })
+
+    it('matches the base language when no voice has the exact tag', () => {
+      expect(pickVoice(VOICES, { voiceURI: null, lang: 'en-AU' }).voiceURI).toBe('us-1')
+    })
+
+    it('uses the default voice without a language', () => {
+      expect(pickVoice(VOICES, { voiceURI: null, lang: null }).voiceURI).toBe('us-1')
+    })
+
+    it('returns null when nothing matches', () => {
+      expect(pickVoice(VOICES, { voiceURI: null, lang: 'ja-JP' })).toBeNull()
+    })
+  })
+
+  describe('createSpeaker', () => {
+    it('cuts off the previous callout', () => {
+      const synth = createFakeSynth()
+      const speaker = createSpeaker({ synth, Utterance: FakeUtterance })
+
+      expect(speaker.speak('Jab')).toBe(true)
+      expect(synth.cancel).toHaveBeenCalledTimes(1)
+      expect(synth.spoken[0].text).toBe('Jab')
+    })
+
+    it('queues callouts when asked', () => {
+      const synth = createFakeSynth()
+      const speaker = createSpeaker({ synth, Utterance: FakeUtterance })
+
+      speaker.speak('Rest. 30 seconds', { queue: true })
+      expect(synth.cancel).not.toHaveBeenCalled()
+      expect(synth.speak).toHaveBeenCalledTimes(1)
+    })
+
+    it('applies the configured voice and rate', () => {
+      const synth = createFakeSynth()
+      const speaker = createSpeaker({ synth, Utterance: FakeUtterance })
+      speaker.configure({ enabled: true, voiceURI: 'gb-2', lang: 'en-GB', rate: 1.5 })
+
+      speaker.speak('Cross')
+      expect(synth.spoken[0].voice.voiceURI).toBe('gb-2')
+      expect(synth.spoken[0].lang).toBe('en-GB')
+      expect(synth.spoken[0].rate).toBe(1.5)
+    })
+
+    it('sets the language when no voice matches', () => {
+      const synth = createFakeSynth([])
+      const speaker = createSpeaker({ synth, Utterance: FakeUtterance })
+      speaker.configure({ lang: 'en-GB' })
+
+      speaker.speak('Hook')
+      expect(synth.spoken[0].voice).toBeUndefined()
+      expect(synth.spoken[0].lang).toBe('en-GB')
+      expect(synth.spoken[0].rate).toBe(DEFAULT_VOICE_SETTINGS.rate)
+    })
+
+    it('unlocks with a silent utterance', () => {
+      const synth = createFakeSynth()
+      const speaker = createSpeaker({ synth, Utterance: FakeUtterance })
+
+      speaker.unlock()
+      expect(synth.spoken[0]).toMatchObject({ text: '', volume: 0 })
+    })
+
+    it('does nothing without speech synthesis', () => {
+      const speaker = createSpeaker({ synth: undefined, Utterance: undefined })
+
+      expect(speaker.isAvailable()).toBe(false)
+      expect(speaker.speak('Jab')).toBe(false)
+      expect(() => speaker.unlock()).not.toThrow()
+      expect(() => speaker.cancel()).not.toThrow()
+    })
+  })
+})
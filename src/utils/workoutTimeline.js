@@ -0,0 +1,384 @@
+/**
+ * Combat Reflex - Workout Timeline
+ *
+ * Plans a whole workout before it starts: each session's target, every
+ * cue and combo with the wait before it, the mid-session rest settings and
+ * the break that follows. The session engine plays this plan as it is, so
+ * the preview on the settings screen (see summarizeTimeline) describes the
+ * workout that is actually trained.
+ *
+ * All random choices are made here, session by session in a fixed order,
+ * so the same seed and settings give the same timeline.
+ */
+
+import {
+  getRandomInterval,
+  getRandomComboSize,
+  getRandomStrikeInterval,
+  getRandomComboRest,
+  resolveSessionLength,
+  BREAK_DURATION_MS,
+  MID_REST_DURATION_MS,
+  SESSION_DURATION_MS,
+  DEFAULT_ROUND_TIMER
+} from './difficultyConfig';
+import { getRandomTotalHits } from './profileUtils';
+import { getCombosForTechniques, pickWeightedCombo } from './comboLibrary';
+import { createCueGenerator } from './cueGenerator';
+import { DEFAULT_GO_NOGO_SETTINGS } from './goNoGo';
+import { DEFAULT_TARGET_ZONES, canReachZone, pickZone } from './targetZones';
+import { DEFAULT_PERIPHERAL_SETTINGS, getRegionsForSet, pickRegion } from './peripheral';
+import { DEFAULT_STANCE_SETTINGS, getSessionStance } from './stance';
+
+/**
+ * Countdown before each session starts (in seconds)
+ * @type {number}
+ */
+export const COUNTDOWN_SECONDS = 3;
+
+/**
+ * Delay before the first countdown tick, giving audio time to initialize (ms)
+ * @type {number}
+ */
+export const COUNTDOWN_LEAD_IN_MS = 100;
+
+/**
+ * How long "GO!" is shown before training starts (ms)
+ * @type {number}
+ */
+export const GO_DISPLAY_MS = 800;
+
+/**
+ * How long a single-mode cue stays on screen (ms)
+ * @type {number}
+ */
+export const SINGLE_CUE_DISPLAY_MS = 800;
+
+/**
+ * How long each combo strike stays on screen (ms)
+ * @type {number}
+ */
+export const COMBO_CUE_DISPLAY_MS = 300;
+
+/**
+ * Time from the start of a countdown until training begins (ms)
+ * @type {number}
+ */
+const COUNTDOWN_MS = COUNTDOWN_LEAD_IN_MS + COUNTDOWN_SECONDS * 1000 + GO_DISPLAY_MS;
+
+/**
+ * @typedef {Object} TimelineItem
+ * @property {number} delayMs - Wait before the first strike, after the previous item ends
+ * @property {boolean} inCombo - Whether the item is a combo rather than a single cue
+ * @property {string|null} name - Combo name; null for single cues and random combos
+ * @property {string[]} actions - Techniques called, one for a single cue
+ * @property {number[]} intervals - Time before each strike after the first (ms)
+ * @property {boolean} decoy - Whether the cue must not be answered (go/no-go only)
+ * @property {string|null} zone - Target zone to strike (target zones only)
+ * @property {string|null} region - Screen region the cue flashes in (peripheral only)
+ */
+
+/**
+ * @typedef {Object} SessionPlan
+ * @property {string} sessionLength - What ends the session: 'hits', 'combos' or 'time'
+ * @property {string} cueType - Cues called: 'single', 'combo', 'gonogo', 'zones', 'peripheral' or 'off'
+ * @property {number|null} totalHits - Hit target (counted in hits)
+ * @property {number} totalCombos - Combo target (counted in combos)
+ * @property {number} roundDuration - Length of the round (in seconds; timed rounds only)
+ * @property {Object|undefined} midRest - Mid-session rest settings, if any
+ * @property {number} midRestDuration - Length of each mid-session rest (in seconds)
+ * @property {boolean} countdown - Whether the session starts with a countdown
+ * @property {number} breakDuration - Break after the session (in seconds; 0 after the last)
+ * @property {string} stance - Stance trained in the session ('orthodox' or 'southpaw')
+ * @property {TimelineItem[]} items - Cues or combos in the order they are called
+ */
+
+/**
+ * @typedef {Object} WorkoutTimeline
+ * @property {SessionPlan[]} sessions - One plan per session (round)
+ */
+
+/**
+ * @typedef {Object} TimelineSummary
+ * @property {number} totalMs - Estimated length of the workout, countdowns included
+ * @property {number} workMs - Time spent training
+ * @property {number} restMs - Time spent in breaks and mid-session rests
+ * @property {number} cues - Techniques called
+ * @property {number} combos - Combos called (combo cues only)
+ * @property {number} decoys - Decoys among the cues (go/no-go only)
+ */
+
+/**
+ * Resolves mid-session rest settings into progress counts for one session
+ *
+ * With the 'hits' trigger, points are counts; with 'percent', points are
+ * percentages of the session target. When sessions are counted in combos,
+ * progress is counted in combos instead of hits; in timed rounds,
+ * percentages are of the round time. Points at or beyond the target are
+ * dropped, since a rest at the very end would only delay the break.
+ *
+ * @param {{enabled: boolean, trigger: string, points: number[]}|undefined} midRest - Mid-rest settings
+ * @param {number} target - Hits, combos or round seconds in the session
+ * @returns {number[]} Sorted, unique progress counts after which to rest
+ */
+export function getMidRestPoints(midRest, target) {
+  if (!midRest?.enabled || !Array.isArray(midRest.points) || !(target > 1)) {
+    return [];
+  }
+
+  const counts = midRest.points.map(point => (
+    midRest.trigger === 'percent' ? Math.round((target * point) / 100) : Math.round(point)
+  ));
+
+  return [...new Set(counts)]
+    .filter(count => count >= 1 && count < target)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Mid-rest points of a planned session
+ * Progress is counted in combos when sessions are counted in combos or combos
+ * are called, in round seconds for percentages of a timed round, and in hits
+ * otherwise.
+ * @param {SessionPlan} plan - Session plan
+ * @returns {number[]} Progress counts after which to rest
+ */
+export function getSessionMidRestPoints(plan) {
+  let target = plan.totalCombos || plan.totalHits;
+  if (plan.sessionLength === 'time') {
+    // Count-based rest points have no end to fall beyond in a timed round
+    target = plan.midRest?.trigger === 'percent' ? plan.roundDuration : Infinity;
+  }
+  return getMidRestPoints(plan.midRest, target);
+}
+
+/**
+ * How long an item takes from the end of the previous one until it is cleared
+ * @param {TimelineItem} item - Cue or combo
+ * @returns {number} Duration in ms
+ */
+export function getItemDuration(item) {
+  const strikes = item.intervals.reduce((sum, interval) => sum + interval, 0);
+  return item.delayMs + strikes + (item.inCombo ? COMBO_CUE_DISPLAY_MS : SINGLE_CUE_DISPLAY_MS);
+}
+
+/**
+ * Plans a workout
+ * @param {import('./sessionEngine').SessionConfig} config - Workout configuration
+ * @param {() => number} [random=Math.random] - Random number generator returning [0, 1)
+ * @returns {WorkoutTimeline} Every session of the workout
+ */
+export function buildWorkoutTimeline(config, random = Math.random) {
+  const { trainingType, difficulty, techniques, numberOfSessions } = config;
+  const comboSettings = config.comboSettings ?? difficulty.combo ?? null;
+  const roundTimer = config.roundTimer ?? DEFAULT_ROUND_TIMER;
+  const isRoundTimer = trainingType === 'rounds';
+  const { decoyRate } = config.goNoGo ?? DEFAULT_GO_NOGO_SETTINGS;
+  const stanceSettings = config.stance ?? DEFAULT_STANCE_SETTINGS;
+  const targetZones = config.targetZones ?? DEFAULT_TARGET_ZONES;
+  const cueType = isRoundTimer ? roundTimer.cues : trainingType;
+  // Target zone cues only call techniques that can go to a zone of the target set
+  const zoneTechniques = techniques.filter(id => targetZones.some(zone => canReachZone(id, zone)));
+  const cueTechniques = cueType === 'zones' && zoneTechniques.length > 0 ? zoneTechniques : techniques;
+  const combos = getCombosForTechniques(config.comboLibrary, techniques);
+  const cueGenerator = createCueGenerator(cueTechniques, difficulty.cueSelection, random);
+  const regions = getRegionsForSet((config.peripheral ?? DEFAULT_PERIPHERAL_SETTINGS).positions);
+
+  const resolved = isRoundTimer ? 'time' : resolveSessionLength(difficulty.sessionLength, trainingType);
+  // Without combo settings there is no combo target to count towards
+  const sessionLength = resolved === 'combos' && !comboSettings ? 'hits' : resolved;
+  // Round timer rounds rest only between rounds
+  const midRest = isRoundTimer ? undefined : difficulty.rest?.midRest;
+  const midRestDuration = Math.round((midRest?.duration || MID_REST_DURATION_MS) / 1000);
+
+  let roundDuration = 0;
+  if (isRoundTimer) {
+    roundDuration = Math.round(roundTimer.workDuration / 1000);
+  } else if (sessionLength === 'time') {
+    roundDuration = Math.round((difficulty.sessionLength.roundDuration || SESSION_DURATION_MS) / 1000);
+  }
+
+  let breakDuration = difficulty.rest?.enabled !== false
+    ? Math.round((difficulty.rest?.breakDuration || BREAK_DURATION_MS) / 1000)
+    : 0;
+  if (isRoundTimer) {
+    breakDuration = Math.round(roundTimer.restDuration / 1000);
+  }
+
+  /**
+   * Picks a single cue: a go/no-go cue may be drawn as a decoy at the decoy rate
+   * (see goNoGo.js), a target zone cue is sent to a zone of the target set (see
+   * targetZones.js) and a peripheral cue to a region of the position set (see peripheral.js)
+   */
+  const nextCue = () => {
+    const delayMs = getRandomInterval(difficulty, random);
+    const actions = [cueGenerator.next()];
+    // Drawn last and only for their training type, so other workouts replay their seeds unchanged
+    const decoy = cueType === 'gonogo' && random() < decoyRate;
+    const zone = cueType === 'zones'
+      ? pickZone(actions[0], targetZones, random)
+      : null;
+    const region = cueType === 'peripheral' ? pickRegion(regions, random) : null;
+    return { delayMs, inCombo: false, name: null, actions, intervals: [], decoy, zone, region };
+  };
+
+  /**
+   * Picks a combo: a weighted pick from the library, or random strikes
+   */
+  const nextCombo = (isFirst) => {
+    const delayMs = isFirst ? 0 : getRandomComboRest(comboSettings, random);
+    const definition = pickWeightedCombo(combos, random);
+    if (definition) {
+      const [, ...rest] = definition.steps;
+      return {
+        delayMs,
+        inCombo: true,
+        name: definition.name,
+        actions: definition.steps.map(step => step.technique),
+        intervals: rest.map(step => step.delayMs ?? getRandomStrikeInterval(comboSettings, random)),
+        decoy: false,
+        zone: null,
+        region: null
+      };
+    }
+    const comboSize = getRandomComboSize(comboSettings, random);
+    return {
+      delayMs,
+      inCombo: true,
+      name: null,
+      actions: Array.from({ length: comboSize }, () => cueGenerator.next()),
+      intervals: Array.from({ length: comboSize - 1 }, () => getRandomStrikeInterval(comboSettings, random)),
+      decoy: false,
+      zone: null,
+      region: null
+    };
+  };
+
+  /**
+   * Plans one session in the athlete's stance for that round (see stance.js)
+   * Timed rounds are planned with cues until the round time is covered; the
+   * round clock ends the round, so the last planned cue may never be called.
+   */
+  const planSession = (index) => {
+    const totalHits = sessionLength !== 'hits'
+      ? null
+      : difficulty.totalHits?.min !== undefined
+        ? getRandomTotalHits(difficulty.totalHits, random)
+        : difficulty.totalHits;
+    const totalCombos = sessionLength === 'combos' ? comboSettings.totalCombos : 0;
+
+    const items = [];
+    let hits = 0;
+    let elapsedMs = 0;
+    const isPlanned = () => {
+      switch (sessionLength) {
+        case 'hits':
+          return hits >= totalHits;
+        case 'combos':
+          return items.length >= totalCombos;
+        default:
+          return elapsedMs >= roundDuration * 1000;
+      }
+    };
+
+    if (cueType !== 'off') {
+      while (!isPlanned()) {
+        const item = cueType === 'combo' ? nextCombo(items.length === 0) : nextCue();
+        items.push(item);
+        hits += item.actions.length;
+        elapsedMs += getItemDuration(item);
+      }
+    }
+
+    return {
+      sessionLength,
+      cueType,
+      totalHits,
+      totalCombos,
+      roundDuration,
+      midRest,
+      midRestDuration,
+      // Like a fight, the round timer goes from rest straight to the bell
+      countdown: index === 0 || !isRoundTimer,
+      breakDuration: index < numberOfSessions - 1 ? breakDuration : 0,
+      stance: getSessionStance(stanceSettings, index),
+      items
+    };
+  };
+
+  return {
+    sessions: Array.from({ length: numberOfSessions }, (_, index) => planSession(index))
+  };
+}
+
+/**
+ * Estimates how long a session trains and rests, and what it calls
+ * @param {SessionPlan} plan - Session plan
+ * @returns {{workMs: number, midRestMs: number, cues: number, combos: number, decoys: number}}
+ */
+function summarizeSession(plan) {
+  const isTimed = plan.sessionLength === 'time';
+  const roundMs = plan.roundDuration * 1000;
+  let midRestPoints = getSessionMidRestPoints(plan);
+  let elapsedMs = 0;
+  let hits = 0;
+  let combos = 0;
+  let decoys = 0;
+  let midRests = 0;
+
+  for (const item of plan.items) {
+    // Strikes the round clock cuts off are never called
+    let onset = elapsedMs + item.delayMs;
+    for (let i = 0; i < item.actions.length && (!isTimed || onset < roundMs); i++) {
+      hits++;
+      onset += item.intervals[i] ?? 0;
+    }
+    elapsedMs += getItemDuration(item);
+    if (isTimed && elapsedMs > roundMs) {
+      break;
+    }
+
+    combos++;
+    if (item.decoy) {
+      decoys++;
+    }
+    let progress = plan.cueType === 'combo' || plan.sessionLength === 'combos' ? combos : hits;
+    if (isTimed && plan.midRest?.trigger === 'percent') {
+      progress = Math.floor(elapsedMs / 1000);
+    }
+    if (midRestPoints.length > 0 && progress >= midRestPoints[0]) {
+      midRestPoints = midRestPoints.filter(point => point > progress);
+      midRests++;
+    }
+  }
+
+  return {
+    workMs: isTimed ? roundMs : elapsedMs,
+    midRestMs: midRests * plan.midRestDuration * 1000,
+    cues: hits,
+    combos: plan.cueType === 'combo' ? combos : 0,
+    decoys
+  };
+}
+
+/**
+ * Estimates the length and content of a planned workout
+ * Pauses and stopping early are not known in advance, so this is the
+ * length of the workout trained start to finish.
+ * @param {WorkoutTimeline} timeline - Planned workout
+ * @returns {TimelineSummary} Estimated times and counts
+ */
+export function summarizeTimeline(timeline) {
+  return timeline.sessions.reduce((summary, plan) => {
+    const session = summarizeSession(plan);
+    const restMs = session.midRestMs + plan.breakDuration * 1000;
+    return {
+      totalMs: summary.totalMs + (plan.countdown ? COUNTDOWN_MS : 0) + session.workMs + restMs,
+      workMs: summary.workMs + session.workMs,
+      restMs: summary.restMs + restMs,
+      cues: summary.cues + session.cues,
+      combos: summary.combos + session.combos,
+      decoys: summary.decoys + session.decoys
+    };
+  }, { totalMs: 0, workMs: 0, restMs: 0, cues: 0, combos: 0, decoys: 0 });
+}
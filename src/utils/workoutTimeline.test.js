@@ -0,0 +1,167 @@
+import { describe, it, expect } from 'vitest'
+import {
+  buildWorkoutTimeline,
+  summarizeTimeline,
+  getItemDuration,
+  COUNTDOWN_SECONDS,
+  COUNTDOWN_LEAD_IN_MS,
+  GO_DISPLAY_MS,
+  SINGLE_CUE_DISPLAY_MS,
+  COMBO_CUE_DISPLAY_MS
+} from './workoutTimeline'
+import { createSeededRandom } from './random'
+import { difficulty, comboSettings, createConfig } from '../test/sessionFixtures'
+
+const COUNTDOWN_MS = COUNTDOWN_LEAD_IN_MS + COUNTDOWN_SECONDS * 1000 + GO_DISPLAY_MS
+
+describe('workoutTimeline', () => {
+  describe('buildWorkoutTimeline', () => {
+    it('plans one cue per hit of each session', () => {
+      const { sessions } = buildWorkoutTimeline(createConfig({ numberOfSessions: 2 }), () => 0)
+
+      expect(sessions).toHaveLength(2)
+      expect(sessions[0]).toMatchObject({ sessionLength: 'hits', cueType: 'single', totalHits: 3, countdown: true, breakDuration: 10 })
+      expect(sessions[1]).toMatchObject({ countdown: true, breakDuration: 0 })
+      expect(sessions[0].items).toEqual(Array(3).fill({ delayMs: 1000, inCombo: false, name: null, actions: ['jab'], intervals: [], decoy: false, zone: null, region: null }))
+    })
+
+    it('sends each target zone cue to a zone the technique can reach', () => {
+      const config = createConfig({ trainingType: 'zones', techniques: ['jab', 'roundhouse'], targetZones: ['head', 'legs'] })
+      const { sessions } = buildWorkoutTimeline(config, () => 0.99)
+
+      expect(sessions[0].cueType).toBe('zones')
+      expect(sessions[0].items.map(item => [item.actions[0], item.zone])).toEqual(Array(3).fill(['roundhouse', 'legs']))
+      const punches = buildWorkoutTimeline({ ...config, techniques: ['jab'] }, () => 0.99).sessions[0].items
+      expect(punches.every(item => item.zone === 'head')).toBe(true)
+    })
+
+    it('calls only defenses that fit a zone of the target set', () => {
+      const config = createConfig({ trainingType: 'zones', techniques: ['slip', 'block', 'check'], targetZones: ['body', 'legs'] })
+      const { sessions } = buildWorkoutTimeline({ ...config, difficulty: { ...difficulty, totalHits: 20 } }, createSeededRandom(3))
+      const cues = sessions[0].items.map(item => [item.actions[0], item.zone])
+
+      expect(cues.some(([action]) => action === 'slip')).toBe(false)
+      cues.forEach(([action, zone]) => expect(zone).toBe(action === 'check' ? 'legs' : 'body'))
+    })
+
+    it('flashes each peripheral cue in a region of the position set', () => {
+      const config = createConfig({ trainingType: 'peripheral', peripheral: { positions: 'corners', size: 'small', contrast: 'low' } })
+      const { sessions } = buildWorkoutTimeline(config, () => 0.99)
+
+      expect(sessions[0].cueType).toBe('peripheral')
+      expect(sessions[0].items.map(item => item.region)).toEqual(Array(3).fill('bottom-right'))
+      const singles = buildWorkoutTimeline(createConfig(), () => 0.99).sessions[0].items
+      expect(singles.every(item => item.region === null)).toBe(true)
+    })
+
+    it('draws go/no-go decoys at the decoy rate', () => {
+      const draws = [0, 0, 0.1, 0, 0, 0.9]
+      let i = 0
+      const config = createConfig({ trainingType: 'gonogo', goNoGo: { decoyRate: 0.5 } })
+      const { sessions } = buildWorkoutTimeline({ ...config, difficulty: { ...difficulty, totalHits: 2 } }, () => draws[i++])
+
+      expect(sessions[0]).toMatchObject({ sessionLength: 'hits', cueType: 'gonogo' })
+      expect(sessions[0].items.map(item => item.decoy)).toEqual([true, false])
+    })
+
+    it('plans each session in its stance', () => {
+      const plain = buildWorkoutTimeline(createConfig({ numberOfSessions: 2 }), () => 0)
+      expect(plain.sessions.map(session => session.stance)).toEqual(['orthodox', 'orthodox'])
+
+      const config = createConfig({ numberOfSessions: 3, stance: { stance: 'southpaw', switchEachRound: true } })
+      const { sessions } = buildWorkoutTimeline(config, () => 0)
+      expect(sessions.map(session => session.stance)).toEqual(['southpaw', 'orthodox', 'southpaw'])
+      expect(sessions[1].items).toEqual(plain.sessions[1].items)
+    })
+
+    it('plans combos up to the combo target, the first without rest', () => {
+      const { sessions } = buildWorkoutTimeline(createConfig({ trainingType: 'combo', comboSettings }), () => 0)
+
+      expect(sessions[0]).toMatchObject({ sessionLength: 'combos', totalCombos: 2 })
+      expect(sessions[0].items.map(item => item.delayMs)).toEqual([0, 2000])
+      expect(sessions[0].items[0]).toMatchObject({ inCombo: true, actions: ['jab', 'jab'], intervals: [400] })
+    })
+
+    it('plans enough cues to cover a timed round', () => {
+      const timed = { ...difficulty, sessionLength: { mode: 'time', roundDuration: 20000 } }
+      const { sessions } = buildWorkoutTimeline(createConfig({ difficulty: timed }), () => 0)
+      const plannedMs = sessions[0].items.reduce((sum, item) => sum + getItemDuration(item), 0)
+
+      expect(sessions[0]).toMatchObject({ sessionLength: 'time', roundDuration: 20, totalHits: null })
+      expect(plannedMs).toBeGreaterThanOrEqual(20000)
+      expect(plannedMs - getItemDuration(sessions[0].items[0])).toBeLessThan(20000)
+    })
+
+    it('plans round timer rounds without countdowns after the first', () => {
+      const roundTimer = { workDuration: 60000, restDuration: 15000, cues: 'off' }
+      const { sessions } = buildWorkoutTimeline(createConfig({ trainingType: 'rounds', roundTimer, numberOfSessions: 3 }), () => 0)
+
+      expect(sessions.map(plan => plan.countdown)).toEqual([true, false, false])
+      expect(sessions.map(plan => plan.breakDuration)).toEqual([15, 15, 0])
+      expect(sessions.every(plan => plan.items.length === 0)).toBe(true)
+    })
+
+    it('skips breaks when rest is disabled', () => {
+      const noRest = { ...difficulty, rest: { enabled: false } }
+      const { sessions } = buildWorkoutTimeline(createConfig({ difficulty: noRest, numberOfSessions: 2 }), () => 0)
+      expect(sessions[0].breakDuration).toBe(0)
+    })
+
+    it('gives the same timeline for the same seed', () => {
+      const varied = { ...difficulty, minInterval: 500, maxInterval: 2500, totalHits: { min: 5, max: 9 } }
+      const config = createConfig({ difficulty: varied, numberOfSessions: 3 })
+
+      expect(buildWorkoutTimeline(config, createSeededRandom(7))).toEqual(buildWorkoutTimeline(config, createSeededRandom(7)))
+      expect(buildWorkoutTimeline(config, createSeededRandom(7))).not.toEqual(buildWorkoutTimeline(config, createSeededRandom(8)))
+    })
+  })
+
+  describe('summarizeTimeline', () => {
+    it('adds up countdowns, cues and breaks', () => {
+      const summary = summarizeTimeline(buildWorkoutTimeline(createConfig({ numberOfSessions: 2 }), () => 0))
+      const workMs = 2 * 3 * (1000 + SINGLE_CUE_DISPLAY_MS)
+
+      expect(summary).toEqual({
+        totalMs: 2 * COUNTDOWN_MS + workMs + 10000,
+        workMs,
+        restMs: 10000,
+        cues: 6,
+        combos: 0,
+        decoys: 0
+      })
+    })
+
+    it('counts combos and their strikes', () => {
+      const summary = summarizeTimeline(buildWorkoutTimeline(createConfig({ trainingType: 'combo', comboSettings }), () => 0))
+
+      expect(summary).toMatchObject({
+        workMs: 2 * (400 + COMBO_CUE_DISPLAY_MS) + 2000,
+        cues: 4,
+        combos: 2
+      })
+    })
+
+    it('counts go/no-go decoys', () => {
+      const summary = summarizeTimeline(buildWorkoutTimeline(createConfig({ trainingType: 'gonogo', goNoGo: { decoyRate: 0.5 } }), () => 0))
+
+      expect(summary).toMatchObject({ cues: 3, combos: 0, decoys: 3 })
+    })
+
+    it('includes mid-session rests', () => {
+      const midRest = { enabled: true, trigger: 'hits', points: [1], duration: 5000 }
+      const withMidRest = { ...difficulty, rest: { ...difficulty.rest, midRest } }
+      const summary = summarizeTimeline(buildWorkoutTimeline(createConfig({ difficulty: withMidRest }), () => 0))
+
+      expect(summary.restMs).toBe(5000)
+    })
+
+    it('counts only the cues that fit in a timed round', () => {
+      const timed = { ...difficulty, sessionLength: { mode: 'time', roundDuration: 20000 } }
+      const summary = summarizeTimeline(buildWorkoutTimeline(createConfig({ difficulty: timed }), () => 0))
+
+      expect(summary.workMs).toBe(20000)
+      // Cues are called every 1800ms from 1s; the 12th planned cue would come after the bell
+      expect(summary.cues).toBe(11)
+    })
+  })
+})
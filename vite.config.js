@@ -1,11 +1,12 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { serviceWorkerPlugin } from './src/pwa/vitePlugin.js'
 
 // https://vite.dev/config/
 export default defineConfig({
   base: '/hit-reflex-trainer/',
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), serviceWorkerPlugin()],
   test: {
     globals: true,
     environment: 'jsdom',